@@ -4,11 +4,191 @@ const DONATION_STATUS = Object.freeze({
   PENDING: 'pending',
   CAPTURED: 'captured',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded',
+  EXPIRED: 'expired',
+  VOIDED: 'voided',
 });
 
 const DONATION_STATUS_LIST = Object.values(DONATION_STATUS);
 
+/**
+ * Statuses an offline donation can be voided from (recorded by mistake at the counter).
+ * VOIDED donations keep their row for audit but never count towards totals or exports.
+ */
+const DONATION_STATUS_VOIDABLE = [DONATION_STATUS.CAPTURED, DONATION_STATUS.PENDING];
+
+/**
+ * Statuses whose (amount - refundedAmount) still counts towards totals.
+ */
+const DONATION_STATUS_COUNTED = [DONATION_STATUS.CAPTURED, DONATION_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * Statuses reached only after a successful capture. Capture must never overwrite these.
+ */
+const DONATION_STATUS_POST_CAPTURE = [
+  DONATION_STATUS.CAPTURED,
+  DONATION_STATUS.PARTIALLY_REFUNDED,
+  DONATION_STATUS.REFUNDED,
+];
+
+/**
+ * Statuses that can be (further) refunded.
+ */
+const DONATION_STATUS_REFUNDABLE = DONATION_STATUS_COUNTED;
+
+/**
+ * What a donation pays for.
+ * DONATION / CHARITY: Gifts to the organization or a charity event.
+ * SEVA: Booking of a seva / pooja from the organization's catalog (a service in return).
+ */
+const DONATION_TYPE = Object.freeze({
+  DONATION: 'donation',
+  CHARITY: 'charity',
+  SEVA: 'seva',
+});
+
+/**
+ * Donation types paid in return for a service, which are not gifts under section 80G:
+ * no 80G statement or Form 10BD entry.
+ */
+const DONATION_TYPES_NOT_80G = [DONATION_TYPE.SEVA];
+
+const REFUND_STATUS = Object.freeze({
+  PENDING: 'pending',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+});
+
+const REFUND_STATUS_LIST = Object.values(REFUND_STATUS);
+
+/**
+ * Occasions a donation can be dedicated to.
+ * IN_MEMORY_OF: Tribute to a departed person. ON_BEHALF_OF: Given in someone else's name.
+ */
+const DEDICATION_OCCASION = Object.freeze({
+  IN_MEMORY_OF: 'in_memory_of',
+  ON_BEHALF_OF: 'on_behalf_of',
+  BIRTHDAY: 'birthday',
+  ANNIVERSARY: 'anniversary',
+  NEWBORN: 'newborn',
+  WEDDING: 'wedding',
+  OTHER: 'other',
+});
+
+const DEDICATION_OCCASION_LIST = Object.values(DEDICATION_OCCASION);
+
+/**
+ * Delivery status of the thank-you receipt sent over email / SMS after capture.
+ * SKIPPED: No channel available (no email on file, SMS not configured).
+ */
+const RECEIPT_DELIVERY_STATUS = Object.freeze({
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+});
+
+const RECEIPT_DELIVERY_STATUS_LIST = Object.values(RECEIPT_DELIVERY_STATUS);
+
+/**
+ * Attempts per channel before a failed receipt delivery is given up on.
+ */
+const RECEIPT_DELIVERY_MAX_ATTEMPTS = 3;
+
+/**
+ * Section 80G(5D): cash donations above this amount (Rupees) are not deductible.
+ */
+const CASH_80G_LIMIT_RUPEES = 2000;
+
+/**
+ * Payment methods for donations recorded by an organization (walk-in / offline).
+ */
+const OFFLINE_PAYMENT_METHOD = Object.freeze({
+  CASH: 'cash',
+  CHEQUE: 'cheque',
+  DD: 'dd',
+  BANK_TRANSFER: 'bank_transfer',
+});
+
+const OFFLINE_PAYMENT_METHOD_LIST = Object.values(OFFLINE_PAYMENT_METHOD);
+
+/**
+ * Offline methods backed by a bank instrument that has to clear before the donation counts.
+ */
+const INSTRUMENT_PAYMENT_METHODS = [
+  OFFLINE_PAYMENT_METHOD.CHEQUE,
+  OFFLINE_PAYMENT_METHOD.DD,
+  OFFLINE_PAYMENT_METHOD.BANK_TRANSFER,
+];
+
+/**
+ * Clearance of a cheque / DD / bank transfer.
+ * RECEIVED: Instrument in hand; donation pending, no receipt yet.
+ * DEPOSITED: Presented to the bank.
+ * CLEARED: Funds realised; donation captured, receipt issued, counted in totals.
+ * BOUNCED: Dishonoured or returned; donation failed and any counted amount reversed.
+ */
+const INSTRUMENT_STATUS = Object.freeze({
+  RECEIVED: 'received',
+  DEPOSITED: 'deposited',
+  CLEARED: 'cleared',
+  BOUNCED: 'bounced',
+});
+
+const INSTRUMENT_STATUS_LIST = Object.values(INSTRUMENT_STATUS);
+
+/**
+ * Allowed clearance moves. A bank transfer can clear straight from received; a cleared
+ * instrument can still bounce (cheque returned after credit, transfer recalled).
+ */
+const INSTRUMENT_STATUS_TRANSITIONS = Object.freeze({
+  [INSTRUMENT_STATUS.RECEIVED]: [INSTRUMENT_STATUS.DEPOSITED, INSTRUMENT_STATUS.CLEARED],
+  [INSTRUMENT_STATUS.DEPOSITED]: [INSTRUMENT_STATUS.CLEARED, INSTRUMENT_STATUS.BOUNCED],
+  [INSTRUMENT_STATUS.CLEARED]: [INSTRUMENT_STATUS.BOUNCED],
+  [INSTRUMENT_STATUS.BOUNCED]: [],
+});
+
+/**
+ * Receipt numbers for donations imported from an organization's paper / spreadsheet register.
+ * ASSIGN: Every row gets the next number from the organization's series.
+ * KEEP: Rows keep the receipt number from the register; rows without one get the next number.
+ */
+const IMPORT_RECEIPT_MODE = Object.freeze({
+  ASSIGN: 'assign',
+  KEEP: 'keep',
+});
+
+const IMPORT_RECEIPT_MODE_LIST = Object.values(IMPORT_RECEIPT_MODE);
+
+/**
+ * Rows accepted in one donation import file.
+ */
+const DONATION_IMPORT_MAX_ROWS = 2000;
+
 module.exports = {
   DONATION_STATUS,
   DONATION_STATUS_LIST,
+  DONATION_STATUS_COUNTED,
+  DONATION_STATUS_POST_CAPTURE,
+  DONATION_STATUS_REFUNDABLE,
+  DONATION_STATUS_VOIDABLE,
+  DONATION_TYPE,
+  DONATION_TYPES_NOT_80G,
+  REFUND_STATUS,
+  REFUND_STATUS_LIST,
+  DEDICATION_OCCASION,
+  DEDICATION_OCCASION_LIST,
+  RECEIPT_DELIVERY_STATUS,
+  RECEIPT_DELIVERY_STATUS_LIST,
+  RECEIPT_DELIVERY_MAX_ATTEMPTS,
+  CASH_80G_LIMIT_RUPEES,
+  OFFLINE_PAYMENT_METHOD,
+  OFFLINE_PAYMENT_METHOD_LIST,
+  INSTRUMENT_PAYMENT_METHODS,
+  INSTRUMENT_STATUS,
+  INSTRUMENT_STATUS_LIST,
+  INSTRUMENT_STATUS_TRANSITIONS,
+  IMPORT_RECEIPT_MODE,
+  IMPORT_RECEIPT_MODE_LIST,
+  DONATION_IMPORT_MAX_ROWS,
 };
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Devotee residency for tax and FEMA purposes.
+ * RESIDENT: Lives in India.
+ * NON_RESIDENT: Lives outside India (NRI, OCI / PIO cardholder, foreign national abroad).
+ */
+const DEVOTEE_RESIDENCY = Object.freeze({
+  RESIDENT: 'resident',
+  NON_RESIDENT: 'non_resident',
+});
+
+const DEVOTEE_RESIDENCY_LIST = Object.values(DEVOTEE_RESIDENCY);
+
+/**
+ * ISO 3166-1 alpha-2 code for Indian citizens. Devotees without a declared nationality are
+ * treated as Indian citizens.
+ */
+const INDIAN_NATIONALITY = 'IN';
+
+/**
+ * Currency of the platform's books; donation amounts are always kept in INR.
+ */
+const DOMESTIC_CURRENCY = 'INR';
+
+/**
+ * Quarters of the Indian financial year, as used for FCRA quarterly disclosures.
+ */
+const FCRA_QUARTERS = Object.freeze([
+  { quarter: 'Q1', label: 'Apr-Jun', months: [4, 5, 6] },
+  { quarter: 'Q2', label: 'Jul-Sep', months: [7, 8, 9] },
+  { quarter: 'Q3', label: 'Oct-Dec', months: [10, 11, 12] },
+  { quarter: 'Q4', label: 'Jan-Mar', months: [1, 2, 3] },
+]);
+
+module.exports = {
+  DEVOTEE_RESIDENCY,
+  DEVOTEE_RESIDENCY_LIST,
+  INDIAN_NATIONALITY,
+  DOMESTIC_CURRENCY,
+  FCRA_QUARTERS,
+};
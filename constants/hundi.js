@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Indian notes and coins counted from a hundi, in Rupees, highest first. Where a value exists
+ * both as a note and a coin (Rs. 20, 10) the pieces are counted together.
+ */
+const HUNDI_DENOMINATIONS = Object.freeze([2000, 500, 200, 100, 50, 20, 10, 5, 2, 1]);
+
+/**
+ * Hundi counting session statuses.
+ * COUNTING: Counts are being entered and can still change; sign-offs are cleared on every change.
+ * SIGNED_OFF: Both counters have signed off; counts are final and included in income totals.
+ * CANCELLED: Entered by mistake; kept for audit, never counted.
+ */
+const HUNDI_COLLECTION_STATUS = Object.freeze({
+  COUNTING: 'counting',
+  SIGNED_OFF: 'signed_off',
+  CANCELLED: 'cancelled',
+});
+
+const HUNDI_COLLECTION_STATUS_LIST = Object.values(HUNDI_COLLECTION_STATUS);
+
+/**
+ * Counters (by distinct mobile, each verified with a code sent to it) who must sign off before a
+ * counting session is final.
+ */
+const HUNDI_REQUIRED_SIGN_OFFS = 2;
+
+/**
+ * One-time code a counter receives on their own mobile to sign off.
+ * EXPIRY_MINUTES: Code validity. RESEND_SECONDS: Wait before another code to the same mobile.
+ * MAX_ATTEMPTS: Wrong entries before the code is discarded.
+ */
+const HUNDI_SIGN_OFF_OTP = Object.freeze({
+  EXPIRY_MINUTES: 10,
+  RESEND_SECONDS: 60,
+  MAX_ATTEMPTS: 5,
+});
+
+module.exports = {
+  HUNDI_DENOMINATIONS,
+  HUNDI_COLLECTION_STATUS,
+  HUNDI_COLLECTION_STATUS_LIST,
+  HUNDI_REQUIRED_SIGN_OFFS,
+  HUNDI_SIGN_OFF_OTP,
+};
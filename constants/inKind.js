@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Units an organization can count in-kind (material) items in.
+ */
+const IN_KIND_UNIT = Object.freeze({
+  KG: 'kg',
+  GRAM: 'g',
+  LITRE: 'litre',
+  ML: 'ml',
+  PIECE: 'piece',
+  PACKET: 'packet',
+  BAG: 'bag',
+  BOX: 'box',
+  METRE: 'metre',
+  SET: 'set',
+});
+
+const IN_KIND_UNIT_LIST = Object.values(IN_KIND_UNIT);
+
+/**
+ * In-kind donation statuses.
+ * RECEIVED: Goods received and acknowledged; counts towards stock received.
+ * CANCELLED: Recorded by mistake; kept for audit, acknowledgement cancelled, never counted.
+ */
+const IN_KIND_STATUS = Object.freeze({
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled',
+});
+
+const IN_KIND_STATUS_LIST = Object.values(IN_KIND_STATUS);
+
+/**
+ * Prefix of in-kind acknowledgement numbers, which run in their own series per organization
+ * so they are never mistaken for (80G) donation receipt numbers.
+ */
+const IN_KIND_ACKNOWLEDGEMENT_PREFIX = 'IK';
+
+module.exports = {
+  IN_KIND_UNIT,
+  IN_KIND_UNIT_LIST,
+  IN_KIND_STATUS,
+  IN_KIND_STATUS_LIST,
+  IN_KIND_ACKNOWLEDGEMENT_PREFIX,
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Accounts of an organization's donation ledger. Every journal debits and credits equal amounts.
+ * GATEWAY_CLEARING: Online money collected for the organization and still held at the gateway.
+ * OFFLINE_RECEIPTS: Cash, cheques, DDs and bank transfers the organization received directly.
+ * LINKED_ACCOUNT: Online money transferred to the organization's linked account.
+ * DONATION_INCOME: Donations received (credit side).
+ * REFUNDS: Donations given back to devotees.
+ * GATEWAY_FEES: Payment gateway charges on online donations.
+ * PLATFORM_FEES: Platform fee on online donations.
+ */
+const LEDGER_ACCOUNT = Object.freeze({
+  GATEWAY_CLEARING: 'gateway_clearing',
+  OFFLINE_RECEIPTS: 'offline_receipts',
+  LINKED_ACCOUNT: 'linked_account',
+  DONATION_INCOME: 'donation_income',
+  REFUNDS: 'refunds',
+  GATEWAY_FEES: 'gateway_fees',
+  PLATFORM_FEES: 'platform_fees',
+});
+
+const LEDGER_ACCOUNT_LIST = Object.values(LEDGER_ACCOUNT);
+
+const LEDGER_DIRECTION = Object.freeze({
+  DEBIT: 'debit',
+  CREDIT: 'credit',
+});
+
+/**
+ * What a journal records.
+ * DONATION_CAPTURED: A donation was captured online, received as cash or its instrument cleared.
+ * GATEWAY_FEE / PLATFORM_FEE: Fees deducted from an online donation.
+ * REFUND / REFUND_FAILED: A refund, and its reversal when the gateway reports it failed.
+ * SETTLEMENT / SETTLEMENT_FAILED / SETTLEMENT_REVERSAL: Transfer to the linked account, a
+ *   transfer the gateway rejected, and an amount pulled back for a refund.
+ * OFFLINE_VOID / INSTRUMENT_BOUNCED: A counted offline donation taken back out.
+ * ADJUSTMENT: Correction posted by the super admin audit. Donations from before the ledger are
+ *   opened by its migration with the same journals the live postings make.
+ */
+const LEDGER_ENTRY_TYPE = Object.freeze({
+  DONATION_CAPTURED: 'donation_captured',
+  GATEWAY_FEE: 'gateway_fee',
+  PLATFORM_FEE: 'platform_fee',
+  REFUND: 'refund',
+  REFUND_FAILED: 'refund_failed',
+  SETTLEMENT: 'settlement',
+  SETTLEMENT_FAILED: 'settlement_failed',
+  SETTLEMENT_REVERSAL: 'settlement_reversal',
+  OFFLINE_VOID: 'offline_void',
+  INSTRUMENT_BOUNCED: 'instrument_bounced',
+  ADJUSTMENT: 'adjustment',
+});
+
+const LEDGER_ENTRY_TYPE_LIST = Object.values(LEDGER_ENTRY_TYPE);
+
+/**
+ * Ledger audit run statuses. An audit runs in the background; its report is stored on completion.
+ */
+const LEDGER_AUDIT_RUN_STATUS = Object.freeze({
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+});
+
+/**
+ * Donations the audit loads and compares per batch.
+ */
+const LEDGER_AUDIT_BATCH_SIZE = 500;
+
+/**
+ * Most mismatched donations listed in one audit report (all are counted, and all are repaired).
+ */
+const LEDGER_AUDIT_MAX_DETAILS = 1000;
+
+module.exports = {
+  LEDGER_ACCOUNT,
+  LEDGER_ACCOUNT_LIST,
+  LEDGER_DIRECTION,
+  LEDGER_ENTRY_TYPE,
+  LEDGER_ENTRY_TYPE_LIST,
+  LEDGER_AUDIT_RUN_STATUS,
+  LEDGER_AUDIT_BATCH_SIZE,
+  LEDGER_AUDIT_MAX_DETAILS,
+};
@@ -49,6 +49,20 @@ const ALL_SUBTYPES_LIST = [
     ...NGO_SUBTYPES_LIST,
 ];
 
+/**
+ * Devotee list filters for an organization.
+ * FOLLOWERS: Devotees with the organization in their favorites.
+ * DONORS: Devotees with at least one counted donation to it, favorite or not (guest donors).
+ * ALL: Either of the above.
+ */
+const DEVOTEE_RELATION = Object.freeze({
+    FOLLOWERS: 'followers',
+    DONORS: 'donors',
+    ALL: 'all',
+});
+
+const DEVOTEE_RELATION_LIST = Object.values(DEVOTEE_RELATION);
+
 module.exports = {
     ORGANIZATION_CATEGORIES,
     ORGANIZATION_CATEGORIES_LIST,
@@ -57,4 +71,6 @@ module.exports = {
     ORGANIZATION_SUBTYPES,
     NGO_SUBTYPES_LIST,
     ALL_SUBTYPES_LIST,
+    DEVOTEE_RELATION,
+    DEVOTEE_RELATION_LIST,
 };
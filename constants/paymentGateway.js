@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * Payment gateway providers.
+ * RAZORPAY: Live/test Razorpay account (network).
+ * SANDBOX: Fully local simulator for QA and development. Never moves real money.
+ */
+const PAYMENT_GATEWAY = Object.freeze({
+  RAZORPAY: 'razorpay',
+  SANDBOX: 'sandbox',
+});
+
+const PAYMENT_GATEWAY_LIST = Object.values(PAYMENT_GATEWAY);
+
+/**
+ * Outcomes the sandbox gateway can simulate for a payment attempt.
+ * CAPTURED: Paid and captured. AUTHORIZED: Paid, capture pending. FAILED: Declined.
+ */
+const SANDBOX_PAYMENT_OUTCOME = Object.freeze({
+  CAPTURED: 'captured',
+  AUTHORIZED: 'authorized',
+  FAILED: 'failed',
+});
+
+const SANDBOX_PAYMENT_OUTCOME_LIST = Object.values(SANDBOX_PAYMENT_OUTCOME);
+
+module.exports = {
+  PAYMENT_GATEWAY,
+  PAYMENT_GATEWAY_LIST,
+  SANDBOX_PAYMENT_OUTCOME,
+  SANDBOX_PAYMENT_OUTCOME_LIST,
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const { DONATION_STATUS } = require('./donation');
+
+/**
+ * How the amount of a payment link is chosen.
+ * FIXED: The link always charges its amount.
+ * SUGGESTED: The payer picks one of the suggested amounts or types their own.
+ * OPEN: The payer types any amount.
+ */
+const PAYMENT_LINK_AMOUNT_MODE = Object.freeze({
+  FIXED: 'fixed',
+  SUGGESTED: 'suggested',
+  OPEN: 'open',
+});
+
+const PAYMENT_LINK_AMOUNT_MODE_LIST = Object.values(PAYMENT_LINK_AMOUNT_MODE);
+
+const PAYMENT_LINK_LIMITS = Object.freeze({
+  CODE_LENGTH: 10,
+  TITLE_MAX_LENGTH: 150,
+  DESCRIPTION_MAX_LENGTH: 1000,
+  MAX_SUGGESTED_AMOUNTS: 6,
+  MAX_USES: 100000,
+});
+
+/**
+ * Donation statuses that count as a use of a link (a completed payment, even if later refunded).
+ */
+const PAYMENT_LINK_USED_STATUSES = [
+  DONATION_STATUS.CAPTURED,
+  DONATION_STATUS.PARTIALLY_REFUNDED,
+  DONATION_STATUS.REFUNDED,
+];
+
+module.exports = {
+  PAYMENT_LINK_AMOUNT_MODE,
+  PAYMENT_LINK_AMOUNT_MODE_LIST,
+  PAYMENT_LINK_LIMITS,
+  PAYMENT_LINK_USED_STATUSES,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Recurring pledge statuses. Mirror Razorpay subscription statuses.
+ * CREATED: Awaiting mandate authorization by the devotee.
+ * AUTHENTICATED: Mandate authorized, first charge not yet made.
+ * ACTIVE: Charging every cycle.
+ * PENDING: Last charge failed; gateway is retrying.
+ * HALTED: Retries exhausted; devotee must update payment method.
+ * PAUSED / CANCELLED / COMPLETED: Self-explanatory.
+ */
+const PLEDGE_STATUS = Object.freeze({
+  CREATED: 'created',
+  AUTHENTICATED: 'authenticated',
+  ACTIVE: 'active',
+  PENDING: 'pending',
+  HALTED: 'halted',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+});
+
+const PLEDGE_STATUS_LIST = Object.values(PLEDGE_STATUS);
+
+const PLEDGE_STATUS_PAUSABLE = [PLEDGE_STATUS.ACTIVE, PLEDGE_STATUS.PENDING];
+
+const PLEDGE_STATUS_TERMINAL = [PLEDGE_STATUS.CANCELLED, PLEDGE_STATUS.COMPLETED];
+
+const PLEDGE_FREQUENCY = Object.freeze({
+  MONTHLY: 'monthly',
+});
+
+const PLEDGE_FREQUENCY_LIST = Object.values(PLEDGE_FREQUENCY);
+
+/** Default number of monthly charges when the devotee does not set one (10 years). */
+const PLEDGE_DEFAULT_TOTAL_COUNT = 120;
+
+module.exports = {
+  PLEDGE_STATUS,
+  PLEDGE_STATUS_LIST,
+  PLEDGE_STATUS_PAUSABLE,
+  PLEDGE_STATUS_TERMINAL,
+  PLEDGE_FREQUENCY,
+  PLEDGE_FREQUENCY_LIST,
+  PLEDGE_DEFAULT_TOTAL_COUNT,
+};
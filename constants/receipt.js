@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Receipt number series. DEFAULT is the organization's single series (and the plain 10-digit
+ * numbers issued before a scheme is configured); the others are used when the scheme keeps a
+ * separate series per kind of donation.
+ * DONATION / CHARITY / SEVA: Online payments, by donation type.
+ * OFFLINE: Cash, cheque, DD and bank transfers recorded by the organization (incl. imports).
+ */
+const RECEIPT_SERIES = Object.freeze({
+  DEFAULT: 'default',
+  DONATION: 'donation',
+  CHARITY: 'charity',
+  SEVA: 'seva',
+  OFFLINE: 'offline',
+});
+
+/** Series an organization can give their own code to. */
+const RECEIPT_TYPE_SERIES_LIST = [
+  RECEIPT_SERIES.DONATION,
+  RECEIPT_SERIES.CHARITY,
+  RECEIPT_SERIES.SEVA,
+  RECEIPT_SERIES.OFFLINE,
+];
+
+/** Codes printed in the number for each series unless the organization sets its own. */
+const RECEIPT_SERIES_DEFAULT_CODES = Object.freeze({
+  [RECEIPT_SERIES.DONATION]: 'DN',
+  [RECEIPT_SERIES.CHARITY]: 'CH',
+  [RECEIPT_SERIES.SEVA]: 'SV',
+  [RECEIPT_SERIES.OFFLINE]: 'OF',
+});
+
+const RECEIPT_SEPARATORS = ['/', '-'];
+
+/**
+ * Limits of a receipt scheme, e.g. SVT/DN/2026-27/000123.
+ * Numbers are zero-padded to PADDING digits and grow past it when the series runs over.
+ */
+const RECEIPT_SCHEME_LIMITS = Object.freeze({
+  PREFIX_MAX_LENGTH: 12,
+  SERIES_CODE_MAX_LENGTH: 6,
+  MIN_PADDING: 1,
+  MAX_PADDING: 10,
+  DEFAULT_PADDING: 6,
+});
+
+/** Digits of the plain numbers issued without a scheme (0000000123). */
+const LEGACY_RECEIPT_NUMBER_WIDTH = 10;
+
+/** Longest receipt number stored on a donation (own scheme or imported register). */
+const RECEIPT_NUMBER_MAX_LENGTH = 40;
+
+module.exports = {
+  RECEIPT_SERIES,
+  RECEIPT_TYPE_SERIES_LIST,
+  RECEIPT_SERIES_DEFAULT_CODES,
+  RECEIPT_SEPARATORS,
+  RECEIPT_SCHEME_LIMITS,
+  LEGACY_RECEIPT_NUMBER_WIDTH,
+  RECEIPT_NUMBER_MAX_LENGTH,
+};
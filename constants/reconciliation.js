@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * What started a reconciliation run.
+ */
+const RECONCILIATION_TRIGGER = Object.freeze({
+  SCHEDULED: 'scheduled',
+  MANUAL: 'manual',
+});
+
+/**
+ * Outcome recorded per donation in a run's details.
+ * CAPTURED: Gateway had a successful payment; donation captured.
+ * FAILED: Only failed payment attempts and past TTL.
+ * EXPIRED: No payment attempt at all (or the gateway lookup failed) and past TTL.
+ * PENDING: Not paid yet but still within TTL.
+ * ERROR: Gateway or DB error within TTL; retried next run.
+ */
+const RECONCILIATION_OUTCOME = Object.freeze({
+  CAPTURED: 'captured',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+  PENDING: 'pending',
+  ERROR: 'error',
+});
+
+const RECONCILIATION_DEFAULTS = Object.freeze({
+  INTERVAL_MINUTES: 15,
+  MIN_AGE_MINUTES: 15,
+  PENDING_TTL_MINUTES: 24 * 60,
+  BATCH_SIZE: 100,
+});
+
+module.exports = {
+  RECONCILIATION_TRIGGER,
+  RECONCILIATION_OUTCOME,
+  RECONCILIATION_DEFAULTS,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Super admin review of an organization's onboarding form.
+ * Only an APPROVED form's bank details can back a linked account.
+ */
+const ONBOARDING_STATUS = Object.freeze({
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+});
+
+const ONBOARDING_STATUS_LIST = Object.values(ONBOARDING_STATUS);
+
+/**
+ * Linked account (Razorpay Route product) activation status. Mirrors Razorpay's activation_status.
+ * REQUESTED: Account created, settlement details submitted.
+ * UNDER_REVIEW: Razorpay is verifying the bank account.
+ * NEEDS_CLARIFICATION: Razorpay needs corrected details; fix the onboarding form and re-submit.
+ * ACTIVATED: Transfers can be made to the account.
+ * SUSPENDED: Transfers are blocked.
+ */
+const LINKED_ACCOUNT_STATUS = Object.freeze({
+  REQUESTED: 'requested',
+  UNDER_REVIEW: 'under_review',
+  NEEDS_CLARIFICATION: 'needs_clarification',
+  ACTIVATED: 'activated',
+  SUSPENDED: 'suspended',
+});
+
+const LINKED_ACCOUNT_STATUS_LIST = Object.values(LINKED_ACCOUNT_STATUS);
+
+/**
+ * Transfer of one captured donation to its organization's linked account.
+ * PENDING: Not yet created at the gateway (no active account yet, or the last attempt errored).
+ * CREATED: Transfer created; funds not yet in the linked account balance.
+ * PROCESSED: Funds credited to the linked account; waiting for the bank settlement.
+ * SETTLED: Paid out to the organization's bank account (utr and settledAt set).
+ * FAILED: Rejected by the gateway, or creation kept erroring.
+ * REVERSED: Fully reversed (donation refunded after the transfer).
+ */
+const TRANSFER_STATUS = Object.freeze({
+  PENDING: 'pending',
+  CREATED: 'created',
+  PROCESSED: 'processed',
+  SETTLED: 'settled',
+  FAILED: 'failed',
+  REVERSED: 'reversed',
+});
+
+const TRANSFER_STATUS_LIST = Object.values(TRANSFER_STATUS);
+
+/** Transfers the gateway holds and that can still settle or be reversed. */
+const TRANSFER_STATUS_IN_FLIGHT = [TRANSFER_STATUS.CREATED, TRANSFER_STATUS.PROCESSED];
+
+const SETTLEMENT_DEFAULTS = Object.freeze({
+  SYNC_INTERVAL_MINUTES: 30,
+  BATCH_SIZE: 100,
+  MAX_TRANSFER_ATTEMPTS: 5,
+});
+
+module.exports = {
+  ONBOARDING_STATUS,
+  ONBOARDING_STATUS_LIST,
+  LINKED_ACCOUNT_STATUS,
+  LINKED_ACCOUNT_STATUS_LIST,
+  TRANSFER_STATUS,
+  TRANSFER_STATUS_LIST,
+  TRANSFER_STATUS_IN_FLIGHT,
+  SETTLEMENT_DEFAULTS,
+};
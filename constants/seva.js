@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Seva booking statuses.
+ * PENDING: Seat held while the devotee pays.
+ * CONFIRMED: Paid; listed on the seva manifest.
+ * EXPIRED: Payment failed, was abandoned or not made within the hold; seat released.
+ * CANCELLED: Refunded in full; seat released.
+ */
+const SEVA_BOOKING_STATUS = Object.freeze({
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+});
+
+const SEVA_BOOKING_STATUS_LIST = Object.values(SEVA_BOOKING_STATUS);
+
+/**
+ * Statuses that take a seat in the slot (counted in SevaSlot.bookedCount).
+ */
+const SEVA_BOOKING_STATUS_HOLDING = [SEVA_BOOKING_STATUS.PENDING, SEVA_BOOKING_STATUS.CONFIRMED];
+
+/**
+ * Minutes a pending booking holds its seat while the devotee pays. The hold never runs past the
+ * slot's start; a lapsed hold gives the seat back and expires the pending payment.
+ */
+const SEVA_HOLD_MINUTES = 15;
+
+/**
+ * Limits on the slot calendar an admin generates in one request.
+ * MAX_RANGE_DAYS: Days from `from` to `to`. MAX_TIMES: Start times per day.
+ */
+const SEVA_SLOT_LIMITS = Object.freeze({
+  MAX_RANGE_DAYS: 92,
+  MAX_TIMES: 12,
+});
+
+/**
+ * Most participants (names with gotra / nakshatra) a seva can allow per booking.
+ */
+const SEVA_MAX_PARTICIPANTS = 20;
+
+module.exports = {
+  SEVA_BOOKING_STATUS,
+  SEVA_BOOKING_STATUS_LIST,
+  SEVA_BOOKING_STATUS_HOLDING,
+  SEVA_HOLD_MINUTES,
+  SEVA_SLOT_LIMITS,
+  SEVA_MAX_PARTICIPANTS,
+};
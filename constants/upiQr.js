@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * How a credit on an organization's static UPI QR was turned into a donation.
+ * MATCHED: The payer was recognized automatically (by mobile, or by a UPI ID assigned before).
+ * UNMATCHED: Payer unknown; waiting in the queue for an admin to assign a devotee.
+ * ASSIGNED: An admin assigned it to a devotee mobile from the queue.
+ */
+const UPI_QR_CREDIT_STATUS = Object.freeze({
+  MATCHED: 'matched',
+  UNMATCHED: 'unmatched',
+  ASSIGNED: 'assigned',
+});
+
+const UPI_QR_CREDIT_STATUS_LIST = Object.values(UPI_QR_CREDIT_STATUS);
+
+const UPI_QR_LIMITS = Object.freeze({
+  NAME_MAX_LENGTH: 100,
+  DESCRIPTION_MAX_LENGTH: 255,
+});
+
+/**
+ * Minutes each poll looks back before the previous poll, so credits the gateway lists late are
+ * still picked up. Credits already stored are skipped.
+ */
+const UPI_QR_POLL_OVERLAP_MINUTES = 15;
+
+/**
+ * Credits fetched per gateway page when polling a QR code (gateway page size limit).
+ */
+const UPI_QR_POLL_BATCH_SIZE = 100;
+
+module.exports = {
+  UPI_QR_CREDIT_STATUS,
+  UPI_QR_CREDIT_STATUS_LIST,
+  UPI_QR_LIMITS,
+  UPI_QR_POLL_OVERLAP_MINUTES,
+  UPI_QR_POLL_BATCH_SIZE,
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Razorpay webhook events handled by the platform.
+ */
+const RAZORPAY_WEBHOOK_EVENTS = Object.freeze({
+  PAYMENT_CAPTURED: 'payment.captured',
+  PAYMENT_FAILED: 'payment.failed',
+  ORDER_PAID: 'order.paid',
+  REFUND_CREATED: 'refund.created',
+  REFUND_PROCESSED: 'refund.processed',
+  REFUND_FAILED: 'refund.failed',
+  SUBSCRIPTION_AUTHENTICATED: 'subscription.authenticated',
+  SUBSCRIPTION_ACTIVATED: 'subscription.activated',
+  SUBSCRIPTION_CHARGED: 'subscription.charged',
+  SUBSCRIPTION_PENDING: 'subscription.pending',
+  SUBSCRIPTION_HALTED: 'subscription.halted',
+  SUBSCRIPTION_PAUSED: 'subscription.paused',
+  SUBSCRIPTION_RESUMED: 'subscription.resumed',
+  SUBSCRIPTION_CANCELLED: 'subscription.cancelled',
+  SUBSCRIPTION_COMPLETED: 'subscription.completed',
+  TRANSFER_PROCESSED: 'transfer.processed',
+  TRANSFER_FAILED: 'transfer.failed',
+  ROUTE_ACCOUNT_UNDER_REVIEW: 'product.route.under_review',
+  ROUTE_ACCOUNT_NEEDS_CLARIFICATION: 'product.route.needs_clarification',
+  ROUTE_ACCOUNT_ACTIVATED: 'product.route.activated',
+  QR_CODE_CREDITED: 'qr_code.credited',
+});
+
+/**
+ * Processing state of a stored webhook delivery.
+ * RECEIVED: Stored, processing in progress (abandoned after WEBHOOK_STALE_MINUTES).
+ * PROCESSED: Applied to a donation.
+ * IGNORED: Valid but nothing to apply (unknown order, unhandled event type).
+ * FAILED: Processing threw; the delivery will be retried by the gateway.
+ */
+const WEBHOOK_STATUS = Object.freeze({
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed',
+});
+
+const WEBHOOK_STATUS_LIST = Object.values(WEBHOOK_STATUS);
+
+/**
+ * Minutes after which a delivery still RECEIVED is taken as abandoned (the process stopped while
+ * handling it) and a redelivery processes it again, like a FAILED one.
+ */
+const WEBHOOK_STALE_MINUTES = 5;
+
+module.exports = {
+  RAZORPAY_WEBHOOK_EVENTS,
+  WEBHOOK_STATUS,
+  WEBHOOK_STATUS_LIST,
+  WEBHOOK_STALE_MINUTES,
+};
@@ -1,13 +1,20 @@
 'use strict';
 
 const { Op } = require('sequelize');
-const { User, Support, SupportMessage, Donation, Devotee, DevoteeFavorite, sequelize } = require('../models');
+const { User, Support, SupportMessage, Donation, Devotee, DevoteeFavorite, Event, sequelize } = require('../models');
 const { ROLES } = require('../constants/roles');
-const { DONATION_STATUS } = require('../constants/donation');
+const { DONATION_STATUS, DONATION_STATUS_LIST, DONATION_STATUS_COUNTED } = require('../constants/donation');
 const { SUPPORT_STATUS_LIST } = require('../constants/support');
+const { DEVOTEE_RELATION, DEVOTEE_RELATION_LIST } = require('../constants/organization');
 const { generateToken } = require('../middleware/auth');
 const { success, error } = require('../utils/response');
-const { getNextReceiptNumberForAdmin } = require('../services/receiptService');
+const { sumDonationAmounts, createOfflineDonation } = require('../services/donationService');
+const { upsertWalkInDevotee } = require('../services/devoteeService');
+const { getStockReport } = require('../services/inKindService');
+const { getHundiSummary } = require('../services/hundiService');
+const { getForeignContributionTotal } = require('../services/fcraService');
+const { getUnmatchedCreditTotal } = require('../services/upiQrService');
+const { getLedgerTotals } = require('../services/ledgerService');
 const {
   validateLogin,
   validateCreateAdmin,
@@ -18,6 +25,7 @@ const {
   validateResetPassword,
 } = require('../validators/authValidator');
 const { validateRaiseSupport, validateSupportMessage } = require('../validators/supportValidator');
+const { validateWalkInDonation } = require('../validators/devoteeValidator');
 const { generateOtp, sendEmailOtp, generateRandomOtp } = require('../services/otpService');
 const { deleteFileFromS3 } = require('../middleware/upload');
 
@@ -36,7 +44,8 @@ async function create(req, res, next) {
       email, password, name, organizationType,
       organizationCategory, faith, organizationSubtype,
       phone, address, latitude, longitude,
-      panNumber, registration80GNumber
+      panNumber, registration80GNumber,
+      fcraRegistrationNumber, fcraBankName, fcraAccountNumber, fcraIfsc
     } = validation.data;
 
     const existing = await User.findOne({
@@ -60,6 +69,10 @@ async function create(req, res, next) {
       organizationSubtype,
       panNumber,
       registration80GNumber,
+      fcraRegistrationNumber,
+      fcraBankName,
+      fcraAccountNumber,
+      fcraIfsc,
       createdById: req.user.id,
       latitude,
       longitude,
@@ -583,8 +596,9 @@ async function addSupportMessageAsAdmin(req, res, next) {
 
 /**
  * GET /api/admin/devotees
- * Get list of devotees who have selected this organization in their favorite list.
- * Query: ?page=1&limit=20
+ * Get devotees linked to this organization: followers (have it in their favorites) and/or
+ * donors (at least one counted donation, including guest donors who never added a favorite).
+ * Query: ?relation=followers|donors|all (default followers)&page=1&limit=20
  */
 async function getMyDevotees(req, res, next) {
   try {
@@ -592,19 +606,41 @@ async function getMyDevotees(req, res, next) {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
     const offset = (page - 1) * limit;
+    const relation = DEVOTEE_RELATION_LIST.includes(req.query.relation)
+      ? req.query.relation
+      : DEVOTEE_RELATION.FOLLOWERS;
 
-    // First, get all unique devotee IDs that have this admin in their favorites.
-    const favoriteRows = await DevoteeFavorite.findAll({
-      where: { adminId },
-      attributes: ['devoteeId'],
-    });
+    const [favoriteRows, donorRows] = await Promise.all([
+      DevoteeFavorite.findAll({
+        where: { adminId },
+        attributes: ['devoteeId'],
+      }),
+      Donation.findAll({
+        where: { adminId, status: DONATION_STATUS_COUNTED },
+        attributes: [[sequelize.fn('DISTINCT', sequelize.col('devotee_id')), 'devoteeId']],
+        raw: true,
+      }),
+    ]);
+
+    const followerIds = new Set(favoriteRows.map((f) => f.devoteeId));
+    const donorIds = new Set(donorRows.map((d) => d.devoteeId));
 
-    const allIds = [...new Set(favoriteRows.map((f) => f.devoteeId))];
+    let allIds;
+    if (relation === DEVOTEE_RELATION.DONORS) {
+      allIds = [...donorIds];
+    } else if (relation === DEVOTEE_RELATION.ALL) {
+      allIds = [...new Set([...followerIds, ...donorIds])];
+    } else {
+      allIds = [...followerIds];
+    }
     const total = allIds.length;
 
     if (total === 0) {
       return success(res, {
         devotees: [],
+        relation,
+        followersCount: followerIds.size,
+        donorsCount: donorIds.size,
         total: 0,
         page,
         limit,
@@ -620,10 +656,17 @@ async function getMyDevotees(req, res, next) {
       // No explicit order here to avoid referencing a non-existent "createdAt" column in SQL.
     });
 
-    const devotees = devoteesRows.map((d) => d.toSafeObject());
+    const devotees = devoteesRows.map((d) => ({
+      ...d.toSafeObject(),
+      isFollower: followerIds.has(d.id),
+      isDonor: donorIds.has(d.id),
+    }));
 
     return success(res, {
       devotees,
+      relation,
+      followersCount: followerIds.size,
+      donorsCount: donorIds.size,
       total,
       page,
       limit,
@@ -636,82 +679,32 @@ async function getMyDevotees(req, res, next) {
 
 /**
  * POST /api/admin/devotees/walkin
- * Create or update a devotee (walk-in) and record a CASH donation for this admin.
- * Body: { mobile, name?, email?, city?, amount, eventId?, utr?, transactionId? }
+ * Create or update a devotee (walk-in) and record an offline donation for this admin.
+ * Body: { mobile, name?, email?, city?, amount, eventId?, paymentMethod?, instrument?, dedication? }
+ * paymentMethod: cash (default) | cheque | dd | bank_transfer. Cash counts immediately; the others
+ * need instrument: { number, bank, date } and count once marked cleared
+ * (PATCH /api/admin/donations/:id/instrument).
+ * dedication: { honoreeName, relation?, occasion?, date?, message?, printOnReceipt? }
  */
 async function createWalkInCashDonation(req, res, next) {
   try {
     const adminId = req.user.id;
-    const {
-      mobile,
-      name,
-      email,
-      city,
-      amount,
-      eventId,
-      paymentMethod,
-    } = req.body || {};
-
-    if (!mobile || typeof mobile !== 'string') {
-      return error(res, 'Valid mobile is required.', 422);
-    }
-
-    const numericAmount = parseFloat(amount);
-    if (!numericAmount || Number.isNaN(numericAmount) || numericAmount <= 0) {
-      return error(res, 'Valid positive amount is required.', 422);
+    const validation = validateWalkInDonation(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
     }
+    const { devotee: details, ...data } = validation.data;
 
-    // Find existing devotee by mobile or create a new one
-    let devotee = await Devotee.findOne({ where: { mobile } });
-
-    if (!devotee) {
-      devotee = await Devotee.create({
-        mobile,
-        name: name || null,
-        email: email || null,
-        city: city || null,
-      });
-    } else {
-      const updates = {};
-      if (typeof name === 'string' && name.trim() && name !== devotee.name) {
-        updates.name = name.trim();
-      }
-      if (typeof email === 'string' && email.trim() && email !== devotee.email) {
-        updates.email = email.trim();
-      }
-      if (typeof city === 'string' && city.trim() && city !== devotee.city) {
-        updates.city = city.trim();
-      }
-
-      if (Object.keys(updates).length > 0) {
-        await devotee.update(updates);
+    if (data.eventId) {
+      const event = await Event.findOne({ where: { id: data.eventId, adminId }, attributes: ['id'] });
+      if (!event) {
+        return error(res, 'Event not found for this organization.', 404);
       }
     }
 
-    // Ensure this devotee has this admin as a favorite (linked to this organization)
-    await DevoteeFavorite.findOrCreate({
-      where: { devoteeId: devotee.id, adminId },
-      defaults: { displayOrder: 1 },
-    });
-
-    const donation = await sequelize.transaction(async (t) => {
-      const receiptNumber = await getNextReceiptNumberForAdmin(adminId, t);
-      return Donation.create(
-        {
-          devoteeId: devotee.id,
-          adminId,
-          eventId: eventId || null,
-          amount: numericAmount,
-          status: DONATION_STATUS.CAPTURED,
-          paymentMethod: paymentMethod || 'cash',
-          razorpayOrderId: null,
-          razorpayPaymentId: null,
-          razorpaySignature: null,
-          receiptNumber,
-        },
-        { transaction: t }
-      );
-    });
+    // Find the devotee by mobile (or create one) and link them to this organization
+    const devotee = await upsertWalkInDevotee(adminId, details);
+    const donation = await createOfflineDonation({ ...data, devoteeId: devotee.id, adminId });
 
     return success(
       res,
@@ -719,7 +712,9 @@ async function createWalkInCashDonation(req, res, next) {
         devotee: devotee.toSafeObject(),
         donation: donation.get({ plain: true }),
       },
-      'Walk-in cash donation recorded successfully.',
+      data.instrument
+        ? 'Offline donation recorded. It will count once the instrument is cleared.'
+        : 'Walk-in cash donation recorded successfully.',
       201
     );
   } catch (err) {
@@ -731,6 +726,15 @@ async function createWalkInCashDonation(req, res, next) {
  * GET /api/admin/dashboard
  * Get all community overview stats for the admin/organization in one API.
  * Returns: totalRegisteredDevotees, totalDonateDevotees, totalDonation, last30Days, last90Days.
+ * Followers (favorites) and donors are counted separately; guestDonors have donated without
+ * adding the organization to their favorites.
+ * Amounts are derived from the ledger and net of gateway fees, platform fees and refunds;
+ * grossDonationRupees and the fee totals show how the net was reached. The 30/90-day figures
+ * count money that moved in the window (a refund today lowers today's window). inKind counts material donations and their declared
+ * value, which is never part of the monetary totals. hundi is anonymous cash from signed-off
+ * box collections, a separate income stream from donations. foreignContribution is the FCRA
+ * share of the donation totals (net of refunds, before fees). unmatchedUpiCredits are payments on
+ * the organization's UPI QR codes waiting for a devotee to be assigned; they are not donations yet.
  */
 async function getDashboard(req, res, next) {
   try {
@@ -740,14 +744,21 @@ async function getDashboard(req, res, next) {
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
     const ninetyDaysAgo = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
 
-    const capturedWhere = { adminId, status: DONATION_STATUS.CAPTURED };
+    const capturedWhere = { adminId, status: DONATION_STATUS_COUNTED };
 
     const [
       totalRegisteredDevotees,
       totalDonateDevoteesResult,
+      guestDonors,
       totalDonationResult,
       last30DaysResult,
       last90DaysResult,
+      inKindStock,
+      hundiTotal,
+      hundiLast30Days,
+      hundiLast90Days,
+      foreignTotal,
+      unmatchedUpi,
     ] = await Promise.all([
       DevoteeFavorite.count({
         where: { adminId },
@@ -759,32 +770,66 @@ async function getDashboard(req, res, next) {
         attributes: [[sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('devotee_id'))), 'count']],
         raw: true,
       }),
-      Donation.sum('amount', { where: capturedWhere }),
-      Donation.sum('amount', {
+      Donation.count({
         where: {
           ...capturedWhere,
-          [Op.and]: [sequelize.where(sequelize.col('created_at'), Op.gte, thirtyDaysAgo)],
-        },
-      }),
-      Donation.sum('amount', {
-        where: {
-          ...capturedWhere,
-          [Op.and]: [sequelize.where(sequelize.col('created_at'), Op.gte, ninetyDaysAgo)],
+          devoteeId: {
+            [Op.notIn]: sequelize.literal(`(SELECT devotee_id FROM devotee_favorites WHERE admin_id = ${Number(adminId)})`),
+          },
         },
+        distinct: true,
+        col: 'devotee_id',
       }),
+      getLedgerTotals(adminId),
+      getLedgerTotals(adminId, { start: thirtyDaysAgo }),
+      getLedgerTotals(adminId, { start: ninetyDaysAgo }),
+      getStockReport(adminId),
+      getHundiSummary(adminId),
+      getHundiSummary(adminId, { start: thirtyDaysAgo }),
+      getHundiSummary(adminId, { start: ninetyDaysAgo }),
+      getForeignContributionTotal(adminId),
+      getUnmatchedCreditTotal(adminId),
     ]);
 
     const totalDonateDevotees = parseInt(totalDonateDevoteesResult[0]?.count || 0, 10);
-    const totalDonationRupees = parseFloat(totalDonationResult || 0).toFixed(2);
-    const last30DaysRupees = parseFloat(last30DaysResult || 0).toFixed(2);
-    const last90DaysRupees = parseFloat(last90DaysResult || 0).toFixed(2);
+    // Headline figures come from the ledger and are net: what the organization keeps after
+    // gateway/platform fees and refunds.
+    const totalDonationRupees = totalDonationResult.net.toFixed(2);
+    const last30DaysRupees = last30DaysResult.net.toFixed(2);
+    const last90DaysRupees = last90DaysResult.net.toFixed(2);
 
     return success(res, {
       totalRegisteredDevotees,
       totalDonateDevotees,
+      followers: totalRegisteredDevotees,
+      donors: totalDonateDevotees,
+      guestDonors,
       totalDonationRupees,
       last30DaysRupees,
       last90DaysRupees,
+      grossDonationRupees: (totalDonationResult.gross - totalDonationResult.refunded).toFixed(2),
+      gatewayFeeRupees: totalDonationResult.gatewayFee.toFixed(2),
+      platformFeeRupees: totalDonationResult.platformFee.toFixed(2),
+      netDonationRupees: totalDonationRupees,
+      inKind: {
+        donations: inKindStock.totals.donations,
+        declaredValueRupees: inKindStock.totals.declaredValue.toFixed(2),
+      },
+      hundi: {
+        collections: hundiTotal.totals.collections,
+        cashRupees: hundiTotal.totals.cash.toFixed(2),
+        last30DaysCashRupees: hundiLast30Days.totals.cash.toFixed(2),
+        last90DaysCashRupees: hundiLast90Days.totals.cash.toFixed(2),
+        foreignCurrency: hundiTotal.foreignCurrency.map((f) => ({ currency: f.currency, amount: f.amount.toFixed(2) })),
+      },
+      foreignContribution: {
+        donations: foreignTotal.donations,
+        amountRupees: foreignTotal.amount.toFixed(2),
+      },
+      unmatchedUpiCredits: {
+        credits: unmatchedUpi.credits,
+        amountRupees: unmatchedUpi.amount.toFixed(2),
+      },
     });
   } catch (err) {
     next(err);
@@ -794,7 +839,8 @@ async function getDashboard(req, res, next) {
 /**
  * GET /api/admin/transactions
  * Get devotee donation/transaction list for this organization (temple, church, masjid, gurudwara).
- * Query: ?page=1&limit=20&status=captured|pending|failed (optional).
+ * Query: ?page=1&limit=20&status=captured|pending|failed|partially_refunded|refunded|voided (optional).
+ * Voided donations are only listed when asked for with status=voided.
  */
 async function getDevoteeTransactions(req, res, next) {
   try {
@@ -802,14 +848,11 @@ async function getDevoteeTransactions(req, res, next) {
     const page = Math.max(1, parseInt(req.query.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
     const offset = (page - 1) * limit;
-    const statusFilter = req.query.status;
+    const statusFilter = DONATION_STATUS_LIST.includes(req.query.status) ? req.query.status : null;
     const paymentMethodFilter = req.query.paymentMethod;
     const { startDate, endDate } = req.query;
 
-    const where = { adminId };
-    if (statusFilter && ['pending', 'captured', 'failed'].includes(statusFilter)) {
-      where.status = statusFilter;
-    }
+    const where = { adminId, status: statusFilter || { [Op.ne]: DONATION_STATUS.VOIDED } };
     if (paymentMethodFilter) {
       where.paymentMethod = paymentMethodFilter;
     }
@@ -840,6 +883,20 @@ async function getDevoteeTransactions(req, res, next) {
       distinct: true,
     });
 
+    // Net totals only cover counted donations; other status filters get none.
+    const totalsResult = statusFilter && !DONATION_STATUS_COUNTED.includes(statusFilter)
+      ? null
+      : await sumDonationAmounts({ ...where, status: statusFilter || DONATION_STATUS_COUNTED });
+    const totals = totalsResult
+      ? {
+        grossRupees: totalsResult.gross.toFixed(2),
+        refundedRupees: totalsResult.refunded.toFixed(2),
+        gatewayFeeRupees: totalsResult.gatewayFee.toFixed(2),
+        platformFeeRupees: totalsResult.platformFee.toFixed(2),
+        netRupees: totalsResult.net.toFixed(2),
+      }
+      : null;
+
     const transactions = rows.map((d) => {
       const plain = d.get({ plain: true });
       // Debug log to see available fields
@@ -852,8 +909,19 @@ async function getDevoteeTransactions(req, res, next) {
         id: plain.id,
         amount: plain.amount,
         amountRupees: plain.amount,
+        grossAmountRupees: plain.amount,
+        gatewayFeeRupees: plain.gatewayFee,
+        platformFeeRupees: plain.platformFee,
+        netAmountRupees: plain.netAmount,
         status: plain.status,
+        refundedAmountRupees: plain.refundedAmount,
         receiptNumber: plain.receiptNumber || plain.receipt_number || null,
+        receiptCancelled: Boolean(plain.receiptCancelled),
+        voidedAt: plain.voidedAt,
+        voidReason: plain.voidReason,
+        reissuedFromId: plain.reissuedFromId,
+        receiptEmailStatus: plain.receiptEmailStatus,
+        receiptSmsStatus: plain.receiptSmsStatus,
         razorpayOrderId: plain.razorpayOrderId,
         razorpayPaymentId: plain.razorpayPaymentId,
         paymentMethod: plain.paymentMethod,
@@ -870,11 +938,11 @@ async function getDevoteeTransactions(req, res, next) {
     const topContributorsList = await Donation.findAll({
       where: {
         adminId,
-        status: 'captured', // Ensure only successful donations are counted
+        status: DONATION_STATUS_COUNTED, // Ensure only successful, not fully refunded donations are counted
       },
       attributes: [
         'devoteeId',
-        [sequelize.fn('SUM', sequelize.col('amount')), 'totalAmount'],
+        [sequelize.fn('SUM', sequelize.literal('"Donation"."amount" - "Donation"."refunded_amount"')), 'totalAmount'],
       ],
       include: [
         {
@@ -903,6 +971,7 @@ async function getDevoteeTransactions(req, res, next) {
 
     return success(res, {
       transactions,
+      totals,
       topContributors,
       total: count,
       page,
@@ -0,0 +1,602 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, DonationRefund, Devotee, Event, User, sequelize } = require('../models');
+const {
+  DONATION_STATUS_COUNTED,
+  INSTRUMENT_STATUS_LIST,
+  IMPORT_RECEIPT_MODE,
+  IMPORT_RECEIPT_MODE_LIST,
+} = require('../constants/donation');
+const { success, error } = require('../utils/response');
+const {
+  isValidDateOnly,
+  toIstDateOnly,
+  istDayRange,
+  financialYearOf,
+  financialYearRange,
+} = require('../utils/date');
+const { toCsv } = require('../utils/csv');
+const {
+  refundDonation: refundDonationService,
+  getDedication,
+  updateInstrumentStatus: updateInstrumentStatusService,
+  voidOfflineDonation,
+  reissueOfflineDonation,
+  importOfflineDonations,
+} = require('../services/donationService');
+const { previewDonationImport } = require('../services/donationImportService');
+const { deliverReceipt } = require('../services/receiptNotificationService');
+const { findReceiptDonation, hasReceipt, isFullyRefunded, buildReceipt, sendReceiptPdf } = require('../services/receiptPdfService');
+const { buildForm10BD, form10BDCsvRows } = require('../services/form10bdService');
+const { validateReason, validateRefundDonation, validateInstrumentStatus } = require('../validators/donationValidator');
+const { validateWalkInDonation } = require('../validators/devoteeValidator');
+
+function refundToResponse(refund) {
+  const plain = refund.get ? refund.get({ plain: true }) : refund;
+  return {
+    id: plain.id,
+    donationId: plain.donationId,
+    amountRupees: parseFloat(plain.amount).toFixed(2),
+    status: plain.status,
+    razorpayRefundId: plain.razorpayRefundId,
+    reason: plain.reason,
+    refundedBy: plain.refundedBy
+      ? { id: plain.refundedBy.id, name: plain.refundedBy.name, email: plain.refundedBy.email }
+      : null,
+    refundedById: plain.refundedById,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function receiptDeliveryToResponse(donation) {
+  return {
+    email: {
+      status: donation.receiptEmailStatus,
+      attempts: donation.receiptEmailAttempts,
+      sentAt: donation.receiptEmailSentAt,
+    },
+    sms: {
+      status: donation.receiptSmsStatus,
+      attempts: donation.receiptSmsAttempts,
+      sentAt: donation.receiptSmsSentAt,
+    },
+    lastError: donation.receiptDeliveryError,
+  };
+}
+
+function donationRefundSummary(donation) {
+  const plain = donation.get ? donation.get({ plain: true }) : donation;
+  return {
+    id: plain.id,
+    status: plain.status,
+    amountRupees: parseFloat(plain.amount).toFixed(2),
+    refundedAmountRupees: parseFloat(plain.refundedAmount || 0).toFixed(2),
+    receiptNumber: plain.receiptNumber || null,
+    receiptCancelled: Boolean(plain.receiptCancelled),
+    receiptCancelledAt: plain.receiptCancelledAt || null,
+    receiptCancellationReason: plain.receiptCancellationReason || null,
+  };
+}
+
+function instrumentToResponse(donation) {
+  const plain = donation.get ? donation.get({ plain: true }) : donation;
+  return {
+    donationId: plain.id,
+    status: plain.status,
+    amountRupees: parseFloat(plain.amount).toFixed(2),
+    paymentMethod: plain.paymentMethod,
+    receiptNumber: plain.receiptNumber || null,
+    instrument: {
+      number: plain.instrumentNumber,
+      bank: plain.instrumentBank,
+      date: plain.instrumentDate,
+      status: plain.instrumentStatus,
+      depositedAt: plain.instrumentDepositedAt,
+      clearedAt: plain.instrumentClearedAt,
+      bouncedAt: plain.instrumentBouncedAt,
+      bounceReason: plain.instrumentBounceReason,
+    },
+    devotee: plain.Devotee ? { id: plain.Devotee.id, mobile: plain.Devotee.mobile, name: plain.Devotee.name } : undefined,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+/**
+ * POST /api/admin/donations/:id/refund
+ * Refund a captured donation of this organization, fully or partially.
+ * Body: { amount? (rupees, default full remaining), reason }
+ */
+async function refundDonation(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const validation = validateRefundDonation(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { amountRupees, reason } = validation.data;
+
+    const donation = await Donation.findOne({ where: { id, adminId } });
+    if (!donation) {
+      return error(res, 'Donation not found.', 404);
+    }
+
+    const refund = await refundDonationService(donation.id, {
+      amountRupees,
+      reason,
+      refundedById: adminId,
+    });
+
+    await donation.reload();
+
+    return success(
+      res,
+      {
+        refund: refundToResponse(refund),
+        donation: donationRefundSummary(donation),
+      },
+      'Refund initiated successfully.',
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/donations/:id/refunds
+ * List refunds recorded against a donation of this organization.
+ */
+async function getDonationRefunds(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const donation = await Donation.findOne({
+      where: { id, adminId },
+      include: [{ model: Devotee, attributes: ['id', 'mobile', 'name'] }],
+    });
+    if (!donation) {
+      return error(res, 'Donation not found.', 404);
+    }
+
+    const refunds = await DonationRefund.findAll({
+      where: { donationId: donation.id },
+      include: [{ model: User, as: 'refundedBy', attributes: ['id', 'name', 'email'], required: false }],
+      order: [['created_at', 'DESC']],
+    });
+
+    return success(res, {
+      donation: donationRefundSummary(donation),
+      refunds: refunds.map(refundToResponse),
+      total: refunds.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/donations/:id/receipt
+ * Download the 80G receipt PDF for a donation of this organization (online or walk-in).
+ */
+async function getDonationReceiptPdf(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const donation = await findReceiptDonation({ id, adminId: req.user.id });
+    if (!donation) {
+      return error(res, 'Donation not found.', 404);
+    }
+    if (!hasReceipt(donation)) {
+      return error(res, 'Receipt is available once the payment is captured.', 400);
+    }
+    if (isFullyRefunded(donation)) {
+      return error(res, 'No receipt is issued for a fully refunded donation.', 400);
+    }
+
+    return sendReceiptPdf(res, buildReceipt(donation));
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/donations/:id/resend-receipt
+ * Send the email/SMS receipt again on every channel, regardless of earlier attempts.
+ */
+async function resendReceipt(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const donation = await Donation.findOne({ where: { id, adminId: req.user.id }, attributes: ['id'] });
+    if (!donation) {
+      return error(res, 'Donation not found.', 404);
+    }
+
+    const delivered = await deliverReceipt(donation.id, { force: true });
+    if (!delivered) {
+      return error(res, 'Receipt is available once the payment is captured.', 400);
+    }
+
+    return success(res, { receiptDelivery: receiptDeliveryToResponse(delivered) }, 'Receipt sent.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/instruments
+ * Cheque, DD and bank-transfer donations of this organization with their clearance status.
+ * Query: ?status=received|deposited|cleared|bounced&page=&limit=
+ */
+async function getInstruments(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { adminId, instrumentStatus: { [Op.ne]: null } };
+    if (req.query.status) {
+      const status = String(req.query.status).toLowerCase();
+      if (!INSTRUMENT_STATUS_LIST.includes(status)) {
+        return error(res, `status must be one of: ${INSTRUMENT_STATUS_LIST.join(', ')}.`, 422);
+      }
+      where.instrumentStatus = status;
+    }
+
+    const { count, rows } = await Donation.findAndCountAll({
+      where,
+      include: [{ model: Devotee, attributes: ['id', 'mobile', 'name'] }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return success(res, {
+      instruments: rows.map(instrumentToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/donations/:id/instrument
+ * Move a cheque, DD or bank transfer along received → deposited → cleared, or mark it bounced.
+ * Clearing captures the donation and issues its receipt; a bounce fails it and cancels any receipt.
+ * Body: { status, reason (required when bounced) }
+ */
+async function updateInstrumentStatus(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const validation = validateInstrumentStatus(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const donation = await updateInstrumentStatusService(id, req.user.id, validation.data.status, validation.data.reason);
+    return success(res, { donation: instrumentToResponse(donation) }, `Instrument marked ${validation.data.status}.`);
+  } catch (err) {
+    next(err);
+  }
+}
+
+function voidToResponse(donation) {
+  const plain = donation.get ? donation.get({ plain: true }) : donation;
+  return {
+    ...donationRefundSummary(plain),
+    voidedAt: plain.voidedAt,
+    voidedById: plain.voidedById,
+    voidReason: plain.voidReason,
+  };
+}
+
+/**
+ * POST /api/admin/donations/:id/void
+ * Void a walk-in / offline donation recorded by mistake. The donation is kept with status
+ * voided, its receipt is cancelled and it no longer counts anywhere. Body: { reason }
+ */
+async function voidDonation(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const reasonResult = validateReason(req.body?.reason);
+    if (!reasonResult.valid) {
+      return error(res, 'Validation failed', 422, [reasonResult.message]);
+    }
+
+    const donation = await voidOfflineDonation(id, req.user.id, reasonResult.value);
+    return success(res, { donation: voidToResponse(donation) }, 'Donation voided and receipt cancelled.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/donations/:id/reissue
+ * Correct a walk-in / offline donation: voids it (if not already voided) and records the
+ * corrected donation with a new receipt number.
+ * Body: walk-in fields { mobile, name?, email?, city?, amount, eventId?, paymentMethod?, instrument?,
+ * dedication? } for the corrected donation, plus { reason }.
+ */
+async function reissueDonation(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const validation = validateWalkInDonation(req.body);
+    const reasonResult = validateReason(req.body?.reason);
+    const errors = [...(validation.errors || []), ...(reasonResult.valid ? [] : [reasonResult.message])];
+    if (errors.length > 0) {
+      return error(res, 'Validation failed', 422, errors);
+    }
+
+    if (validation.data.eventId) {
+      const event = await Event.findOne({ where: { id: validation.data.eventId, adminId }, attributes: ['id'] });
+      if (!event) {
+        return error(res, 'Event not found for this organization.', 404);
+      }
+    }
+
+    const { voided, donation, devotee } = await reissueOfflineDonation(id, adminId, validation.data, reasonResult.value);
+    return success(
+      res,
+      {
+        voided: voidToResponse(voided),
+        donation: donation.get({ plain: true }),
+        devotee: devotee.toSafeObject(),
+      },
+      'Donation re-issued with a new receipt.',
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+function importRowToResponse(result) {
+  const { data } = result;
+  return {
+    row: result.row,
+    valid: result.errors.length === 0,
+    errors: result.errors,
+    mobile: data ? data.devotee.mobile : undefined,
+    name: data ? data.devotee.name : undefined,
+    amountRupees: data ? data.amount.toFixed(2) : undefined,
+    date: data ? data.date : undefined,
+    paymentMethod: data ? data.paymentMethod : undefined,
+    eventId: data ? data.eventId : undefined,
+    receiptNumber: data ? data.receiptNumber : undefined,
+  };
+}
+
+/**
+ * POST /api/admin/donations/import
+ * Import donations from the organization's paper / spreadsheet register (multipart, CSV in `file`).
+ * Columns: mobile, name?, email?, city?, amount, date (YYYY-MM-DD or DD/MM/YYYY), payment_method?,
+ * event_id?, receipt_number?, reference?
+ * Fields: dryRun (default true) only checks the file and returns every row with its errors;
+ * dryRun=false imports all rows in one transaction, and only when no row has errors.
+ * receiptMode: assign (default) gives every row a new receipt number; keep uses the register's
+ * receipt_number where present (receiptNumber null in the preview means one is assigned).
+ */
+async function importDonations(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    if (!req.file) {
+      return error(res, 'CSV file is required (field "file").', 422);
+    }
+    const dryRun = String(req.body?.dryRun ?? 'true').toLowerCase() !== 'false';
+    const receiptMode = req.body?.receiptMode
+      ? String(req.body.receiptMode).toLowerCase().trim()
+      : IMPORT_RECEIPT_MODE.ASSIGN;
+    if (!IMPORT_RECEIPT_MODE_LIST.includes(receiptMode)) {
+      return error(res, `receiptMode must be one of: ${IMPORT_RECEIPT_MODE_LIST.join(', ')}.`, 422);
+    }
+
+    const results = await previewDonationImport(adminId, req.file.buffer.toString('utf8'), receiptMode);
+    const valid = results.filter((r) => r.data);
+    const summary = {
+      totalRows: results.length,
+      validRows: valid.length,
+      errorRows: results.length - valid.length,
+      totalAmountRupees: valid.reduce((sum, r) => sum + r.data.amount, 0).toFixed(2),
+    };
+
+    if (dryRun) {
+      return success(res, { dryRun, receiptMode, summary, rows: results.map(importRowToResponse) }, 'Import preview.');
+    }
+    if (summary.errorRows > 0) {
+      return error(
+        res,
+        'Some rows have errors. Fix them and upload again; nothing was imported.',
+        422,
+        results.filter((r) => !r.data).map(importRowToResponse)
+      );
+    }
+
+    const donations = await importOfflineDonations(adminId, valid.map((r) => r.data));
+    return success(
+      res,
+      {
+        dryRun,
+        receiptMode,
+        summary,
+        donations: donations.map((d, i) => ({ row: valid[i].row, donationId: d.id, receiptNumber: d.receiptNumber })),
+      },
+      `${donations.length} donation(s) imported.`,
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/dedications
+ * Dedicated donations to remember in a day's rituals: those whose dedication date is that day,
+ * plus undated ones given that day (IST).
+ * Query: ?date=YYYY-MM-DD (default today)&eventId=
+ */
+async function getDedications(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const date = req.query.date || toIstDateOnly();
+    if (!isValidDateOnly(date)) {
+      return error(res, 'date must be in YYYY-MM-DD format.', 422);
+    }
+    const { start, end } = istDayRange(date);
+
+    const where = {
+      adminId,
+      status: DONATION_STATUS_COUNTED,
+      honoreeName: { [Op.ne]: null },
+      [Op.or]: [
+        { dedicationDate: date },
+        {
+          dedicationDate: null,
+          [Op.and]: [
+            sequelize.where(sequelize.col('Donation.created_at'), Op.gte, start),
+            sequelize.where(sequelize.col('Donation.created_at'), Op.lt, end),
+          ],
+        },
+      ],
+    };
+    if (req.query.eventId) {
+      const eventId = Number(req.query.eventId);
+      if (!Number.isInteger(eventId) || eventId <= 0) {
+        return error(res, 'eventId must be a positive integer.', 422);
+      }
+      where.eventId = eventId;
+    }
+
+    const donations = await Donation.findAll({
+      where,
+      include: [
+        { model: Devotee, attributes: ['id', 'mobile', 'name'] },
+        { model: Event, as: 'event', attributes: ['id', 'title', 'eventType'], required: false },
+      ],
+      order: sequelize.literal('"Donation"."created_at" ASC'),
+    });
+
+    const dedications = donations.map((d) => {
+      const plain = d.get({ plain: true });
+      return {
+        donationId: plain.id,
+        receiptNumber: plain.receiptNumber || null,
+        amountRupees: parseFloat(plain.amount).toFixed(2),
+        devotee: plain.Devotee
+          ? { id: plain.Devotee.id, mobile: plain.Devotee.mobile, name: plain.Devotee.name }
+          : null,
+        event: plain.event ? { id: plain.event.id, title: plain.event.title, eventType: plain.event.eventType } : null,
+        dedication: getDedication(plain),
+        donatedAt: plain.created_at,
+      };
+    });
+
+    return success(res, { date, dedications, total: dedications.length });
+  } catch (err) {
+    next(err);
+  }
+}
+
+async function loadForm10BD(req) {
+  const fyRange = financialYearRange(req.query.fy || financialYearOf());
+  if (!fyRange) return null;
+  const organization = await User.findByPk(req.user.id, {
+    attributes: ['id', 'name', 'registration80GNumber'],
+  });
+  return buildForm10BD(organization, fyRange);
+}
+
+/**
+ * GET /api/admin/form-10bd
+ * Form 10BD donor statement preview for a financial year, aggregated per donor and mode of receipt,
+ * with rows missing PAN or holding cash above the 80G limit flagged.
+ * Query: ?fy=2025-26 (default current financial year)
+ */
+async function getForm10BD(req, res, next) {
+  try {
+    const report = await loadForm10BD(req);
+    if (!report) {
+      return error(res, 'fy must be a financial year like 2025-26.', 422);
+    }
+
+    const warnings = [];
+    if (!report.organization.registration80GNumber) {
+      warnings.push('Organization has no 80G registration number. Add it to the profile before filing.');
+    }
+    return success(res, { ...report, warnings });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/form-10bd/csv
+ * Form 10BD CSV in the income-tax utility column order.
+ * Query: ?fy=2025-26&format=utility|review
+ * utility (default): only reportable rows, exact template columns.
+ * review: every row plus a Remarks column explaining flagged rows.
+ */
+async function getForm10BDCsv(req, res, next) {
+  try {
+    const report = await loadForm10BD(req);
+    if (!report) {
+      return error(res, 'fy must be a financial year like 2025-26.', 422);
+    }
+
+    const review = req.query.format === 'review';
+    const { headers, rows } = form10BDCsvRows(report, review);
+    const filename = `form-10bd-FY${report.financialYear}${review ? '-review' : ''}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(toCsv(headers, rows));
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  refundDonation,
+  getDonationRefunds,
+  getDonationReceiptPdf,
+  resendReceipt,
+  getInstruments,
+  updateInstrumentStatus,
+  voidDonation,
+  reissueDonation,
+  importDonations,
+  getDedications,
+  getForm10BD,
+  getForm10BDCsv,
+};
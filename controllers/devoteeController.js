@@ -4,6 +4,7 @@ const { Op } = require('sequelize');
 const { User, Devotee, DevoteeFavorite, Support, SupportMessage } = require('../models');
 const { ROLES } = require('../constants/roles');
 const { ORGANIZATION_TYPES_LIST } = require('../constants/roles');
+const { DEVOTEE_RESIDENCY } = require('../constants/fcra');
 const {
   ORGANIZATION_CATEGORIES,
   ORGANIZATION_CATEGORIES_LIST,
@@ -22,6 +23,7 @@ const {
   validateVerifyOtp,
   validateDevoteeDetails,
   validateSetFavorites,
+  validateAddFavorite,
   validateOrganizationType,
 } = require('../validators/devoteeValidator');
 const {
@@ -137,7 +139,9 @@ async function verifyOtp(req, res, next) {
 /**
  * PUT /api/devotee/details
  * Update devotee details (name, email, city, profileImage, panNumber, panCardImage). Requires auth.
- * Body: { name?, email?, city?, panNumber? } or multipart with profileImage/panCardImage files.
+ * residency / nationality decide whether their donations are foreign contributions (FCRA).
+ * Body: { name?, email?, city?, panNumber?, residency? (resident|non_resident), nationality? (IN, US, ...) }
+ * or multipart with profileImage/panCardImage files.
  */
 async function updateDetails(req, res, next) {
   try {
@@ -145,7 +149,7 @@ async function updateDetails(req, res, next) {
     if (!validation.valid) {
       return error(res, 'Validation failed', 422, validation.errors);
     }
-    const { name, email, city, panNumber } = validation.data;
+    const { name, email, city, panNumber, residency, nationality } = validation.data;
     const devotee = req.devotee;
 
     const updates = {};
@@ -153,6 +157,13 @@ async function updateDetails(req, res, next) {
     if (email !== undefined) updates.email = email;
     if (city !== undefined) updates.city = city;
     if (panNumber !== undefined) updates.panNumber = panNumber;
+    if (residency !== undefined) updates.residency = residency;
+    if (nationality !== undefined) updates.nationality = nationality;
+
+    const nextResidency = updates.residency || devotee.residency;
+    if (nextResidency === DEVOTEE_RESIDENCY.NON_RESIDENT && !(updates.nationality || devotee.nationality)) {
+      return error(res, 'nationality is required for non-resident devotees.', 422);
+    }
 
     const profileImageFile = req.files?.profileImage?.[0];
     const panCardFile = req.files?.panCardImage?.[0];
@@ -384,6 +395,65 @@ async function setFavorites(req, res, next) {
   }
 }
 
+/**
+ * POST /api/devotee/favorites/add
+ * Add one organization to favorites without replacing the others, e.g. after a guest donation.
+ * Idempotent if the organization is already a favorite.
+ * Body: { adminId }
+ */
+async function addFavorite(req, res, next) {
+  try {
+    const validation = validateAddFavorite(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { adminId } = validation.data;
+    const devotee = req.devotee;
+
+    const admin = await User.findOne({
+      where: { id: adminId, role: ROLES.ADMIN, isActive: true },
+      attributes: ['id'],
+    });
+    if (!admin) {
+      return error(res, 'Organization not found or inactive.', 400);
+    }
+
+    const existing = await DevoteeFavorite.findAll({
+      where: { devoteeId: devotee.id },
+      attributes: ['adminId', 'displayOrder'],
+    });
+    if (!existing.some((f) => f.adminId === adminId)) {
+      if (existing.length >= MAX_FAVORITES) {
+        return error(res, `You already have ${MAX_FAVORITES} favorites. Replace one to add this organization.`, 400);
+      }
+      const lastOrder = existing.reduce((max, f) => Math.max(max, f.displayOrder || 0), 0);
+      await DevoteeFavorite.create({ devoteeId: devotee.id, adminId, displayOrder: lastOrder + 1 });
+    }
+
+    const favorites = await DevoteeFavorite.findAll({
+      where: { devoteeId: devotee.id },
+      include: [
+        {
+          model: User,
+          as: 'organization',
+          attributes: ['id', 'orgId', 'name', 'email', 'phone', 'organizationType', 'organizationCategory', 'faith', 'organizationSubtype', 'profileImage'],
+        },
+      ],
+      order: [['displayOrder', 'ASC']],
+    });
+
+    const list = favorites.map((f) => ({
+      id: f.id,
+      displayOrder: f.displayOrder,
+      organization: f.organization ? f.organization.get({ plain: true }) : null,
+    }));
+
+    return success(res, { favorites: list }, 'Organization added to favorites.');
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * PUT /api/devotee/favorites
  * Update favorite organizations (same as set, replaces existing).
@@ -573,6 +643,7 @@ module.exports = {
   getOrganizations,
   getFavorites,
   setFavorites,
+  addFavorite,
   updateFavorites,
   raiseSupport,
   getMySupportTickets,
@@ -1,16 +1,34 @@
 'use strict';
 
-const { User, Devotee, DevoteeFavorite, Donation, Event, sequelize } = require('../models');
-const { DONATION_STATUS } = require('../constants/donation');
+const { User, Devotee, DevoteeFavorite, Donation, DonationBasket, Event, sequelize } = require('../models');
+const { DONATION_STATUS, DONATION_STATUS_COUNTED } = require('../constants/donation');
+const { ROLES } = require('../constants/roles');
 const { success, error } = require('../utils/response');
-const { createOrder, verifyPaymentSignature, fetchPayment, fetchOrderPayments } = require('../services/razorpayService');
-const { getNextReceiptNumberForAdmin } = require('../services/receiptService');
-const { validateCreateDonation, validateVerifyDonation } = require('../validators/devoteeValidator');
+const { PAYMENT_GATEWAY, SANDBOX_PAYMENT_OUTCOME } = require('../constants/paymentGateway');
+const { getActiveGatewayName, getGateway } = require('../services/paymentGateway');
+const { simulatePayment } = require('../services/sandboxGatewayService');
+const { captureDonation, failDonation, extractPaymentDetails, getDedication } = require('../services/donationService');
+const {
+  validateCreateDonation,
+  validateCreateBasket,
+  validateVerifyDonation,
+} = require('../validators/devoteeValidator');
+const { findReceiptDonation, hasReceipt, isFullyRefunded, buildReceipt, sendReceiptPdf } = require('../services/receiptPdfService');
+const { buildTaxStatement, renderTaxStatementPdf } = require('../services/taxStatementService');
+const { financialYearOf, financialYearRange } = require('../utils/date');
+const { validateSandboxPayment } = require('../validators/donationValidator');
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+const { isSupportedCurrency, toIndicativeInrPaise } = require('../services/currencyService');
+const { assertMayReceive, contributionSource } = require('../services/fcraService');
 
 /**
  * POST /api/devotee/donation/create-order
- * Create Razorpay order for donation. Devotee selects org and optionally an event.
- * Body: { adminId, amount, eventId? } - amount in rupees
+ * Create a payment gateway order (PAYMENT_GATEWAY: razorpay or sandbox) for donation. Devotee selects any
+ * active org (favorite or not) and optionally an event. isFavorite in the response lets the client offer
+ * POST /api/devotee/favorites/add after payment.
+ * Body: { adminId, amount, currency?, eventId?, dedication? } - amount in rupees, or in currency
+ * (default INR; others per FOREIGN_CURRENCY_RATES) for a foreign contribution to an FCRA-registered org
+ * dedication: { honoreeName, relation?, occasion?, date?, message?, printOnReceipt? }
  */
 async function createDonationOrder(req, res, next) {
   try {
@@ -18,25 +36,30 @@ async function createDonationOrder(req, res, next) {
     if (!validation.valid) {
       return error(res, 'Validation failed', 422, validation.errors);
     }
-    const { adminId, amountRupees, eventId, donationType } = validation.data;
+    const { adminId, currency, currencyAmount, eventId, donationType, dedication } = validation.data;
     const devotee = req.devotee;
 
-    const amountPaise = Math.round(amountRupees * 100);
+    if (!isSupportedCurrency(currency)) {
+      return error(res, `Donations in ${currency} are not accepted.`, 422);
+    }
+    // Gateway orders are in the currency's smallest unit; the Donation keeps its INR value.
+    const orderAmount = Math.round((currencyAmount != null ? currencyAmount : validation.data.amountRupees) * 100);
+    const amountPaise = toIndicativeInrPaise(orderAmount, currency);
     if (amountPaise < 100) {
       return error(res, 'Minimum donation is ₹1.', 422);
     }
 
-    const favorite = await DevoteeFavorite.findOne({
-      where: { devoteeId: devotee.id, adminId },
-    });
-    if (!favorite) {
-      return error(res, 'Organization must be one of your 5 favorites. Add it first.', 400);
-    }
-
+    // Any active organization can receive a donation; favorites are not required
+    // (first-time donors scanning a temple QR can add it to favorites afterwards).
     const admin = await User.findByPk(adminId);
-    if (!admin || !admin.isActive) {
+    if (!admin || !admin.isActive || admin.role !== ROLES.ADMIN) {
       return error(res, 'Organization not found or inactive.', 400);
     }
+    const source = assertMayReceive(admin, devotee, currency);
+
+    const favorite = await DevoteeFavorite.findOne({
+      where: { devoteeId: devotee.id, adminId },
+    });
 
     let event = null;
     if (eventId) {
@@ -53,27 +76,40 @@ async function createDonationOrder(req, res, next) {
       return error(res, 'For charity type, eventId must belong to a charity event.', 422);
     } */
 
-    const razorpayOrder = await createOrder(amountPaise, `don_${devotee.id}_${adminId}_${eventId || 'org'}_${Date.now()}`);
+    const gatewayName = getActiveGatewayName();
+    const razorpayOrder = await getGateway(gatewayName).createOrder(
+      orderAmount,
+      `don_${devotee.id}_${adminId}_${eventId || 'org'}_${Date.now()}`,
+      currency
+    );
 
     const donation = await Donation.create({
       devoteeId: devotee.id,
       adminId,
       eventId: eventId || null,
-      amount: amountRupees,
+      amount: amountPaise / 100,
+      currency,
+      currencyAmount: currency === DOMESTIC_CURRENCY ? null : orderAmount / 100,
+      ...source,
+      gateway: gatewayName,
       razorpayOrderId: razorpayOrder.orderId,
       status: DONATION_STATUS.PENDING,
       donationType: resolvedType,
+      ...(dedication || {}),
     });
 
     const payload = {
       donationId: donation.id,
       razorpayOrderId: razorpayOrder.orderId,
       amount: razorpayOrder.amount,
-      amountRupees: razorpayOrder.amount / 100,
+      amountRupees: amountPaise / 100,
       currency: razorpayOrder.currency,
       keyId: razorpayOrder.keyId,
+      gateway: gatewayName,
+      foreignContribution: source.foreignContribution,
       organizationId: adminId,
       organizationName: admin.name,
+      isFavorite: Boolean(favorite),
       type: resolvedType,
     };
     if (event) {
@@ -90,9 +126,138 @@ async function createDonationOrder(req, res, next) {
   }
 }
 
+/**
+ * POST /api/devotee/donation/basket/create-order
+ * Create one gateway order paying for several donations (e.g. three organizations at a festival).
+ * Each line becomes its own pending Donation with basketId; verify with any line's order ID as usual.
+ * Lines are captured, failed or expired together and each gets its organization's own receipt number.
+ * Body: { lines: [{ adminId, amount, eventId?, type?, dedication? }] } - amounts in rupees
+ */
+async function createBasketOrder(req, res, next) {
+  try {
+    const validation = validateCreateBasket(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { lines, totalPaise } = validation.data;
+    const devotee = req.devotee;
+
+    const adminIds = [...new Set(lines.map((l) => l.adminId))];
+    const admins = await User.findAll({
+      where: { id: adminIds, role: ROLES.ADMIN, isActive: true },
+      attributes: ['id', 'name', 'fcraRegistrationNumber', 'fcraAccountNumber'],
+    });
+    const adminsById = new Map(admins.map((a) => [a.id, a]));
+
+    const eventIds = lines.filter((l) => l.eventId).map((l) => l.eventId);
+    const events = eventIds.length
+      ? await Event.findAll({ where: { id: eventIds, isActive: true } })
+      : [];
+    const eventsById = new Map(events.map((e) => [e.id, e]));
+
+    const source = contributionSource(devotee);
+    const errors = [];
+    lines.forEach((line, index) => {
+      if (!adminsById.has(line.adminId)) {
+        errors.push(`Line ${index + 1}: Organization not found or inactive.`);
+      } else {
+        try {
+          assertMayReceive(adminsById.get(line.adminId), devotee);
+        } catch (err) {
+          errors.push(`Line ${index + 1}: ${err.message}`);
+        }
+      }
+      const event = line.eventId ? eventsById.get(line.eventId) : null;
+      if (line.eventId && (!event || event.adminId !== line.adminId)) {
+        errors.push(`Line ${index + 1}: Event not found or does not belong to this organization.`);
+      }
+    });
+    if (errors.length > 0) {
+      return error(res, 'Validation failed', 400, errors);
+    }
+
+    const gatewayName = getActiveGatewayName();
+    const order = await getGateway(gatewayName).createOrder(totalPaise, `bsk_${devotee.id}_${Date.now()}`);
+
+    const { basket, donations } = await sequelize.transaction(async (t) => {
+      const created = await DonationBasket.create(
+        {
+          devoteeId: devotee.id,
+          gateway: gatewayName,
+          razorpayOrderId: order.orderId,
+          totalAmount: totalPaise / 100,
+          lineCount: lines.length,
+          status: DONATION_STATUS.PENDING,
+        },
+        { transaction: t }
+      );
+      const rows = [];
+      for (const line of lines) {
+        const event = line.eventId ? eventsById.get(line.eventId) : null;
+        rows.push(await Donation.create(
+          {
+            devoteeId: devotee.id,
+            adminId: line.adminId,
+            eventId: line.eventId || null,
+            basketId: created.id,
+            amount: line.amountRupees,
+            ...source,
+            gateway: gatewayName,
+            razorpayOrderId: order.orderId,
+            status: DONATION_STATUS.PENDING,
+            donationType: line.donationType || (event && event.eventType === 'charity' ? 'charity' : 'donation'),
+            ...(line.dedication || {}),
+          },
+          { transaction: t }
+        ));
+      }
+      return { basket: created, donations: rows };
+    });
+
+    return success(
+      res,
+      {
+        basketId: basket.id,
+        razorpayOrderId: order.orderId,
+        amount: order.amount,
+        amountRupees: order.amount / 100,
+        currency: order.currency,
+        keyId: order.keyId,
+        gateway: gatewayName,
+        lines: donations.map((d) => ({
+          donationId: d.id,
+          organizationId: d.adminId,
+          organizationName: adminsById.get(d.adminId).name,
+          eventId: d.eventId,
+          eventTitle: d.eventId ? eventsById.get(d.eventId).title : null,
+          amountRupees: parseFloat(d.amount).toFixed(2),
+          type: d.donationType,
+        })),
+      },
+      'Order created. Complete payment on client.',
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Add all lines of the donation's basket to a response, for basket checkouts.
+ */
+async function withBasketLines(donation, data) {
+  if (!donation.basketId) return data;
+  const lines = await Donation.findAll({
+    where: { basketId: donation.basketId },
+    include: [{ model: User, as: 'organization', attributes: ['id', 'orgId', 'name'] }],
+    order: [['id', 'ASC']],
+  });
+  return { ...data, basketId: donation.basketId, lines: lines.map((d) => donationToResponse(d)) };
+}
+
 /**
  * POST /api/devotee/donation/verify
- * Verify Razorpay payment and capture donation.
+ * Verify the gateway payment signature and capture donation.
  * Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
  */
 async function verifyDonation(req, res, next) {
@@ -115,81 +280,46 @@ async function verifyDonation(req, res, next) {
       return error(res, 'Donation not found.', 404);
     }
     if (donation.status === DONATION_STATUS.CAPTURED) {
-      return success(res, { donation: donationToResponse(donation) }, 'Payment already verified.');
-    }
-    if (donation.status === DONATION_STATUS.FAILED) {
-      return error(res, 'Payment failed. Please try again.', 400);
+      const data = await withBasketLines(donation, { donation: donationToResponse(donation) });
+      return success(res, data, 'Payment already verified.');
     }
 
-    const isValid = verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature);
+    // A failed attempt (e.g. reported by the payment.failed webhook) can be followed by a
+    // successful retry on the same order, so a valid signature still captures.
+    const gateway = getGateway(donation.gateway);
+    const isValid = gateway.verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature);
     if (!isValid) {
-      await donation.update({ status: DONATION_STATUS.FAILED });
+      await failDonation(donation.id);
       return error(res, 'Payment verification failed. Invalid signature.', 400);
     }
 
-    // Fetch full payment details to get UTR / Bank Transaction ID / Method
-    let utr = null;
-    let transactionId = null;
-    let paymentMethod = null;
+    // Fetch full payment details for UTR / bank transaction ID / method / fee; capture without them if it fails.
+    let fields = { razorpayPaymentId, transactionId: razorpayPaymentId };
     try {
-      const paymentDetails = await fetchPayment(razorpayPaymentId);
-      console.log('Razorpay Payment Details:', JSON.stringify(paymentDetails, null, 2));
-      if (paymentDetails) {
-        paymentMethod = paymentDetails.method;
-        console.log('Extracted Payment Method:', paymentMethod);
-        if (paymentDetails.acquirer_data) {
-          utr = paymentDetails.acquirer_data.rrn || paymentDetails.acquirer_data.upi_transaction_id;
-          transactionId = paymentDetails.acquirer_data.bank_transaction_id;
-        }
-      }
-      // Fallback: if bank_transaction_id is missing, use razorpayPaymentId as transactionId
-      if (!transactionId) {
-        transactionId = razorpayPaymentId;
-      }
+      const paymentDetails = await gateway.fetchPayment(razorpayPaymentId);
+      if (paymentDetails) fields = extractPaymentDetails(paymentDetails);
     } catch (fetchErr) {
-      console.error('Error fetching payment details from Razorpay:', fetchErr);
-      // Proceed without UTR/BankTxnId if fetch fails, but log it.
+      console.error('Error fetching payment details from gateway:', fetchErr);
     }
 
-    // Atomically mark captured + assign per-organization receipt number (10 digits).
-    await sequelize.transaction(async (t) => {
-      const locked = await Donation.findByPk(donation.id, { transaction: t, lock: t.LOCK.UPDATE });
-      if (!locked) return;
+    // Atomically mark captured + assign per-organization receipt number (in its receipt scheme).
+    await captureDonation(donation.id, { ...fields, razorpayPaymentId, razorpaySignature });
 
-      if (locked.status !== DONATION_STATUS.CAPTURED) {
-        const receiptNumber = locked.receiptNumber || await getNextReceiptNumberForAdmin(locked.adminId, t);
-        await locked.update(
-          {
-            razorpayPaymentId,
-            razorpaySignature,
-            utr,
-            transactionId,
-            paymentMethod,
-            status: DONATION_STATUS.CAPTURED,
-            receiptNumber,
-          },
-          { transaction: t }
-        );
-
-        if (locked.eventId) {
-          const ev = await Event.findByPk(locked.eventId, { transaction: t, lock: t.LOCK.UPDATE });
-          if (ev) {
-            const currentRaised = Number(ev.raisedAmountPaise || 0);
-            const donationAmountPaise = Math.round(Number(locked.amount) * 100);
-            await ev.update({ raisedAmountPaise: currentRaised + donationAmountPaise }, { transaction: t });
-          }
-        }
-      } else if (!locked.receiptNumber) {
-        const receiptNumber = await getNextReceiptNumberForAdmin(locked.adminId, t);
-        await locked.update({ receiptNumber }, { transaction: t });
-      }
+    await donation.reload({ include: [{ model: User, as: 'organization', attributes: ['id', 'orgId', 'name'] }] });
+
+    const favorite = await DevoteeFavorite.findOne({
+      where: { devoteeId: devotee.id, adminId: donation.adminId },
+      attributes: ['id'],
     });
 
-    await donation.reload({ include: [{ model: User, as: 'organization', attributes: ['id', 'orgId', 'name'] }] });
+    const data = await withBasketLines(donation, {
+      donation: donationToResponse(donation),
+      isFavorite: Boolean(favorite),
+    });
 
     return success(
       res,
-      { donation: donationToResponse(donation) },
+      data,
       'Payment verified. Thank you for your donation!',
       200
     );
@@ -254,11 +384,11 @@ async function getStats(req, res, next) {
     const stats = await Donation.findAll({
       where: {
         devoteeId: devotee.id,
-        status: DONATION_STATUS.CAPTURED,
+        status: DONATION_STATUS_COUNTED,
       },
       attributes: [
         [Donation.sequelize.fn('COUNT', Donation.sequelize.col('id')), 'totalCount'],
-        [Donation.sequelize.fn('SUM', Donation.sequelize.col('amount')), 'totalAmountRupees'],
+        [Donation.sequelize.fn('SUM', Donation.sequelize.literal('"amount" - "refunded_amount"')), 'totalAmountRupees'],
       ],
       raw: true,
     });
@@ -287,15 +417,24 @@ function donationToResponse(donation) {
     type: plain.donationType || plain.donation_type || 'donation',
     amount: (plain.amount * 100).toFixed(0), // return in paise for consistency if needed, or just remove if API consumer expects rupees
     amountRupees: parseFloat(plain.amount).toFixed(2),
+    currency: plain.currency || DOMESTIC_CURRENCY,
+    currencyAmount: plain.currencyAmount != null ? parseFloat(plain.currencyAmount).toFixed(2) : null,
+    foreignContribution: Boolean(plain.foreignContribution),
     status: plain.status,
+    refundedAmountRupees: parseFloat(plain.refundedAmount || 0).toFixed(2),
     organization: plain.organization,
     eventId: plain.eventId,
+    pledgeId: plain.pledgeId || null,
+    basketId: plain.basketId || null,
     event: ev ? { id: ev.id, title: ev.title, eventType: ev.eventType, raisedAmountPaise: ev.raisedAmountPaise, targetAmountPaise: ev.targetAmountPaise } : null,
+    gateway: plain.gateway || null,
     razorpayOrderId: plain.razorpayOrderId,
     razorpayPaymentId: plain.razorpayPaymentId,
     razorpaySignature: plain.razorpaySignature,
     paymentMethod: plain.paymentMethod,
     receiptNumber: plain.receiptNumber || plain.receipt_number || null,
+    receiptCancelled: Boolean(plain.receiptCancelled),
+    dedication: getDedication(plain),
     utr: plain.utr,
     transactionId: plain.transactionId,
     createdAt: plain.created_at,
@@ -346,7 +485,12 @@ async function getDonationInvoice(req, res, next) {
         receiptNumber: d.receiptNumber || null,
         amountRupees: parseFloat(d.amount).toFixed(2),
         amountPaise: String(Math.round(Number(d.amount) * 100)),
+        refundedAmountRupees: parseFloat(d.refundedAmount || 0).toFixed(2),
         status: d.status,
+        receiptCancelled: Boolean(d.receiptCancelled),
+        receiptCancelledAt: d.receiptCancelledAt || null,
+        receiptCancellationReason: d.receiptCancellationReason || null,
+        dedication: getDedication(d),
         donatedAt: d.created_at || d.createdAt,
         organization: org ? {
           id: org.id,
@@ -372,9 +516,82 @@ async function getDonationInvoice(req, res, next) {
   }
 }
 
+/**
+ * GET /api/devotee/donation/invoice/:id/pdf
+ * Download the 80G receipt PDF for a captured donation.
+ */
+async function getDonationInvoicePdf(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const donation = await findReceiptDonation({ id, devoteeId: req.devotee.id });
+    if (!donation) {
+      return error(res, 'Donation not found.', 404);
+    }
+    if (!hasReceipt(donation)) {
+      return error(res, 'Receipt is available once the payment is captured.', 400);
+    }
+    if (isFullyRefunded(donation)) {
+      return error(res, 'No receipt is issued for a fully refunded donation.', 400);
+    }
+
+    return sendReceiptPdf(res, buildReceipt(donation));
+  } catch (err) {
+    next(err);
+  }
+}
+
+function resolveFinancialYear(req) {
+  return financialYearRange(req.query.fy || financialYearOf());
+}
+
+/**
+ * GET /api/devotee/tax-statement
+ * Consolidated 80G statement for a financial year (April-March), grouped by organization.
+ * Query: ?fy=2025-26 (default current financial year)
+ */
+async function getTaxStatement(req, res, next) {
+  try {
+    const fyRange = resolveFinancialYear(req);
+    if (!fyRange) {
+      return error(res, 'fy must be a financial year like 2025-26.', 422);
+    }
+
+    const statement = await buildTaxStatement(req.devotee, fyRange);
+    return success(res, { statement });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/tax-statement/pdf
+ * Same statement as a PDF download. Query: ?fy=2025-26
+ */
+async function getTaxStatementPdf(req, res, next) {
+  try {
+    const fyRange = resolveFinancialYear(req);
+    if (!fyRange) {
+      return error(res, 'fy must be a financial year like 2025-26.', 422);
+    }
+
+    const statement = await buildTaxStatement(req.devotee, fyRange);
+    const pdf = await renderTaxStatementPdf(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="80g-statement-FY${fyRange.label}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    return res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
  * POST /api/devotee/donation/check-status/:id
- * Check the status of a pending donation by querying Razorpay for associated payments.
+ * Check the status of a pending donation by querying its gateway for associated payments.
  */
 async function checkDonationStatus(req, res, next) {
   try {
@@ -394,72 +611,85 @@ async function checkDonationStatus(req, res, next) {
     }
 
     if (donation.status === DONATION_STATUS.CAPTURED) {
-      return success(res, { donation: donationToResponse(donation) }, 'Payment already verified.');
+      const data = await withBasketLines(donation, { donation: donationToResponse(donation) });
+      return success(res, data, 'Payment already verified.');
     }
 
-    // Fetch payments for the Razorpay order
-    const paymentsResponse = await fetchOrderPayments(donation.razorpayOrderId);
+    if (!donation.razorpayOrderId) {
+      return error(res, 'This donation was recorded offline and has no gateway order.', 400);
+    }
+
+    // Fetch payments for the gateway order
+    const paymentsResponse = await getGateway(donation.gateway).fetchOrderPayments(donation.razorpayOrderId);
     
     // Find a successful payment (captured or authorized)
     const successPayment = paymentsResponse.items.find(p => p.status === 'captured' || p.status === 'authorized');
 
     if (!successPayment) {
-      return error(res, 'No successful payment found for this order on Razorpay yet.', 400);
+      return error(res, 'No successful payment found for this order on the payment gateway yet.', 400);
     }
 
-    const razorpayPaymentId = successPayment.id;
-    let utr = null;
-    let transactionId = null;
-    let paymentMethod = successPayment.method;
+    await captureDonation(donation.id, extractPaymentDetails(successPayment));
+
+    await donation.reload({ include: [{ model: User, as: 'organization', attributes: ['id', 'orgId', 'name'] }] });
 
-    if (successPayment.acquirer_data) {
-      utr = successPayment.acquirer_data.rrn || successPayment.acquirer_data.upi_transaction_id;
-      transactionId = successPayment.acquirer_data.bank_transaction_id;
+    return success(
+      res,
+      await withBasketLines(donation, { donation: donationToResponse(donation) }),
+      'Payment verified successfully. Status updated.',
+      200
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/donation/sandbox-pay/:id
+ * Simulate checkout for a pending sandbox donation (QA only; 404 for other gateways).
+ * Returns the same fields Razorpay Checkout gives the client, to be sent to /donation/verify.
+ * Body: { outcome?: 'captured' | 'authorized' | 'failed', method? }
+ */
+async function simulateSandboxPayment(req, res, next) {
+  try {
+    const validation = validateSandboxPayment(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
     }
-    
-    if (!transactionId) {
-      transactionId = razorpayPaymentId;
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid donation ID.', 422);
     }
 
-    await sequelize.transaction(async (t) => {
-      const locked = await Donation.findByPk(donation.id, { transaction: t, lock: t.LOCK.UPDATE });
-      if (!locked) return;
-
-      if (locked.status !== DONATION_STATUS.CAPTURED) {
-        const receiptNumber = locked.receiptNumber || await getNextReceiptNumberForAdmin(locked.adminId, t);
-        await locked.update(
-          {
-            razorpayPaymentId,
-            utr,
-            transactionId,
-            paymentMethod,
-            status: DONATION_STATUS.CAPTURED,
-            receiptNumber,
-          },
-          { transaction: t }
-        );
-
-        if (locked.eventId) {
-          const ev = await Event.findByPk(locked.eventId, { transaction: t, lock: t.LOCK.UPDATE });
-          if (ev) {
-            const currentRaised = Number(ev.raisedAmountPaise || 0);
-            const donationAmountPaise = Math.round(Number(locked.amount) * 100);
-            await ev.update({ raisedAmountPaise: currentRaised + donationAmountPaise }, { transaction: t });
-          }
-        }
-      } else if (!locked.receiptNumber) {
-        const receiptNumber = await getNextReceiptNumberForAdmin(locked.adminId, t);
-        await locked.update({ receiptNumber }, { transaction: t });
-      }
+    const donation = await Donation.findOne({
+      where: { id, devoteeId: req.devotee.id, gateway: PAYMENT_GATEWAY.SANDBOX },
     });
+    if (!donation) {
+      return error(res, 'Not found', 404);
+    }
+    if (donation.status !== DONATION_STATUS.PENDING && donation.status !== DONATION_STATUS.FAILED) {
+      return error(res, `Donation with status ${donation.status} cannot be paid.`, 400);
+    }
 
-    await donation.reload({ include: [{ model: User, as: 'organization', attributes: ['id', 'orgId', 'name'] }] });
+    const { outcome, method } = validation.data;
+    const { payment, signature } = await simulatePayment(donation.razorpayOrderId, { outcome, method });
+
+    // The sandbox has no webhooks, so report the decline the way payment.failed would.
+    if (outcome === SANDBOX_PAYMENT_OUTCOME.FAILED) {
+      await failDonation(donation.id);
+    }
 
     return success(
       res,
-      { donation: donationToResponse(donation) },
-      'Payment verified successfully. Status updated.',
-      200
+      {
+        donationId: donation.id,
+        outcome,
+        razorpay_order_id: donation.razorpayOrderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: signature,
+      },
+      outcome === SANDBOX_PAYMENT_OUTCOME.FAILED ? 'Sandbox payment declined.' : 'Sandbox payment completed. Verify to capture.',
+      201
     );
   } catch (err) {
     next(err);
@@ -468,9 +698,14 @@ async function checkDonationStatus(req, res, next) {
 
 module.exports = {
   createDonationOrder,
+  createBasketOrder,
   verifyDonation,
   checkDonationStatus,
   getMyDonations,
   getStats,
   getDonationInvoice,
+  getDonationInvoicePdf,
+  getTaxStatement,
+  getTaxStatementPdf,
+  simulateSandboxPayment,
 };
@@ -0,0 +1,173 @@
+'use strict';
+
+const { User } = require('../models');
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+const { success, error } = require('../utils/response');
+const { toCsv } = require('../utils/csv');
+const { isValidDateOnly, istDayRange, financialYearOf, financialYearRange } = require('../utils/date');
+const { acceptsForeignContribution, getFcraLedger, getFcraReport } = require('../services/fcraService');
+const { formatDate } = require('../services/receiptPdfService');
+
+const FCRA_ORG_ATTRIBUTES = ['id', 'name', 'fcraRegistrationNumber', 'fcraBankName', 'fcraAccountNumber', 'fcraIfsc'];
+
+function fcraAccountToResponse(org) {
+  return {
+    registrationNumber: org.fcraRegistrationNumber || null,
+    bankName: org.fcraBankName || null,
+    accountNumber: org.fcraAccountNumber || null,
+    ifsc: org.fcraIfsc || null,
+    acceptsForeignContribution: acceptsForeignContribution(org),
+  };
+}
+
+function ledgerEntryToResponse(donation) {
+  const plain = donation.get ? donation.get({ plain: true }) : donation;
+  const devotee = plain.Devotee || {};
+  return {
+    donationId: plain.id,
+    receiptNumber: plain.receiptNumber || null,
+    date: plain.created_at || plain.createdAt,
+    status: plain.status,
+    type: plain.donationType,
+    donor: {
+      id: devotee.id,
+      name: devotee.name || null,
+      mobile: devotee.mobile || null,
+      city: devotee.city || null,
+      residency: devotee.residency || null,
+    },
+    nationality: plain.donorNationality || null,
+    currency: plain.currency || DOMESTIC_CURRENCY,
+    currencyAmount: plain.currencyAmount != null ? parseFloat(plain.currencyAmount).toFixed(2) : null,
+    amountRupees: parseFloat(plain.amount).toFixed(2),
+    refundedAmountRupees: parseFloat(plain.refundedAmount || 0).toFixed(2),
+    netAmountRupees: (parseFloat(plain.amount) - parseFloat(plain.refundedAmount || 0)).toFixed(2),
+    paymentMethod: plain.paymentMethod || null,
+    transactionId: plain.transactionId || null,
+    event: plain.event ? { id: plain.event.id, title: plain.event.title } : null,
+  };
+}
+
+/**
+ * GET /api/admin/fcra/ledger
+ * Foreign contributions received, kept apart from domestic donations: foreign-national donors
+ * and foreign-currency payments, oldest first, with the FCRA account they belong to.
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (IST, inclusive)&page=&limit=&format=json|csv
+ */
+async function getLedger(req, res, next) {
+  try {
+    const { from, to } = req.query;
+    if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to))) {
+      return error(res, 'from and to must be in YYYY-MM-DD format.', 422);
+    }
+    const range = {
+      start: from ? istDayRange(from).start : undefined,
+      end: to ? istDayRange(to).end : undefined,
+    };
+
+    if (req.query.format === 'csv') {
+      const { rows } = await getFcraLedger(req.user.id, range);
+      const headers = [
+        'Date', 'Receipt No.', 'Donor', 'Mobile', 'Nationality', 'Residency', 'Currency', 'Amount (currency)',
+        'Amount (INR)', 'Refunded (INR)', 'Net (INR)', 'Status', 'Payment Mode', 'Transaction ID', 'Event',
+      ];
+      const csvRows = rows.map(ledgerEntryToResponse).map((e) => [
+        formatDate(e.date),
+        e.receiptNumber || '',
+        e.donor.name || '',
+        e.donor.mobile || '',
+        e.nationality || '',
+        e.donor.residency || '',
+        e.currency,
+        e.currencyAmount || '',
+        e.amountRupees,
+        e.refundedAmountRupees,
+        e.netAmountRupees,
+        e.status,
+        e.paymentMethod || '',
+        e.transactionId || '',
+        e.event ? e.event.title : '',
+      ]);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="fcra-ledger${from ? `-${from}` : ''}${to ? `-to-${to}` : ''}.csv"`);
+      return res.send(toCsv(headers, csvRows));
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const [organization, { count, rows }] = await Promise.all([
+      User.findByPk(req.user.id, { attributes: FCRA_ORG_ATTRIBUTES }),
+      getFcraLedger(req.user.id, { ...range, page, limit }),
+    ]);
+
+    return success(res, {
+      fcraAccount: fcraAccountToResponse(organization),
+      entries: rows.map(ledgerEntryToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/fcra/report
+ * Foreign contributions of a financial year for the quarterly FCRA disclosure: per quarter,
+ * per donor nationality and per currency paid, at net INR amounts.
+ * Query: ?fy=2025-26 (default current financial year)
+ */
+async function getReport(req, res, next) {
+  try {
+    const fyRange = financialYearRange(req.query.fy || financialYearOf());
+    if (!fyRange) {
+      return error(res, 'fy must be a financial year like 2025-26.', 422);
+    }
+
+    const [organization, report] = await Promise.all([
+      User.findByPk(req.user.id, { attributes: FCRA_ORG_ATTRIBUTES }),
+      getFcraReport(req.user.id, fyRange),
+    ]);
+
+    const warnings = [];
+    if (!acceptsForeignContribution(organization) && report.totals.donations > 0) {
+      warnings.push('Foreign contributions were received but the FCRA registration or designated account is missing from the profile.');
+    }
+
+    return success(res, {
+      financialYear: report.financialYear,
+      fcraAccount: fcraAccountToResponse(organization),
+      quarters: report.quarters.map((q) => ({
+        quarter: q.quarter,
+        label: q.label,
+        donations: q.donations,
+        amountRupees: q.amount.toFixed(2),
+      })),
+      byNationality: report.byNationality.map((n) => ({
+        nationality: n.nationality,
+        donations: n.donations,
+        amountRupees: n.amount.toFixed(2),
+      })),
+      byCurrency: report.byCurrency.map((c) => ({
+        currency: c.currency,
+        donations: c.donations,
+        currencyAmount: c.currency === DOMESTIC_CURRENCY ? null : c.currencyAmount.toFixed(2),
+        amountRupees: c.amount.toFixed(2),
+      })),
+      totals: {
+        donations: report.totals.donations,
+        amountRupees: report.totals.amount.toFixed(2),
+      },
+      warnings,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getLedger,
+  getReport,
+};
@@ -4,6 +4,8 @@ const { OnboardingForm, User, ContactForm } = require('../models');
 const { success, error } = require('../utils/response');
 const nodemailer = require('nodemailer');
 const { ROLES } = require('../constants/roles');
+const { ONBOARDING_STATUS } = require('../constants/settlement');
+const { validateOnboardingReview } = require('../validators/settlementValidator');
 
 /**
  * POST /api/forms/onboarding
@@ -15,6 +17,12 @@ async function submitOnboardingForm(req, res, next) {
         const adminId = req.user ? req.user.id : null;
         const formData = { ...req.body };
 
+        // Review fields are set by the super admin only; any edit needs a fresh review.
+        delete formData.reviewedById;
+        delete formData.reviewedAt;
+        delete formData.reviewNote;
+        formData.status = ONBOARDING_STATUS.PENDING;
+
         // Handle file uploads if present (Mapping S3 locations to model fields)
         if (req.files) {
             if (req.files.registrationCertificate) formData.registrationCertificateUrl = req.files.registrationCertificate[0].location;
@@ -104,6 +112,42 @@ async function getAllOnboardingForms(req, res, next) {
         next(err);
     }
 }
+/**
+ * PATCH /api/form/onboarding/:id/review
+ * Approve or reject an onboarding form (Super Admin only).
+ * Only approved bank details can be used to create the organization's linked account.
+ * Body: { status: 'approved' | 'rejected', note? }
+ */
+async function reviewOnboardingForm(req, res, next) {
+    try {
+        const id = parseInt(req.params.id, 10);
+        if (!Number.isInteger(id) || id <= 0) {
+            return error(res, 'Invalid onboarding form ID.', 400);
+        }
+
+        const validation = validateOnboardingReview(req.body);
+        if (!validation.valid) {
+            return error(res, 'Validation failed', 422, validation.errors);
+        }
+
+        const form = await OnboardingForm.findByPk(id);
+        if (!form) {
+            return error(res, 'Onboarding form not found.', 404);
+        }
+
+        await form.update({
+            status: validation.data.status,
+            reviewNote: validation.data.note,
+            reviewedById: req.user.id,
+            reviewedAt: new Date(),
+        });
+
+        return success(res, { form }, `Onboarding form ${form.status}.`);
+    } catch (err) {
+        next(err);
+    }
+}
+
 /**
  * POST /api/form/contact
  * Submit contact form and send emails.
@@ -174,5 +218,6 @@ module.exports = {
     submitOnboardingForm,
     getOnboardingForm,
     getAllOnboardingForms,
+    reviewOnboardingForm,
     submitContactForm,
 };
@@ -0,0 +1,414 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { HundiBox, HundiCollection } = require('../models');
+const {
+  HUNDI_COLLECTION_STATUS_LIST,
+  HUNDI_REQUIRED_SIGN_OFFS,
+  HUNDI_SIGN_OFF_OTP,
+} = require('../constants/hundi');
+const { success, error } = require('../utils/response');
+const { isValidDateOnly, istDayRange } = require('../utils/date');
+const {
+  validateHundiBox,
+  validateHundiCollection,
+  validateHundiSignOff,
+  validateHundiSignOffConfirm,
+} = require('../validators/hundiValidator');
+const { validateReason } = require('../validators/donationValidator');
+const {
+  recordHundiCollection,
+  updateHundiCollection,
+  requestHundiSignOffOtp,
+  signOffHundiCollection,
+  cancelHundiCollection,
+  getHundiSummary,
+} = require('../services/hundiService');
+
+function boxToResponse(box) {
+  const plain = box.get ? box.get({ plain: true }) : box;
+  return {
+    id: plain.id,
+    name: plain.name,
+    location: plain.location,
+    isActive: plain.isActive,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function collectionToResponse(collection) {
+  const plain = collection.get ? collection.get({ plain: true }) : collection;
+  const signOffs = plain.signOffs || [];
+  return {
+    id: plain.id,
+    boxId: plain.boxId,
+    box: plain.box ? { id: plain.box.id, name: plain.box.name } : undefined,
+    countedAt: plain.countedAt,
+    status: plain.status,
+    denominations: plain.denominations,
+    cashTotalRupees: parseFloat(plain.cashTotal).toFixed(2),
+    foreignCurrency: plain.foreignCurrency || [],
+    valuables: plain.valuables || [],
+    notes: plain.notes,
+    signOffs,
+    signOffsPending: Math.max(0, HUNDI_REQUIRED_SIGN_OFFS - signOffs.length),
+    signedOffAt: plain.signedOffAt,
+    cancelledAt: plain.cancelledAt,
+    cancelReason: plain.cancelReason,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/** from / to (YYYY-MM-DD, IST, inclusive) into { start, end } with an exclusive end. */
+function parseDateRange(query) {
+  const { from, to } = query;
+  if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to))) return null;
+  return {
+    start: from ? istDayRange(from).start : undefined,
+    end: to ? istDayRange(to).end : undefined,
+  };
+}
+
+/**
+ * GET /api/admin/hundi/boxes
+ * The organization's hundi / donation boxes. Query: ?active=true|false (optional)
+ */
+async function getBoxes(req, res, next) {
+  try {
+    const where = { adminId: req.user.id };
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      where.isActive = req.query.active === 'true';
+    }
+    const boxes = await HundiBox.findAll({ where, order: [['name', 'ASC']] });
+    return success(res, { boxes: boxes.map(boxToResponse) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/hundi/boxes
+ * Register a hundi / donation box. Body: { name, location? }
+ */
+async function createBox(req, res, next) {
+  try {
+    const validation = validateHundiBox(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const existing = await HundiBox.findOne({ where: { adminId: req.user.id, name: validation.data.name } });
+    if (existing) {
+      return error(res, 'A box with this name already exists.', 409);
+    }
+
+    const box = await HundiBox.create({ ...validation.data, adminId: req.user.id });
+    return success(res, { box: boxToResponse(box) }, 'Hundi box registered.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/hundi/boxes/:id
+ * Rename, move or retire a box. Body: { name?, location?, isActive? }
+ */
+async function updateBox(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid box ID.', 422);
+    }
+
+    const validation = validateHundiBox(req.body, { partial: true });
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const box = await HundiBox.findOne({ where: { id, adminId: req.user.id } });
+    if (!box) {
+      return error(res, 'Hundi box not found.', 404);
+    }
+    if (validation.data.name && validation.data.name !== box.name) {
+      const existing = await HundiBox.findOne({
+        where: { adminId: req.user.id, name: validation.data.name, id: { [Op.ne]: box.id } },
+      });
+      if (existing) {
+        return error(res, 'A box with this name already exists.', 409);
+      }
+    }
+
+    await box.update(validation.data);
+    return success(res, { box: boxToResponse(box) }, 'Hundi box updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/hundi/collections
+ * Record a counting session when a box is opened. It stays open for corrections until two
+ * counters sign off.
+ * Body: { boxId, countedAt?, denominations: { "2000": n, ..., "1": n },
+ *   foreignCurrency?: [{ currency, amount }], valuables?: [{ description, quantity?, weightGrams?, estimatedValue? }],
+ *   notes? }
+ */
+async function createCollection(req, res, next) {
+  try {
+    const validation = validateHundiCollection(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const collection = await recordHundiCollection(req.user.id, validation.data);
+    return success(res, { collection: collectionToResponse(collection) }, 'Counting recorded. Awaiting counter sign-off.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/hundi/collections
+ * Counting sessions, latest first.
+ * Query: ?page=&limit=&status=counting|signed_off|cancelled&boxId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+async function getCollections(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { adminId: req.user.id };
+    if (req.query.status) {
+      if (!HUNDI_COLLECTION_STATUS_LIST.includes(req.query.status)) {
+        return error(res, `status must be one of: ${HUNDI_COLLECTION_STATUS_LIST.join(', ')}.`, 422);
+      }
+      where.status = req.query.status;
+    }
+    if (req.query.boxId) {
+      const boxId = parseId(req.query.boxId);
+      if (!boxId) {
+        return error(res, 'boxId must be a positive integer.', 422);
+      }
+      where.boxId = boxId;
+    }
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return error(res, 'from and to must be in YYYY-MM-DD format.', 422);
+    }
+    if (range.start || range.end) {
+      where.countedAt = {};
+      if (range.start) where.countedAt[Op.gte] = range.start;
+      if (range.end) where.countedAt[Op.lt] = range.end;
+    }
+
+    const { count, rows } = await HundiCollection.findAndCountAll({
+      where,
+      include: [{ model: HundiBox, as: 'box', attributes: ['id', 'name'] }],
+      order: [['countedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return success(res, {
+      collections: rows.map(collectionToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/hundi/collections/:id
+ * One counting session with its denomination breakdown and sign-offs.
+ */
+async function getCollection(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid collection ID.', 422);
+    }
+
+    const collection = await HundiCollection.findOne({
+      where: { id, adminId: req.user.id },
+      include: [{ model: HundiBox, as: 'box', attributes: ['id', 'name'] }],
+    });
+    if (!collection) {
+      return error(res, 'Hundi collection not found.', 404);
+    }
+    return success(res, { collection: collectionToResponse(collection) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/hundi/collections/:id
+ * Correct counts before sign-off; sign-offs already given are cleared.
+ * Body: { countedAt?, denominations?, foreignCurrency?, valuables?, notes? }
+ */
+async function updateCollection(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid collection ID.', 422);
+    }
+
+    const validation = validateHundiCollection(req.body, { partial: true });
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const collection = await updateHundiCollection(id, req.user.id, validation.data);
+    return success(res, { collection: collectionToResponse(collection) }, 'Counts updated. Counters must sign off again.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/hundi/collections/:id/sign-off/otp
+ * Send a counter a sign-off code on their own mobile, after they confirm the Rupee cash total.
+ * Body: { name, mobile, cashTotal }
+ */
+async function sendSignOffOtp(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid collection ID.', 422);
+    }
+
+    const validation = validateHundiSignOff(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    await requestHundiSignOffOtp(id, req.user.id, validation.data);
+    return success(
+      res,
+      { mobile: validation.data.mobile, expiresInMinutes: HUNDI_SIGN_OFF_OTP.EXPIRY_MINUTES },
+      'Sign-off code sent to the counter.'
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/hundi/collections/:id/sign-off
+ * A counter signs off the counts with the code sent to their mobile, confirming the Rupee cash
+ * total again. The session is final once two different counters have signed.
+ * Body: { mobile, otp, cashTotal }
+ */
+async function signOffCollection(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid collection ID.', 422);
+    }
+
+    const validation = validateHundiSignOffConfirm(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const collection = await signOffHundiCollection(id, req.user.id, validation.data);
+    const response = collectionToResponse(collection);
+    return success(
+      res,
+      { collection: response },
+      response.signOffsPending > 0 ? 'Sign-off recorded. Awaiting another counter.' : 'Collection signed off.'
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/hundi/collections/:id/cancel
+ * Cancel a collection entered by mistake. Body: { reason }
+ */
+async function cancelCollection(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid collection ID.', 422);
+    }
+    const reasonResult = validateReason(req.body?.reason);
+    if (!reasonResult.valid) {
+      return error(res, 'Validation failed', 422, [reasonResult.message]);
+    }
+
+    const collection = await cancelHundiCollection(id, req.user.id, reasonResult.value);
+    return success(res, { collection: collectionToResponse(collection) }, 'Collection cancelled.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/hundi/summary
+ * Hundi income from signed-off collections: cash per box, foreign currency per currency and
+ * valuables. Kept apart from donation totals as anonymous income.
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (IST, inclusive, on the counting date)&boxId=
+ */
+async function getSummary(req, res, next) {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return error(res, 'from and to must be in YYYY-MM-DD format.', 422);
+    }
+    let boxId;
+    if (req.query.boxId) {
+      boxId = parseId(req.query.boxId);
+      if (!boxId) {
+        return error(res, 'boxId must be a positive integer.', 422);
+      }
+    }
+
+    const summary = await getHundiSummary(req.user.id, { ...range, boxId });
+    return success(res, {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      boxes: summary.boxes.map((b) => ({
+        boxId: b.boxId,
+        name: b.name,
+        collections: b.collections,
+        cashRupees: b.cash.toFixed(2),
+      })),
+      foreignCurrency: summary.foreignCurrency.map((f) => ({ currency: f.currency, amount: f.amount.toFixed(2) })),
+      valuables: {
+        items: summary.valuables.items,
+        estimatedValueRupees: summary.valuables.estimatedValue.toFixed(2),
+      },
+      totals: {
+        collections: summary.totals.collections,
+        cashRupees: summary.totals.cash.toFixed(2),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getBoxes,
+  createBox,
+  updateBox,
+  createCollection,
+  getCollections,
+  getCollection,
+  updateCollection,
+  sendSignOffOtp,
+  signOffCollection,
+  cancelCollection,
+  getSummary,
+};
@@ -0,0 +1,333 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { InKindItem, InKindDonation, Devotee, Event } = require('../models');
+const { IN_KIND_STATUS_LIST } = require('../constants/inKind');
+const { success, error } = require('../utils/response');
+const { isValidDateOnly, istDayRange } = require('../utils/date');
+const { validateInKindItem, validateInKindDonation } = require('../validators/inKindValidator');
+const { validateReason } = require('../validators/donationValidator');
+const {
+  recordInKindDonation,
+  cancelInKindDonation,
+  getStockReport,
+  findAcknowledgementDonation,
+  buildAcknowledgement,
+  renderAcknowledgementPdf,
+} = require('../services/inKindService');
+
+function itemToResponse(item) {
+  const plain = item.get ? item.get({ plain: true }) : item;
+  return {
+    id: plain.id,
+    name: plain.name,
+    unit: plain.unit,
+    defaultUnitValueRupees: plain.defaultUnitValue != null ? parseFloat(plain.defaultUnitValue).toFixed(2) : null,
+    isActive: plain.isActive,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function inKindDonationToResponse(donation) {
+  const plain = donation.get ? donation.get({ plain: true }) : donation;
+  return {
+    id: plain.id,
+    acknowledgementNumber: plain.acknowledgementNumber,
+    status: plain.status,
+    itemId: plain.itemId,
+    itemName: plain.itemName,
+    unit: plain.unit,
+    quantity: parseFloat(plain.quantity),
+    unitValueRupees: plain.unitValue != null ? parseFloat(plain.unitValue).toFixed(2) : null,
+    declaredValueRupees: plain.declaredValue != null ? parseFloat(plain.declaredValue).toFixed(2) : null,
+    notes: plain.notes,
+    eventId: plain.eventId,
+    event: plain.event ? { id: plain.event.id, title: plain.event.title } : undefined,
+    devotee: plain.Devotee ? { id: plain.Devotee.id, mobile: plain.Devotee.mobile, name: plain.Devotee.name } : undefined,
+    cancelledAt: plain.cancelledAt,
+    cancelReason: plain.cancelReason,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/** from / to (YYYY-MM-DD, IST, inclusive) into { start, end } with an exclusive end. */
+function parseDateRange(query) {
+  const { from, to } = query;
+  if ((from && !isValidDateOnly(from)) || (to && !isValidDateOnly(to))) return null;
+  return {
+    start: from ? istDayRange(from).start : undefined,
+    end: to ? istDayRange(to).end : undefined,
+  };
+}
+
+/**
+ * GET /api/admin/in-kind/items
+ * The organization's in-kind item catalog. Query: ?active=true|false (optional)
+ */
+async function getItems(req, res, next) {
+  try {
+    const where = { adminId: req.user.id };
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      where.isActive = req.query.active === 'true';
+    }
+    const items = await InKindItem.findAll({ where, order: [['name', 'ASC']] });
+    return success(res, { items: items.map(itemToResponse) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/in-kind/items
+ * Add an item to the catalog. Body: { name, unit, defaultUnitValue? (Rupees per unit) }
+ */
+async function createItem(req, res, next) {
+  try {
+    const validation = validateInKindItem(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const existing = await InKindItem.findOne({ where: { adminId: req.user.id, name: validation.data.name } });
+    if (existing) {
+      return error(res, 'An item with this name already exists.', 409);
+    }
+
+    const item = await InKindItem.create({ ...validation.data, adminId: req.user.id });
+    return success(res, { item: itemToResponse(item) }, 'Item added to catalog.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/in-kind/items/:id
+ * Update a catalog item. Renaming does not change donations already recorded.
+ * Body: { name?, unit?, defaultUnitValue?, isActive? }
+ */
+async function updateItem(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid item ID.', 422);
+    }
+
+    const validation = validateInKindItem(req.body, { partial: true });
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const item = await InKindItem.findOne({ where: { id, adminId: req.user.id } });
+    if (!item) {
+      return error(res, 'Item not found.', 404);
+    }
+    if (validation.data.name && validation.data.name !== item.name) {
+      const existing = await InKindItem.findOne({
+        where: { adminId: req.user.id, name: validation.data.name, id: { [Op.ne]: item.id } },
+      });
+      if (existing) {
+        return error(res, 'An item with this name already exists.', 409);
+      }
+    }
+
+    await item.update(validation.data);
+    return success(res, { item: itemToResponse(item) }, 'Item updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/in-kind/donations
+ * Record goods received from a devotee (found or created by mobile, as for walk-in donations).
+ * Body: { mobile, name?, email?, city?, itemId, quantity, unitValue?, declaredValue?, eventId?, notes? }
+ */
+async function createInKindDonation(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const validation = validateInKindDonation(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    if (validation.data.eventId) {
+      const event = await Event.findOne({ where: { id: validation.data.eventId, adminId }, attributes: ['id'] });
+      if (!event) {
+        return error(res, 'Event not found for this organization.', 404);
+      }
+    }
+
+    const donation = await recordInKindDonation(adminId, validation.data);
+    return success(res, { donation: inKindDonationToResponse(donation) }, 'In-kind donation recorded.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/in-kind/donations
+ * In-kind donations received by this organization, newest first.
+ * Query: ?page=&limit=&status=received|cancelled&itemId=&eventId=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+async function getInKindDonations(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { adminId };
+    if (req.query.status) {
+      if (!IN_KIND_STATUS_LIST.includes(req.query.status)) {
+        return error(res, `status must be one of: ${IN_KIND_STATUS_LIST.join(', ')}.`, 422);
+      }
+      where.status = req.query.status;
+    }
+    for (const key of ['itemId', 'eventId']) {
+      if (req.query[key]) {
+        const id = parseId(req.query[key]);
+        if (!id) {
+          return error(res, `${key} must be a positive integer.`, 422);
+        }
+        where[key] = id;
+      }
+    }
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return error(res, 'from and to must be in YYYY-MM-DD format.', 422);
+    }
+    if (range.start || range.end) {
+      where.created_at = {};
+      if (range.start) where.created_at[Op.gte] = range.start;
+      if (range.end) where.created_at[Op.lt] = range.end;
+    }
+
+    const { count, rows } = await InKindDonation.findAndCountAll({
+      where,
+      include: [
+        { model: Devotee, attributes: ['id', 'mobile', 'name'] },
+        { model: Event, as: 'event', attributes: ['id', 'title'], required: false },
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return success(res, {
+      donations: rows.map(inKindDonationToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/in-kind/donations/:id/cancel
+ * Cancel an in-kind donation recorded by mistake; its acknowledgement is cancelled. Body: { reason }
+ */
+async function cancelInKind(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+    const reasonResult = validateReason(req.body?.reason);
+    if (!reasonResult.valid) {
+      return error(res, 'Validation failed', 422, [reasonResult.message]);
+    }
+
+    const donation = await cancelInKindDonation(id, req.user.id, reasonResult.value);
+    return success(res, { donation: inKindDonationToResponse(donation) }, 'In-kind donation cancelled.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/in-kind/donations/:id/acknowledgement
+ * Download the (non-80G) acknowledgement PDF for an in-kind donation.
+ */
+async function getAcknowledgementPdf(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const donation = await findAcknowledgementDonation({ id, adminId: req.user.id });
+    if (!donation) {
+      return error(res, 'In-kind donation not found.', 404);
+    }
+
+    const ack = buildAcknowledgement(donation);
+    const pdf = await renderAcknowledgementPdf(ack);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="acknowledgement-${ack.acknowledgementNumber}.pdf"`);
+    res.setHeader('Content-Length', pdf.length);
+    return res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/in-kind/stock
+ * Stock received per item: quantity, number of donations and declared value. Cancelled donations
+ * are left out, and values are kept apart from monetary donation totals.
+ * Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD (IST, inclusive)&eventId=
+ */
+async function getStock(req, res, next) {
+  try {
+    const range = parseDateRange(req.query);
+    if (!range) {
+      return error(res, 'from and to must be in YYYY-MM-DD format.', 422);
+    }
+    let eventId;
+    if (req.query.eventId) {
+      eventId = parseId(req.query.eventId);
+      if (!eventId) {
+        return error(res, 'eventId must be a positive integer.', 422);
+      }
+    }
+
+    const report = await getStockReport(req.user.id, { ...range, eventId });
+    return success(res, {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      items: report.items.map((i) => ({
+        itemId: i.itemId,
+        name: i.name,
+        unit: i.unit,
+        quantity: i.quantity,
+        donations: i.donations,
+        valuedDonations: i.valuedDonations,
+        declaredValueRupees: i.declaredValue.toFixed(2),
+      })),
+      totals: {
+        donations: report.totals.donations,
+        declaredValueRupees: report.totals.declaredValue.toFixed(2),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getItems,
+  createItem,
+  updateItem,
+  createInKindDonation,
+  getInKindDonations,
+  cancelInKind,
+  getAcknowledgementPdf,
+  getStock,
+};
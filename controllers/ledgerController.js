@@ -0,0 +1,276 @@
+'use strict';
+
+const { LedgerEntry, LedgerAuditRun, Event, User } = require('../models');
+const { ROLES } = require('../constants/roles');
+const {
+  LEDGER_ACCOUNT_LIST,
+  LEDGER_ENTRY_TYPE_LIST,
+} = require('../constants/ledger');
+const { success, error } = require('../utils/response');
+const {
+  getAccountBalances,
+  summarizeBalances,
+  startLedgerAudit,
+  isAuditRunning,
+} = require('../services/ledgerService');
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function toRupees(value) {
+  return Number(value).toFixed(2);
+}
+
+function entryToResponse(entry) {
+  const plain = entry.get ? entry.get({ plain: true }) : entry;
+  return {
+    id: plain.id,
+    journalKey: plain.journalKey,
+    entryType: plain.entryType,
+    account: plain.account,
+    direction: plain.direction,
+    amountRupees: toRupees(Number(plain.amountPaise) / 100),
+    donationId: plain.donationId,
+    eventId: plain.eventId,
+    eventTitle: plain.event ? plain.event.title : null,
+    occurredAt: plain.occurredAt,
+    memo: plain.memo,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+const AUDIT_RUN_INCLUDE = [
+  { model: User, as: 'triggeredBy', attributes: ['id', 'name', 'email'], required: false },
+  { model: User, as: 'organization', attributes: ['id', 'name'], required: false },
+];
+
+function auditRunToResponse(run, includeReport = false) {
+  const plain = run.get ? run.get({ plain: true }) : run;
+  const response = {
+    id: plain.id,
+    adminId: plain.adminId,
+    organizationName: plain.organization ? plain.organization.name : null,
+    repair: plain.repair,
+    status: plain.status,
+    triggeredBy: plain.triggeredBy
+      ? { id: plain.triggeredBy.id, name: plain.triggeredBy.name, email: plain.triggeredBy.email }
+      : null,
+    startedAt: plain.startedAt,
+    finishedAt: plain.finishedAt,
+    donationsChecked: plain.donationsChecked,
+    mismatchedDonations: plain.mismatchedDonations,
+    adjustmentsPosted: plain.adjustmentsPosted,
+    errorMessage: plain.errorMessage,
+  };
+  if (includeReport) {
+    response.report = plain.report || null;
+  }
+  return response;
+}
+
+/**
+ * Parse the organization an audit is scoped to (all organizations when absent).
+ * @returns {Promise<{invalid?: boolean, missing?: boolean, adminId: number|null}>}
+ */
+async function resolveAuditOrganization(value) {
+  if (value === undefined || value === null || value === '') return { adminId: null };
+  const adminId = parseId(value);
+  if (!adminId) return { invalid: true, adminId: null };
+  const admin = await User.findOne({ where: { id: adminId, role: ROLES.ADMIN }, attributes: ['id'] });
+  return admin ? { adminId } : { missing: true, adminId };
+}
+
+/**
+ * GET /api/admin/ledger
+ * The organization's ledger lines, latest first. Each journal (same journalKey) debits and
+ * credits equal amounts.
+ * Query: ?page=&limit=&account=&entryType=&donationId=&eventId=
+ */
+async function getLedgerEntries(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { adminId: req.user.id };
+    if (req.query.account) {
+      if (!LEDGER_ACCOUNT_LIST.includes(req.query.account)) {
+        return error(res, `account must be one of: ${LEDGER_ACCOUNT_LIST.join(', ')}.`, 422);
+      }
+      where.account = req.query.account;
+    }
+    if (req.query.entryType) {
+      if (!LEDGER_ENTRY_TYPE_LIST.includes(req.query.entryType)) {
+        return error(res, `entryType must be one of: ${LEDGER_ENTRY_TYPE_LIST.join(', ')}.`, 422);
+      }
+      where.entryType = req.query.entryType;
+    }
+    for (const key of ['donationId', 'eventId']) {
+      if (req.query[key]) {
+        const id = parseId(req.query[key]);
+        if (!id) {
+          return error(res, `${key} must be a positive integer.`, 422);
+        }
+        where[key] = id;
+      }
+    }
+
+    const { count, rows } = await LedgerEntry.findAndCountAll({
+      where,
+      include: [{ model: Event, as: 'event', attributes: ['id', 'title'] }],
+      order: [['occurredAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return success(res, {
+      entries: rows.map(entryToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/ledger/balance
+ * The organization's balances from the ledger: donations, refunds, fees and net, and where
+ * the money is (held at the gateway, transferred to the linked account, received offline).
+ */
+async function getLedgerBalance(req, res, next) {
+  try {
+    const balances = await getAccountBalances({ adminId: req.user.id });
+    const totals = summarizeBalances(balances);
+
+    return success(res, {
+      grossDonationRupees: toRupees(totals.gross),
+      refundedRupees: toRupees(totals.refunded),
+      gatewayFeeRupees: toRupees(totals.gatewayFee),
+      platformFeeRupees: toRupees(totals.platformFee),
+      netDonationRupees: toRupees(totals.net),
+      heldAtGatewayRupees: toRupees(totals.heldAtGateway),
+      transferredRupees: toRupees(totals.transferred),
+      receivedOfflineRupees: toRupees(totals.receivedOffline),
+      accounts: LEDGER_ACCOUNT_LIST.map((account) => ({
+        account,
+        debitBalanceRupees: toRupees((balances.get(account) || 0) / 100),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Start an audit for the organization in the body (all when omitted) and answer 202 with the
+ * run; its progress and report are read from GET /ledger/audit/:id.
+ */
+async function startAudit(req, res, repair) {
+  const { invalid, missing, adminId } = await resolveAuditOrganization(req.body?.adminId);
+  if (invalid) {
+    return error(res, 'Invalid admin ID.', 422);
+  }
+  if (missing) {
+    return error(res, 'Organization not found.', 404);
+  }
+
+  const run = await startLedgerAudit({ adminId, repair, triggeredById: req.user.id });
+  if (!run) {
+    return error(res, 'A ledger audit is already running. Try again shortly.', 409);
+  }
+  return success(res, { run: auditRunToResponse(run) }, 'Ledger audit started.', 202);
+}
+
+/**
+ * GET /api/super-admin/ledger/audit
+ * List ledger audit runs, newest first, without their reports. Query: ?page=1&limit=20
+ */
+async function getLedgerAudits(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const { count, rows } = await LedgerAuditRun.findAndCountAll({
+      attributes: { exclude: ['report'] },
+      include: AUDIT_RUN_INCLUDE,
+      order: [['started_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return success(res, {
+      runs: rows.map((r) => auditRunToResponse(r)),
+      running: isAuditRunning(),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/super-admin/ledger/audit/:id
+ * One audit run with its report once completed: account totals, mismatched donations, event
+ * raised amounts that drifted from the ledger and unbalanced journals. Amounts in paise.
+ */
+async function getLedgerAudit(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid audit run ID.', 422);
+    }
+
+    const run = await LedgerAuditRun.findByPk(id, { include: AUDIT_RUN_INCLUDE });
+    if (!run) {
+      return error(res, 'Ledger audit run not found.', 404);
+    }
+    return success(res, { run: auditRunToResponse(run, true) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/super-admin/ledger/audit
+ * Recompute the ledger from donations, refunds and settlement transfers and diff it against what
+ * was posted, without changing anything. Runs in the background.
+ * Body: { adminId? } (one organization; all when omitted)
+ */
+async function runLedgerAudit(req, res, next) {
+  try {
+    return await startAudit(req, res, false);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/super-admin/ledger/audit/repair
+ * Run the audit in the background and correct what it finds: each mismatched donation gets
+ * adjustment journals for the difference (entries are never edited) and drifted event raised
+ * amounts are re-derived.
+ * Body: { adminId? }
+ */
+async function repairLedger(req, res, next) {
+  try {
+    return await startAudit(req, res, true);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getLedgerEntries,
+  getLedgerBalance,
+  getLedgerAudits,
+  getLedgerAudit,
+  runLedgerAudit,
+  repairLedger,
+};
@@ -0,0 +1,330 @@
+'use strict';
+
+const { PaymentLink, Donation, Event } = require('../models');
+const { DONATION_STATUS } = require('../constants/donation');
+const { PAYMENT_GATEWAY, SANDBOX_PAYMENT_OUTCOME } = require('../constants/paymentGateway');
+const { success, error } = require('../utils/response');
+const { validatePaymentLink, validateLinkOrder } = require('../validators/paymentLinkValidator');
+const { validateVerifyDonation } = require('../validators/devoteeValidator');
+const { validateSandboxPayment } = require('../validators/donationValidator');
+const { simulatePayment } = require('../services/sandboxGatewayService');
+const { failDonation } = require('../services/donationService');
+const {
+  paymentLinkUrl,
+  createPaymentLink,
+  countLinkUses,
+  linkClosedReason,
+  findLinkByCode,
+  createLinkOrder,
+  verifyLinkPayment,
+  getLinkStats,
+} = require('../services/paymentLinkService');
+
+function linkToResponse(link, stats) {
+  const plain = link.get ? link.get({ plain: true }) : link;
+  return {
+    id: plain.id,
+    code: plain.code,
+    url: paymentLinkUrl(plain.code),
+    title: plain.title,
+    description: plain.description,
+    eventId: plain.eventId,
+    eventTitle: plain.event ? plain.event.title : null,
+    amountMode: plain.amountMode,
+    amount: plain.amount != null ? parseFloat(plain.amount) : null,
+    suggestedAmounts: plain.suggestedAmounts,
+    expiresAt: plain.expiresAt,
+    maxUses: plain.maxUses,
+    isActive: plain.isActive,
+    createdAt: plain.created_at || plain.createdAt,
+    ...(stats ? { stats } : {}),
+  };
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+const EVENT_INCLUDE = { model: Event, as: 'event', attributes: ['id', 'title', 'isActive'] };
+
+/**
+ * POST /api/admin/payment-links
+ * Create a shareable donation link. Anyone with it can pay without the app: they give their
+ * mobile, pay, and get a receipt like any other donation.
+ * Body: { title, description?, eventId?, amountMode? ('fixed' | 'suggested' | 'open'), amount?,
+ *   suggestedAmounts?, expiresAt?, maxUses? } - amounts in Rupees
+ */
+async function createLink(req, res, next) {
+  try {
+    const validation = validatePaymentLink(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const link = await createPaymentLink(req.user.id, validation.data, req.user.id);
+    await link.reload({ include: [EVENT_INCLUDE] });
+    return success(res, { link: linkToResponse(link) }, 'Payment link created.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/payment-links
+ * The organization's payment links, latest first, with opens, checkouts, payments, amount
+ * collected and conversion rate (payments per open, in %).
+ * Query: ?page=&limit=&active=true|false&eventId=
+ */
+async function getLinks(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { adminId: req.user.id };
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      where.isActive = req.query.active === 'true';
+    }
+    if (req.query.eventId) {
+      const eventId = parseId(req.query.eventId);
+      if (!eventId) {
+        return error(res, 'eventId must be a positive integer.', 422);
+      }
+      where.eventId = eventId;
+    }
+
+    const { count, rows } = await PaymentLink.findAndCountAll({
+      where,
+      include: [EVENT_INCLUDE],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+    const stats = await getLinkStats(rows);
+
+    return success(res, {
+      links: rows.map((link) => linkToResponse(link, stats.get(link.id))),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/payment-links/:id
+ * One payment link with its stats and whether it is taking payments right now.
+ */
+async function getLink(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid payment link ID.', 422);
+    }
+    const link = await PaymentLink.findOne({ where: { id, adminId: req.user.id }, include: [EVENT_INCLUDE] });
+    if (!link) {
+      return error(res, 'Payment link not found.', 404);
+    }
+    const [stats, uses] = await Promise.all([getLinkStats([link]), countLinkUses(link.id)]);
+    const closedReason = linkClosedReason(link, uses);
+
+    return success(res, {
+      link: {
+        ...linkToResponse(link, stats.get(link.id)),
+        open: !closedReason,
+        closedReason,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/payment-links/:id
+ * Rename, extend, cap or close a link. Amounts and event are fixed once shared.
+ * Body: { title?, description?, expiresAt?, maxUses?, isActive? } - null clears expiresAt / maxUses
+ */
+async function updateLink(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid payment link ID.', 422);
+    }
+    const validation = validatePaymentLink(req.body, { partial: true });
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const link = await PaymentLink.findOne({ where: { id, adminId: req.user.id } });
+    if (!link) {
+      return error(res, 'Payment link not found.', 404);
+    }
+    await link.update(validation.data);
+    await link.reload({ include: [EVENT_INCLUDE] });
+    return success(res, { link: linkToResponse(link) }, 'Payment link updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/links/:code
+ * Public page data of a payment link (no login). Each open counts as a view for conversion stats.
+ * 410 when the link is closed, expired or used up.
+ */
+async function getPublicLink(req, res, next) {
+  try {
+    const link = await findLinkByCode(req.params.code);
+    const uses = link.maxUses != null ? await countLinkUses(link.id) : 0;
+    const closedReason = linkClosedReason(link, uses);
+    if (closedReason) {
+      return error(res, closedReason, 410);
+    }
+    await link.increment('viewCount');
+
+    return success(res, {
+      code: link.code,
+      title: link.title,
+      description: link.description,
+      organizationId: link.organization.id,
+      organizationName: link.organization.name,
+      eventId: link.event ? link.event.id : null,
+      eventTitle: link.event ? link.event.title : null,
+      amountMode: link.amountMode,
+      amount: link.amount != null ? parseFloat(link.amount) : null,
+      suggestedAmounts: link.suggestedAmounts,
+      expiresAt: link.expiresAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/links/:code/create-order
+ * Start paying through a link (no login). The devotee is found by mobile or created once paid.
+ * Complete checkout on the client, then POST /links/:code/verify.
+ * Body: { mobile, name?, email?, city?, amount? (Rupees; ignored for fixed-amount links), dedication? }
+ */
+async function createLinkDonationOrder(req, res, next) {
+  try {
+    const validation = validateLinkOrder(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { link, donation, order, gateway } = await createLinkOrder(req.params.code, validation.data);
+
+    const payload = {
+      donationId: donation.id,
+      razorpayOrderId: order.orderId,
+      amount: order.amount,
+      amountRupees: parseFloat(donation.amount),
+      currency: order.currency,
+      keyId: order.keyId,
+      gateway,
+      organizationId: link.adminId,
+      organizationName: link.organization.name,
+      type: donation.donationType,
+    };
+    if (link.event) {
+      payload.eventId = link.event.id;
+      payload.eventTitle = link.event.title;
+    }
+    return success(res, payload, 'Order created. Complete payment on client.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/links/:code/verify
+ * Verify the payment made through a link and capture it (receipt number, event total, receipt).
+ * Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ */
+async function verifyLinkDonation(req, res, next) {
+  try {
+    const validation = validateVerifyDonation(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { donation, alreadyCaptured } = await verifyLinkPayment(req.params.code, validation.data);
+    return success(
+      res,
+      {
+        donationId: donation.id,
+        status: donation.status,
+        amount: parseFloat(donation.amount),
+        receiptNumber: donation.receiptNumber,
+        paymentMethod: donation.paymentMethod,
+        utr: donation.utr,
+        createdAt: donation.created_at || donation.createdAt,
+      },
+      alreadyCaptured ? 'Payment already verified.' : 'Payment verified. Thank you for your donation!'
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/links/:code/sandbox-pay/:donationId
+ * Simulate checkout for a pending sandbox donation made through a link (QA only).
+ * Body: { outcome?: 'captured' | 'authorized' | 'failed', method? }
+ */
+async function simulateLinkSandboxPayment(req, res, next) {
+  try {
+    const validation = validateSandboxPayment(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const id = parseId(req.params.donationId);
+    if (!id) {
+      return error(res, 'Invalid donation ID.', 422);
+    }
+
+    const link = await PaymentLink.findOne({ where: { code: String(req.params.code) }, attributes: ['id'] });
+    const donation = link
+      ? await Donation.findOne({ where: { id, paymentLinkId: link.id, gateway: PAYMENT_GATEWAY.SANDBOX } })
+      : null;
+    if (!donation) {
+      return error(res, 'Not found', 404);
+    }
+    if (donation.status !== DONATION_STATUS.PENDING && donation.status !== DONATION_STATUS.FAILED) {
+      return error(res, `Donation with status ${donation.status} cannot be paid.`, 400);
+    }
+
+    const { outcome, method } = validation.data;
+    const { payment, signature } = await simulatePayment(donation.razorpayOrderId, { outcome, method });
+    if (outcome === SANDBOX_PAYMENT_OUTCOME.FAILED) {
+      await failDonation(donation.id);
+    }
+
+    return success(
+      res,
+      {
+        donationId: donation.id,
+        outcome,
+        razorpay_order_id: donation.razorpayOrderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: signature,
+      },
+      outcome === SANDBOX_PAYMENT_OUTCOME.FAILED ? 'Sandbox payment declined.' : 'Sandbox payment completed. Verify to capture.',
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createLink,
+  getLinks,
+  getLink,
+  updateLink,
+  getPublicLink,
+  createLinkDonationOrder,
+  verifyLinkDonation,
+  simulateLinkSandboxPayment,
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const { PlatformFeeConfig, User } = require('../models');
+const { ROLES } = require('../constants/roles');
+const { success, error } = require('../utils/response');
+const { validatePlatformFee } = require('../validators/platformFeeValidator');
+const { getEffectiveFee } = require('../services/platformFeeService');
+
+function feeToResponse(config) {
+  const plain = config.get ? config.get({ plain: true }) : config;
+  return {
+    adminId: plain.adminId,
+    organization: plain.organization ? { id: plain.organization.id, name: plain.organization.name } : undefined,
+    percentage: parseFloat(plain.percentage).toFixed(2),
+    fixedAmountRupees: parseFloat(plain.fixedAmount).toFixed(2),
+    updatedById: plain.updatedById,
+    updatedAt: plain.updated_at || plain.updatedAt,
+  };
+}
+
+function effectiveToResponse(fee) {
+  return {
+    source: fee.source,
+    percentage: fee.percentage.toFixed(2),
+    fixedAmountRupees: fee.fixedAmount.toFixed(2),
+  };
+}
+
+async function findOrganization(id) {
+  const adminId = Number(id);
+  if (!Number.isInteger(adminId) || adminId <= 0) return { invalid: true };
+  const admin = await User.findOne({ where: { id: adminId, role: ROLES.ADMIN }, attributes: ['id', 'name'] });
+  return { admin };
+}
+
+/**
+ * GET /api/super-admin/fees
+ * Platform default fee and every organization override.
+ */
+async function getPlatformFees(req, res, next) {
+  try {
+    const rows = await PlatformFeeConfig.findAll({
+      include: [{ model: User, as: 'organization', attributes: ['id', 'name'], required: false }],
+      order: [['admin_id', 'ASC NULLS FIRST']],
+    });
+    const platform = rows.find((r) => r.adminId === null);
+
+    return success(res, {
+      default: platform ? feeToResponse(platform) : { adminId: null, percentage: '0.00', fixedAmountRupees: '0.00' },
+      overrides: rows.filter((r) => r.adminId !== null).map(feeToResponse),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/super-admin/fees/default
+ * Set the platform default fee, used by organizations without an override.
+ * Applies to donations captured from now on. Body: { percentage, fixedAmount }
+ */
+async function setDefaultFee(req, res, next) {
+  try {
+    const validation = validatePlatformFee(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const [config] = await PlatformFeeConfig.findOrCreate({
+      where: { adminId: null },
+      defaults: { adminId: null },
+    });
+    await config.update({ ...validation.data, updatedById: req.user.id });
+
+    return success(res, { fee: feeToResponse(config) }, 'Platform default fee updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/super-admin/admins/:id/fee
+ * Fee that applies to an organization and where it comes from (organization, platform or none).
+ */
+async function getOrganizationFee(req, res, next) {
+  try {
+    const { invalid, admin } = await findOrganization(req.params.id);
+    if (invalid) {
+      return error(res, 'Invalid admin ID.', 422);
+    }
+    if (!admin) {
+      return error(res, 'Organization not found.', 404);
+    }
+
+    const fee = await getEffectiveFee(admin.id);
+    return success(res, { adminId: admin.id, fee: effectiveToResponse(fee) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/super-admin/admins/:id/fee
+ * Set an organization's own fee, overriding the platform default. Body: { percentage, fixedAmount }
+ */
+async function setOrganizationFee(req, res, next) {
+  try {
+    const { invalid, admin } = await findOrganization(req.params.id);
+    if (invalid) {
+      return error(res, 'Invalid admin ID.', 422);
+    }
+    if (!admin) {
+      return error(res, 'Organization not found.', 404);
+    }
+
+    const validation = validatePlatformFee(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const [config] = await PlatformFeeConfig.findOrCreate({
+      where: { adminId: admin.id },
+      defaults: { adminId: admin.id },
+    });
+    await config.update({ ...validation.data, updatedById: req.user.id });
+
+    return success(res, { fee: feeToResponse(config) }, 'Organization fee updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/super-admin/admins/:id/fee
+ * Remove an organization's override so the platform default applies again.
+ */
+async function deleteOrganizationFee(req, res, next) {
+  try {
+    const { invalid, admin } = await findOrganization(req.params.id);
+    if (invalid) {
+      return error(res, 'Invalid admin ID.', 422);
+    }
+    if (!admin) {
+      return error(res, 'Organization not found.', 404);
+    }
+
+    await PlatformFeeConfig.destroy({ where: { adminId: admin.id } });
+    const fee = await getEffectiveFee(admin.id);
+    return success(res, { adminId: admin.id, fee: effectiveToResponse(fee) }, 'Organization fee override removed.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/fee
+ * Platform fee charged on the logged-in organization's online donations.
+ */
+async function getMyFee(req, res, next) {
+  try {
+    const fee = await getEffectiveFee(req.user.id);
+    return success(res, { fee: effectiveToResponse(fee) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getPlatformFees,
+  setDefaultFee,
+  getOrganizationFee,
+  setOrganizationFee,
+  deleteOrganizationFee,
+  getMyFee,
+};
@@ -0,0 +1,385 @@
+'use strict';
+
+const { User, Devotee, DevoteeFavorite, Donation, DonationPledge, Event, sequelize } = require('../models');
+const {
+  PLEDGE_STATUS,
+  PLEDGE_STATUS_LIST,
+  PLEDGE_STATUS_PAUSABLE,
+  PLEDGE_STATUS_TERMINAL,
+} = require('../constants/pledge');
+const { success, error } = require('../utils/response');
+const { PAYMENT_GATEWAY } = require('../constants/paymentGateway');
+const { getActiveGatewayName, getGateway } = require('../services/paymentGateway');
+const subscriptionMock = require('../services/razorpaySubscriptionMock');
+const { recordPledgeCharge } = require('../services/pledgeService');
+const { assertMayReceive } = require('../services/fcraService');
+const { validateCreatePledge, validateCancelPledge } = require('../validators/pledgeValidator');
+
+function pledgeToResponse(pledge) {
+  const plain = pledge.get ? pledge.get({ plain: true }) : pledge;
+  const ev = plain.event;
+  return {
+    id: plain.id,
+    devoteeId: plain.devoteeId,
+    organizationId: plain.adminId,
+    organization: plain.organization || undefined,
+    devotee: plain.Devotee
+      ? { id: plain.Devotee.id, mobile: plain.Devotee.mobile, name: plain.Devotee.name }
+      : undefined,
+    eventId: plain.eventId,
+    event: ev ? { id: ev.id, title: ev.title, eventType: ev.eventType } : null,
+    type: plain.donationType,
+    amountRupees: parseFloat(plain.amount).toFixed(2),
+    frequency: plain.frequency,
+    gateway: plain.gateway,
+    status: plain.status,
+    totalCount: plain.totalCount,
+    paidCount: plain.paidCount,
+    razorpaySubscriptionId: plain.razorpaySubscriptionId,
+    authorizationUrl: plain.authorizationUrl,
+    startAt: plain.startAt,
+    nextChargeAt: plain.nextChargeAt,
+    lastChargedAt: plain.lastChargedAt,
+    pausedAt: plain.pausedAt,
+    cancelledAt: plain.cancelledAt,
+    cancelReason: plain.cancelReason,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+async function findDevoteePledge(req) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return null;
+  return DonationPledge.findOne({
+    where: { id, devoteeId: req.devotee.id },
+    include: [
+      { model: User, as: 'organization', attributes: ['id', 'orgId', 'name'] },
+      { model: Event, as: 'event', attributes: ['id', 'title', 'eventType'], required: false },
+    ],
+  });
+}
+
+/**
+ * POST /api/devotee/pledges
+ * Create a monthly recurring pledge to a favorite organization (optionally an event).
+ * Returns the Razorpay subscription ID for checkout mandate authorization.
+ * Body: { adminId, amount, eventId?, type?, totalCount?, startDate? }
+ */
+async function createPledge(req, res, next) {
+  try {
+    const validation = validateCreatePledge(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { adminId, amountRupees, eventId, donationType, totalCount, startAt } = validation.data;
+    const devotee = req.devotee;
+
+    const amountPaise = Math.round(amountRupees * 100);
+    if (amountPaise < 100) {
+      return error(res, 'Minimum donation is ₹1.', 422);
+    }
+
+    const favorite = await DevoteeFavorite.findOne({
+      where: { devoteeId: devotee.id, adminId },
+    });
+    if (!favorite) {
+      return error(res, 'Organization must be one of your 5 favorites. Add it first.', 400);
+    }
+
+    const admin = await User.findByPk(adminId);
+    if (!admin || !admin.isActive) {
+      return error(res, 'Organization not found or inactive.', 400);
+    }
+    assertMayReceive(admin, devotee);
+
+    let event = null;
+    if (eventId) {
+      event = await Event.findOne({
+        where: { id: eventId, adminId, isActive: true },
+      });
+      if (!event) {
+        return error(res, 'Event not found or does not belong to this organization.', 400);
+      }
+    }
+
+    const resolvedType = donationType || (event && event.eventType === 'charity' ? 'charity' : 'donation');
+
+    const gatewayName = getActiveGatewayName();
+    const gateway = getGateway(gatewayName);
+    const plan = await gateway.createPlan(amountPaise, `Monthly donation to ${admin.name}`.slice(0, 100));
+    const subscription = await gateway.createSubscription(
+      plan.planId,
+      totalCount,
+      {
+        devoteeId: String(devotee.id),
+        adminId: String(adminId),
+        eventId: eventId ? String(eventId) : '',
+      },
+      startAt
+    );
+
+    const pledge = await DonationPledge.create({
+      devoteeId: devotee.id,
+      adminId,
+      eventId: eventId || null,
+      amount: amountRupees,
+      donationType: resolvedType,
+      status: PLEDGE_STATUS.CREATED,
+      totalCount,
+      gateway: gatewayName,
+      razorpayPlanId: plan.planId,
+      razorpaySubscriptionId: subscription.subscriptionId,
+      authorizationUrl: subscription.shortUrl,
+      startAt,
+    });
+
+    const response = pledgeToResponse(pledge);
+    response.organizationName = admin.name;
+    if (event) {
+      response.event = { id: event.id, title: event.title, eventType: event.eventType };
+    }
+
+    return success(
+      res,
+      { pledge: response, keyId: gateway.getKeyId(), gateway: gatewayName },
+      'Pledge created. Authorize the mandate on client to start.',
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/pledges
+ * List the devotee's recurring pledges. Query: ?status=active (optional)
+ */
+async function getMyPledges(req, res, next) {
+  try {
+    const where = { devoteeId: req.devotee.id };
+    if (req.query.status && PLEDGE_STATUS_LIST.includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const pledges = await DonationPledge.findAll({
+      where,
+      include: [
+        { model: User, as: 'organization', attributes: ['id', 'orgId', 'name', 'profileImage'] },
+        { model: Event, as: 'event', attributes: ['id', 'title', 'eventType'], required: false },
+      ],
+      order: [['created_at', 'DESC']],
+    });
+
+    const list = pledges.map(pledgeToResponse);
+    return success(res, { pledges: list, total: list.length });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/pledges/:id
+ * Get a pledge with the donations it has produced.
+ */
+async function getPledge(req, res, next) {
+  try {
+    const pledge = await findDevoteePledge(req);
+    if (!pledge) {
+      return error(res, 'Pledge not found.', 404);
+    }
+
+    const donations = await Donation.findAll({
+      where: { pledgeId: pledge.id },
+      attributes: ['id', 'amount', 'status', 'receiptNumber', 'razorpayPaymentId', 'created_at'],
+      order: sequelize.literal('"Donation"."created_at" DESC'),
+    });
+
+    return success(res, {
+      pledge: pledgeToResponse(pledge),
+      donations: donations.map((d) => {
+        const plain = d.get({ plain: true });
+        return {
+          id: plain.id,
+          amountRupees: parseFloat(plain.amount).toFixed(2),
+          status: plain.status,
+          receiptNumber: plain.receiptNumber || null,
+          razorpayPaymentId: plain.razorpayPaymentId,
+          createdAt: plain.created_at,
+        };
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/pledges/:id/pause
+ * Pause an active pledge. No charges are made while paused.
+ */
+async function pausePledge(req, res, next) {
+  try {
+    const pledge = await findDevoteePledge(req);
+    if (!pledge) {
+      return error(res, 'Pledge not found.', 404);
+    }
+    if (!PLEDGE_STATUS_PAUSABLE.includes(pledge.status)) {
+      return error(res, `Pledge with status ${pledge.status} cannot be paused.`, 400);
+    }
+
+    await getGateway(pledge.gateway).pauseSubscription(pledge.razorpaySubscriptionId);
+    await pledge.update({ status: PLEDGE_STATUS.PAUSED, pausedAt: new Date() });
+
+    return success(res, { pledge: pledgeToResponse(pledge) }, 'Pledge paused.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/pledges/:id/resume
+ * Resume a paused pledge.
+ */
+async function resumePledge(req, res, next) {
+  try {
+    const pledge = await findDevoteePledge(req);
+    if (!pledge) {
+      return error(res, 'Pledge not found.', 404);
+    }
+    if (pledge.status !== PLEDGE_STATUS.PAUSED) {
+      return error(res, 'Only paused pledges can be resumed.', 400);
+    }
+
+    await getGateway(pledge.gateway).resumeSubscription(pledge.razorpaySubscriptionId);
+    await pledge.update({ status: PLEDGE_STATUS.ACTIVE, pausedAt: null });
+
+    return success(res, { pledge: pledgeToResponse(pledge) }, 'Pledge resumed.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/pledges/:id/cancel
+ * Cancel a pledge immediately. Body: { reason? }
+ */
+async function cancelPledge(req, res, next) {
+  try {
+    const validation = validateCancelPledge(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const pledge = await findDevoteePledge(req);
+    if (!pledge) {
+      return error(res, 'Pledge not found.', 404);
+    }
+    if (PLEDGE_STATUS_TERMINAL.includes(pledge.status)) {
+      return error(res, `Pledge is already ${pledge.status}.`, 400);
+    }
+
+    if (pledge.razorpaySubscriptionId) {
+      await getGateway(pledge.gateway).cancelSubscription(pledge.razorpaySubscriptionId);
+    }
+    await pledge.update({
+      status: PLEDGE_STATUS.CANCELLED,
+      cancelledAt: new Date(),
+      cancelReason: validation.data.reason,
+    });
+
+    return success(res, { pledge: pledgeToResponse(pledge) }, 'Pledge cancelled.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/pledges/:id/mock-charge
+ * Simulate one subscription charge. Only available for sandbox pledges or with
+ * RAZORPAY_MOCK_SUBSCRIPTIONS=true.
+ */
+async function mockChargePledge(req, res, next) {
+  try {
+    const pledge = await findDevoteePledge(req);
+    if (!pledge || (pledge.gateway !== PAYMENT_GATEWAY.SANDBOX && !subscriptionMock.isEnabled())) {
+      return error(res, 'Not found', 404);
+    }
+    if (PLEDGE_STATUS_TERMINAL.includes(pledge.status) || pledge.status === PLEDGE_STATUS.PAUSED) {
+      return error(res, `Pledge with status ${pledge.status} cannot be charged.`, 400);
+    }
+
+    const { subscription, payment } = subscriptionMock.buildCharge(
+      pledge.razorpaySubscriptionId,
+      Math.round(Number(pledge.amount) * 100),
+      pledge.paidCount + 1
+    );
+    if (subscription.paid_count >= pledge.totalCount) {
+      subscription.status = PLEDGE_STATUS.COMPLETED;
+    }
+    const result = await recordPledgeCharge(subscription, payment);
+
+    return success(
+      res,
+      {
+        pledge: pledgeToResponse(result.pledge),
+        donationId: result.donation.id,
+        receiptNumber: result.donation.receiptNumber,
+      },
+      'Mock charge recorded.',
+      201
+    );
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/pledges
+ * List recurring pledges made to this organization. Query: ?status=active&page=1&limit=20
+ */
+async function getOrganizationPledges(req, res, next) {
+  try {
+    const adminId = req.user.id;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const offset = (page - 1) * limit;
+
+    const where = { adminId };
+    if (req.query.status && PLEDGE_STATUS_LIST.includes(req.query.status)) {
+      where.status = req.query.status;
+    }
+
+    const { count, rows } = await DonationPledge.findAndCountAll({
+      where,
+      include: [
+        { model: Devotee, attributes: ['id', 'mobile', 'name'] },
+        { model: Event, as: 'event', attributes: ['id', 'title', 'eventType'], required: false },
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset,
+      distinct: true,
+    });
+
+    return success(res, {
+      pledges: rows.map(pledgeToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  createPledge,
+  getMyPledges,
+  getPledge,
+  pausePledge,
+  resumePledge,
+  cancelPledge,
+  mockChargePledge,
+  getOrganizationPledges,
+};
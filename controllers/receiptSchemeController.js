@@ -0,0 +1,100 @@
+'use strict';
+
+const { ReceiptScheme } = require('../models');
+const { success, error } = require('../utils/response');
+const { validateReceiptScheme } = require('../validators/receiptSchemeValidator');
+const { previewNextReceiptNumbers } = require('../services/receiptService');
+
+function schemeToResponse(scheme) {
+  if (!scheme) return null;
+  const plain = scheme.get ? scheme.get({ plain: true }) : scheme;
+  return {
+    prefix: plain.prefix,
+    separator: plain.separator,
+    includeFinancialYear: plain.includeFinancialYear,
+    separateSeries: plain.separateSeries,
+    seriesCodes: plain.separateSeries ? plain.seriesCodes : null,
+    padding: plain.padding,
+    updatedAt: plain.updated_at || plain.updatedAt,
+  };
+}
+
+/**
+ * GET /api/admin/receipt-scheme
+ * The organization's receipt-number scheme (null for plain 10-digit numbers) and the next
+ * number of each series.
+ */
+async function getReceiptScheme(req, res, next) {
+  try {
+    const scheme = await ReceiptScheme.findOne({ where: { adminId: req.user.id } });
+    return success(res, {
+      scheme: schemeToResponse(scheme),
+      nextNumbers: await previewNextReceiptNumbers(req.user.id, scheme),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PUT /api/admin/receipt-scheme
+ * Set how receipt numbers issued from now on are formatted, e.g. SVT/2026-27/000123. Numbering
+ * restarts every April when the financial year is included. Receipts already issued keep their numbers.
+ * Body: { prefix?, separator? ('/' | '-'), includeFinancialYear?, separateSeries?,
+ *   seriesCodes? { donation, charity, seva, offline }, padding? }
+ * Query: ?preview=true to see the next numbers without saving
+ */
+async function updateReceiptScheme(req, res, next) {
+  try {
+    const validation = validateReceiptScheme(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const adminId = req.user.id;
+
+    if (req.query.preview === 'true') {
+      const proposed = ReceiptScheme.build({ ...validation.data, adminId });
+      return success(res, {
+        scheme: schemeToResponse(proposed),
+        nextNumbers: await previewNextReceiptNumbers(adminId, proposed),
+      });
+    }
+
+    const existing = await ReceiptScheme.findOne({ where: { adminId } });
+    const scheme = existing
+      ? await existing.update({ ...validation.data, updatedById: adminId })
+      : await ReceiptScheme.create({ ...validation.data, adminId, updatedById: adminId });
+
+    return success(res, {
+      scheme: schemeToResponse(scheme),
+      nextNumbers: await previewNextReceiptNumbers(adminId, scheme),
+    }, 'Receipt scheme saved. New receipts use it from now on.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * DELETE /api/admin/receipt-scheme
+ * Go back to plain 10-digit receipt numbers, continuing the organization's original series.
+ */
+async function deleteReceiptScheme(req, res, next) {
+  try {
+    const deleted = await ReceiptScheme.destroy({ where: { adminId: req.user.id } });
+    if (!deleted) {
+      return error(res, 'No receipt scheme is set.', 404);
+    }
+    return success(res, {
+      scheme: null,
+      nextNumbers: await previewNextReceiptNumbers(req.user.id, null),
+    }, 'Receipt scheme removed. New receipts use plain numbers.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getReceiptScheme,
+  updateReceiptScheme,
+  deleteReceiptScheme,
+};
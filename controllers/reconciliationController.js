@@ -0,0 +1,118 @@
+'use strict';
+
+const { ReconciliationRun, User } = require('../models');
+const { RECONCILIATION_TRIGGER } = require('../constants/reconciliation');
+const { success, error } = require('../utils/response');
+const {
+  getConfig,
+  reconcilePendingDonations,
+  isRunning,
+} = require('../services/reconciliationService');
+
+function runToResponse(run, includeDetails = false) {
+  const plain = run.get ? run.get({ plain: true }) : run;
+  const response = {
+    id: plain.id,
+    trigger: plain.trigger,
+    triggeredBy: plain.triggeredBy
+      ? { id: plain.triggeredBy.id, name: plain.triggeredBy.name, email: plain.triggeredBy.email }
+      : null,
+    startedAt: plain.startedAt,
+    finishedAt: plain.finishedAt,
+    minAgeMinutes: plain.minAgeMinutes,
+    ttlMinutes: plain.ttlMinutes,
+    scanned: plain.scannedCount,
+    captured: plain.capturedCount,
+    failed: plain.failedCount,
+    expired: plain.expiredCount,
+    stillPending: plain.pendingCount,
+    errors: plain.errorCount,
+    capturedAmountRupees: parseFloat(plain.capturedAmount || 0).toFixed(2),
+  };
+  if (includeDetails) {
+    response.details = plain.details || [];
+  }
+  return response;
+}
+
+/**
+ * GET /api/super-admin/reconciliation/runs
+ * List reconciliation run summaries, newest first. Query: ?page=1&limit=20
+ */
+async function getReconciliationRuns(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await ReconciliationRun.findAndCountAll({
+      attributes: { exclude: ['details'] },
+      include: [{ model: User, as: 'triggeredBy', attributes: ['id', 'name', 'email'], required: false }],
+      order: [['started_at', 'DESC']],
+      limit,
+      offset,
+    });
+
+    return success(res, {
+      runs: rows.map((r) => runToResponse(r)),
+      config: getConfig(),
+      running: isRunning(),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/super-admin/reconciliation/runs/:id
+ * Get one run with per-donation outcomes.
+ */
+async function getReconciliationRun(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id <= 0) {
+      return error(res, 'Invalid run ID.', 422);
+    }
+
+    const run = await ReconciliationRun.findByPk(id, {
+      include: [{ model: User, as: 'triggeredBy', attributes: ['id', 'name', 'email'], required: false }],
+    });
+    if (!run) {
+      return error(res, 'Reconciliation run not found.', 404);
+    }
+
+    return success(res, { run: runToResponse(run, true) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/super-admin/reconciliation/run
+ * Run the pending donation reconciler now and return its report.
+ */
+async function runReconciliation(req, res, next) {
+  try {
+    const run = await reconcilePendingDonations({
+      trigger: RECONCILIATION_TRIGGER.MANUAL,
+      triggeredById: req.user.id,
+    });
+    if (!run) {
+      return error(res, 'A reconciliation run is already in progress.', 409);
+    }
+
+    return success(res, { run: runToResponse(run, true) }, 'Reconciliation completed.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getReconciliationRuns,
+  getReconciliationRun,
+  runReconciliation,
+};
@@ -0,0 +1,300 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, Devotee, LinkedAccount, SettlementTransfer, User, sequelize } = require('../models');
+const { ROLES } = require('../constants/roles');
+const { TRANSFER_STATUS, TRANSFER_STATUS_LIST } = require('../constants/settlement');
+const { success, error } = require('../utils/response');
+const { isValidDateOnly, istDayRange } = require('../utils/date');
+const { validateCreateLinkedAccount } = require('../validators/settlementValidator');
+const {
+  createLinkedAccountForAdmin,
+  refreshLinkedAccount,
+  runSettlementSync,
+} = require('../services/settlementService');
+
+function linkedAccountToResponse(account) {
+  if (!account) return null;
+  const plain = account.get ? account.get({ plain: true }) : account;
+  return {
+    id: plain.id,
+    adminId: plain.adminId,
+    gateway: plain.gateway,
+    accountId: plain.accountId,
+    status: plain.status,
+    statusReason: plain.statusReason,
+    beneficiaryName: plain.beneficiaryName,
+    bankName: plain.bankName,
+    accountNumber: `XXXX${plain.accountNumberLast4}`,
+    ifscCode: plain.ifscCode,
+    activatedAt: plain.activatedAt,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function transferToResponse(transfer) {
+  const plain = transfer.get ? transfer.get({ plain: true }) : transfer;
+  const donation = plain.donation || {};
+  return {
+    id: plain.id,
+    donationId: plain.donationId,
+    receiptNumber: donation.receiptNumber || null,
+    devoteeName: donation.Devotee ? donation.Devotee.name : null,
+    donatedAt: donation.created_at || donation.createdAt || null,
+    organization: plain.organization ? { id: plain.organization.id, name: plain.organization.name } : undefined,
+    amount: parseFloat(plain.amount).toFixed(2),
+    reversedAmount: parseFloat(plain.reversedAmount || 0).toFixed(2),
+    netAmount: (parseFloat(plain.amount) - parseFloat(plain.reversedAmount || 0)).toFixed(2),
+    status: plain.status,
+    transferId: plain.transferId,
+    processedAt: plain.processedAt,
+    settlementId: plain.settlementId,
+    utr: plain.utr,
+    settledAt: plain.settledAt,
+    errorMessage: plain.errorMessage,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+/**
+ * Build the ledger where clause from ?status&from&to (YYYY-MM-DD, IST, on transfer creation).
+ * @returns {{ where: Object }|{ errors: string[] }}
+ */
+function ledgerWhere(query, base) {
+  const errors = [];
+  const where = { ...base };
+
+  if (query.status) {
+    if (!TRANSFER_STATUS_LIST.includes(query.status)) {
+      errors.push(`status must be one of: ${TRANSFER_STATUS_LIST.join(', ')}.`);
+    } else {
+      where.status = query.status;
+    }
+  }
+
+  const range = {};
+  if (query.from) {
+    if (!isValidDateOnly(query.from)) errors.push('from must be a date in YYYY-MM-DD format.');
+    else range[Op.gte] = istDayRange(query.from).start;
+  }
+  if (query.to) {
+    if (!isValidDateOnly(query.to)) errors.push('to must be a date in YYYY-MM-DD format.');
+    else range[Op.lt] = istDayRange(query.to).end;
+  }
+  if (Object.getOwnPropertySymbols(range).length > 0) {
+    where.created_at = range;
+  }
+
+  return errors.length > 0 ? { errors } : { where };
+}
+
+/**
+ * Net transferred amount (amount - reversed) per status, in Rupees.
+ */
+async function summarizeTransfers(where) {
+  const rows = await SettlementTransfer.findAll({
+    where,
+    attributes: [
+      'status',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
+      [sequelize.fn('SUM', sequelize.literal('"amount" - "reversed_amount"')), 'total'],
+    ],
+    group: ['status'],
+    raw: true,
+  });
+
+  const byStatus = {};
+  TRANSFER_STATUS_LIST.forEach((status) => {
+    byStatus[status] = { count: 0, amount: '0.00' };
+  });
+  rows.forEach((row) => {
+    byStatus[row.status] = { count: Number(row.count), amount: parseFloat(row.total || 0).toFixed(2) };
+  });
+
+  const sum = (statuses) => statuses
+    .reduce((acc, status) => acc + parseFloat(byStatus[status].amount), 0)
+    .toFixed(2);
+  return {
+    byStatus,
+    settledAmount: sum([TRANSFER_STATUS.SETTLED]),
+    inTransitAmount: sum([TRANSFER_STATUS.CREATED, TRANSFER_STATUS.PROCESSED]),
+    pendingAmount: sum([TRANSFER_STATUS.PENDING]),
+  };
+}
+
+async function listTransfers(req, where, includeOrganization) {
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+  const offset = (page - 1) * limit;
+
+  const include = [
+    {
+      model: Donation,
+      as: 'donation',
+      attributes: ['id', 'receiptNumber', 'created_at'],
+      include: [{ model: Devotee, attributes: ['id', 'name'], required: false }],
+    },
+  ];
+  if (includeOrganization) {
+    include.push({ model: User, as: 'organization', attributes: ['id', 'name'] });
+  }
+
+  const [{ count, rows }, summary] = await Promise.all([
+    SettlementTransfer.findAndCountAll({
+      where,
+      include,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset,
+    }),
+    summarizeTransfers(where),
+  ]);
+
+  return {
+    transfers: rows.map(transferToResponse),
+    summary,
+    total: count,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit),
+  };
+}
+
+/**
+ * GET /api/admin/settlements
+ * Settlement ledger for the logged-in organization: each transfer of a captured donation
+ * to its bank account, with status, payout UTR and date, plus totals by status.
+ * Query: ?status&from&to (YYYY-MM-DD)&page=1&limit=20
+ */
+async function getSettlementLedger(req, res, next) {
+  try {
+    const filter = ledgerWhere(req.query, { adminId: req.user.id });
+    if (filter.errors) {
+      return error(res, 'Validation failed', 422, filter.errors);
+    }
+
+    const account = await LinkedAccount.findOne({ where: { adminId: req.user.id } });
+    const data = await listTransfers(req, filter.where, false);
+    return success(res, { linkedAccount: linkedAccountToResponse(account), ...data });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/settlements/account
+ * Linked account status and the bank account donations are settled to.
+ */
+async function getMyLinkedAccount(req, res, next) {
+  try {
+    const account = await LinkedAccount.findOne({ where: { adminId: req.user.id } });
+    return success(res, { linkedAccount: linkedAccountToResponse(account) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/super-admin/admins/:id/linked-account
+ * Create the organization's linked account from its approved onboarding form.
+ * Body: { businessType, category?, subcategory?, address: { street1, street2?, city, state, postalCode } }
+ */
+async function createLinkedAccount(req, res, next) {
+  try {
+    const adminId = Number(req.params.id);
+    if (!Number.isInteger(adminId) || adminId <= 0) {
+      return error(res, 'Invalid admin ID.', 422);
+    }
+
+    const validation = validateCreateLinkedAccount(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const account = await createLinkedAccountForAdmin(adminId, validation.data, req.user.id);
+    return success(res, { linkedAccount: linkedAccountToResponse(account) }, 'Linked account created.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/super-admin/admins/:id/linked-account
+ * Get an organization's linked account. ?refresh=true re-reads the status from the gateway.
+ */
+async function getLinkedAccount(req, res, next) {
+  try {
+    const adminId = Number(req.params.id);
+    if (!Number.isInteger(adminId) || adminId <= 0) {
+      return error(res, 'Invalid admin ID.', 422);
+    }
+
+    let account = await LinkedAccount.findOne({ where: { adminId } });
+    if (!account) {
+      return error(res, 'Linked account not found.', 404);
+    }
+    if (req.query.refresh === 'true') {
+      account = await refreshLinkedAccount(account);
+    }
+
+    return success(res, { linkedAccount: linkedAccountToResponse(account) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/super-admin/settlements
+ * Settlement ledger across organizations. Query: ?adminId&status&from&to&page=1&limit=20
+ */
+async function getAllSettlements(req, res, next) {
+  try {
+    const base = {};
+    if (req.query.adminId) {
+      const adminId = Number(req.query.adminId);
+      if (!Number.isInteger(adminId) || adminId <= 0) {
+        return error(res, 'Invalid admin ID.', 422);
+      }
+      const admin = await User.findOne({ where: { id: adminId, role: ROLES.ADMIN }, attributes: ['id'] });
+      if (!admin) {
+        return error(res, 'Organization not found.', 404);
+      }
+      base.adminId = adminId;
+    }
+
+    const filter = ledgerWhere(req.query, base);
+    if (filter.errors) {
+      return error(res, 'Validation failed', 422, filter.errors);
+    }
+
+    const data = await listTransfers(req, filter.where, true);
+    return success(res, data);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/super-admin/settlements/sync
+ * Run the settlement job now: create missing transfers and fetch payout UTRs.
+ */
+async function syncSettlements(req, res, next) {
+  try {
+    const result = await runSettlementSync();
+    if (!result) {
+      return error(res, 'A settlement sync is already in progress.', 409);
+    }
+    return success(res, { result }, 'Settlement sync completed.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getSettlementLedger,
+  getMyLinkedAccount,
+  createLinkedAccount,
+  getLinkedAccount,
+  getAllSettlements,
+  syncSettlements,
+};
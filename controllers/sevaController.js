@@ -0,0 +1,511 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Seva, SevaSlot, SevaBooking, Donation, User } = require('../models');
+const { ROLES } = require('../constants/roles');
+const { SEVA_BOOKING_STATUS_LIST } = require('../constants/seva');
+const { success, error } = require('../utils/response');
+const { isValidDateOnly, toIstDateOnly } = require('../utils/date');
+const { toCsv } = require('../utils/csv');
+const { getActiveGatewayName, getGateway } = require('../services/paymentGateway');
+const {
+  validateSeva,
+  validateSevaSlots,
+  validateSevaSlotUpdate,
+  validateSevaBooking,
+} = require('../validators/sevaValidator');
+const {
+  slotStartsAt,
+  createSevaSlots,
+  updateSevaSlot,
+  findBookableSlot,
+  reserveSevaBooking,
+  getSevaManifest,
+} = require('../services/sevaService');
+const { assertMayReceive } = require('../services/fcraService');
+
+const DEFAULT_SLOT_WINDOW_DAYS = 30;
+const MAX_SLOT_WINDOW_DAYS = 92;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sevaToResponse(seva) {
+  const plain = seva.get ? seva.get({ plain: true }) : seva;
+  return {
+    id: plain.id,
+    name: plain.name,
+    description: plain.description,
+    priceRupees: parseFloat(plain.price).toFixed(2),
+    defaultCapacity: plain.defaultCapacity,
+    maxParticipants: plain.maxParticipants,
+    isActive: plain.isActive,
+  };
+}
+
+function slotToResponse(slot) {
+  const plain = slot.get ? slot.get({ plain: true }) : slot;
+  return {
+    id: plain.id,
+    sevaId: plain.sevaId,
+    date: plain.date,
+    startTime: plain.startTime,
+    capacity: plain.capacity,
+    bookedCount: plain.bookedCount,
+    available: Math.max(0, plain.capacity - plain.bookedCount),
+    isActive: plain.isActive,
+  };
+}
+
+function bookingToResponse(booking) {
+  const plain = booking.get ? booking.get({ plain: true }) : booking;
+  return {
+    id: plain.id,
+    status: plain.status,
+    participants: plain.participants,
+    notes: plain.notes,
+    seva: plain.seva ? { id: plain.seva.id, name: plain.seva.name } : undefined,
+    slot: plain.slot ? { id: plain.slot.id, date: plain.slot.date, startTime: plain.slot.startTime } : undefined,
+    organization: plain.organization ? { id: plain.organization.id, name: plain.organization.name } : undefined,
+    donationId: plain.donationId,
+    receiptNumber: plain.donation ? plain.donation.receiptNumber : undefined,
+    amountRupees: plain.donation ? parseFloat(plain.donation.amount).toFixed(2) : undefined,
+    confirmedAt: plain.confirmedAt,
+    createdAt: plain.created_at || plain.createdAt,
+  };
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * from / to (YYYY-MM-DD, IST, inclusive) for slot listings; from defaults to today and to to
+ * DEFAULT_SLOT_WINDOW_DAYS later. Returns null when invalid or wider than MAX_SLOT_WINDOW_DAYS.
+ */
+function parseSlotWindow(query) {
+  const from = query.from || toIstDateOnly();
+  const to = query.to || toIstDateOnly(new Date(new Date(`${from}T00:00:00+05:30`).getTime() + DEFAULT_SLOT_WINDOW_DAYS * DAY_MS));
+  if (!isValidDateOnly(from) || !isValidDateOnly(to)) return null;
+  const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS;
+  if (days < 0 || days > MAX_SLOT_WINDOW_DAYS) return null;
+  return { from, to };
+}
+
+/**
+ * GET /api/admin/sevas
+ * The organization's seva catalog. Query: ?active=true|false (optional)
+ */
+async function getSevas(req, res, next) {
+  try {
+    const where = { adminId: req.user.id };
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      where.isActive = req.query.active === 'true';
+    }
+    const sevas = await Seva.findAll({ where, order: [['name', 'ASC']] });
+    return success(res, { sevas: sevas.map(sevaToResponse) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/sevas
+ * Add a seva / pooja to the catalog.
+ * Body: { name, price (Rupees), description?, defaultCapacity?, maxParticipants? }
+ */
+async function createSeva(req, res, next) {
+  try {
+    const validation = validateSeva(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const existing = await Seva.findOne({ where: { adminId: req.user.id, name: validation.data.name } });
+    if (existing) {
+      return error(res, 'A seva with this name already exists.', 409);
+    }
+
+    const seva = await Seva.create({ ...validation.data, adminId: req.user.id });
+    return success(res, { seva: sevaToResponse(seva) }, 'Seva added to catalog.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/sevas/:id
+ * Update a seva. A new price applies to bookings made from now on.
+ * Body: { name?, price?, description?, defaultCapacity?, maxParticipants?, isActive? }
+ */
+async function updateSeva(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid seva ID.', 422);
+    }
+
+    const validation = validateSeva(req.body, { partial: true });
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const seva = await Seva.findOne({ where: { id, adminId: req.user.id } });
+    if (!seva) {
+      return error(res, 'Seva not found.', 404);
+    }
+    if (validation.data.name && validation.data.name !== seva.name) {
+      const existing = await Seva.findOne({
+        where: { adminId: req.user.id, name: validation.data.name, id: { [Op.ne]: seva.id } },
+      });
+      if (existing) {
+        return error(res, 'A seva with this name already exists.', 409);
+      }
+    }
+
+    await seva.update(validation.data);
+    return success(res, { seva: sevaToResponse(seva) }, 'Seva updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/sevas/:id/slots
+ * Generate the slot calendar: one slot per day and start time. Existing slots are skipped.
+ * Body: { from, to (YYYY-MM-DD, IST), times: ['06:00', '18:30'], weekdays?: [0-6], capacity? }
+ */
+async function createSlots(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid seva ID.', 422);
+    }
+
+    const validation = validateSevaSlots(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const seva = await Seva.findOne({ where: { id, adminId: req.user.id } });
+    if (!seva) {
+      return error(res, 'Seva not found.', 404);
+    }
+
+    const result = await createSevaSlots(seva, validation.data);
+    return success(res, result, `${result.created} slot(s) created.`, 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/sevas/:id/slots
+ * Slots of a seva with seats booked and left.
+ * Query: ?from=YYYY-MM-DD (default today)&to=YYYY-MM-DD (default 30 days later; at most 92 days)
+ */
+async function getSlots(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid seva ID.', 422);
+    }
+    const window = parseSlotWindow(req.query);
+    if (!window) {
+      return error(res, `from and to must be in YYYY-MM-DD format, at most ${MAX_SLOT_WINDOW_DAYS} days apart.`, 422);
+    }
+
+    const seva = await Seva.findOne({ where: { id, adminId: req.user.id } });
+    if (!seva) {
+      return error(res, 'Seva not found.', 404);
+    }
+
+    const slots = await SevaSlot.findAll({
+      where: { sevaId: seva.id, date: { [Op.between]: [window.from, window.to] } },
+      order: [['date', 'ASC'], ['startTime', 'ASC']],
+    });
+    return success(res, { seva: sevaToResponse(seva), ...window, slots: slots.map(slotToResponse) });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * PATCH /api/admin/seva-slots/:id
+ * Change a slot's capacity or close / reopen it. Closing keeps existing bookings.
+ * Body: { capacity?, isActive? }
+ */
+async function updateSlot(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid slot ID.', 422);
+    }
+
+    const validation = validateSevaSlotUpdate(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+
+    const slot = await updateSevaSlot(id, req.user.id, validation.data);
+    return success(res, { slot: slotToResponse(slot) }, 'Slot updated.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/seva-manifest
+ * Day's seva manifest: every slot in time order with its confirmed bookings and the names,
+ * gotra and nakshatra the seva is to be performed for.
+ * Query: ?date=YYYY-MM-DD (IST, default today)&sevaId=&format=json|csv
+ */
+async function getManifest(req, res, next) {
+  try {
+    const date = req.query.date || toIstDateOnly();
+    if (!isValidDateOnly(date)) {
+      return error(res, 'date must be in YYYY-MM-DD format.', 422);
+    }
+    let sevaId;
+    if (req.query.sevaId) {
+      sevaId = parseId(req.query.sevaId);
+      if (!sevaId) {
+        return error(res, 'sevaId must be a positive integer.', 422);
+      }
+    }
+
+    const slots = await getSevaManifest(req.user.id, date, { sevaId });
+
+    if (req.query.format === 'csv') {
+      const headers = ['Time', 'Seva', 'Booking ID', 'Receipt No.', 'Devotee', 'Mobile', 'Name', 'Gotra', 'Nakshatra', 'Notes'];
+      const rows = [];
+      for (const slot of slots) {
+        for (const booking of slot.bookings) {
+          for (const p of booking.participants || []) {
+            rows.push([
+              slot.startTime,
+              slot.seva ? slot.seva.name : '',
+              booking.id,
+              booking.donation ? booking.donation.receiptNumber : '',
+              booking.Devotee ? booking.Devotee.name : '',
+              booking.Devotee ? booking.Devotee.mobile : '',
+              p.name,
+              p.gotra || '',
+              p.nakshatra || '',
+              booking.notes || '',
+            ]);
+          }
+        }
+      }
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="seva-manifest-${date}.csv"`);
+      return res.send(toCsv(headers, rows));
+    }
+
+    return success(res, {
+      date,
+      slots: slots.map((slot) => ({
+        ...slotToResponse(slot),
+        seva: slot.seva ? { id: slot.seva.id, name: slot.seva.name } : null,
+        bookings: slot.bookings.map((booking) => ({
+          id: booking.id,
+          receiptNumber: booking.donation ? booking.donation.receiptNumber : null,
+          devotee: booking.Devotee
+            ? { id: booking.Devotee.id, mobile: booking.Devotee.mobile, name: booking.Devotee.name }
+            : null,
+          participants: booking.participants,
+          notes: booking.notes,
+        })),
+      })),
+      totalBookings: slots.reduce((sum, slot) => sum + slot.bookings.length, 0),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/organizations/:adminId/sevas
+ * Active sevas an organization offers for booking.
+ */
+async function getOrganizationSevas(req, res, next) {
+  try {
+    const adminId = parseId(req.params.adminId);
+    if (!adminId) {
+      return error(res, 'Invalid organization ID.', 422);
+    }
+
+    const admin = await User.findOne({
+      where: { id: adminId, role: ROLES.ADMIN, isActive: true },
+      attributes: ['id', 'orgId', 'name', 'organizationType', 'profileImage'],
+    });
+    if (!admin) {
+      return error(res, 'Organization not found.', 404);
+    }
+
+    const sevas = await Seva.findAll({ where: { adminId, isActive: true }, order: [['name', 'ASC']] });
+    return success(res, {
+      organization: admin.get({ plain: true }),
+      sevas: sevas.map(sevaToResponse),
+      total: sevas.length,
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/sevas/:id/slots
+ * Open slots of an active seva that have not started yet, with seats left.
+ * Query: ?from=YYYY-MM-DD (default today)&to=YYYY-MM-DD (default 30 days later)
+ */
+async function getAvailableSlots(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid seva ID.', 422);
+    }
+    const window = parseSlotWindow(req.query);
+    if (!window) {
+      return error(res, `from and to must be in YYYY-MM-DD format, at most ${MAX_SLOT_WINDOW_DAYS} days apart.`, 422);
+    }
+
+    const seva = await Seva.findOne({ where: { id, isActive: true } });
+    if (!seva) {
+      return error(res, 'Seva not found.', 404);
+    }
+
+    const now = new Date();
+    const slots = await SevaSlot.findAll({
+      where: { sevaId: seva.id, isActive: true, date: { [Op.between]: [window.from, window.to] } },
+      order: [['date', 'ASC'], ['startTime', 'ASC']],
+    });
+    return success(res, {
+      seva: sevaToResponse(seva),
+      ...window,
+      slots: slots.filter((s) => slotStartsAt(s) > now).map(slotToResponse),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/devotee/seva/book
+ * Book a seva slot: holds a seat and creates a gateway order for the seva price as a donation of
+ * type seva. Complete payment on client and verify with POST /api/devotee/donation/verify as for
+ * donations; the booking is confirmed on capture and the seat released if payment fails or expires.
+ * Body: { slotId, participants: [{ name, gotra?, nakshatra? }], notes? }
+ */
+async function bookSeva(req, res, next) {
+  try {
+    const validation = validateSevaBooking(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const { slotId, participants, notes } = validation.data;
+    const devotee = req.devotee;
+
+    const slot = await findBookableSlot(slotId);
+    const { seva } = slot;
+    if (participants.length > seva.maxParticipants) {
+      return error(res, `This seva allows at most ${seva.maxParticipants} participant(s) per booking.`, 422);
+    }
+    const admin = await User.findByPk(seva.adminId);
+    if (!admin || !admin.isActive || admin.role !== ROLES.ADMIN) {
+      return error(res, 'Organization not found or inactive.', 400);
+    }
+    const source = assertMayReceive(admin, devotee);
+
+    const gatewayName = getActiveGatewayName();
+    const order = await getGateway(gatewayName).createOrder(
+      Math.round(Number(seva.price) * 100),
+      `seva_${devotee.id}_${slot.id}_${Date.now()}`
+    );
+
+    const { donation, booking } = await reserveSevaBooking({
+      devoteeId: devotee.id,
+      slotId: slot.id,
+      participants,
+      notes,
+      gateway: gatewayName,
+      razorpayOrderId: order.orderId,
+      source,
+    });
+
+    return success(res, {
+      donationId: donation.id,
+      bookingId: booking.id,
+      holdExpiresAt: booking.holdExpiresAt,
+      razorpayOrderId: order.orderId,
+      amount: order.amount,
+      amountRupees: order.amount / 100,
+      currency: order.currency,
+      keyId: order.keyId,
+      gateway: gatewayName,
+      organizationId: admin.id,
+      organizationName: admin.name,
+      type: donation.donationType,
+      seva: { id: seva.id, name: seva.name },
+      slot: { id: slot.id, date: slot.date, startTime: slot.startTime },
+    }, 'Seat held. Complete payment on client.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/devotee/seva/bookings
+ * The devotee's seva bookings, newest first.
+ * Query: ?page=&limit=&status=pending|confirmed|expired|cancelled
+ */
+async function getMyBookings(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { devoteeId: req.devotee.id };
+    if (req.query.status) {
+      if (!SEVA_BOOKING_STATUS_LIST.includes(req.query.status)) {
+        return error(res, `status must be one of: ${SEVA_BOOKING_STATUS_LIST.join(', ')}.`, 422);
+      }
+      where.status = req.query.status;
+    }
+
+    const { count, rows } = await SevaBooking.findAndCountAll({
+      where,
+      include: [
+        { model: Seva, as: 'seva', attributes: ['id', 'name'] },
+        { model: SevaSlot, as: 'slot', attributes: ['id', 'date', 'startTime'] },
+        { model: User, as: 'organization', attributes: ['id', 'name'] },
+        { model: Donation, as: 'donation', attributes: ['id', 'receiptNumber', 'amount'] },
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return success(res, {
+      bookings: rows.map(bookingToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getSevas,
+  createSeva,
+  updateSeva,
+  createSlots,
+  getSlots,
+  updateSlot,
+  getManifest,
+  getOrganizationSevas,
+  getAvailableSlots,
+  bookSeva,
+  getMyBookings,
+};
@@ -1,7 +1,7 @@
 'use strict';
 
 const { Op } = require('sequelize');
-const { User, Support, SupportMessage, Devotee, Donation, sequelize } = require('../models');
+const { User, Support, SupportMessage, Devotee, sequelize } = require('../models');
 const { ROLES, ORGANIZATION_TYPES_LIST } = require('../constants/roles');
 const {
   ORGANIZATION_CATEGORIES,
@@ -21,6 +21,7 @@ const {
 } = require('../validators/authValidator');
 const { generateOtp, sendEmailOtp, generateRandomOtp } = require('../services/otpService');
 const { deleteFileFromS3 } = require('../middleware/upload');
+const { getLedgerTotals } = require('../services/ledgerService');
 
 /**
  * POST /api/super-admin/register
@@ -333,6 +334,10 @@ async function getAllAdmins(req, res, next) {
         'organizationSubtype',
         'panNumber',
         'registration80GNumber',
+        'fcraRegistrationNumber',
+        'fcraBankName',
+        'fcraAccountNumber',
+        'fcraIfsc',
         'isActive',
         'latitude',
         'longitude',
@@ -633,31 +638,14 @@ async function getDashboardStats(req, res, next) {
     const last90Days = new Date(today);
     last90Days.setDate(today.getDate() - 90);
 
-    const donationStats = await Donation.findAll({
-      attributes: [
-        [
-          sequelize.fn(
-            'SUM',
-            sequelize.literal(`CASE WHEN "created_at" >= '${last30Days.toISOString()}' THEN "amount" ELSE 0 END`)
-          ),
-          'last30Days',
-        ],
-        [
-          sequelize.fn(
-            'SUM',
-            sequelize.literal(`CASE WHEN "created_at" >= '${last90Days.toISOString()}' THEN "amount" ELSE 0 END`)
-          ),
-          'last90Days',
-        ],
-      ],
-      where: {
-        status: 'captured', // Using literal string or import constant if available. specific matching 'captured' status.
-      },
-      raw: true,
-    });
+    // From the ledger across organizations: donations received less refunds, before fees.
+    const [ledger30Days, ledger90Days] = await Promise.all([
+      getLedgerTotals(null, { start: last30Days }),
+      getLedgerTotals(null, { start: last90Days }),
+    ]);
 
-    const totalDonationsLast30Days = parseFloat(donationStats[0]?.last30Days || 0).toFixed(2);
-    const totalDonationsLast90Days = parseFloat(donationStats[0]?.last90Days || 0).toFixed(2);
+    const totalDonationsLast30Days = (ledger30Days.gross - ledger30Days.refunded).toFixed(2);
+    const totalDonationsLast90Days = (ledger90Days.gross - ledger90Days.refunded).toFixed(2);
 
     // 3. Total Support Tickets
     const totalSupportTickets = await Support.count();
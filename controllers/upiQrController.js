@@ -0,0 +1,296 @@
+'use strict';
+
+const { UpiQrCode, UpiQrCredit, Donation, Devotee, Event, User, sequelize } = require('../models');
+const { UPI_QR_CREDIT_STATUS, UPI_QR_CREDIT_STATUS_LIST } = require('../constants/upiQr');
+const { success, error } = require('../utils/response');
+const {
+  validateCreateUpiQr,
+  validateAssignUpiCredit,
+  validateSandboxUpiCredit,
+} = require('../validators/upiQrValidator');
+const {
+  createUpiQrCode,
+  closeUpiQrCode,
+  pollUpiQrCredits,
+  assignUpiCredit,
+  simulateSandboxUpiCredit,
+} = require('../services/upiQrService');
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function qrCodeToResponse(qrCode, totals) {
+  const plain = qrCode.get ? qrCode.get({ plain: true }) : qrCode;
+  return {
+    id: plain.id,
+    name: plain.name,
+    eventId: plain.eventId,
+    eventTitle: plain.event ? plain.event.title : null,
+    gateway: plain.gateway,
+    gatewayQrId: plain.gatewayQrId,
+    imageUrl: plain.imageUrl,
+    upiPayload: plain.upiPayload,
+    isActive: plain.isActive,
+    closedAt: plain.closedAt,
+    lastPolledAt: plain.lastPolledAt,
+    createdAt: plain.created_at || plain.createdAt,
+    ...(totals ? { totals } : {}),
+  };
+}
+
+function creditToResponse(credit) {
+  const plain = credit.get ? credit.get({ plain: true }) : credit;
+  return {
+    id: plain.id,
+    qrCodeId: plain.qrCodeId,
+    qrCodeName: plain.qrCode ? plain.qrCode.name : null,
+    eventId: plain.eventId,
+    eventTitle: plain.event ? plain.event.title : null,
+    amount: parseFloat(plain.amount),
+    paymentId: plain.paymentId,
+    payerVpa: plain.payerVpa,
+    payerContact: plain.payerContact,
+    utr: plain.utr,
+    creditedAt: plain.creditedAt,
+    status: plain.status,
+    donationId: plain.donationId,
+    receiptNumber: plain.donation ? plain.donation.receiptNumber : null,
+    devotee: plain.donation && plain.donation.Devotee
+      ? { id: plain.donation.Devotee.id, name: plain.donation.Devotee.name, mobile: plain.donation.Devotee.mobile }
+      : null,
+    assignedBy: plain.assignedBy ? plain.assignedBy.name : null,
+    assignedAt: plain.assignedAt,
+  };
+}
+
+const CREDIT_INCLUDE = [
+  { model: UpiQrCode, as: 'qrCode', attributes: ['id', 'name'] },
+  { model: Event, as: 'event', attributes: ['id', 'title'] },
+  {
+    model: Donation,
+    as: 'donation',
+    attributes: ['id', 'receiptNumber'],
+    include: [{ model: Devotee, attributes: ['id', 'name', 'mobile'] }],
+  },
+  { model: User, as: 'assignedBy', attributes: ['id', 'name'] },
+];
+
+async function findOwnQrCode(req) {
+  const id = parseId(req.params.id);
+  if (!id) return null;
+  return UpiQrCode.findOne({ where: { id, adminId: req.user.id } });
+}
+
+/**
+ * GET /api/admin/upi-qr
+ * The organization's static UPI QR codes, latest first, with credits received on each:
+ * how many, for how much, and how many still wait in the unmatched queue.
+ */
+async function getQrCodes(req, res, next) {
+  try {
+    const qrCodes = await UpiQrCode.findAll({
+      where: { adminId: req.user.id },
+      include: [{ model: Event, as: 'event', attributes: ['id', 'title'] }],
+      order: [['created_at', 'DESC']],
+    });
+
+    const rows = qrCodes.length
+      ? await UpiQrCredit.findAll({
+        where: { qrCodeId: qrCodes.map((q) => q.id) },
+        attributes: [
+          'qrCodeId',
+          [sequelize.fn('COUNT', sequelize.col('id')), 'credits'],
+          [sequelize.fn('SUM', sequelize.col('amount')), 'amount'],
+          [
+            sequelize.fn('SUM', sequelize.literal(
+              `CASE WHEN "status" = '${UPI_QR_CREDIT_STATUS.UNMATCHED}' THEN 1 ELSE 0 END`
+            )),
+            'unmatched',
+          ],
+        ],
+        group: ['qr_code_id'],
+        raw: true,
+      })
+      : [];
+    const byCode = new Map(rows.map((r) => [Number(r.qrCodeId), r]));
+
+    return success(res, {
+      qrCodes: qrCodes.map((qrCode) => {
+        const row = byCode.get(qrCode.id) || {};
+        return qrCodeToResponse(qrCode, {
+          credits: Number(row.credits || 0),
+          amount: Math.round(parseFloat(row.amount || 0) * 100) / 100,
+          unmatched: Number(row.unmatched || 0),
+        });
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/upi-qr
+ * Create the organization's static UPI QR code (or one for an event) to print at the counter.
+ * Devotees scan it and pay any amount; each credit becomes a donation with a receipt once the
+ * payer is known (by mobile, or a UPI ID assigned before), else it waits in the unmatched queue.
+ * Body: { eventId?, name?, description? }
+ */
+async function createQrCode(req, res, next) {
+  try {
+    const validation = validateCreateUpiQr(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const qrCode = await createUpiQrCode(req.user, validation.data, req.user.id);
+    await qrCode.reload({ include: [{ model: Event, as: 'event', attributes: ['id', 'title'] }] });
+    return success(res, { qrCode: qrCodeToResponse(qrCode) }, 'UPI QR code created.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/upi-qr/:id/close
+ * Stop accepting payments on a QR code (e.g. the event is over). Credits received stay.
+ */
+async function closeQrCode(req, res, next) {
+  try {
+    const qrCode = await findOwnQrCode(req);
+    if (!qrCode) {
+      return error(res, 'UPI QR code not found.', 404);
+    }
+    await closeUpiQrCode(qrCode);
+    return success(res, { qrCode: qrCodeToResponse(qrCode) }, 'UPI QR code closed.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/upi-qr/poll
+ * Fetch credits on the organization's QR codes from the gateway now, instead of waiting for the
+ * scheduled poll (e.g. a devotee paid but no donation shows up).
+ */
+async function pollQrCodes(req, res, next) {
+  try {
+    const summary = await pollUpiQrCredits({ adminId: req.user.id });
+    if (!summary) {
+      return error(res, 'A poll is already running. Try again shortly.', 409);
+    }
+    return success(res, summary, `${summary.credits} new credit(s) found.`);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/upi-qr/:id/sandbox-credit
+ * Simulate a devotee paying on a sandbox QR code (QA only; 404 for other gateways).
+ * Body: { amount (Rupees), vpa?, contact? } - leave contact out to see it queued as unmatched
+ */
+async function simulateSandboxCredit(req, res, next) {
+  try {
+    const validation = validateSandboxUpiCredit(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const qrCode = await findOwnQrCode(req);
+    if (!qrCode) {
+      return error(res, 'Not found', 404);
+    }
+    const credit = await simulateSandboxUpiCredit(qrCode, validation.data);
+    await credit.reload({ include: CREDIT_INCLUDE });
+    return success(res, { credit: creditToResponse(credit) }, 'Sandbox UPI payment received.', 201);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * GET /api/admin/upi-qr/credits
+ * Payments received on the organization's QR codes, latest first. status=unmatched is the queue
+ * of credits waiting for a devotee to be assigned.
+ * Query: ?page=&limit=&status=matched|unmatched|assigned&qrCodeId=
+ */
+async function getCredits(req, res, next) {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const where = { adminId: req.user.id };
+    if (req.query.status) {
+      if (!UPI_QR_CREDIT_STATUS_LIST.includes(req.query.status)) {
+        return error(res, `status must be one of: ${UPI_QR_CREDIT_STATUS_LIST.join(', ')}.`, 422);
+      }
+      where.status = req.query.status;
+    }
+    if (req.query.qrCodeId) {
+      const qrCodeId = parseId(req.query.qrCodeId);
+      if (!qrCodeId) {
+        return error(res, 'qrCodeId must be a positive integer.', 422);
+      }
+      where.qrCodeId = qrCodeId;
+    }
+
+    const { count, rows } = await UpiQrCredit.findAndCountAll({
+      where,
+      include: CREDIT_INCLUDE,
+      order: [['creditedAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    });
+
+    return success(res, {
+      credits: rows.map(creditToResponse),
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * POST /api/admin/upi-qr/credits/:id/assign
+ * Assign an unmatched credit to the devotee who paid (found by mobile or created). The donation
+ * is recorded with a receipt, and later credits from the same UPI ID match automatically.
+ * Body: { mobile, name?, email?, city? }
+ */
+async function assignCredit(req, res, next) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return error(res, 'Invalid credit ID.', 422);
+    }
+    const validation = validateAssignUpiCredit(req.body);
+    if (!validation.valid) {
+      return error(res, 'Validation failed', 422, validation.errors);
+    }
+    const credit = await UpiQrCredit.findOne({ where: { id, adminId: req.user.id } });
+    if (!credit) {
+      return error(res, 'Credit not found.', 404);
+    }
+
+    await assignUpiCredit(credit, validation.data.devotee, req.user.id);
+    await credit.reload({ include: CREDIT_INCLUDE });
+    return success(res, { credit: creditToResponse(credit) }, 'Credit assigned and donation recorded.');
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  getQrCodes,
+  createQrCode,
+  closeQrCode,
+  pollQrCodes,
+  simulateSandboxCredit,
+  getCredits,
+  assignCredit,
+};
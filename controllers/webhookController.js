@@ -0,0 +1,291 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, WebhookEvent, sequelize } = require('../models');
+const { RAZORPAY_WEBHOOK_EVENTS, WEBHOOK_STATUS, WEBHOOK_STALE_MINUTES } = require('../constants/webhook');
+const { success, error } = require('../utils/response');
+const { verifyWebhookSignature } = require('../services/razorpayService');
+const {
+  captureDonation,
+  failDonation,
+  extractPaymentDetails,
+  syncGatewayRefund,
+} = require('../services/donationService');
+const { recordPledgeCharge, syncPledgeFromSubscription } = require('../services/pledgeService');
+const { applyGatewayTransfer, applyGatewayAccountStatus } = require('../services/settlementService');
+const { applyQrCodeCredited } = require('../services/upiQrService');
+
+function getEntity(body, key) {
+  return body && body.payload && body.payload[key] ? body.payload[key].entity : null;
+}
+
+/**
+ * payment.captured / order.paid: capture the donation for the payment's order.
+ */
+async function applyPaymentCaptured(body) {
+  const payment = getEntity(body, 'payment');
+  const order = getEntity(body, 'order');
+  const orderId = (payment && payment.order_id) || (order && order.id);
+  if (!orderId) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No order ID in payload.' };
+  }
+
+  const donation = await Donation.findOne({ where: { razorpayOrderId: orderId } });
+  if (!donation) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No donation for this order.' };
+  }
+
+  const captured = await captureDonation(donation.id, extractPaymentDetails(payment));
+  return {
+    status: WEBHOOK_STATUS.PROCESSED,
+    donationId: donation.id,
+    message: captured ? 'Donation captured.' : 'Donation already captured.',
+  };
+}
+
+/**
+ * payment.failed: mark a still-pending donation as failed.
+ */
+async function applyPaymentFailed(body) {
+  const payment = getEntity(body, 'payment');
+  if (!payment || !payment.order_id) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No order ID in payload.' };
+  }
+
+  const donation = await Donation.findOne({ where: { razorpayOrderId: payment.order_id } });
+  if (!donation) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No donation for this order.' };
+  }
+
+  const failed = await failDonation(donation.id);
+  return {
+    status: WEBHOOK_STATUS.PROCESSED,
+    donationId: donation.id,
+    message: failed ? 'Donation marked failed.' : 'Donation not pending; left unchanged.',
+  };
+}
+
+/**
+ * refund.*: apply or update the refund on its donation (see syncGatewayRefund).
+ */
+async function applyRefundEvent(body) {
+  const refund = getEntity(body, 'refund');
+  if (!refund || !refund.id || !refund.payment_id) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No refund in payload.' };
+  }
+
+  const result = await syncGatewayRefund(refund);
+  if (!result.donationId) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No donation for this refund.' };
+  }
+  return {
+    status: WEBHOOK_STATUS.PROCESSED,
+    donationId: result.donationId,
+    message: result.applied ? 'Refund applied.' : 'Refund already up to date.',
+  };
+}
+
+/**
+ * subscription.charged: record the charge as a captured donation on the pledge.
+ */
+async function applySubscriptionCharged(body) {
+  const subscription = getEntity(body, 'subscription');
+  const payment = getEntity(body, 'payment');
+  if (!subscription || !payment) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No subscription or payment in payload.' };
+  }
+
+  const result = await recordPledgeCharge(subscription, payment);
+  if (!result) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No pledge for this subscription.' };
+  }
+  return {
+    status: WEBHOOK_STATUS.PROCESSED,
+    donationId: result.donation.id,
+    message: result.created ? 'Pledge charge recorded.' : 'Pledge charge already recorded.',
+  };
+}
+
+/**
+ * subscription.* lifecycle events: sync the pledge status.
+ */
+async function applySubscriptionStatus(body) {
+  const subscription = getEntity(body, 'subscription');
+  if (!subscription || !subscription.id) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No subscription in payload.' };
+  }
+
+  const pledge = await syncPledgeFromSubscription(subscription);
+  if (!pledge) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No pledge for this subscription.' };
+  }
+  return { status: WEBHOOK_STATUS.PROCESSED, message: `Pledge ${pledge.status}.` };
+}
+
+/**
+ * transfer.processed / transfer.failed: update the settlement ledger entry.
+ * The UTR arrives later with the linked account settlement and is picked up by the settlement sync.
+ */
+async function applyTransferEvent(body) {
+  const transfer = getEntity(body, 'transfer');
+  if (!transfer || !transfer.id) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No transfer in payload.' };
+  }
+
+  const entry = await applyGatewayTransfer(transfer);
+  if (!entry) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No settlement transfer for this transfer.' };
+  }
+  return { status: WEBHOOK_STATUS.PROCESSED, donationId: entry.donationId, message: `Transfer ${entry.status}.` };
+}
+
+/**
+ * product.route.*: sync the linked account activation status.
+ */
+async function applyRouteAccountStatus(body) {
+  const product = getEntity(body, 'merchant_product');
+  if (!product || !product.id) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No product in payload.' };
+  }
+
+  const account = await applyGatewayAccountStatus(product, body.account_id || null);
+  if (!account) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No linked account for this product.' };
+  }
+  return { status: WEBHOOK_STATUS.PROCESSED, message: `Linked account ${account.status}.` };
+}
+
+/**
+ * qr_code.credited: a payment on an organization's static UPI QR code. Becomes a donation when
+ * the payer is known, else waits in the organization's unmatched queue.
+ */
+async function applyQrCredit(body) {
+  const qrCode = getEntity(body, 'qr_code');
+  const payment = getEntity(body, 'payment');
+  if (!qrCode || !qrCode.id || !payment) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No QR code or payment in payload.' };
+  }
+
+  const credit = await applyQrCodeCredited(qrCode, payment);
+  if (!credit) {
+    return { status: WEBHOOK_STATUS.IGNORED, message: 'No UPI QR code for this credit.' };
+  }
+  return {
+    status: WEBHOOK_STATUS.PROCESSED,
+    donationId: credit.donationId,
+    message: credit.donationId ? 'QR credit recorded as a donation.' : 'QR credit queued for assignment.',
+  };
+}
+
+const HANDLERS = {
+  [RAZORPAY_WEBHOOK_EVENTS.PAYMENT_CAPTURED]: applyPaymentCaptured,
+  [RAZORPAY_WEBHOOK_EVENTS.ORDER_PAID]: applyPaymentCaptured,
+  [RAZORPAY_WEBHOOK_EVENTS.PAYMENT_FAILED]: applyPaymentFailed,
+  [RAZORPAY_WEBHOOK_EVENTS.REFUND_CREATED]: applyRefundEvent,
+  [RAZORPAY_WEBHOOK_EVENTS.REFUND_PROCESSED]: applyRefundEvent,
+  [RAZORPAY_WEBHOOK_EVENTS.REFUND_FAILED]: applyRefundEvent,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_CHARGED]: applySubscriptionCharged,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_AUTHENTICATED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_ACTIVATED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_PENDING]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_HALTED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_PAUSED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_RESUMED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_CANCELLED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.SUBSCRIPTION_COMPLETED]: applySubscriptionStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.TRANSFER_PROCESSED]: applyTransferEvent,
+  [RAZORPAY_WEBHOOK_EVENTS.TRANSFER_FAILED]: applyTransferEvent,
+  [RAZORPAY_WEBHOOK_EVENTS.ROUTE_ACCOUNT_UNDER_REVIEW]: applyRouteAccountStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.ROUTE_ACCOUNT_NEEDS_CLARIFICATION]: applyRouteAccountStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.ROUTE_ACCOUNT_ACTIVATED]: applyRouteAccountStatus,
+  [RAZORPAY_WEBHOOK_EVENTS.QR_CODE_CREDITED]: applyQrCredit,
+};
+
+/**
+ * Claim a stored delivery for processing again: a failed one, or one left received for over
+ * WEBHOOK_STALE_MINUTES. The status update is conditional, so only one redelivery wins.
+ * @returns {Promise<boolean>} true if this request should process it
+ */
+async function claimRedelivery(record) {
+  const staleBefore = new Date(Date.now() - WEBHOOK_STALE_MINUTES * 60 * 1000);
+  const [claimed] = await WebhookEvent.update(
+    { status: WEBHOOK_STATUS.RECEIVED, attempts: sequelize.literal('"attempts" + 1') },
+    {
+      where: {
+        id: record.id,
+        [Op.or]: [
+          { status: WEBHOOK_STATUS.FAILED },
+          {
+            status: WEBHOOK_STATUS.RECEIVED,
+            [Op.and]: [sequelize.where(sequelize.col('updated_at'), Op.lt, staleBefore)],
+          },
+        ],
+      },
+    }
+  );
+  if (claimed === 0) return false;
+  await record.reload();
+  return true;
+}
+
+/**
+ * POST /api/webhooks/razorpay
+ * Razorpay webhook receiver. Verifies X-Razorpay-Signature against the raw body,
+ * stores each delivery by x-razorpay-event-id and applies it at most once; a delivery that
+ * failed or was abandoned mid-processing is applied again when redelivered.
+ * Responds 5xx on processing errors so Razorpay retries the delivery.
+ */
+async function handleRazorpayWebhook(req, res, next) {
+  let record = null;
+  try {
+    const signature = req.headers['x-razorpay-signature'];
+    if (!verifyWebhookSignature(req.rawBody, signature)) {
+      return error(res, 'Invalid webhook signature.', 400);
+    }
+
+    const body = req.body || {};
+    const eventType = body.event;
+    if (!eventType || typeof eventType !== 'string') {
+      return error(res, 'Invalid webhook payload.', 422);
+    }
+
+    const entity = getEntity(body, 'refund') || getEntity(body, 'payment') || getEntity(body, 'subscription')
+      || getEntity(body, 'transfer') || getEntity(body, 'merchant_product');
+    const eventId = req.headers['x-razorpay-event-id']
+      || `${eventType}:${entity ? entity.id : 'na'}:${body.created_at || ''}`;
+
+    const [stored, created] = await WebhookEvent.findOrCreate({
+      where: { provider: 'razorpay', eventId },
+      defaults: { provider: 'razorpay', eventId, eventType, payload: body },
+    });
+    record = stored;
+
+    if (!created && !await claimRedelivery(record)) {
+      return success(res, { status: record.status }, 'Webhook already received.');
+    }
+
+    const handler = HANDLERS[eventType];
+    const result = handler
+      ? await handler(body)
+      : { status: WEBHOOK_STATUS.IGNORED, message: 'Event type not handled.' };
+
+    await record.update({
+      status: result.status,
+      donationId: result.donationId || null,
+      errorMessage: null,
+    });
+
+    return success(res, { status: result.status }, result.message);
+  } catch (err) {
+    if (record) {
+      await record
+        .update({ status: WEBHOOK_STATUS.FAILED, errorMessage: err.message })
+        .catch(() => {});
+    }
+    next(err);
+  }
+}
+
+module.exports = {
+  handleRazorpayWebhook,
+};
@@ -235,6 +235,36 @@ const uploadOnboardingDocs = (req, res, next) => {
   });
 };
 
+/** CSV registers are parsed in memory and never stored. */
+const uploadCsvFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv = path.extname(file.originalname).toLowerCase() === '.csv'
+      || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Upload a .csv file.'), false);
+    }
+  },
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB
+}).single('file');
+
+const uploadCsv = (req, res, next) => {
+  uploadCsvFile(req, res, function (err) {
+    if (err instanceof multer.MulterError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload failed.',
+      });
+    }
+    next();
+  });
+};
+
 module.exports = {
   uploadImage,
   optionalUploadImage,
@@ -242,5 +272,6 @@ module.exports = {
   optionalUploadProfileImage,
   optionalUploadDevoteeDetailsFiles,
   uploadOnboardingDocs,
+  uploadCsv,
   deleteFileFromS3,
 };
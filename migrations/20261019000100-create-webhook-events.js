@@ -0,0 +1,76 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.map(String).includes('webhook_events')) {
+      await queryInterface.createTable('webhook_events', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        provider: {
+          type: Sequelize.STRING(50),
+          allowNull: false,
+          defaultValue: 'razorpay',
+        },
+        event_id: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        event_type: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        donation_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'donations', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'received',
+        },
+        payload: {
+          type: Sequelize.JSON,
+          allowNull: true,
+        },
+        error_message: {
+          type: Sequelize.TEXT,
+          allowNull: true,
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+
+      await queryInterface.addIndex('webhook_events', ['provider', 'event_id'], {
+        unique: true,
+        name: 'webhook_events_provider_event_id_unique',
+      });
+      await queryInterface.addIndex('webhook_events', ['event_type']);
+      await queryInterface.addIndex('webhook_events', ['donation_id']);
+      await queryInterface.addIndex('webhook_events', ['status']);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('webhook_events');
+  },
+};
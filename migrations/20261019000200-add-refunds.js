@@ -0,0 +1,116 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // 1) Refund / receipt cancellation columns on donations
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.refunded_amount) {
+      await queryInterface.addColumn('donations', 'refunded_amount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+    if (!cols.receipt_cancelled) {
+      await queryInterface.addColumn('donations', 'receipt_cancelled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+    }
+    if (!cols.receipt_cancelled_at) {
+      await queryInterface.addColumn('donations', 'receipt_cancelled_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+    if (!cols.receipt_cancellation_reason) {
+      await queryInterface.addColumn('donations', 'receipt_cancellation_reason', {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      });
+    }
+
+    // 2) donation_refunds table
+    const tables = await queryInterface.showAllTables();
+    if (!tables.map(String).includes('donation_refunds')) {
+      await queryInterface.createTable('donation_refunds', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        donation_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'donations', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        razorpay_refund_id: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+        },
+        reason: {
+          type: Sequelize.STRING(500),
+          allowNull: false,
+        },
+        refunded_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+
+      await queryInterface.addIndex('donation_refunds', ['donation_id']);
+      await queryInterface.addIndex('donation_refunds', ['admin_id']);
+      await queryInterface.addIndex('donation_refunds', ['razorpay_refund_id'], {
+        unique: true,
+        name: 'donation_refunds_razorpay_refund_id_unique',
+      });
+      await queryInterface.addIndex('donation_refunds', ['status']);
+    }
+  },
+
+  async down(queryInterface) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.map(String).includes('donation_refunds')) {
+      await queryInterface.dropTable('donation_refunds');
+    }
+
+    const cols = await queryInterface.describeTable('donations');
+    for (const col of ['refunded_amount', 'receipt_cancelled', 'receipt_cancelled_at', 'receipt_cancellation_reason']) {
+      if (cols[col]) {
+        await queryInterface.removeColumn('donations', col);
+      }
+    }
+  },
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.map(String).includes('donation_pledges')) {
+      await queryInterface.createTable('donation_pledges', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        devotee_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'devotees', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'events', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+        },
+        frequency: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'monthly',
+        },
+        donation_type: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'donation',
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'created',
+        },
+        total_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        paid_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        razorpay_plan_id: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+        },
+        razorpay_subscription_id: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+        },
+        authorization_url: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        start_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        next_charge_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        last_charged_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        paused_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        cancelled_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        cancel_reason: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+
+      await queryInterface.addIndex('donation_pledges', ['devotee_id']);
+      await queryInterface.addIndex('donation_pledges', ['admin_id']);
+      await queryInterface.addIndex('donation_pledges', ['event_id']);
+      await queryInterface.addIndex('donation_pledges', ['status']);
+      await queryInterface.addIndex('donation_pledges', ['razorpay_subscription_id'], {
+        unique: true,
+        name: 'donation_pledges_razorpay_subscription_id_unique',
+      });
+    }
+
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.pledge_id) {
+      await queryInterface.addColumn('donations', 'pledge_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'donation_pledges', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      });
+      await queryInterface.addIndex('donations', ['pledge_id']);
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    if (cols.pledge_id) {
+      await queryInterface.removeColumn('donations', 'pledge_id');
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.map(String).includes('donation_pledges')) {
+      await queryInterface.dropTable('donation_pledges');
+    }
+  },
+};
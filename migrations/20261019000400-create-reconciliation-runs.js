@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.map(String).includes('reconciliation_runs')) return;
+
+    const counter = () => ({
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.createTable('reconciliation_runs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      trigger: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'scheduled',
+      },
+      triggered_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      min_age_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      ttl_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+      },
+      scanned_count: counter(),
+      captured_count: counter(),
+      failed_count: counter(),
+      expired_count: counter(),
+      pending_count: counter(),
+      error_count: counter(),
+      captured_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      details: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+
+    await queryInterface.addIndex('reconciliation_runs', ['started_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('reconciliation_runs');
+  },
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const donationCols = await queryInterface.describeTable('donations');
+    if (!donationCols.gateway) {
+      await queryInterface.addColumn('donations', 'gateway', {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      });
+      // Every gateway donation so far went through Razorpay.
+      await queryInterface.sequelize.query(
+        "UPDATE donations SET gateway = 'razorpay' WHERE razorpay_order_id IS NOT NULL OR pledge_id IS NOT NULL"
+      );
+    }
+
+    const pledgeCols = await queryInterface.describeTable('donation_pledges');
+    if (!pledgeCols.gateway) {
+      await queryInterface.addColumn('donation_pledges', 'gateway', {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'razorpay',
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const donationCols = await queryInterface.describeTable('donations');
+    if (donationCols.gateway) {
+      await queryInterface.removeColumn('donations', 'gateway');
+    }
+    const pledgeCols = await queryInterface.describeTable('donation_pledges');
+    if (pledgeCols.gateway) {
+      await queryInterface.removeColumn('donation_pledges', 'gateway');
+    }
+  },
+};
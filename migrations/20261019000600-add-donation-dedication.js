@@ -0,0 +1,63 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.honoree_name) {
+      await queryInterface.addColumn('donations', 'honoree_name', {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      });
+    }
+    if (!cols.honoree_relation) {
+      await queryInterface.addColumn('donations', 'honoree_relation', {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+      });
+    }
+    if (!cols.dedication_occasion) {
+      await queryInterface.addColumn('donations', 'dedication_occasion', {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      });
+    }
+    if (!cols.dedication_date) {
+      await queryInterface.addColumn('donations', 'dedication_date', {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      });
+      await queryInterface.addIndex('donations', ['dedication_date']);
+    }
+    if (!cols.dedication_message) {
+      await queryInterface.addColumn('donations', 'dedication_message', {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      });
+    }
+    if (!cols.print_dedication_on_receipt) {
+      await queryInterface.addColumn('donations', 'print_dedication_on_receipt', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    const columns = [
+      'honoree_name',
+      'honoree_relation',
+      'dedication_occasion',
+      'dedication_date',
+      'dedication_message',
+      'print_dedication_on_receipt',
+    ];
+    for (const column of columns) {
+      if (cols[column]) {
+        await queryInterface.removeColumn('donations', column);
+      }
+    }
+  },
+};
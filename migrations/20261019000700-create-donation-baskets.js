@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.map(String).includes('donation_baskets')) {
+      await queryInterface.createTable('donation_baskets', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        devotee_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'devotees', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        gateway: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        razorpay_order_id: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        total_amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+        },
+        line_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        status: {
+          type: Sequelize.STRING(50),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('donation_baskets', ['devotee_id']);
+      await queryInterface.addIndex('donation_baskets', ['razorpay_order_id'], {
+        unique: true,
+        name: 'donation_baskets_razorpay_order_id_unique',
+      });
+    }
+
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.basket_id) {
+      await queryInterface.addColumn('donations', 'basket_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'donation_baskets', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      });
+      await queryInterface.addIndex('donations', ['basket_id']);
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    if (cols.basket_id) {
+      await queryInterface.removeColumn('donations', 'basket_id');
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.map(String).includes('donation_baskets')) {
+      await queryInterface.dropTable('donation_baskets');
+    }
+  },
+};
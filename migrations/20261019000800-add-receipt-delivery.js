@@ -0,0 +1,70 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.receipt_email_status) {
+      await queryInterface.addColumn('donations', 'receipt_email_status', {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      });
+    }
+    if (!cols.receipt_email_attempts) {
+      await queryInterface.addColumn('donations', 'receipt_email_attempts', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+    if (!cols.receipt_email_sent_at) {
+      await queryInterface.addColumn('donations', 'receipt_email_sent_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+    if (!cols.receipt_sms_status) {
+      await queryInterface.addColumn('donations', 'receipt_sms_status', {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      });
+    }
+    if (!cols.receipt_sms_attempts) {
+      await queryInterface.addColumn('donations', 'receipt_sms_attempts', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+    if (!cols.receipt_sms_sent_at) {
+      await queryInterface.addColumn('donations', 'receipt_sms_sent_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+    if (!cols.receipt_delivery_error) {
+      await queryInterface.addColumn('donations', 'receipt_delivery_error', {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    const columns = [
+      'receipt_email_status',
+      'receipt_email_attempts',
+      'receipt_email_sent_at',
+      'receipt_sms_status',
+      'receipt_sms_attempts',
+      'receipt_sms_sent_at',
+      'receipt_delivery_error',
+    ];
+    for (const column of columns) {
+      if (cols[column]) {
+        await queryInterface.removeColumn('donations', column);
+      }
+    }
+  },
+};
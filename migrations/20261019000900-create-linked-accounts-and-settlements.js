@@ -0,0 +1,247 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const formCols = await queryInterface.describeTable('onboarding_forms');
+    if (!formCols.status) {
+      await queryInterface.addColumn('onboarding_forms', 'status', {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'pending',
+      });
+    }
+    if (!formCols.reviewed_by_id) {
+      await queryInterface.addColumn('onboarding_forms', 'reviewed_by_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      });
+    }
+    if (!formCols.reviewed_at) {
+      await queryInterface.addColumn('onboarding_forms', 'reviewed_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+    }
+    if (!formCols.review_note) {
+      await queryInterface.addColumn('onboarding_forms', 'review_note', {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      });
+    }
+
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('linked_accounts')) {
+      await queryInterface.createTable('linked_accounts', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        onboarding_form_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'onboarding_forms', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        gateway: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        account_id: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        stakeholder_id: {
+          type: Sequelize.STRING(100),
+          allowNull: true,
+        },
+        product_id: {
+          type: Sequelize.STRING(100),
+          allowNull: true,
+        },
+        status: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          defaultValue: 'requested',
+        },
+        status_reason: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        beneficiary_name: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        bank_name: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+        },
+        account_number_last4: {
+          type: Sequelize.STRING(4),
+          allowNull: false,
+        },
+        ifsc_code: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        activated_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        created_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('linked_accounts', ['admin_id'], {
+        unique: true,
+        name: 'linked_accounts_admin_id_unique',
+      });
+      await queryInterface.addIndex('linked_accounts', ['account_id'], {
+        unique: true,
+        name: 'linked_accounts_account_id_unique',
+      });
+      await queryInterface.addIndex('linked_accounts', ['product_id']);
+    }
+
+    if (!tables.includes('settlement_transfers')) {
+      await queryInterface.createTable('settlement_transfers', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        donation_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'donations', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        linked_account_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'linked_accounts', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        gateway: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        razorpay_payment_id: {
+          type: Sequelize.STRING(255),
+          allowNull: false,
+        },
+        transfer_id: {
+          type: Sequelize.STRING(100),
+          allowNull: true,
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+        },
+        reversed_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+          defaultValue: 0,
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        error_message: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        processed_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        settlement_id: {
+          type: Sequelize.STRING(100),
+          allowNull: true,
+        },
+        utr: {
+          type: Sequelize.STRING(100),
+          allowNull: true,
+        },
+        settled_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('settlement_transfers', ['donation_id'], {
+        unique: true,
+        name: 'settlement_transfers_donation_id_unique',
+      });
+      await queryInterface.addIndex('settlement_transfers', ['admin_id']);
+      await queryInterface.addIndex('settlement_transfers', ['status']);
+      await queryInterface.addIndex('settlement_transfers', ['transfer_id']);
+      await queryInterface.addIndex('settlement_transfers', ['utr']);
+    }
+  },
+
+  async down(queryInterface) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('settlement_transfers')) {
+      await queryInterface.dropTable('settlement_transfers');
+    }
+    if (tables.includes('linked_accounts')) {
+      await queryInterface.dropTable('linked_accounts');
+    }
+
+    const formCols = await queryInterface.describeTable('onboarding_forms');
+    for (const col of ['review_note', 'reviewed_at', 'reviewed_by_id', 'status']) {
+      if (formCols[col]) {
+        await queryInterface.removeColumn('onboarding_forms', col);
+      }
+    }
+  },
+};
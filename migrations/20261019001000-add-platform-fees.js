@@ -0,0 +1,94 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('platform_fee_configs')) {
+      await queryInterface.createTable('platform_fee_configs', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        percentage: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: false,
+          defaultValue: 0,
+        },
+        fixed_amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+          defaultValue: 0,
+        },
+        updated_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('platform_fee_configs', ['admin_id'], {
+        unique: true,
+        name: 'platform_fee_configs_admin_id_unique',
+      });
+    }
+
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.gateway_fee) {
+      await queryInterface.addColumn('donations', 'gateway_fee', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      });
+    }
+    if (!cols.platform_fee) {
+      await queryInterface.addColumn('donations', 'platform_fee', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+    if (!cols.net_amount) {
+      await queryInterface.addColumn('donations', 'net_amount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      });
+      // Offline donations carry no fees. Earlier online donations keep null fees (never recorded).
+      await queryInterface.sequelize.query(
+        `UPDATE donations SET gateway_fee = 0, net_amount = amount
+         WHERE razorpay_order_id IS NULL AND razorpay_payment_id IS NULL`
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    for (const col of ['net_amount', 'platform_fee', 'gateway_fee']) {
+      if (cols[col]) {
+        await queryInterface.removeColumn('donations', col);
+      }
+    }
+
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('platform_fee_configs')) {
+      await queryInterface.dropTable('platform_fee_configs');
+    }
+  },
+};
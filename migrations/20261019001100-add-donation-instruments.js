@@ -0,0 +1,36 @@
+'use strict';
+
+const COLUMNS = {
+  instrument_number: (Sequelize) => ({ type: Sequelize.STRING(50), allowNull: true }),
+  instrument_bank: (Sequelize) => ({ type: Sequelize.STRING(100), allowNull: true }),
+  instrument_date: (Sequelize) => ({ type: Sequelize.DATEONLY, allowNull: true }),
+  instrument_status: (Sequelize) => ({ type: Sequelize.STRING(20), allowNull: true }),
+  instrument_deposited_at: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true }),
+  instrument_cleared_at: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true }),
+  instrument_bounced_at: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true }),
+  instrument_bounce_reason: (Sequelize) => ({ type: Sequelize.STRING(500), allowNull: true }),
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('donations');
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (!cols[name]) {
+        await queryInterface.addColumn('donations', name, definition(Sequelize));
+      }
+    }
+    if (!cols.instrument_status) {
+      await queryInterface.addIndex('donations', ['instrument_status']);
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    for (const name of Object.keys(COLUMNS).reverse()) {
+      if (cols[name]) {
+        await queryInterface.removeColumn('donations', name);
+      }
+    }
+  },
+};
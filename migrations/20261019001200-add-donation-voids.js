@@ -0,0 +1,47 @@
+'use strict';
+
+const COLUMNS = {
+  voided_at: (Sequelize) => ({ type: Sequelize.DATE, allowNull: true }),
+  voided_by_id: (Sequelize) => ({
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: { model: 'users', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  }),
+  void_reason: (Sequelize) => ({ type: Sequelize.STRING(500), allowNull: true }),
+  reissued_from_id: (Sequelize) => ({
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: { model: 'donations', key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete: 'SET NULL',
+  }),
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('donations');
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (!cols[name]) {
+        await queryInterface.addColumn('donations', name, definition(Sequelize));
+      }
+    }
+    if (!cols.reissued_from_id) {
+      await queryInterface.addIndex('donations', ['reissued_from_id'], {
+        unique: true,
+        name: 'donations_reissued_from_id_unique',
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('donations');
+    for (const name of Object.keys(COLUMNS).reverse()) {
+      if (cols[name]) {
+        await queryInterface.removeColumn('donations', name);
+      }
+    }
+  },
+};
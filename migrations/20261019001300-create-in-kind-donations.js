@@ -0,0 +1,182 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('in_kind_items')) {
+      await queryInterface.createTable('in_kind_items', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        unit: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        default_unit_value: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true,
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('in_kind_items', ['admin_id', 'name'], {
+        unique: true,
+        name: 'in_kind_items_admin_id_name_unique',
+      });
+    }
+
+    if (!tables.includes('in_kind_donations')) {
+      await queryInterface.createTable('in_kind_donations', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        devotee_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'devotees', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'events', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        item_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'in_kind_items', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+        },
+        item_name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        unit: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        quantity: {
+          type: Sequelize.DECIMAL(12, 3),
+          allowNull: false,
+        },
+        unit_value: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true,
+        },
+        declared_value: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: true,
+        },
+        acknowledgement_number: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+        },
+        notes: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'received',
+        },
+        received_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        cancelled_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        cancel_reason: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('in_kind_donations', ['devotee_id']);
+      await queryInterface.addIndex('in_kind_donations', ['admin_id']);
+      await queryInterface.addIndex('in_kind_donations', ['event_id']);
+      await queryInterface.addIndex('in_kind_donations', ['item_id']);
+      await queryInterface.addIndex('in_kind_donations', ['status']);
+      await queryInterface.addIndex('in_kind_donations', ['admin_id', 'acknowledgement_number'], {
+        unique: true,
+        name: 'in_kind_donations_admin_id_acknowledgement_number_unique',
+      });
+    }
+
+    const counterCols = await queryInterface.describeTable('receipt_counters');
+    if (!counterCols.in_kind_last_number) {
+      await queryInterface.addColumn('receipt_counters', 'in_kind_last_number', {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const counterCols = await queryInterface.describeTable('receipt_counters');
+    if (counterCols.in_kind_last_number) {
+      await queryInterface.removeColumn('receipt_counters', 'in_kind_last_number');
+    }
+
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('in_kind_donations')) {
+      await queryInterface.dropTable('in_kind_donations');
+    }
+    if (tables.includes('in_kind_items')) {
+      await queryInterface.dropTable('in_kind_items');
+    }
+  },
+};
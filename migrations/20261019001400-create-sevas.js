@@ -0,0 +1,221 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('sevas')) {
+      await queryInterface.createTable('sevas', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        name: {
+          type: Sequelize.STRING(150),
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.STRING(1000),
+          allowNull: true,
+        },
+        price: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+        },
+        default_capacity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1,
+        },
+        max_participants: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 4,
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('sevas', ['admin_id', 'name'], {
+        unique: true,
+        name: 'sevas_admin_id_name_unique',
+      });
+    }
+
+    if (!tables.includes('seva_slots')) {
+      await queryInterface.createTable('seva_slots', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        seva_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'sevas', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false,
+        },
+        start_time: {
+          type: Sequelize.STRING(5),
+          allowNull: false,
+        },
+        capacity: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+        },
+        booked_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('seva_slots', ['seva_id', 'date', 'start_time'], {
+        unique: true,
+        name: 'seva_slots_seva_id_date_start_time_unique',
+      });
+      await queryInterface.addIndex('seva_slots', ['admin_id', 'date']);
+    }
+
+    if (!tables.includes('seva_bookings')) {
+      await queryInterface.createTable('seva_bookings', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        seva_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'sevas', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+        },
+        slot_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'seva_slots', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        devotee_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'devotees', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        donation_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'donations', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'pending',
+        },
+        participants: {
+          type: Sequelize.JSON,
+          allowNull: false,
+        },
+        notes: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        confirmed_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        released_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('seva_bookings', ['donation_id'], {
+        unique: true,
+        name: 'seva_bookings_donation_id_unique',
+      });
+      await queryInterface.addIndex('seva_bookings', ['slot_id']);
+      await queryInterface.addIndex('seva_bookings', ['seva_id']);
+      await queryInterface.addIndex('seva_bookings', ['admin_id']);
+      await queryInterface.addIndex('seva_bookings', ['devotee_id']);
+      await queryInterface.addIndex('seva_bookings', ['status']);
+    }
+  },
+
+  async down(queryInterface) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('seva_bookings')) {
+      await queryInterface.dropTable('seva_bookings');
+    }
+    if (tables.includes('seva_slots')) {
+      await queryInterface.dropTable('seva_slots');
+    }
+    if (tables.includes('sevas')) {
+      await queryInterface.dropTable('sevas');
+    }
+  },
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('hundi_boxes')) {
+      await queryInterface.createTable('hundi_boxes', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        location: {
+          type: Sequelize.STRING(200),
+          allowNull: true,
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('hundi_boxes', ['admin_id', 'name'], {
+        unique: true,
+        name: 'hundi_boxes_admin_id_name_unique',
+      });
+    }
+
+    if (!tables.includes('hundi_collections')) {
+      await queryInterface.createTable('hundi_collections', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        box_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'hundi_boxes', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'RESTRICT',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        counted_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'counting',
+        },
+        denominations: {
+          type: Sequelize.JSON,
+          allowNull: false,
+        },
+        cash_total: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+        },
+        foreign_currency: {
+          type: Sequelize.JSON,
+          allowNull: true,
+        },
+        valuables: {
+          type: Sequelize.JSON,
+          allowNull: true,
+        },
+        notes: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        sign_offs: {
+          type: Sequelize.JSON,
+          allowNull: false,
+          defaultValue: [],
+        },
+        signed_off_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        recorded_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        cancelled_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        cancel_reason: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('hundi_collections', ['box_id']);
+      await queryInterface.addIndex('hundi_collections', ['admin_id', 'counted_at']);
+      await queryInterface.addIndex('hundi_collections', ['status']);
+    }
+  },
+
+  async down(queryInterface) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('hundi_collections')) {
+      await queryInterface.dropTable('hundi_collections');
+    }
+    if (tables.includes('hundi_boxes')) {
+      await queryInterface.dropTable('hundi_boxes');
+    }
+  },
+};
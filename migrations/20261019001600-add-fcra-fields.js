@@ -0,0 +1,48 @@
+'use strict';
+
+const COLUMNS = {
+  devotees: {
+    residency: (Sequelize) => ({ type: Sequelize.STRING(20), allowNull: false, defaultValue: 'resident' }),
+    nationality: (Sequelize) => ({ type: Sequelize.STRING(2), allowNull: true }),
+  },
+  users: {
+    fcra_registration_number: (Sequelize) => ({ type: Sequelize.STRING(30), allowNull: true }),
+    fcra_bank_name: (Sequelize) => ({ type: Sequelize.STRING(100), allowNull: true }),
+    fcra_account_number: (Sequelize) => ({ type: Sequelize.STRING(30), allowNull: true }),
+    fcra_ifsc: (Sequelize) => ({ type: Sequelize.STRING(11), allowNull: true }),
+  },
+  donations: {
+    currency: (Sequelize) => ({ type: Sequelize.STRING(3), allowNull: false, defaultValue: 'INR' }),
+    currency_amount: (Sequelize) => ({ type: Sequelize.DECIMAL(12, 2), allowNull: true }),
+    foreign_contribution: (Sequelize) => ({ type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false }),
+    donor_nationality: (Sequelize) => ({ type: Sequelize.STRING(2), allowNull: true }),
+  },
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      const cols = await queryInterface.describeTable(table);
+      for (const [name, definition] of Object.entries(columns)) {
+        if (!cols[name]) {
+          await queryInterface.addColumn(table, name, definition(Sequelize));
+        }
+      }
+      if (table === 'donations' && !cols.foreign_contribution) {
+        await queryInterface.addIndex('donations', ['foreign_contribution']);
+      }
+    }
+  },
+
+  async down(queryInterface) {
+    for (const [table, columns] of Object.entries(COLUMNS).reverse()) {
+      const cols = await queryInterface.describeTable(table);
+      for (const name of Object.keys(columns).reverse()) {
+        if (cols[name]) {
+          await queryInterface.removeColumn(table, name);
+        }
+      }
+    }
+  },
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const COUNTER_UNIQUE_INDEX = 'receipt_counters_admin_id_series_financial_year_unique';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('receipt_schemes')) {
+      await queryInterface.createTable('receipt_schemes', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        prefix: {
+          type: Sequelize.STRING(12),
+          allowNull: true,
+        },
+        separator: {
+          type: Sequelize.STRING(1),
+          allowNull: false,
+          defaultValue: '/',
+        },
+        include_financial_year: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        separate_series: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false,
+        },
+        series_codes: {
+          type: Sequelize.JSON,
+          allowNull: true,
+        },
+        padding: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 6,
+        },
+        updated_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('receipt_schemes', ['admin_id'], {
+        unique: true,
+        name: 'receipt_schemes_admin_id_unique',
+      });
+    }
+
+    // Counters move from one per organization to one per organization + series + financial
+    // year. The existing row becomes the default running series, so plain numbers continue.
+    const counterCols = await queryInterface.describeTable('receipt_counters');
+    if (!counterCols.series) {
+      await queryInterface.addColumn('receipt_counters', 'series', {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'default',
+      });
+    }
+    if (!counterCols.financial_year) {
+      await queryInterface.addColumn('receipt_counters', 'financial_year', {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+        defaultValue: '',
+      });
+    }
+    await queryInterface.sequelize.query(
+      'ALTER TABLE receipt_counters DROP CONSTRAINT IF EXISTS receipt_counters_admin_id_key'
+    );
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS receipt_counters_admin_id_unique');
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS receipt_counters_admin_id');
+    const counterIndexes = await queryInterface.showIndex('receipt_counters');
+    if (!counterIndexes.some((index) => index.name === COUNTER_UNIQUE_INDEX)) {
+      await queryInterface.addIndex('receipt_counters', ['admin_id', 'series', 'financial_year'], {
+        unique: true,
+        name: COUNTER_UNIQUE_INDEX,
+      });
+    }
+
+    // Room for prefixed numbers such as SVT/DN/2026-27/000123.
+    await queryInterface.changeColumn('donations', 'receipt_number', {
+      type: Sequelize.STRING(40),
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    // receipt_number stays STRING(40): numbers issued under a scheme may not fit the old width.
+    const counterCols = await queryInterface.describeTable('receipt_counters');
+    if (counterCols.series) {
+      await queryInterface.sequelize.query(
+        "DELETE FROM receipt_counters WHERE series <> 'default' OR financial_year <> ''"
+      );
+      await queryInterface.sequelize.query(`DROP INDEX IF EXISTS ${COUNTER_UNIQUE_INDEX}`);
+      await queryInterface.removeColumn('receipt_counters', 'financial_year');
+      await queryInterface.removeColumn('receipt_counters', 'series');
+      await queryInterface.addIndex('receipt_counters', ['admin_id'], {
+        unique: true,
+        name: 'receipt_counters_admin_id_unique',
+      });
+    }
+
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('receipt_schemes')) {
+      await queryInterface.dropTable('receipt_schemes');
+    }
+  },
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('payment_links')) {
+      await queryInterface.createTable('payment_links', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'events', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        code: {
+          type: Sequelize.STRING(16),
+          allowNull: false,
+        },
+        title: {
+          type: Sequelize.STRING(150),
+          allowNull: false,
+        },
+        description: {
+          type: Sequelize.STRING(1000),
+          allowNull: true,
+        },
+        amount_mode: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'open',
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true,
+        },
+        suggested_amounts: {
+          type: Sequelize.JSON,
+          allowNull: true,
+        },
+        expires_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        max_uses: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        view_count: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0,
+        },
+        created_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('payment_links', ['code'], {
+        unique: true,
+        name: 'payment_links_code_unique',
+      });
+      await queryInterface.addIndex('payment_links', ['admin_id']);
+      await queryInterface.addIndex('payment_links', ['event_id']);
+    }
+
+    const donationCols = await queryInterface.describeTable('donations');
+    if (!donationCols.payment_link_id) {
+      await queryInterface.addColumn('donations', 'payment_link_id', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'payment_links', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      });
+      await queryInterface.addIndex('donations', ['payment_link_id']);
+    }
+  },
+
+  async down(queryInterface) {
+    const donationCols = await queryInterface.describeTable('donations');
+    if (donationCols.payment_link_id) {
+      await queryInterface.removeColumn('donations', 'payment_link_id');
+    }
+
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('payment_links')) {
+      await queryInterface.dropTable('payment_links');
+    }
+  },
+};
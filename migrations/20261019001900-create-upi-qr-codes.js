@@ -0,0 +1,200 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('upi_qr_codes')) {
+      await queryInterface.createTable('upi_qr_codes', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'events', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        gateway: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'razorpay',
+        },
+        gateway_qr_id: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        image_url: {
+          type: Sequelize.STRING(500),
+          allowNull: true,
+        },
+        upi_payload: {
+          type: Sequelize.STRING(1000),
+          allowNull: true,
+        },
+        is_active: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true,
+        },
+        closed_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        last_polled_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        created_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('upi_qr_codes', ['gateway_qr_id'], {
+        unique: true,
+        name: 'upi_qr_codes_gateway_qr_id_unique',
+      });
+      await queryInterface.addIndex('upi_qr_codes', ['admin_id']);
+      await queryInterface.addIndex('upi_qr_codes', ['event_id']);
+    }
+
+    if (!tables.includes('upi_qr_credits')) {
+      await queryInterface.createTable('upi_qr_credits', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        qr_code_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'upi_qr_codes', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'events', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        gateway: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+        },
+        payment_id: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+        },
+        payer_vpa: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+        },
+        payer_contact: {
+          type: Sequelize.STRING(20),
+          allowNull: true,
+        },
+        utr: {
+          type: Sequelize.STRING(100),
+          allowNull: true,
+        },
+        credited_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        status: {
+          type: Sequelize.STRING(20),
+          allowNull: false,
+          defaultValue: 'unmatched',
+        },
+        payment: {
+          type: Sequelize.JSON,
+          allowNull: false,
+        },
+        donation_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'donations', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        assigned_by_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        assigned_at: {
+          type: Sequelize.DATE,
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+        updated_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('upi_qr_credits', ['payment_id'], {
+        unique: true,
+        name: 'upi_qr_credits_payment_id_unique',
+      });
+      await queryInterface.addIndex('upi_qr_credits', ['qr_code_id']);
+      await queryInterface.addIndex('upi_qr_credits', ['admin_id', 'status']);
+      await queryInterface.addIndex('upi_qr_credits', ['admin_id', 'payer_vpa']);
+      await queryInterface.addIndex('upi_qr_credits', ['donation_id']);
+    }
+  },
+
+  async down(queryInterface) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('upi_qr_credits')) {
+      await queryInterface.dropTable('upi_qr_credits');
+    }
+    if (tables.includes('upi_qr_codes')) {
+      await queryInterface.dropTable('upi_qr_codes');
+    }
+  },
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+/** Where a donation's money sits (ledgerService.assetAccount). */
+const ASSET = "CASE WHEN d.razorpay_payment_id IS NOT NULL THEN 'gateway_clearing' ELSE 'offline_receipts' END";
+
+/** Donations whose amount counted as received (ledgerService.wasCounted). */
+const COUNTED = `(
+  d.status IN ('captured', 'partially_refunded', 'refunded')
+  OR (d.status = 'voided' AND d.receipt_number IS NOT NULL)
+  OR (d.status = 'failed' AND d.instrument_cleared_at IS NOT NULL AND d.instrument_bounced_at IS NOT NULL)
+)`;
+
+/** When a counted donation was received: cleared date for instruments, else its (register) date. */
+const RECEIVED_AT = 'COALESCE(d.instrument_cleared_at, d.created_at)';
+
+/**
+ * Opening journals for money recorded before the ledger, one per source row as the live
+ * postings would have made them, dated when each movement happened. Each selects key, admin_id,
+ * event_id, donation_id, debit, credit, amount (paise), occurred_at and memo.
+ */
+const OPENING_JOURNALS = [
+  {
+    type: 'donation_captured',
+    select: `SELECT 'capture:' || d.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        ${ASSET} AS debit, 'donation_income' AS credit, ROUND(d.amount * 100) AS amount,
+        ${RECEIVED_AT} AS occurred_at, 'Receipt ' || d.receipt_number AS memo
+      FROM donations d WHERE ${COUNTED}`,
+  },
+  {
+    type: 'gateway_fee',
+    select: `SELECT 'gateway_fee:' || d.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'gateway_fees' AS debit, ${ASSET} AS credit, ROUND(COALESCE(d.gateway_fee, 0) * 100) AS amount,
+        ${RECEIVED_AT} AS occurred_at, NULL AS memo
+      FROM donations d WHERE ${COUNTED}`,
+  },
+  {
+    type: 'platform_fee',
+    select: `SELECT 'platform_fee:' || d.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'platform_fees' AS debit, ${ASSET} AS credit, ROUND(COALESCE(d.platform_fee, 0) * 100) AS amount,
+        ${RECEIVED_AT} AS occurred_at, NULL AS memo
+      FROM donations d WHERE ${COUNTED}`,
+  },
+  {
+    type: 'offline_void',
+    select: `SELECT 'offline_void:' || d.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'donation_income' AS debit, ${ASSET} AS credit, ROUND(d.amount * 100) AS amount,
+        COALESCE(d.voided_at, d.updated_at) AS occurred_at, NULL AS memo
+      FROM donations d WHERE d.status = 'voided' AND d.receipt_number IS NOT NULL`,
+  },
+  {
+    type: 'instrument_bounced',
+    select: `SELECT 'instrument_bounced:' || d.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'donation_income' AS debit, ${ASSET} AS credit, ROUND((d.amount - d.refunded_amount) * 100) AS amount,
+        d.instrument_bounced_at AS occurred_at, NULL AS memo
+      FROM donations d
+      WHERE d.status = 'failed' AND d.instrument_cleared_at IS NOT NULL AND d.instrument_bounced_at IS NOT NULL`,
+  },
+  {
+    type: 'refund',
+    select: `SELECT 'refund:' || r.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'refunds' AS debit, ${ASSET} AS credit, ROUND(r.amount * 100) AS amount,
+        r.created_at AS occurred_at, LEFT(r.reason, 255) AS memo
+      FROM donation_refunds r JOIN donations d ON d.id = r.donation_id
+      WHERE r.status <> 'failed'`,
+  },
+  {
+    type: 'settlement',
+    select: `SELECT 'settlement:' || s.id AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'linked_account' AS debit, 'gateway_clearing' AS credit, ROUND(s.amount * 100) AS amount,
+        COALESCE(s.processed_at, s.created_at) AS occurred_at, s.transfer_id AS memo
+      FROM settlement_transfers s JOIN donations d ON d.id = s.donation_id
+      WHERE s.transfer_id IS NOT NULL AND s.status <> 'failed'`,
+  },
+  {
+    type: 'settlement_reversal',
+    select: `SELECT 'settlement_reversal:' || s.id || ':opening' AS key, d.admin_id, d.event_id, d.id AS donation_id,
+        'gateway_clearing' AS debit, 'linked_account' AS credit, ROUND(COALESCE(s.reversed_amount, 0) * 100) AS amount,
+        s.updated_at AS occurred_at, s.transfer_id AS memo
+      FROM settlement_transfers s JOIN donations d ON d.id = s.donation_id
+      WHERE s.transfer_id IS NOT NULL AND s.status <> 'failed'`,
+  },
+];
+
+/**
+ * Post the opening journals (two lines each, zero amounts skipped), then re-derive every event's
+ * raised amount from them, so the ledger carries the history before anything reads it.
+ */
+async function backfill(queryInterface) {
+  for (const { type, select } of OPENING_JOURNALS) {
+    await queryInterface.sequelize.query(`
+      INSERT INTO ledger_entries
+        (journal_key, entry_type, admin_id, event_id, donation_id, account, direction, amount_paise, occurred_at, memo, created_at)
+      SELECT j.key, '${type}', j.admin_id, j.event_id, j.donation_id, l.account, l.direction, j.amount, j.occurred_at, j.memo, NOW()
+      FROM (${select}) j
+      CROSS JOIN LATERAL (VALUES (j.debit, 'debit'), (j.credit, 'credit')) AS l(account, direction)
+      WHERE j.amount > 0
+      ON CONFLICT (journal_key, account, direction) DO NOTHING
+    `);
+  }
+  await queryInterface.sequelize.query(`
+    UPDATE events SET raised_amount_paise = GREATEST(0, COALESCE((
+      SELECT SUM(CASE WHEN l.direction = 'credit' THEN l.amount_paise ELSE -l.amount_paise END)
+      FROM ledger_entries l
+      WHERE l.event_id = events.id AND l.account IN ('donation_income', 'refunds')
+    ), 0))
+  `);
+}
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (!tables.includes('ledger_entries')) {
+      await queryInterface.createTable('ledger_entries', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER,
+        },
+        journal_key: {
+          type: Sequelize.STRING(120),
+          allowNull: false,
+        },
+        entry_type: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+        },
+        admin_id: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: { model: 'users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'CASCADE',
+        },
+        event_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'events', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        donation_id: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: { model: 'donations', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'SET NULL',
+        },
+        account: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+        },
+        direction: {
+          type: Sequelize.STRING(6),
+          allowNull: false,
+        },
+        amount_paise: {
+          type: Sequelize.BIGINT,
+          allowNull: false,
+        },
+        occurred_at: {
+          type: Sequelize.DATE,
+          allowNull: false,
+        },
+        memo: {
+          type: Sequelize.STRING(255),
+          allowNull: true,
+        },
+        created_at: {
+          allowNull: false,
+          type: Sequelize.DATE,
+        },
+      });
+      await queryInterface.addIndex('ledger_entries', ['journal_key', 'account', 'direction'], {
+        unique: true,
+        name: 'ledger_entries_journal_line_unique',
+      });
+      await queryInterface.addIndex('ledger_entries', ['admin_id', 'account', 'occurred_at']);
+      await queryInterface.addIndex('ledger_entries', ['event_id', 'account']);
+      await queryInterface.addIndex('ledger_entries', ['donation_id']);
+      await backfill(queryInterface);
+    }
+  },
+  async down(queryInterface) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('ledger_entries')) {
+      await queryInterface.dropTable('ledger_entries');
+    }
+  },
+};
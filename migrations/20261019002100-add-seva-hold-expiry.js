@@ -0,0 +1,26 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('seva_bookings');
+    if (!cols.hold_expires_at) {
+      await queryInterface.addColumn('seva_bookings', 'hold_expires_at', {
+        type: Sequelize.DATE,
+        allowNull: true,
+      });
+      await queryInterface.addIndex('seva_bookings', ['status', 'hold_expires_at']);
+      // Holds taken before this migration lapse on the next sweep.
+      await queryInterface.sequelize.query(
+        "UPDATE seva_bookings SET hold_expires_at = NOW() WHERE status = 'pending'"
+      );
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('seva_bookings');
+    if (cols.hold_expires_at) {
+      await queryInterface.removeColumn('seva_bookings', 'hold_expires_at');
+    }
+  },
+};
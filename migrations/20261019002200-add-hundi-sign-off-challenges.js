@@ -0,0 +1,22 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('hundi_collections');
+    if (!cols.sign_off_challenges) {
+      await queryInterface.addColumn('hundi_collections', 'sign_off_challenges', {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    const cols = await queryInterface.describeTable('hundi_collections');
+    if (cols.sign_off_challenges) {
+      await queryInterface.removeColumn('hundi_collections', 'sign_off_challenges');
+    }
+  },
+};
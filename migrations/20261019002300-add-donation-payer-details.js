@@ -0,0 +1,37 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const cols = await queryInterface.describeTable('donations');
+    if (!cols.payer_details) {
+      await queryInterface.addColumn('donations', 'payer_details', {
+        type: Sequelize.JSON,
+        allowNull: true,
+      });
+    }
+    // A payment-link checkout has no devotee until it is captured.
+    await queryInterface.changeColumn('donations', 'devotee_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: { model: 'devotees', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query('DELETE FROM donations WHERE devotee_id IS NULL');
+    await queryInterface.changeColumn('donations', 'devotee_id', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'devotees', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+    });
+    const cols = await queryInterface.describeTable('donations');
+    if (cols.payer_details) {
+      await queryInterface.removeColumn('donations', 'payer_details');
+    }
+  },
+};
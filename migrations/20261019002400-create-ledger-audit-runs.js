@@ -0,0 +1,83 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('ledger_audit_runs')) return;
+
+    const counter = () => ({
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+
+    await queryInterface.createTable('ledger_audit_runs', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER,
+      },
+      admin_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      repair: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'running',
+      },
+      triggered_by_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      finished_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      donations_checked: counter(),
+      mismatched_donations: counter(),
+      adjustments_posted: counter(),
+      report: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      error_message: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+    await queryInterface.addIndex('ledger_audit_runs', ['started_at']);
+  },
+
+  async down(queryInterface) {
+    const tables = (await queryInterface.showAllTables()).map(String);
+    if (tables.includes('ledger_audit_runs')) {
+      await queryInterface.dropTable('ledger_audit_runs');
+    }
+  },
+};
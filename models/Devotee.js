@@ -51,6 +51,19 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         field: 'pan_card_image',
       },
+      residency: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'resident',
+        comment: 'DEVOTEE_RESIDENCY value',
+        field: 'residency',
+      },
+      nationality: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+        comment: 'ISO 3166-1 alpha-2 citizenship; null is treated as Indian. Non-Indian makes donations foreign contributions (FCRA)',
+        field: 'nationality',
+      },
       otpHash: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -121,8 +134,12 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   Devotee.prototype.toSafeObject = function () {
-    const { id, mobile, name, email, city, profileImage, panNumber, panCardImage, createdAt, updatedAt } = this.get();
-    return { id, mobile, name, email, city, profileImage, panNumber, panCardImage, createdAt, updatedAt };
+    const {
+      id, mobile, name, email, city, profileImage, panNumber, panCardImage, residency, nationality, createdAt, updatedAt,
+    } = this.get();
+    return {
+      id, mobile, name, email, city, profileImage, panNumber, panCardImage, residency, nationality, createdAt, updatedAt,
+    };
   };
 
   return Devotee;
@@ -13,7 +13,8 @@ module.exports = (sequelize, DataTypes) => {
       },
       devoteeId: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true,
+        comment: 'Null only while a payment-link checkout is pending (see payerDetails)',
         field: 'devotee_id',
         references: { model: 'devotees', key: 'id' },
         onDelete: 'CASCADE',
@@ -32,12 +33,93 @@ module.exports = (sequelize, DataTypes) => {
         references: { model: 'events', key: 'id' },
         onDelete: 'SET NULL',
       },
+      pledgeId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Recurring pledge that produced this charge',
+        field: 'pledge_id',
+        references: { model: 'donation_pledges', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      basketId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Multi-organization checkout this line belongs to',
+        field: 'basket_id',
+        references: { model: 'donation_baskets', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      paymentLinkId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Organization payment link the donation was paid through',
+        field: 'payment_link_id',
+        references: { model: 'payment_links', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      payerDetails: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Details typed at a payment-link checkout { mobile, name, email, city }; the devotee is found or created from them on capture',
+        field: 'payer_details',
+      },
       amount: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
-        comment: 'Amount in Rupees (INR)',
+        comment: 'Gross amount paid by the devotee in Rupees (INR); indicative for a pending foreign-currency order',
         field: 'amount',
       },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR',
+        comment: 'ISO 4217 currency of the gateway order',
+        field: 'currency',
+      },
+      currencyAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Amount in the order currency; null for INR',
+        field: 'currency_amount',
+      },
+      foreignContribution: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Foreign contribution under FCRA (foreign-national donor or foreign-currency payment)',
+        field: 'foreign_contribution',
+      },
+      donorNationality: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+        comment: 'ISO 3166-1 alpha-2 nationality of a foreign contributor at the time of donation',
+        field: 'donor_nationality',
+      },
+      gatewayFee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Gateway fee incl. tax in Rupees; null until the gateway reports it, 0 for offline donations',
+        field: 'gateway_fee',
+      },
+      platformFee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Platform commission in Rupees, fixed at capture',
+        field: 'platform_fee',
+      },
+      netAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'amount - gatewayFee - platformFee in Rupees; null when fees are not known yet',
+        field: 'net_amount',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Payment gateway that created the order (razorpay, sandbox); null for offline donations',
+        field: 'gateway',
+      },
       razorpayOrderId: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -75,19 +157,190 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.STRING(50),
         allowNull: true,
         field: 'payment_method',
-        comment: 'Payment method used (e.g., upi, card, netbanking, wallet, cash)',
+        comment: 'Payment method used (e.g., upi, card, netbanking, wallet, cash, cheque, dd, bank_transfer)',
+      },
+      instrumentNumber: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Cheque / DD number, or bank transfer reference',
+        field: 'instrument_number',
+      },
+      instrumentBank: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'instrument_bank',
+      },
+      instrumentDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Date written on the cheque / DD, or transfer date',
+        field: 'instrument_date',
+      },
+      instrumentStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'received, deposited, cleared or bounced; null for cash and online donations',
+        field: 'instrument_status',
+      },
+      instrumentDepositedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'instrument_deposited_at',
+      },
+      instrumentClearedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'instrument_cleared_at',
+      },
+      instrumentBouncedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'instrument_bounced_at',
+      },
+      instrumentBounceReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'instrument_bounce_reason',
+      },
+      voidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'voided_at',
+      },
+      voidedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Admin who voided this offline donation',
+        field: 'voided_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      voidReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'void_reason',
+      },
+      reissuedFromId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Voided donation this one corrects',
+        field: 'reissued_from_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'SET NULL',
       },
       receiptNumber: {
-        type: DataTypes.STRING(10),
+        type: DataTypes.STRING(40),
         allowNull: true,
+        comment: 'Per-organization receipt number in the scheme it was issued under (0000000123, SVT/2026-27/000123)',
         field: 'receipt_number',
       },
       donationType: {
         type: DataTypes.STRING(20),
         allowNull: false,
         defaultValue: 'donation',
+        comment: 'DONATION_TYPE value; seva is a booking paid for, not an 80G gift',
         field: 'donation_type',
       },
+      refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Total refunded so far in Rupees (INR)',
+        field: 'refunded_amount',
+      },
+      receiptCancelled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Receipt number is cancelled and no longer valid for 80G',
+        field: 'receipt_cancelled',
+      },
+      receiptCancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'receipt_cancelled_at',
+      },
+      receiptCancellationReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'receipt_cancellation_reason',
+      },
+      honoreeName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Person the donation is dedicated to',
+        field: 'honoree_name',
+      },
+      honoreeRelation: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'Relation of honoree to donor (e.g. father, daughter)',
+        field: 'honoree_relation',
+      },
+      dedicationOccasion: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'in_memory_of, on_behalf_of, birthday, anniversary, newborn, wedding, other',
+        field: 'dedication_occasion',
+      },
+      dedicationDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Day of the ritual/occasion; defaults to the donation day',
+        field: 'dedication_date',
+      },
+      dedicationMessage: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Short message for the priest',
+        field: 'dedication_message',
+      },
+      printDedicationOnReceipt: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        field: 'print_dedication_on_receipt',
+      },
+      receiptEmailStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'sent, failed or skipped; null until a receipt email is attempted',
+        field: 'receipt_email_status',
+      },
+      receiptEmailAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'receipt_email_attempts',
+      },
+      receiptEmailSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'receipt_email_sent_at',
+      },
+      receiptSmsStatus: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'sent, failed or skipped; null until a receipt SMS is attempted',
+        field: 'receipt_sms_status',
+      },
+      receiptSmsAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'receipt_sms_attempts',
+      },
+      receiptSmsSentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'receipt_sms_sent_at',
+      },
+      receiptDeliveryError: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Last email/SMS delivery error',
+        field: 'receipt_delivery_error',
+      },
     },
     {
       tableName: 'donations',
@@ -101,7 +354,14 @@ module.exports = (sequelize, DataTypes) => {
         { fields: ['event_id'] },
         { fields: ['razorpay_order_id'] },
         { fields: ['status'] },
+        { fields: ['instrument_status'] },
         { fields: ['donation_type'] },
+        { fields: ['foreign_contribution'] },
+        { fields: ['pledge_id'] },
+        { fields: ['basket_id'] },
+        { fields: ['payment_link_id'] },
+        { fields: ['dedication_date'] },
+        { fields: ['reissued_from_id'], unique: true },
         { fields: ['admin_id', 'receipt_number'], unique: true },
       ],
     }
@@ -111,6 +371,15 @@ module.exports = (sequelize, DataTypes) => {
     Donation.belongsTo(models.Devotee, { foreignKey: 'devoteeId' });
     Donation.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
     Donation.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    Donation.belongsTo(models.DonationPledge, { foreignKey: 'pledgeId', as: 'pledge' });
+    Donation.belongsTo(models.DonationBasket, { foreignKey: 'basketId', as: 'basket' });
+    Donation.belongsTo(models.PaymentLink, { foreignKey: 'paymentLinkId', as: 'paymentLink' });
+    Donation.hasMany(models.DonationRefund, { foreignKey: 'donationId', as: 'refunds' });
+    Donation.hasOne(models.SettlementTransfer, { foreignKey: 'donationId', as: 'settlementTransfer' });
+    Donation.belongsTo(models.User, { foreignKey: 'voidedById', as: 'voidedBy' });
+    Donation.belongsTo(Donation, { foreignKey: 'reissuedFromId', as: 'reissuedFrom' });
+    Donation.hasOne(Donation, { foreignKey: 'reissuedFromId', as: 'reissue' });
+    Donation.hasOne(models.SevaBooking, { foreignKey: 'donationId', as: 'sevaBooking' });
   };
 
   return Donation;
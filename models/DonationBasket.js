@@ -0,0 +1,73 @@
+'use strict';
+
+const { DONATION_STATUS } = require('../constants/donation');
+
+/**
+ * One gateway order paying for several donation lines (different organizations/events).
+ * Each line is a normal Donation with basketId set; capture and failure apply to all lines together.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const DonationBasket = sequelize.define(
+    'DonationBasket',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      devoteeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'devotee_id',
+        references: { model: 'devotees', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'gateway',
+      },
+      razorpayOrderId: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        field: 'razorpay_order_id',
+      },
+      totalAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Sum of line amounts in Rupees (INR)',
+        field: 'total_amount',
+      },
+      lineCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'line_count',
+      },
+      status: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: DONATION_STATUS.PENDING,
+        comment: 'pending, captured, failed or expired; mirrors the lines',
+        field: 'status',
+      },
+    },
+    {
+      tableName: 'donation_baskets',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['devotee_id'] },
+        { fields: ['razorpay_order_id'], unique: true },
+      ],
+    }
+  );
+
+  DonationBasket.associate = (models) => {
+    DonationBasket.belongsTo(models.Devotee, { foreignKey: 'devoteeId' });
+    DonationBasket.hasMany(models.Donation, { foreignKey: 'basketId', as: 'donations' });
+  };
+
+  return DonationBasket;
+};
@@ -0,0 +1,150 @@
+'use strict';
+
+const { PLEDGE_STATUS, PLEDGE_FREQUENCY } = require('../constants/pledge');
+const { PAYMENT_GATEWAY } = require('../constants/paymentGateway');
+
+module.exports = (sequelize, DataTypes) => {
+  const DonationPledge = sequelize.define(
+    'DonationPledge',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      devoteeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'devotee_id',
+        references: { model: 'devotees', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'event_id',
+        references: { model: 'events', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount per charge in Rupees (INR)',
+        field: 'amount',
+      },
+      frequency: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: PLEDGE_FREQUENCY.MONTHLY,
+        field: 'frequency',
+      },
+      donationType: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'donation',
+        field: 'donation_type',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: PLEDGE_STATUS.CREATED,
+        field: 'status',
+      },
+      totalCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Number of charges in the schedule',
+        field: 'total_count',
+      },
+      paidCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'paid_count',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: PAYMENT_GATEWAY.RAZORPAY,
+        comment: 'Payment gateway holding the subscription',
+        field: 'gateway',
+      },
+      razorpayPlanId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'razorpay_plan_id',
+      },
+      razorpaySubscriptionId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'razorpay_subscription_id',
+      },
+      authorizationUrl: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Hosted page where the devotee authorizes the mandate',
+        field: 'authorization_url',
+      },
+      startAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'start_at',
+      },
+      nextChargeAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'next_charge_at',
+      },
+      lastChargedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'last_charged_at',
+      },
+      pausedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'paused_at',
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'cancelled_at',
+      },
+      cancelReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'cancel_reason',
+      },
+    },
+    {
+      tableName: 'donation_pledges',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['devotee_id'] },
+        { fields: ['admin_id'] },
+        { fields: ['event_id'] },
+        { fields: ['status'] },
+        { fields: ['razorpay_subscription_id'], unique: true },
+      ],
+    }
+  );
+
+  DonationPledge.associate = (models) => {
+    DonationPledge.belongsTo(models.Devotee, { foreignKey: 'devoteeId' });
+    DonationPledge.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    DonationPledge.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    DonationPledge.hasMany(models.Donation, { foreignKey: 'pledgeId', as: 'donations' });
+  };
+
+  return DonationPledge;
+};
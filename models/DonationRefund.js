@@ -0,0 +1,82 @@
+'use strict';
+
+const { REFUND_STATUS } = require('../constants/donation');
+
+module.exports = (sequelize, DataTypes) => {
+  const DonationRefund = sequelize.define(
+    'DonationRefund',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      donationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'donation_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Refunded amount in Rupees (INR)',
+        field: 'amount',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: REFUND_STATUS.PENDING,
+        field: 'status',
+      },
+      razorpayRefundId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Null for offline (cash) refunds',
+        field: 'razorpay_refund_id',
+      },
+      reason: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        field: 'reason',
+      },
+      refundedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Admin who initiated the refund; null when initiated from the gateway dashboard',
+        field: 'refunded_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+    },
+    {
+      tableName: 'donation_refunds',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['donation_id'] },
+        { fields: ['admin_id'] },
+        { fields: ['razorpay_refund_id'], unique: true },
+        { fields: ['status'] },
+      ],
+    }
+  );
+
+  DonationRefund.associate = (models) => {
+    DonationRefund.belongsTo(models.Donation, { foreignKey: 'donationId', as: 'donation' });
+    DonationRefund.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    DonationRefund.belongsTo(models.User, { foreignKey: 'refundedById', as: 'refundedBy' });
+  };
+
+  return DonationRefund;
+};
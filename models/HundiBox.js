@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const HundiBox = sequelize.define(
+    'HundiBox',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'e.g. Main sanctum hundi, Annadanam box',
+        field: 'name',
+      },
+      location: {
+        type: DataTypes.STRING(200),
+        allowNull: true,
+        field: 'location',
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Retired boxes keep their collections but take no new ones',
+        field: 'is_active',
+      },
+    },
+    {
+      tableName: 'hundi_boxes',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['admin_id', 'name'], unique: true },
+      ],
+    }
+  );
+
+  HundiBox.associate = (models) => {
+    HundiBox.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    HundiBox.hasMany(models.HundiCollection, { foreignKey: 'boxId', as: 'collections' });
+  };
+
+  return HundiBox;
+};
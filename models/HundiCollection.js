@@ -0,0 +1,129 @@
+'use strict';
+
+const { HUNDI_COLLECTION_STATUS } = require('../constants/hundi');
+
+module.exports = (sequelize, DataTypes) => {
+  const HundiCollection = sequelize.define(
+    'HundiCollection',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      boxId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'box_id',
+        references: { model: 'hundi_boxes', key: 'id' },
+        onDelete: 'RESTRICT',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      countedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the box was opened and counted',
+        field: 'counted_at',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: HUNDI_COLLECTION_STATUS.COUNTING,
+        comment: 'HUNDI_COLLECTION_STATUS value',
+        field: 'status',
+      },
+      denominations: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Pieces counted per denomination in Rupees: { "500": 12, "10": 40 }',
+        field: 'denominations',
+      },
+      cashTotal: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Indian cash counted in Rupees (sum of denomination x pieces)',
+        field: 'cash_total',
+      },
+      foreignCurrency: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Foreign notes / coins, not converted: [{ currency, amount }]',
+        field: 'foreign_currency',
+      },
+      valuables: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Gold, silver and other offerings: [{ description, quantity, weightGrams, estimatedValue }]',
+        field: 'valuables',
+      },
+      notes: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'notes',
+      },
+      signOffs: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Counters who signed off the current counts: [{ name, mobile, signedAt }]',
+        field: 'sign_offs',
+      },
+      signOffChallenges: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Sign-off codes sent to counters and not yet used: [{ name, mobile, otpHash, expiresAt, sentAt, attempts }]',
+        field: 'sign_off_challenges',
+      },
+      signedOffAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the last required counter signed off',
+        field: 'signed_off_at',
+      },
+      recordedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'recorded_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'cancelled_at',
+      },
+      cancelReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'cancel_reason',
+      },
+    },
+    {
+      tableName: 'hundi_collections',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['box_id'] },
+        { fields: ['admin_id', 'counted_at'] },
+        { fields: ['status'] },
+      ],
+    }
+  );
+
+  HundiCollection.associate = (models) => {
+    HundiCollection.belongsTo(models.HundiBox, { foreignKey: 'boxId', as: 'box' });
+    HundiCollection.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    HundiCollection.belongsTo(models.User, { foreignKey: 'recordedById', as: 'recordedBy' });
+  };
+
+  return HundiCollection;
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const { IN_KIND_STATUS } = require('../constants/inKind');
+
+module.exports = (sequelize, DataTypes) => {
+  const InKindDonation = sequelize.define(
+    'InKindDonation',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      devoteeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'devotee_id',
+        references: { model: 'devotees', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'event_id',
+        references: { model: 'events', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      itemId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'item_id',
+        references: { model: 'in_kind_items', key: 'id' },
+        onDelete: 'RESTRICT',
+      },
+      itemName: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Item name when received; the catalog entry may be renamed later',
+        field: 'item_name',
+      },
+      unit: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'Item unit when received',
+        field: 'unit',
+      },
+      quantity: {
+        type: DataTypes.DECIMAL(12, 3),
+        allowNull: false,
+        field: 'quantity',
+      },
+      unitValue: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Value of one unit in Rupees (INR); null when not valued',
+        field: 'unit_value',
+      },
+      declaredValue: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Total value in Rupees (INR) as declared by the donor or quantity x unit value. Never part of monetary totals',
+        field: 'declared_value',
+      },
+      acknowledgementNumber: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        comment: 'Per-organization in-kind series, separate from donation receipt numbers',
+        field: 'acknowledgement_number',
+      },
+      notes: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Brand, condition, storage location, ...',
+        field: 'notes',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: IN_KIND_STATUS.RECEIVED,
+        field: 'status',
+      },
+      receivedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Admin who recorded the donation',
+        field: 'received_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'cancelled_at',
+      },
+      cancelReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'cancel_reason',
+      },
+    },
+    {
+      tableName: 'in_kind_donations',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['devotee_id'] },
+        { fields: ['admin_id'] },
+        { fields: ['event_id'] },
+        { fields: ['item_id'] },
+        { fields: ['status'] },
+        { fields: ['admin_id', 'acknowledgement_number'], unique: true },
+      ],
+    }
+  );
+
+  InKindDonation.associate = (models) => {
+    InKindDonation.belongsTo(models.Devotee, { foreignKey: 'devoteeId' });
+    InKindDonation.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    InKindDonation.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    InKindDonation.belongsTo(models.InKindItem, { foreignKey: 'itemId', as: 'item' });
+    InKindDonation.belongsTo(models.User, { foreignKey: 'receivedById', as: 'receivedBy' });
+  };
+
+  return InKindDonation;
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const InKindItem = sequelize.define(
+    'InKindItem',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'e.g. Rice, Ghee, Cement',
+        field: 'name',
+      },
+      unit: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        comment: 'IN_KIND_UNIT value',
+        field: 'unit',
+      },
+      defaultUnitValue: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Usual value of one unit in Rupees (INR), used when the donor declares none',
+        field: 'default_unit_value',
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Inactive items stay on past donations but cannot be received any more',
+        field: 'is_active',
+      },
+    },
+    {
+      tableName: 'in_kind_items',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['admin_id', 'name'], unique: true },
+      ],
+    }
+  );
+
+  InKindItem.associate = (models) => {
+    InKindItem.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    InKindItem.hasMany(models.InKindDonation, { foreignKey: 'itemId', as: 'donations' });
+  };
+
+  return InKindItem;
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const { LEDGER_AUDIT_RUN_STATUS } = require('../constants/ledger');
+
+/**
+ * A super admin ledger audit (and optional repair), run in the background. The report is kept
+ * on the row once the run finishes.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LedgerAuditRun = sequelize.define(
+    'LedgerAuditRun',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Organization audited; null for all',
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      repair: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether mismatches were corrected with adjustment journals',
+        field: 'repair',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: LEDGER_AUDIT_RUN_STATUS.RUNNING,
+        comment: 'LEDGER_AUDIT_RUN_STATUS value',
+        field: 'status',
+      },
+      triggeredById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'triggered_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'started_at',
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at',
+      },
+      donationsChecked: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'donations_checked',
+      },
+      mismatchedDonations: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'mismatched_donations',
+      },
+      adjustmentsPosted: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'adjustments_posted',
+      },
+      report: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Full audit report in paise (ledgerService.runAudit)',
+        field: 'report',
+      },
+      errorMessage: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'error_message',
+      },
+    },
+    {
+      tableName: 'ledger_audit_runs',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['started_at'] },
+      ],
+    }
+  );
+
+  LedgerAuditRun.associate = (models) => {
+    LedgerAuditRun.belongsTo(models.User, { foreignKey: 'triggeredById', as: 'triggeredBy' });
+    LedgerAuditRun.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+  };
+
+  return LedgerAuditRun;
+};
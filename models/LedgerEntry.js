@@ -0,0 +1,113 @@
+'use strict';
+
+function appendOnly() {
+  throw new Error('Ledger entries are append-only; post a correcting journal instead.');
+}
+
+/**
+ * One line of a double-entry journal in an organization's donation ledger. Every change to money
+ * (capture, fee, refund, settlement, void) appends a journal whose debits equal its credits;
+ * lines are never updated or deleted, mistakes are corrected by a later journal. Event raised
+ * amounts and dashboard totals are derived from these lines.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LedgerEntry = sequelize.define(
+    'LedgerEntry',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      journalKey: {
+        type: DataTypes.STRING(120),
+        allowNull: false,
+        comment: 'Groups the lines of one journal; derived from its source (e.g. capture:42) so it is posted once',
+        field: 'journal_key',
+      },
+      entryType: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'LEDGER_ENTRY_TYPE value',
+        field: 'entry_type',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'event_id',
+        references: { model: 'events', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      donationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'donation_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      account: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        comment: 'LEDGER_ACCOUNT value',
+        field: 'account',
+      },
+      direction: {
+        type: DataTypes.STRING(6),
+        allowNull: false,
+        comment: 'LEDGER_DIRECTION value',
+        field: 'direction',
+      },
+      amountPaise: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        comment: 'Always positive; direction gives the side',
+        field: 'amount_paise',
+      },
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the money moved (register date for imported donations)',
+        field: 'occurred_at',
+      },
+      memo: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'memo',
+      },
+    },
+    {
+      tableName: 'ledger_entries',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: false,
+      indexes: [
+        { fields: ['journal_key', 'account', 'direction'], unique: true },
+        { fields: ['admin_id', 'account', 'occurred_at'] },
+        { fields: ['event_id', 'account'] },
+        { fields: ['donation_id'] },
+      ],
+      hooks: {
+        beforeUpdate: appendOnly,
+        beforeBulkUpdate: appendOnly,
+        beforeDestroy: appendOnly,
+        beforeBulkDestroy: appendOnly,
+      },
+    }
+  );
+
+  LedgerEntry.associate = (models) => {
+    LedgerEntry.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    LedgerEntry.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    LedgerEntry.belongsTo(models.Donation, { foreignKey: 'donationId', as: 'donation' });
+  };
+
+  return LedgerEntry;
+};
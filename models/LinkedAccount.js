@@ -0,0 +1,123 @@
+'use strict';
+
+const { LINKED_ACCOUNT_STATUS } = require('../constants/settlement');
+
+/**
+ * An organization's linked account on the payment gateway (Razorpay Route), created from its
+ * approved onboarding form. Captured donations are transferred to it and settled to the bank
+ * account below. Only the last 4 digits of the account number are kept here.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const LinkedAccount = sequelize.define(
+    'LinkedAccount',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      onboardingFormId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'onboarding_form_id',
+        references: { model: 'onboarding_forms', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'gateway',
+      },
+      accountId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Gateway linked account ID (acc_...)',
+        field: 'account_id',
+      },
+      stakeholderId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'stakeholder_id',
+      },
+      productId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Route product configuration ID',
+        field: 'product_id',
+      },
+      status: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: LINKED_ACCOUNT_STATUS.REQUESTED,
+        field: 'status',
+      },
+      statusReason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Requirements reported by the gateway when clarification is needed',
+        field: 'status_reason',
+      },
+      beneficiaryName: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        field: 'beneficiary_name',
+      },
+      bankName: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        field: 'bank_name',
+      },
+      accountNumberLast4: {
+        type: DataTypes.STRING(4),
+        allowNull: false,
+        field: 'account_number_last4',
+      },
+      ifscCode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'ifsc_code',
+      },
+      activatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Donations created from this time on are routed to the account',
+        field: 'activated_at',
+      },
+      createdById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+    },
+    {
+      tableName: 'linked_accounts',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['admin_id'], unique: true },
+        { fields: ['account_id'], unique: true },
+        { fields: ['product_id'] },
+      ],
+    }
+  );
+
+  LinkedAccount.associate = (models) => {
+    LinkedAccount.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    LinkedAccount.belongsTo(models.OnboardingForm, { foreignKey: 'onboardingFormId', as: 'onboardingForm' });
+    LinkedAccount.belongsTo(models.User, { foreignKey: 'createdById', as: 'createdBy' });
+    LinkedAccount.hasMany(models.SettlementTransfer, { foreignKey: 'linkedAccountId', as: 'transfers' });
+  };
+
+  return LinkedAccount;
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const { ONBOARDING_STATUS } = require('../constants/settlement');
+
 module.exports = (sequelize, DataTypes) => {
     const OnboardingForm = sequelize.define(
         'OnboardingForm',
@@ -179,6 +181,31 @@ module.exports = (sequelize, DataTypes) => {
                 defaultValue: false,
                 field: 'is_funds_for_lawful_purposes',
             },
+            // Section 7: Super admin review
+            status: {
+                type: DataTypes.STRING(20),
+                allowNull: false,
+                defaultValue: ONBOARDING_STATUS.PENDING,
+                comment: 'pending, approved or rejected; back to pending when the form is edited',
+                field: 'status',
+            },
+            reviewedById: {
+                type: DataTypes.INTEGER,
+                allowNull: true,
+                field: 'reviewed_by_id',
+                references: { model: 'users', key: 'id' },
+                onDelete: 'SET NULL',
+            },
+            reviewedAt: {
+                type: DataTypes.DATE,
+                allowNull: true,
+                field: 'reviewed_at',
+            },
+            reviewNote: {
+                type: DataTypes.STRING(500),
+                allowNull: true,
+                field: 'review_note',
+            },
         },
         {
             tableName: 'onboarding_forms',
@@ -194,6 +221,10 @@ module.exports = (sequelize, DataTypes) => {
             foreignKey: 'adminId',
             as: 'admin',
         });
+        OnboardingForm.belongsTo(models.User, {
+            foreignKey: 'reviewedById',
+            as: 'reviewedBy',
+        });
     };
 
     return OnboardingForm;
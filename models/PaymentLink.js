@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * A shareable donation link created by an organization (e.g. posted on WhatsApp for a festival).
+ * Opening it needs no app login: the payer gives their mobile and pays, and the payment becomes
+ * a normal Donation with paymentLinkId set.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PaymentLink = sequelize.define(
+    'PaymentLink',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Event the link collects for; donations through it count towards the event',
+        field: 'event_id',
+        references: { model: 'events', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      code: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        unique: true,
+        comment: 'Random code in the share URL',
+        field: 'code',
+      },
+      title: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        field: 'title',
+      },
+      description: {
+        type: DataTypes.STRING(1000),
+        allowNull: true,
+        field: 'description',
+      },
+      amountMode: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'open',
+        comment: 'PAYMENT_LINK_AMOUNT_MODE value',
+        field: 'amount_mode',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Amount in Rupees for a fixed-amount link',
+        field: 'amount',
+      },
+      suggestedAmounts: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Preset amounts in Rupees offered by a suggested-amount link',
+        field: 'suggested_amounts',
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'expires_at',
+      },
+      maxUses: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Completed payments after which the link closes; null for unlimited',
+        field: 'max_uses',
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active',
+      },
+      viewCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Times the link was opened, for conversion stats',
+        field: 'view_count',
+      },
+      createdById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+    },
+    {
+      tableName: 'payment_links',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['code'], unique: true },
+        { fields: ['admin_id'] },
+        { fields: ['event_id'] },
+      ],
+    }
+  );
+
+  PaymentLink.associate = (models) => {
+    PaymentLink.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    PaymentLink.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    PaymentLink.hasMany(models.Donation, { foreignKey: 'paymentLinkId', as: 'donations' });
+  };
+
+  return PaymentLink;
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * Platform commission on online donations: percentage of the gross amount plus a fixed
+ * amount per donation. The row with adminId null is the platform default; a row per
+ * organization overrides it.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const PlatformFeeConfig = sequelize.define(
+    'PlatformFeeConfig',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Organization; null for the platform default',
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      percentage: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Percent of the gross amount',
+        field: 'percentage',
+      },
+      fixedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Fixed fee per donation in Rupees (INR)',
+        field: 'fixed_amount',
+      },
+      updatedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'updated_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+    },
+    {
+      tableName: 'platform_fee_configs',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [{ fields: ['admin_id'], unique: true }],
+    }
+  );
+
+  PlatformFeeConfig.associate = (models) => {
+    PlatformFeeConfig.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    PlatformFeeConfig.belongsTo(models.User, { foreignKey: 'updatedById', as: 'updatedBy' });
+  };
+
+  return PlatformFeeConfig;
+};
@@ -13,16 +13,36 @@ module.exports = (sequelize, DataTypes) => {
         type: DataTypes.INTEGER,
         allowNull: false,
         field: 'admin_id',
-        unique: true,
         references: { model: 'users', key: 'id' },
         onDelete: 'CASCADE',
       },
+      series: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'default',
+        comment: 'RECEIPT_SERIES value',
+        field: 'series',
+      },
+      financialYear: {
+        type: DataTypes.STRING(7),
+        allowNull: false,
+        defaultValue: '',
+        comment: 'Financial year (2026-27) the series restarts for; empty for a running series',
+        field: 'financial_year',
+      },
       lastNumber: {
         type: DataTypes.BIGINT,
         allowNull: false,
         defaultValue: 0,
         field: 'last_number',
       },
+      inKindLastNumber: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Last in-kind acknowledgement number issued (default series row only)',
+        field: 'in_kind_last_number',
+      },
     },
     {
       tableName: 'receipt_counters',
@@ -30,7 +50,7 @@ module.exports = (sequelize, DataTypes) => {
       timestamps: true,
       createdAt: 'created_at',
       updatedAt: 'updated_at',
-      indexes: [{ fields: ['admin_id'], unique: true }],
+      indexes: [{ fields: ['admin_id', 'series', 'financial_year'], unique: true }],
     }
   );
 
@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * How an organization's receipt numbers are formatted: prefix, financial-year segment (numbering
+ * restarts every April), optional separate series per kind of donation and zero padding, e.g.
+ * SVT/2026-27/000123. Organizations without a row keep plain 10-digit numbers.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const ReceiptScheme = sequelize.define(
+    'ReceiptScheme',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      prefix: {
+        type: DataTypes.STRING(12),
+        allowNull: true,
+        comment: 'Leading segment, e.g. SVT',
+        field: 'prefix',
+      },
+      separator: {
+        type: DataTypes.STRING(1),
+        allowNull: false,
+        defaultValue: '/',
+        comment: 'RECEIPT_SEPARATORS value between segments',
+        field: 'separator',
+      },
+      includeFinancialYear: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Print the financial year (2026-27) and restart numbering every April',
+        field: 'include_financial_year',
+      },
+      separateSeries: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Number donation, charity, seva and offline receipts in their own series',
+        field: 'separate_series',
+      },
+      seriesCodes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Code printed per series when separateSeries, { donation: "DN", ... }',
+        field: 'series_codes',
+      },
+      padding: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 6,
+        comment: 'Digits the running number is zero-padded to',
+        field: 'padding',
+      },
+      updatedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'updated_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+    },
+    {
+      tableName: 'receipt_schemes',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [{ fields: ['admin_id'], unique: true }],
+    }
+  );
+
+  ReceiptScheme.associate = (models) => {
+    ReceiptScheme.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+  };
+
+  return ReceiptScheme;
+};
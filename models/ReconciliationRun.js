@@ -0,0 +1,114 @@
+'use strict';
+
+const { RECONCILIATION_TRIGGER } = require('../constants/reconciliation');
+
+module.exports = (sequelize, DataTypes) => {
+  const ReconciliationRun = sequelize.define(
+    'ReconciliationRun',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      trigger: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: RECONCILIATION_TRIGGER.SCHEDULED,
+        field: 'trigger',
+      },
+      triggeredById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'triggered_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'started_at',
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'finished_at',
+      },
+      minAgeMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'min_age_minutes',
+      },
+      ttlMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'ttl_minutes',
+      },
+      scannedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'scanned_count',
+      },
+      capturedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'captured_count',
+      },
+      failedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'failed_count',
+      },
+      expiredCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'expired_count',
+      },
+      pendingCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'pending_count',
+      },
+      errorCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'error_count',
+      },
+      capturedAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Total recovered in Rupees (INR)',
+        field: 'captured_amount',
+      },
+      details: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Per-donation outcomes: [{ donationId, outcome, error? }]',
+        field: 'details',
+      },
+    },
+    {
+      tableName: 'reconciliation_runs',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['started_at'] },
+      ],
+    }
+  );
+
+  ReconciliationRun.associate = (models) => {
+    ReconciliationRun.belongsTo(models.User, { foreignKey: 'triggeredById', as: 'triggeredBy' });
+  };
+
+  return ReconciliationRun;
+};
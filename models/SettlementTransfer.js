@@ -0,0 +1,131 @@
+'use strict';
+
+const { TRANSFER_STATUS } = require('../constants/settlement');
+
+/**
+ * Settlement ledger: one transfer per captured gateway donation to its organization's
+ * linked account, followed through to the bank payout (UTR).
+ */
+module.exports = (sequelize, DataTypes) => {
+  const SettlementTransfer = sequelize.define(
+    'SettlementTransfer',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      donationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'donation_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      linkedAccountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'linked_account_id',
+        references: { model: 'linked_accounts', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'gateway',
+      },
+      razorpayPaymentId: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        field: 'razorpay_payment_id',
+      },
+      transferId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Gateway transfer ID (trf_...)',
+        field: 'transfer_id',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount transferred in Rupees (INR)',
+        field: 'amount',
+      },
+      reversedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Amount pulled back for refunds in Rupees (INR)',
+        field: 'reversed_amount',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: TRANSFER_STATUS.PENDING,
+        field: 'status',
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        field: 'attempts',
+      },
+      errorMessage: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        field: 'error_message',
+      },
+      processedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'processed_at',
+      },
+      settlementId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Linked account settlement (setl_...) that paid this transfer out',
+        field: 'settlement_id',
+      },
+      utr: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Bank UTR of the payout to the organization',
+        field: 'utr',
+      },
+      settledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'settled_at',
+      },
+    },
+    {
+      tableName: 'settlement_transfers',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['donation_id'], unique: true },
+        { fields: ['admin_id'] },
+        { fields: ['status'] },
+        { fields: ['transfer_id'] },
+        { fields: ['utr'] },
+      ],
+    }
+  );
+
+  SettlementTransfer.associate = (models) => {
+    SettlementTransfer.belongsTo(models.Donation, { foreignKey: 'donationId', as: 'donation' });
+    SettlementTransfer.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    SettlementTransfer.belongsTo(models.LinkedAccount, { foreignKey: 'linkedAccountId', as: 'linkedAccount' });
+  };
+
+  return SettlementTransfer;
+};
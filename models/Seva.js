@@ -0,0 +1,77 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const Seva = sequelize.define(
+    'Seva',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        comment: 'e.g. Archana, Abhishekam, Akhand Path, Langar sponsorship',
+        field: 'name',
+      },
+      description: {
+        type: DataTypes.STRING(1000),
+        allowNull: true,
+        field: 'description',
+      },
+      price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Fixed price per booking in Rupees (INR)',
+        field: 'price',
+      },
+      defaultCapacity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Bookings per slot when slots are generated without a capacity',
+        field: 'default_capacity',
+      },
+      maxParticipants: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 4,
+        comment: 'Names (with gotra / nakshatra) a devotee can give per booking',
+        field: 'max_participants',
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Inactive sevas are hidden from devotees and cannot be booked',
+        field: 'is_active',
+      },
+    },
+    {
+      tableName: 'sevas',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['admin_id', 'name'], unique: true },
+      ],
+    }
+  );
+
+  Seva.associate = (models) => {
+    Seva.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    Seva.hasMany(models.SevaSlot, { foreignKey: 'sevaId', as: 'slots' });
+    Seva.hasMany(models.SevaBooking, { foreignKey: 'sevaId', as: 'bookings' });
+  };
+
+  return Seva;
+};
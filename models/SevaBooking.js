@@ -0,0 +1,114 @@
+'use strict';
+
+const { SEVA_BOOKING_STATUS } = require('../constants/seva');
+
+module.exports = (sequelize, DataTypes) => {
+  const SevaBooking = sequelize.define(
+    'SevaBooking',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      sevaId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'seva_id',
+        references: { model: 'sevas', key: 'id' },
+        onDelete: 'RESTRICT',
+      },
+      slotId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'slot_id',
+        references: { model: 'seva_slots', key: 'id' },
+        onDelete: 'RESTRICT',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      devoteeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'devotee_id',
+        references: { model: 'devotees', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      donationId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Payment for the booking (donationType seva)',
+        field: 'donation_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: SEVA_BOOKING_STATUS.PENDING,
+        comment: 'SEVA_BOOKING_STATUS value; follows the payment',
+        field: 'status',
+      },
+      participants: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Names the seva is performed for: [{ name, gotra, nakshatra }]',
+        field: 'participants',
+      },
+      notes: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Devotee note for the priest / sevadar',
+        field: 'notes',
+      },
+      holdExpiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'A pending booking gives its seat back after this (SEVA_HOLD_MINUTES, never past the slot start)',
+        field: 'hold_expires_at',
+      },
+      confirmedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'confirmed_at',
+      },
+      releasedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the seat went back to the slot (payment failed/expired or refunded)',
+        field: 'released_at',
+      },
+    },
+    {
+      tableName: 'seva_bookings',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['donation_id'], unique: true },
+        { fields: ['slot_id'] },
+        { fields: ['seva_id'] },
+        { fields: ['admin_id'] },
+        { fields: ['devotee_id'] },
+        { fields: ['status'] },
+        { fields: ['status', 'hold_expires_at'] },
+      ],
+    }
+  );
+
+  SevaBooking.associate = (models) => {
+    SevaBooking.belongsTo(models.Seva, { foreignKey: 'sevaId', as: 'seva' });
+    SevaBooking.belongsTo(models.SevaSlot, { foreignKey: 'slotId', as: 'slot' });
+    SevaBooking.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    SevaBooking.belongsTo(models.Devotee, { foreignKey: 'devoteeId' });
+    SevaBooking.belongsTo(models.Donation, { foreignKey: 'donationId', as: 'donation' });
+  };
+
+  return SevaBooking;
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const SevaSlot = sequelize.define(
+    'SevaSlot',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      sevaId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'seva_id',
+        references: { model: 'sevas', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'Day of the seva (IST)',
+        field: 'date',
+      },
+      startTime: {
+        type: DataTypes.STRING(5),
+        allowNull: false,
+        comment: 'HH:MM (IST, 24-hour)',
+        field: 'start_time',
+      },
+      capacity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Bookings the slot can take',
+        field: 'capacity',
+      },
+      bookedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Pending and confirmed bookings holding a seat',
+        field: 'booked_count',
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'Closed slots keep their bookings but take no new ones',
+        field: 'is_active',
+      },
+    },
+    {
+      tableName: 'seva_slots',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['seva_id', 'date', 'start_time'], unique: true },
+        { fields: ['admin_id', 'date'] },
+      ],
+    }
+  );
+
+  SevaSlot.associate = (models) => {
+    SevaSlot.belongsTo(models.Seva, { foreignKey: 'sevaId', as: 'seva' });
+    SevaSlot.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    SevaSlot.hasMany(models.SevaBooking, { foreignKey: 'slotId', as: 'bookings' });
+  };
+
+  return SevaSlot;
+};
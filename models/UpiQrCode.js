@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * A static UPI QR code of an organization (optionally for one event), printed at the counter.
+ * Created with the gateway, so every credit on it is reported with the QR code ID and can be
+ * turned into a Donation for the right organization and event.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const UpiQrCode = sequelize.define(
+    'UpiQrCode',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Event credits on this QR count towards; null for general donations',
+        field: 'event_id',
+        references: { model: 'events', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'razorpay',
+        comment: 'PAYMENT_GATEWAY value of the provider that issued the QR code',
+        field: 'gateway',
+      },
+      gatewayQrId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'QR code ID at the gateway (qr_...)',
+        field: 'gateway_qr_id',
+      },
+      name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Label printed on the QR image and shown to the payer',
+        field: 'name',
+      },
+      imageUrl: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Printable QR image hosted by the gateway',
+        field: 'image_url',
+      },
+      upiPayload: {
+        type: DataTypes.STRING(1000),
+        allowNull: true,
+        comment: 'upi://pay intent encoded in the QR, for rendering it locally',
+        field: 'upi_payload',
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        field: 'is_active',
+      },
+      closedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'closed_at',
+      },
+      lastPolledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When credits were last fetched from the gateway',
+        field: 'last_polled_at',
+      },
+      createdById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'created_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+    },
+    {
+      tableName: 'upi_qr_codes',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['gateway_qr_id'], unique: true },
+        { fields: ['admin_id'] },
+        { fields: ['event_id'] },
+      ],
+    }
+  );
+
+  UpiQrCode.associate = (models) => {
+    UpiQrCode.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    UpiQrCode.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    UpiQrCode.hasMany(models.UpiQrCredit, { foreignKey: 'qrCodeId', as: 'credits' });
+  };
+
+  return UpiQrCode;
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const { UPI_QR_CREDIT_STATUS } = require('../constants/upiQr');
+
+/**
+ * A payment received on an organization's static UPI QR code, stored once per gateway payment.
+ * Becomes a captured Donation as soon as the payer is known; until then it waits in the
+ * organization's queue (status unmatched) for an admin to assign a devotee mobile.
+ */
+module.exports = (sequelize, DataTypes) => {
+  const UpiQrCredit = sequelize.define(
+    'UpiQrCredit',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      qrCodeId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'qr_code_id',
+        references: { model: 'upi_qr_codes', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      adminId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        field: 'admin_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+      },
+      eventId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Event of the QR code when the credit arrived',
+        field: 'event_id',
+        references: { model: 'events', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      gateway: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        field: 'gateway',
+      },
+      paymentId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        comment: 'Gateway payment ID (pay_...); a credit is stored once whether reported by webhook or poll',
+        field: 'payment_id',
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount received in Rupees',
+        field: 'amount',
+      },
+      payerVpa: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'UPI ID the payment came from',
+        field: 'payer_vpa',
+      },
+      payerContact: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'Payer mobile reported by the gateway, if any',
+        field: 'payer_contact',
+      },
+      utr: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        field: 'utr',
+      },
+      creditedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        field: 'credited_at',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: UPI_QR_CREDIT_STATUS.UNMATCHED,
+        comment: 'UPI_QR_CREDIT_STATUS value',
+        field: 'status',
+      },
+      payment: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Gateway payment entity, for capturing the donation once the payer is known',
+        field: 'payment',
+      },
+      donationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'donation_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      assignedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'assigned_by_id',
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      assignedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        field: 'assigned_at',
+      },
+    },
+    {
+      tableName: 'upi_qr_credits',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['payment_id'], unique: true },
+        { fields: ['qr_code_id'] },
+        { fields: ['admin_id', 'status'] },
+        { fields: ['admin_id', 'payer_vpa'] },
+        { fields: ['donation_id'] },
+      ],
+    }
+  );
+
+  UpiQrCredit.associate = (models) => {
+    UpiQrCredit.belongsTo(models.UpiQrCode, { foreignKey: 'qrCodeId', as: 'qrCode' });
+    UpiQrCredit.belongsTo(models.User, { foreignKey: 'adminId', as: 'organization' });
+    UpiQrCredit.belongsTo(models.Event, { foreignKey: 'eventId', as: 'event' });
+    UpiQrCredit.belongsTo(models.Donation, { foreignKey: 'donationId', as: 'donation' });
+    UpiQrCredit.belongsTo(models.User, { foreignKey: 'assignedById', as: 'assignedBy' });
+  };
+
+  return UpiQrCredit;
+};
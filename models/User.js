@@ -104,6 +104,29 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         field: 'registration_80g_number',
       },
+      fcraRegistrationNumber: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        comment: 'FCRA registration number; required (with the designated account) to accept foreign contributions',
+        field: 'fcra_registration_number',
+      },
+      fcraBankName: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Bank and branch of the designated FCRA account (SBI, New Delhi Main Branch)',
+        field: 'fcra_bank_name',
+      },
+      fcraAccountNumber: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+        comment: 'Designated FCRA account that foreign contributions are settled to',
+        field: 'fcra_account_number',
+      },
+      fcraIfsc: {
+        type: DataTypes.STRING(11),
+        allowNull: true,
+        field: 'fcra_ifsc',
+      },
       otpHash: {
         type: DataTypes.STRING(255),
         allowNull: true,
@@ -204,12 +227,15 @@ module.exports = (sequelize, DataTypes) => {
       id, orgId, email, name, address, phone, profileImage, role,
       organizationType, organizationCategory, faith, organizationSubtype,
       panNumber, registration80GNumber,
+      fcraRegistrationNumber, fcraBankName, fcraAccountNumber, fcraIfsc,
       isActive, createdAt, latitude, longitude
     } = this.get();
     return {
       id, orgId, email, name, address, phone, profileImage, role,
       organizationType, organizationCategory, faith, organizationSubtype,
       panNumber, registration80GNumber,
+      fcraRegistrationNumber, fcraBankName, fcraAccountNumber, fcraIfsc,
+      acceptsForeignContribution: Boolean(fcraRegistrationNumber && fcraAccountNumber),
       isActive, createdAt,
       latitude, longitude,
       googleMapLink: (latitude && longitude) ? `https://www.google.com/maps?q=${latitude},${longitude}` : null
@@ -0,0 +1,81 @@
+'use strict';
+
+const { WEBHOOK_STATUS } = require('../constants/webhook');
+
+module.exports = (sequelize, DataTypes) => {
+  const WebhookEvent = sequelize.define(
+    'WebhookEvent',
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      provider: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        defaultValue: 'razorpay',
+        field: 'provider',
+      },
+      eventId: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Gateway delivery ID (x-razorpay-event-id) used for idempotency',
+        field: 'event_id',
+      },
+      eventType: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        field: 'event_type',
+      },
+      donationId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        field: 'donation_id',
+        references: { model: 'donations', key: 'id' },
+        onDelete: 'SET NULL',
+      },
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: WEBHOOK_STATUS.RECEIVED,
+        field: 'status',
+      },
+      payload: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        field: 'payload',
+      },
+      errorMessage: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        field: 'error_message',
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        field: 'attempts',
+      },
+    },
+    {
+      tableName: 'webhook_events',
+      underscored: true,
+      timestamps: true,
+      createdAt: 'created_at',
+      updatedAt: 'updated_at',
+      indexes: [
+        { fields: ['provider', 'event_id'], unique: true },
+        { fields: ['event_type'] },
+        { fields: ['donation_id'] },
+        { fields: ['status'] },
+      ],
+    }
+  );
+
+  WebhookEvent.associate = (models) => {
+    WebhookEvent.belongsTo(models.Donation, { foreignKey: 'donationId', as: 'donation' });
+  };
+
+  return WebhookEvent;
+};
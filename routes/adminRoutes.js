@@ -4,10 +4,26 @@ const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const eventController = require('../controllers/eventController');
+const adminDonationController = require('../controllers/adminDonationController');
+const pledgeController = require('../controllers/pledgeController');
+const settlementController = require('../controllers/settlementController');
+const platformFeeController = require('../controllers/platformFeeController');
+const inKindController = require('../controllers/inKindController');
+const sevaController = require('../controllers/sevaController');
+const hundiController = require('../controllers/hundiController');
+const fcraController = require('../controllers/fcraController');
+const receiptSchemeController = require('../controllers/receiptSchemeController');
+const paymentLinkController = require('../controllers/paymentLinkController');
+const upiQrController = require('../controllers/upiQrController');
+const ledgerController = require('../controllers/ledgerController');
 const { authenticate, requireSuperAdmin, requireAdmin } = require('../middleware/auth');
-const { optionalUploadImage, optionalUploadEventImage } = require('../middleware/upload');
+const { optionalUploadImage, optionalUploadEventImage, uploadCsv } = require('../middleware/upload');
 
 router.post('/', authenticate, requireSuperAdmin, adminController.create);
+// Registered before PUT /:id, which would otherwise take PUT /receipt-scheme.
+router.get('/receipt-scheme', authenticate, requireAdmin, receiptSchemeController.getReceiptScheme);
+router.put('/receipt-scheme', authenticate, requireAdmin, receiptSchemeController.updateReceiptScheme);
+router.delete('/receipt-scheme', authenticate, requireAdmin, receiptSchemeController.deleteReceiptScheme);
 router.put('/:id', authenticate, requireSuperAdmin, optionalUploadImage, adminController.update);
 router.post('/login', adminController.login);
 router.post('/forgot-password', adminController.forgotPassword);
@@ -32,6 +48,73 @@ router.post('/devotees/walkin', authenticate, requireAdmin, adminController.crea
 
 router.get('/transactions', authenticate, requireAdmin, adminController.getDevoteeTransactions);
 
+router.post('/donations/import', authenticate, requireAdmin, uploadCsv, adminDonationController.importDonations);
+router.post('/donations/:id/refund', authenticate, requireAdmin, adminDonationController.refundDonation);
+router.get('/donations/:id/refunds', authenticate, requireAdmin, adminDonationController.getDonationRefunds);
+router.get('/donations/:id/receipt', authenticate, requireAdmin, adminDonationController.getDonationReceiptPdf);
+router.post('/donations/:id/resend-receipt', authenticate, requireAdmin, adminDonationController.resendReceipt);
+router.patch('/donations/:id/instrument', authenticate, requireAdmin, adminDonationController.updateInstrumentStatus);
+router.post('/donations/:id/void', authenticate, requireAdmin, adminDonationController.voidDonation);
+router.post('/donations/:id/reissue', authenticate, requireAdmin, adminDonationController.reissueDonation);
+router.get('/instruments', authenticate, requireAdmin, adminDonationController.getInstruments);
+router.get('/dedications', authenticate, requireAdmin, adminDonationController.getDedications);
+router.get('/form-10bd', authenticate, requireAdmin, adminDonationController.getForm10BD);
+router.get('/form-10bd/csv', authenticate, requireAdmin, adminDonationController.getForm10BDCsv);
+
+router.get('/pledges', authenticate, requireAdmin, pledgeController.getOrganizationPledges);
+
+router.get('/settlements', authenticate, requireAdmin, settlementController.getSettlementLedger);
+router.get('/settlements/account', authenticate, requireAdmin, settlementController.getMyLinkedAccount);
+router.get('/fee', authenticate, requireAdmin, platformFeeController.getMyFee);
+
+router.get('/payment-links', authenticate, requireAdmin, paymentLinkController.getLinks);
+router.post('/payment-links', authenticate, requireAdmin, paymentLinkController.createLink);
+router.get('/payment-links/:id', authenticate, requireAdmin, paymentLinkController.getLink);
+router.patch('/payment-links/:id', authenticate, requireAdmin, paymentLinkController.updateLink);
+
+router.get('/upi-qr', authenticate, requireAdmin, upiQrController.getQrCodes);
+router.post('/upi-qr', authenticate, requireAdmin, upiQrController.createQrCode);
+router.post('/upi-qr/poll', authenticate, requireAdmin, upiQrController.pollQrCodes);
+router.get('/upi-qr/credits', authenticate, requireAdmin, upiQrController.getCredits);
+router.post('/upi-qr/credits/:id/assign', authenticate, requireAdmin, upiQrController.assignCredit);
+router.post('/upi-qr/:id/close', authenticate, requireAdmin, upiQrController.closeQrCode);
+router.post('/upi-qr/:id/sandbox-credit', authenticate, requireAdmin, upiQrController.simulateSandboxCredit);
+
+router.get('/ledger', authenticate, requireAdmin, ledgerController.getLedgerEntries);
+router.get('/ledger/balance', authenticate, requireAdmin, ledgerController.getLedgerBalance);
+
+router.get('/in-kind/items', authenticate, requireAdmin, inKindController.getItems);
+router.post('/in-kind/items', authenticate, requireAdmin, inKindController.createItem);
+router.patch('/in-kind/items/:id', authenticate, requireAdmin, inKindController.updateItem);
+router.post('/in-kind/donations', authenticate, requireAdmin, inKindController.createInKindDonation);
+router.get('/in-kind/donations', authenticate, requireAdmin, inKindController.getInKindDonations);
+router.post('/in-kind/donations/:id/cancel', authenticate, requireAdmin, inKindController.cancelInKind);
+router.get('/in-kind/donations/:id/acknowledgement', authenticate, requireAdmin, inKindController.getAcknowledgementPdf);
+router.get('/in-kind/stock', authenticate, requireAdmin, inKindController.getStock);
+
+router.get('/sevas', authenticate, requireAdmin, sevaController.getSevas);
+router.post('/sevas', authenticate, requireAdmin, sevaController.createSeva);
+router.patch('/sevas/:id', authenticate, requireAdmin, sevaController.updateSeva);
+router.post('/sevas/:id/slots', authenticate, requireAdmin, sevaController.createSlots);
+router.get('/sevas/:id/slots', authenticate, requireAdmin, sevaController.getSlots);
+router.patch('/seva-slots/:id', authenticate, requireAdmin, sevaController.updateSlot);
+router.get('/seva-manifest', authenticate, requireAdmin, sevaController.getManifest);
+
+router.get('/hundi/boxes', authenticate, requireAdmin, hundiController.getBoxes);
+router.post('/hundi/boxes', authenticate, requireAdmin, hundiController.createBox);
+router.patch('/hundi/boxes/:id', authenticate, requireAdmin, hundiController.updateBox);
+router.post('/hundi/collections', authenticate, requireAdmin, hundiController.createCollection);
+router.get('/hundi/collections', authenticate, requireAdmin, hundiController.getCollections);
+router.get('/hundi/collections/:id', authenticate, requireAdmin, hundiController.getCollection);
+router.patch('/hundi/collections/:id', authenticate, requireAdmin, hundiController.updateCollection);
+router.post('/hundi/collections/:id/sign-off/otp', authenticate, requireAdmin, hundiController.sendSignOffOtp);
+router.post('/hundi/collections/:id/sign-off', authenticate, requireAdmin, hundiController.signOffCollection);
+router.post('/hundi/collections/:id/cancel', authenticate, requireAdmin, hundiController.cancelCollection);
+router.get('/hundi/summary', authenticate, requireAdmin, hundiController.getSummary);
+
+router.get('/fcra/ledger', authenticate, requireAdmin, fcraController.getLedger);
+router.get('/fcra/report', authenticate, requireAdmin, fcraController.getReport);
+
 router.get('/event-types', authenticate, requireAdmin, eventController.getEventTypes);
 router.post('/events', authenticate, requireAdmin, optionalUploadEventImage, eventController.createEvent);
 router.get('/events', authenticate, requireAdmin, eventController.getAdminEvents);
@@ -5,6 +5,9 @@ const router = express.Router();
 const devoteeController = require('../controllers/devoteeController');
 const donationController = require('../controllers/donationController');
 const eventController = require('../controllers/eventController');
+const pledgeController = require('../controllers/pledgeController');
+const sevaController = require('../controllers/sevaController');
+const paymentLinkController = require('../controllers/paymentLinkController');
 const superAdminController = require('../controllers/superAdminController');
 const { authenticateDevotee } = require('../middleware/auth');
 const { optionalUploadDevoteeDetailsFiles } = require('../middleware/upload');
@@ -26,17 +29,40 @@ router.get('/admins', authenticateDevotee, superAdminController.getAllAdmins);
 router.get('/favorites', authenticateDevotee, devoteeController.getFavorites);
 router.post('/favorites', authenticateDevotee, devoteeController.setFavorites);
 router.put('/favorites', authenticateDevotee, devoteeController.updateFavorites);
+router.post('/favorites/add', authenticateDevotee, devoteeController.addFavorite);
 router.get('/favorites/events', authenticateDevotee, eventController.getFavoritesEvents);
 
 router.get('/organizations/:adminId/events', eventController.getOrganizationEvents);
+router.get('/organizations/:adminId/sevas', sevaController.getOrganizationSevas);
+router.get('/sevas/:id/slots', sevaController.getAvailableSlots);
 
+router.get('/links/:code', paymentLinkController.getPublicLink);
+router.post('/links/:code/create-order', paymentLinkController.createLinkDonationOrder);
+router.post('/links/:code/verify', paymentLinkController.verifyLinkDonation);
+router.post('/links/:code/sandbox-pay/:donationId', paymentLinkController.simulateLinkSandboxPayment);
 
 router.post('/donation/create-order', authenticateDevotee, donationController.createDonationOrder);
+router.post('/donation/basket/create-order', authenticateDevotee, donationController.createBasketOrder);
 router.post('/donation/verify', authenticateDevotee, donationController.verifyDonation);
 router.post('/donation/sync/:id', authenticateDevotee, donationController.checkDonationStatus);
+router.post('/donation/sandbox-pay/:id', authenticateDevotee, donationController.simulateSandboxPayment);
 router.get('/donation/invoice/:id', authenticateDevotee, donationController.getDonationInvoice);
+router.get('/donation/invoice/:id/pdf', authenticateDevotee, donationController.getDonationInvoicePdf);
 router.get('/donations', authenticateDevotee, donationController.getMyDonations);
 router.get('/stats', authenticateDevotee, donationController.getStats);
+router.get('/tax-statement', authenticateDevotee, donationController.getTaxStatement);
+router.get('/tax-statement/pdf', authenticateDevotee, donationController.getTaxStatementPdf);
+
+router.post('/seva/book', authenticateDevotee, sevaController.bookSeva);
+router.get('/seva/bookings', authenticateDevotee, sevaController.getMyBookings);
+
+router.post('/pledges', authenticateDevotee, pledgeController.createPledge);
+router.get('/pledges', authenticateDevotee, pledgeController.getMyPledges);
+router.get('/pledges/:id', authenticateDevotee, pledgeController.getPledge);
+router.post('/pledges/:id/pause', authenticateDevotee, pledgeController.pausePledge);
+router.post('/pledges/:id/resume', authenticateDevotee, pledgeController.resumePledge);
+router.post('/pledges/:id/cancel', authenticateDevotee, pledgeController.cancelPledge);
+router.post('/pledges/:id/mock-charge', authenticateDevotee, pledgeController.mockChargePledge);
 
 router.post('/support', authenticateDevotee, devoteeController.raiseSupport);
 router.get('/support', authenticateDevotee, devoteeController.getMySupportTickets);
@@ -39,6 +39,18 @@ router.get(
     formController.getAllOnboardingForms
 );
 
+/**
+ * @route PATCH /api/form/onboarding/:id/review
+ * @desc Approve or reject an onboarding form
+ * @access Super Admin
+ */
+router.patch(
+    '/onboarding/:id/review',
+    authenticate,
+    requireSuperAdmin,
+    formController.reviewOnboardingForm
+);
+
 /**
  * @route POST /api/form/contact
  * @desc Submit contact form
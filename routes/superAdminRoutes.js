@@ -3,6 +3,10 @@
 const express = require('express');
 const router = express.Router();
 const superAdminController = require('../controllers/superAdminController');
+const reconciliationController = require('../controllers/reconciliationController');
+const settlementController = require('../controllers/settlementController');
+const platformFeeController = require('../controllers/platformFeeController');
+const ledgerController = require('../controllers/ledgerController');
 const { authenticate, requireSuperAdmin } = require('../middleware/auth');
 const { optionalUploadImage } = require('../middleware/upload');
 
@@ -19,6 +23,14 @@ router.delete('/profile', authenticate, requireSuperAdmin, superAdminController.
 
 router.get('/admins', authenticate, requireSuperAdmin, superAdminController.getAllAdmins);
 router.delete('/admins/:id', authenticate, requireSuperAdmin, superAdminController.deleteAdmin);
+router.get('/admins/:id/linked-account', authenticate, requireSuperAdmin, settlementController.getLinkedAccount);
+router.post('/admins/:id/linked-account', authenticate, requireSuperAdmin, settlementController.createLinkedAccount);
+router.get('/admins/:id/fee', authenticate, requireSuperAdmin, platformFeeController.getOrganizationFee);
+router.put('/admins/:id/fee', authenticate, requireSuperAdmin, platformFeeController.setOrganizationFee);
+router.delete('/admins/:id/fee', authenticate, requireSuperAdmin, platformFeeController.deleteOrganizationFee);
+
+router.get('/fees', authenticate, requireSuperAdmin, platformFeeController.getPlatformFees);
+router.put('/fees/default', authenticate, requireSuperAdmin, platformFeeController.setDefaultFee);
 router.get('/devotees', authenticate, requireSuperAdmin, superAdminController.getAllDevotees);
 
 router.get('/support', authenticate, requireSuperAdmin, superAdminController.getAllSupportTickets);
@@ -28,4 +40,16 @@ router.post('/support/:id/message', authenticate, requireSuperAdmin, superAdminC
 
 router.get('/stats', authenticate, requireSuperAdmin, superAdminController.getDashboardStats);
 
+router.get('/reconciliation/runs', authenticate, requireSuperAdmin, reconciliationController.getReconciliationRuns);
+router.get('/reconciliation/runs/:id', authenticate, requireSuperAdmin, reconciliationController.getReconciliationRun);
+router.post('/reconciliation/run', authenticate, requireSuperAdmin, reconciliationController.runReconciliation);
+
+router.get('/settlements', authenticate, requireSuperAdmin, settlementController.getAllSettlements);
+router.post('/settlements/sync', authenticate, requireSuperAdmin, settlementController.syncSettlements);
+
+router.get('/ledger/audit', authenticate, requireSuperAdmin, ledgerController.getLedgerAudits);
+router.post('/ledger/audit', authenticate, requireSuperAdmin, ledgerController.runLedgerAudit);
+router.post('/ledger/audit/repair', authenticate, requireSuperAdmin, ledgerController.repairLedger);
+router.get('/ledger/audit/:id', authenticate, requireSuperAdmin, ledgerController.getLedgerAudit);
+
 module.exports = router;
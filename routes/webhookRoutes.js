@@ -0,0 +1,10 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+
+// Authenticated by X-Razorpay-Signature, not JWT.
+router.post('/razorpay', webhookController.handleRazorpayWebhook);
+
+module.exports = router;
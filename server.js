@@ -7,13 +7,22 @@ const superAdminRoutes = require('./routes/superAdminRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const devoteeRoutes = require('./routes/devoteeRoutes');
 const formRoutes = require('./routes/formRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
 const errorHandler = require('./middleware/errorHandler');
+const { startReconciliationScheduler } = require('./services/reconciliationService');
+const { startReceiptRetryScheduler } = require('./services/receiptNotificationService');
+const { startSettlementScheduler } = require('./services/settlementService');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for gateway webhook signature verification.
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 
@@ -21,6 +30,7 @@ app.use('/api/super-admin', superAdminRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/devotee', devoteeRoutes);
 app.use('/api/form', formRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 app.get('/health', (req, res) => {
   res.json({ success: true, message: 'OK' });
@@ -44,6 +54,10 @@ async function startServer() {
     app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
     });
+
+    startReconciliationScheduler();
+    startReceiptRetryScheduler();
+    startSettlementScheduler();
   } catch (error) {
     console.error('❌ Unable to connect to the database:', error);
     process.exit(1);
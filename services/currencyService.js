@@ -0,0 +1,56 @@
+'use strict';
+
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+
+const RATE_ENTRY_REGEX = /^([A-Z]{3})\s*[:=]\s*(\d+(\.\d+)?)$/;
+
+/**
+ * Foreign currencies accepted for gateway orders, with an indicative INR rate per unit, from
+ * FOREIGN_CURRENCY_RATES (e.g. "USD:83.25,GBP:105.40,AED:22.65"). Only these currencies can be
+ * ordered; the rate values a pending order until the gateway reports the INR it settled.
+ * Only currencies with two decimal places (cents, pence) are supported.
+ * @returns {Object<string, number>} currency code -> INR per unit
+ */
+function getForeignCurrencyRates() {
+  const rates = {};
+  String(process.env.FOREIGN_CURRENCY_RATES || '')
+    .split(',')
+    .map((entry) => entry.trim().toUpperCase())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const match = entry.match(RATE_ENTRY_REGEX);
+      if (match && match[1] !== DOMESTIC_CURRENCY && Number(match[2]) > 0) {
+        rates[match[1]] = Number(match[2]);
+      }
+    });
+  return rates;
+}
+
+/**
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} true for INR and configured foreign currencies
+ */
+function isSupportedCurrency(currency) {
+  return currency === DOMESTIC_CURRENCY || Object.prototype.hasOwnProperty.call(getForeignCurrencyRates(), currency);
+}
+
+/**
+ * Indicative INR value of an amount in a supported currency.
+ * @param {number} amountMinor - Amount in the currency's smallest unit (cents, pence, ...)
+ * @param {string} currency
+ * @returns {number} INR paise
+ */
+function toIndicativeInrPaise(amountMinor, currency) {
+  if (currency === DOMESTIC_CURRENCY) return amountMinor;
+  const rate = getForeignCurrencyRates()[currency];
+  if (!rate) {
+    throw new Error(`No INR rate configured for ${currency}.`);
+  }
+  return Math.round(amountMinor * rate);
+}
+
+module.exports = {
+  getForeignCurrencyRates,
+  isSupportedCurrency,
+  toIndicativeInrPaise,
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const { Devotee, DevoteeFavorite } = require('../models');
+
+/**
+ * Find the devotee an organization is recording an offline donation for, by mobile, or create
+ * them. Name, email and city fill in or replace what is on file when given. The organization is
+ * added to the devotee's favorites so the donation shows up under their followers.
+ * @param {number} adminId
+ * @param {{ mobile: string, name?: string|null, email?: string|null, city?: string|null }} details
+ * @param {Object} [transaction]
+ * @returns {Promise<Object>} Devotee
+ */
+async function upsertWalkInDevotee(adminId, { mobile, name, email, city }, transaction) {
+  let devotee = await Devotee.findOne({ where: { mobile }, transaction });
+
+  if (!devotee) {
+    devotee = await Devotee.create(
+      {
+        mobile,
+        name: name || null,
+        email: email || null,
+        city: city || null,
+      },
+      { transaction }
+    );
+  } else {
+    const updates = {};
+    if (name && name !== devotee.name) updates.name = name;
+    if (email && email !== devotee.email) updates.email = email;
+    if (city && city !== devotee.city) updates.city = city;
+
+    if (Object.keys(updates).length > 0) {
+      await devotee.update(updates, { transaction });
+    }
+  }
+
+  await DevoteeFavorite.findOrCreate({
+    where: { devoteeId: devotee.id, adminId },
+    defaults: { displayOrder: 1 },
+    transaction,
+  });
+
+  return devotee;
+}
+
+/**
+ * Find the devotee paying through an organization's payment link or UPI QR code by mobile, or
+ * create them. The payer is not logged in, so details only fill in what is missing and never
+ * replace what the devotee has on file. The organization is added to their favorites as for
+ * walk-in donations.
+ * @param {number} adminId
+ * @param {{ mobile: string, name?: string|null, email?: string|null, city?: string|null }} details
+ * @param {Object} [transaction]
+ * @returns {Promise<Object>} Devotee
+ */
+async function findOrCreateLinkDevotee(adminId, { mobile, name, email, city }, transaction) {
+  const [devotee, created] = await Devotee.findOrCreate({
+    where: { mobile },
+    defaults: { mobile, name: name || null, email: email || null, city: city || null },
+    transaction,
+  });
+
+  if (!created) {
+    const updates = {};
+    if (name && !devotee.name) updates.name = name;
+    if (email && !devotee.email) updates.email = email;
+    if (city && !devotee.city) updates.city = city;
+    if (Object.keys(updates).length > 0) {
+      await devotee.update(updates, { transaction });
+    }
+  }
+
+  await DevoteeFavorite.findOrCreate({
+    where: { devoteeId: devotee.id, adminId },
+    defaults: { displayOrder: 1 },
+    transaction,
+  });
+
+  return devotee;
+}
+
+module.exports = {
+  upsertWalkInDevotee,
+  findOrCreateLinkDevotee,
+};
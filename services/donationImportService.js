@@ -0,0 +1,92 @@
+'use strict';
+
+const { Event } = require('../models');
+const { IMPORT_RECEIPT_MODE, DONATION_IMPORT_MAX_ROWS } = require('../constants/donation');
+const { validateDonationImportRow } = require('../validators/devoteeValidator');
+const { receiptNumberKey, findUsedReceiptNumbers } = require('./receiptService');
+const { parseCsv } = require('../utils/csv');
+const { httpError } = require('../utils/httpError');
+
+const REQUIRED_COLUMNS = ['mobile', 'amount', 'date'];
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Parse a donation register CSV and check every row for an organization without writing
+ * anything: row fields, events of the organization and, when keeping register receipt numbers,
+ * numbers repeated in the file or already used (all-digit numbers compared by value).
+ * Columns: mobile, name, email, city, amount, date, payment_method, event_id, receipt_number, reference
+ * (header row required, any order; only mobile, amount and date are mandatory).
+ * @param {number} adminId
+ * @param {string} csvText
+ * @param {string} receiptMode - IMPORT_RECEIPT_MODE value
+ * @returns {Promise<Array<{ row: number, errors: string[], data: Object|null }>>} row is the line
+ *   number in the file; data is null for rows with errors
+ */
+async function previewDonationImport(adminId, csvText, receiptMode) {
+  const { rows: cells, error } = parseCsv(csvText);
+  if (error) {
+    throw httpError(`CSV could not be read: ${error}`, 422);
+  }
+  if (cells.length < 2) {
+    throw httpError('The file has no donation rows.', 422);
+  }
+  if (cells.length - 1 > DONATION_IMPORT_MAX_ROWS) {
+    throw httpError(`At most ${DONATION_IMPORT_MAX_ROWS} rows can be imported at a time.`, 422);
+  }
+
+  const headers = cells[0].map(normalizeHeader);
+  const missing = REQUIRED_COLUMNS.filter((column) => !headers.includes(column));
+  if (missing.length > 0) {
+    throw httpError(`Missing column(s): ${missing.join(', ')}.`, 422);
+  }
+
+  const results = cells.slice(1).map((values, index) => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = values[i] != null ? values[i].trim() : '';
+    });
+    const validation = validateDonationImportRow(record);
+    const data = validation.valid ? validation.data : null;
+    if (data && receiptMode !== IMPORT_RECEIPT_MODE.KEEP) data.receiptNumber = null;
+    return { row: index + 2, errors: validation.errors || [], data };
+  });
+  const valid = results.filter((r) => r.data);
+
+  const eventIds = [...new Set(valid.map((r) => r.data.eventId).filter(Boolean))];
+  if (eventIds.length > 0) {
+    const events = await Event.findAll({ where: { id: eventIds, adminId }, attributes: ['id'] });
+    const known = new Set(events.map((e) => e.id));
+    for (const result of valid) {
+      if (result.data.eventId && !known.has(result.data.eventId)) {
+        result.errors.push(`Event ${result.data.eventId} not found for this organization.`);
+      }
+    }
+  }
+
+  const receiptNumbers = valid.map((r) => r.data.receiptNumber).filter(Boolean);
+  if (receiptNumbers.length > 0) {
+    const usedKeys = await findUsedReceiptNumbers(adminId, receiptNumbers);
+    const firstRow = new Map();
+    for (const result of valid) {
+      const number = result.data.receiptNumber;
+      if (!number) continue;
+      const key = receiptNumberKey(number);
+      if (usedKeys.has(key)) {
+        result.errors.push(`Receipt number ${number} is already used by this organization.`);
+      } else if (firstRow.has(key)) {
+        result.errors.push(`Receipt number ${number} is repeated from row ${firstRow.get(key)}.`);
+      } else {
+        firstRow.set(key, result.row);
+      }
+    }
+  }
+
+  return results.map((r) => (r.errors.length > 0 ? { ...r, data: null } : r));
+}
+
+module.exports = {
+  previewDonationImport,
+};
@@ -0,0 +1,947 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, DonationBasket, DonationRefund, sequelize } = require('../models');
+const {
+  DONATION_STATUS,
+  DONATION_STATUS_POST_CAPTURE,
+  DONATION_STATUS_REFUNDABLE,
+  DONATION_STATUS_VOIDABLE,
+  DONATION_TYPE,
+  REFUND_STATUS,
+  OFFLINE_PAYMENT_METHOD_LIST,
+  INSTRUMENT_PAYMENT_METHODS,
+  INSTRUMENT_STATUS,
+  INSTRUMENT_STATUS_TRANSITIONS,
+} = require('../constants/donation');
+const { SEVA_BOOKING_STATUS } = require('../constants/seva');
+const { LEDGER_ENTRY_TYPE } = require('../constants/ledger');
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+const {
+  getNextReceiptNumberForAdmin,
+  advanceReceiptCounterForAdmin,
+  receiptNumberKey,
+  findUsedReceiptNumbers,
+} = require('./receiptService');
+const { getGateway } = require('./paymentGateway');
+const { notifyDonationsCaptured } = require('./receiptNotificationService');
+const { transferCapturedDonations, reverseTransferForRefund } = require('./settlementService');
+const { getEffectiveFee, computeFees, lineGatewayFee } = require('./platformFeeService');
+const { upsertWalkInDevotee, findOrCreateLinkDevotee } = require('./devoteeService');
+const { confirmSevaBooking, releaseSevaBooking } = require('./sevaService');
+const {
+  recordDonationCaptured,
+  recordDonationFees,
+  recordRefund,
+  recordRefundFailed,
+  recordOfflineReversal,
+  syncEventRaised,
+} = require('./ledgerService');
+const { httpError } = require('../utils/httpError');
+const { istDayRange } = require('../utils/date');
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees || 0) * 100);
+}
+
+function isForeignCurrency(donation) {
+  return Boolean(donation.currency) && donation.currency !== DOMESTIC_CURRENCY;
+}
+
+/**
+ * INR paise for an amount the gateway reports in the donation's order currency (e.g. a refund
+ * of a USD payment), in proportion to what the payment settled in INR.
+ */
+function gatewayAmountToPaise(donation, amountMinor) {
+  if (!isForeignCurrency(donation)) return amountMinor;
+  const currencyMinor = toPaise(donation.currencyAmount);
+  return currencyMinor > 0 ? Math.round((amountMinor * toPaise(donation.amount)) / currencyMinor) : 0;
+}
+
+/**
+ * Extract method, UTR, bank transaction ID and gateway fee from a Razorpay payment entity.
+ * Falls back to the payment ID as transactionId when the bank reference is missing.
+ * The fee (incl. tax) is only reported once the payment is captured. Amounts are INR paise;
+ * a foreign-currency payment reports its INR value as base_amount.
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {{ razorpayPaymentId: string|null, paymentMethod: string|null, utr: string|null, transactionId: string|null, gatewayFeePaise: number|null, paymentAmountPaise: number|null }}
+ */
+function extractPaymentDetails(payment) {
+  if (!payment) {
+    return {
+      razorpayPaymentId: null,
+      paymentMethod: null,
+      utr: null,
+      transactionId: null,
+      gatewayFeePaise: null,
+      paymentAmountPaise: null,
+    };
+  }
+
+  let utr = null;
+  let transactionId = null;
+  if (payment.acquirer_data) {
+    utr = payment.acquirer_data.rrn || payment.acquirer_data.upi_transaction_id || null;
+    transactionId = payment.acquirer_data.bank_transaction_id || null;
+  }
+
+  return {
+    razorpayPaymentId: payment.id || null,
+    paymentMethod: payment.method || null,
+    utr,
+    transactionId: transactionId || payment.id || null,
+    gatewayFeePaise: payment.fee != null ? Number(payment.fee) : null,
+    paymentAmountPaise: payment.currency && payment.currency !== DOMESTIC_CURRENCY
+      ? (payment.base_amount != null ? Number(payment.base_amount) : null)
+      : (payment.amount != null ? Number(payment.amount) : null),
+  };
+}
+
+/**
+ * Lock a donation together with the other lines of its basket (if any), in id order.
+ */
+async function lockOrderLines(donationId, transaction) {
+  const target = await Donation.findByPk(donationId, { transaction });
+  if (!target) return [];
+  return Donation.findAll({
+    where: target.basketId ? { basketId: target.basketId } : { id: target.id },
+    order: [['id', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+  });
+}
+
+async function captureLockedDonation(locked, fields, transaction, missedSevaIds = []) {
+  if (DONATION_STATUS_POST_CAPTURE.includes(locked.status)) {
+    if (!locked.receiptNumber) {
+      const receiptNumber = await getNextReceiptNumberForAdmin(locked.adminId, transaction, {
+        donationType: locked.donationType,
+      });
+      await locked.update({ receiptNumber }, { transaction });
+    }
+    return false;
+  }
+
+  const updates = {
+    status: DONATION_STATUS.CAPTURED,
+    receiptNumber: locked.receiptNumber
+      || await getNextReceiptNumberForAdmin(locked.adminId, transaction, { donationType: locked.donationType }),
+  };
+  ['razorpayPaymentId', 'razorpaySignature', 'utr', 'transactionId', 'paymentMethod'].forEach((key) => {
+    if (fields[key] !== undefined) updates[key] = fields[key];
+  });
+  // A foreign-currency order was valued at the indicative rate; keep the INR it actually settled.
+  let amountPaise = toPaise(locked.amount);
+  if (isForeignCurrency(locked) && fields.paymentAmountPaise) {
+    amountPaise = fields.paymentAmountPaise;
+    updates.amount = amountPaise / 100;
+  }
+  // A payment-link checkout only becomes a devotee (and follower) once it is paid.
+  if (!locked.devoteeId && locked.payerDetails) {
+    const devotee = await findOrCreateLinkDevotee(locked.adminId, locked.payerDetails, transaction);
+    updates.devoteeId = devotee.id;
+  }
+  const fee = await getEffectiveFee(locked.adminId, transaction);
+  Object.assign(
+    updates,
+    computeFees(amountPaise, lineGatewayFee(fields.gatewayFeePaise, amountPaise, fields.paymentAmountPaise), fee)
+  );
+  await locked.update(updates, { transaction });
+  await recordDonationCaptured(locked, transaction);
+  if (locked.donationType === DONATION_TYPE.SEVA && !await confirmSevaBooking(locked.id, transaction)) {
+    missedSevaIds.push(locked.id);
+  }
+  return true;
+}
+
+/**
+ * Record a gateway fee reported after capture (e.g. verify saw the payment before the
+ * fee was known; the payment.captured webhook carries it). Keeps the platform fee set at capture.
+ * @returns {Promise<boolean>} true if the fee was recorded
+ */
+async function recordGatewayFee(locked, fields, transaction) {
+  if (!DONATION_STATUS_POST_CAPTURE.includes(locked.status)) return false;
+  if (locked.gatewayFee != null || fields.gatewayFeePaise == null) return false;
+
+  const amountPaise = toPaise(locked.amount);
+  const gatewayPaise = Math.min(amountPaise, lineGatewayFee(fields.gatewayFeePaise, amountPaise, fields.paymentAmountPaise));
+  const netPaise = Math.max(0, amountPaise - gatewayPaise - toPaise(locked.platformFee));
+  await locked.update({ gatewayFee: gatewayPaise / 100, netAmount: netPaise / 100 }, { transaction });
+  await recordDonationFees(locked, transaction);
+  return true;
+}
+
+/**
+ * Atomically mark a donation captured, assign its per-organization receipt number,
+ * record gateway/platform fees and net, and post the capture and fees to the ledger (which
+ * re-derives the linked event's raisedAmountPaise).
+ * A basket line captures every line of its basket in the same transaction (own receipt per line).
+ * Idempotent: a donation that is already captured (or since refunded) only gets a receipt number
+ * and gateway fee if missing.
+ * Newly captured donations get their email/SMS receipt after commit; transfers to the organization
+ * are started once the gateway fee (and so the net) is known. A seva paid for after its slot
+ * started is refunded in full instead of receipted.
+ * @param {number} donationId
+ * @param {Object} fields - razorpayPaymentId, razorpaySignature?, utr, transactionId, paymentMethod,
+ *   gatewayFeePaise?, paymentAmountPaise? (see extractPaymentDetails)
+ * @returns {Promise<boolean>} true if this call moved the donation(s) to captured
+ */
+async function captureDonation(donationId, fields = {}) {
+  const missedSevaIds = [];
+  const { capturedIds, feeIds } = await sequelize.transaction(async (t) => {
+    const lines = await lockOrderLines(donationId, t);
+    const ids = [];
+    const feeRecorded = [];
+    for (const locked of lines) {
+      if (await captureLockedDonation(locked, fields, t, missedSevaIds)) ids.push(locked.id);
+      else if (await recordGatewayFee(locked, fields, t)) feeRecorded.push(locked.id);
+    }
+    if (ids.length > 0 && lines[0].basketId) {
+      await DonationBasket.update(
+        { status: DONATION_STATUS.CAPTURED },
+        { where: { id: lines[0].basketId }, transaction: t }
+      );
+    }
+    return { capturedIds: ids, feeIds: feeRecorded };
+  });
+
+  transferCapturedDonations([...capturedIds, ...feeIds]);
+  if (capturedIds.length === 0) return false;
+  const receipted = capturedIds.filter((id) => !missedSevaIds.includes(id));
+  if (receipted.length > 0) notifyDonationsCaptured(receipted);
+  refundMissedSevas(missedSevaIds);
+  return true;
+}
+
+/**
+ * Fire-and-forget full refunds of seva payments captured after their slot had started (the
+ * booking stays expired). A refund that cannot be made is logged for the organization to settle.
+ * @param {number[]} donationIds
+ */
+function refundMissedSevas(donationIds) {
+  (async () => {
+    for (const id of donationIds) {
+      try {
+        await refundDonation(id, { reason: 'Seva slot had started before the payment was received.' });
+      } catch (err) {
+        console.error(`[Seva] Refund of donation ${id}, paid after its slot started, failed; refund it manually:`, err.message);
+      }
+    }
+  })();
+}
+
+/**
+ * Move a pending donation (and the pending lines of its basket) to a closed status.
+ * A seva payment gives its booked seat back to the slot.
+ */
+async function closePendingDonation(donationId, status) {
+  const target = await Donation.findByPk(donationId, { attributes: ['id', 'basketId', 'donationType'] });
+  if (!target) return false;
+  if (!target.basketId) {
+    return sequelize.transaction(async (t) => {
+      const [count] = await Donation.update(
+        { status },
+        { where: { id: donationId, status: DONATION_STATUS.PENDING }, transaction: t }
+      );
+      if (count > 0 && target.donationType === DONATION_TYPE.SEVA) {
+        await releaseSevaBooking(donationId, SEVA_BOOKING_STATUS.EXPIRED, t);
+      }
+      return count > 0;
+    });
+  }
+
+  return sequelize.transaction(async (t) => {
+    const [count] = await Donation.update(
+      { status },
+      { where: { basketId: target.basketId, status: DONATION_STATUS.PENDING }, transaction: t }
+    );
+    if (count > 0) {
+      await DonationBasket.update(
+        { status },
+        { where: { id: target.basketId, status: DONATION_STATUS.PENDING }, transaction: t }
+      );
+    }
+    return count > 0;
+  });
+}
+
+/**
+ * Mark a pending donation (whole basket for a basket line) as failed. Captured donations are never downgraded.
+ * @param {number} donationId
+ * @returns {Promise<boolean>} true if the status changed
+ */
+async function failDonation(donationId) {
+  return closePendingDonation(donationId, DONATION_STATUS.FAILED);
+}
+
+/**
+ * Mark a pending donation as expired (order abandoned, no payment attempt).
+ * @param {number} donationId
+ * @returns {Promise<boolean>} true if the status changed
+ */
+async function expireDonation(donationId) {
+  return closePendingDonation(donationId, DONATION_STATUS.EXPIRED);
+}
+
+/**
+ * Apply a refund to a locked donation: refundedAmount, status, receipt cancellation and
+ * seva booking cancellation (on full refund), and the ledger refund journal.
+ */
+async function applyRefundToDonation(locked, refund, transaction) {
+  const refundedPaise = toPaise(locked.refundedAmount) + toPaise(refund.amount);
+  const isFull = refundedPaise >= toPaise(locked.amount);
+  const updates = {
+    refundedAmount: refundedPaise / 100,
+    status: isFull ? DONATION_STATUS.REFUNDED : DONATION_STATUS.PARTIALLY_REFUNDED,
+  };
+  if (isFull && locked.receiptNumber && !locked.receiptCancelled) {
+    updates.receiptCancelled = true;
+    updates.receiptCancelledAt = new Date();
+    updates.receiptCancellationReason = `Refunded: ${refund.reason}`.slice(0, 500);
+  }
+  await locked.update(updates, { transaction });
+  await recordRefund(locked, refund, transaction);
+  if (isFull && locked.donationType === DONATION_TYPE.SEVA) {
+    await releaseSevaBooking(locked.id, SEVA_BOOKING_STATUS.CANCELLED, transaction);
+  }
+}
+
+/**
+ * Undo a refund that will not go out: the amount goes back on the donation (receipt restored)
+ * and the ledger refund is reversed. The refund row is marked failed.
+ */
+async function revertRefund(locked, refund, transaction) {
+  const refundPaise = toPaise(refund.amount);
+  const refundedPaise = Math.max(0, toPaise(locked.refundedAmount) - refundPaise);
+  await locked.update(
+    {
+      refundedAmount: refundedPaise / 100,
+      status: refundedPaise > 0 ? DONATION_STATUS.PARTIALLY_REFUNDED : DONATION_STATUS.CAPTURED,
+      receiptCancelled: false,
+      receiptCancelledAt: null,
+      receiptCancellationReason: null,
+    },
+    { transaction }
+  );
+  await recordRefundFailed(locked, refund, transaction);
+  await refund.update({ status: REFUND_STATUS.FAILED }, { transaction });
+}
+
+/** A gateway error that says the refund was refused, as opposed to a lost or timed-out call. */
+function isGatewayRejection(err) {
+  const status = Number(err.statusCode || err.status || 0);
+  return status >= 400 && status < 500;
+}
+
+/**
+ * Send a pending refund (recorded by refundDonation, no gateway ID yet) to its gateway, outside
+ * any transaction. The refund ID is the idempotency key, so a retry after a lost response gets
+ * the refund made the first time. Once the gateway accepts it, the transfer to the organization
+ * is pulled back if it was made (a failed reversal is retried by the settlement sync). A refusal
+ * reverts the refund and throws; a lost call leaves it pending for the reconciler (or the refund
+ * webhook) to settle.
+ * @param {number} refundId
+ * @returns {Promise<Object>} The DonationRefund
+ */
+async function submitGatewayRefund(refundId) {
+  const refund = await DonationRefund.findByPk(refundId);
+  if (!refund || refund.status !== REFUND_STATUS.PENDING || refund.razorpayRefundId) return refund;
+  const donation = await Donation.findByPk(refund.donationId);
+  const refundPaise = toPaise(refund.amount);
+
+  let gatewayRefund;
+  try {
+    const gatewayPaise = isForeignCurrency(donation) ? toPaise(donation.currencyAmount) : refundPaise;
+    gatewayRefund = await getGateway(donation.gateway).createRefund(
+      donation.razorpayPaymentId,
+      gatewayPaise,
+      {
+        donationId: String(donation.id),
+        refundId: String(refund.id),
+        reason: String(refund.reason).slice(0, 250),
+      },
+      { idempotencyKey: `refund-${refund.id}` }
+    );
+  } catch (err) {
+    if (isGatewayRejection(err)) {
+      await sequelize.transaction(async (t) => {
+        const locked = await Donation.findByPk(refund.donationId, { transaction: t, lock: t.LOCK.UPDATE });
+        const pending = await DonationRefund.findByPk(refund.id, { transaction: t, lock: t.LOCK.UPDATE });
+        if (pending.status === REFUND_STATUS.PENDING && !pending.razorpayRefundId) {
+          await revertRefund(locked, pending, t);
+        }
+      });
+      throw err;
+    }
+    console.error(`[Refund] Refund ${refund.id} not confirmed by the gateway; left pending:`, err.message);
+    return refund;
+  }
+
+  const recorded = await sequelize.transaction(async (t) => {
+    const pending = await DonationRefund.findByPk(refund.id, { transaction: t, lock: t.LOCK.UPDATE });
+    // The refund webhook may have attached the gateway refund already.
+    if (!pending.razorpayRefundId) {
+      await pending.update(
+        {
+          razorpayRefundId: gatewayRefund.refundId,
+          status: gatewayRefund.status === REFUND_STATUS.PROCESSED ? REFUND_STATUS.PROCESSED : REFUND_STATUS.PENDING,
+        },
+        { transaction: t }
+      );
+    }
+    return pending;
+  });
+
+  try {
+    await reverseTransferForRefund(donation, recorded);
+  } catch (err) {
+    console.error(`[Refund] Transfer reversal for refund ${refund.id} failed; left for the settlement sync:`, err.message);
+  }
+  return recorded;
+}
+
+/**
+ * Refund a captured donation, fully or partially.
+ * The refund is recorded and committed first (pending, amount taken off the donation and its
+ * event), then gateway donations are refunded through their gateway without holding any lock
+ * (see submitGatewayRefund). Offline donations (no payment ID) are recorded as already processed.
+ * @param {number} donationId
+ * @param {Object} options
+ * @param {number|null} options.amountRupees - Defaults to the full remaining amount
+ * @param {string} options.reason
+ * @param {number|null} options.refundedById - Admin user ID
+ * Foreign-currency gateway payments can only be refunded in full, in the currency paid.
+ * @returns {Promise<Object>} DonationRefund (pending until the gateway confirms it)
+ */
+async function refundDonation(donationId, { amountRupees = null, reason, refundedById = null }) {
+  const refund = await sequelize.transaction(async (t) => {
+    const locked = await Donation.findByPk(donationId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!locked) {
+      throw httpError('Donation not found.', 404);
+    }
+    if (!DONATION_STATUS_REFUNDABLE.includes(locked.status)) {
+      throw httpError(`Donation with status ${locked.status} cannot be refunded.`, 400);
+    }
+
+    const remainingPaise = toPaise(locked.amount) - toPaise(locked.refundedAmount);
+    const refundPaise = amountRupees == null ? remainingPaise : toPaise(amountRupees);
+    if (refundPaise <= 0) {
+      throw httpError('Refund amount must be positive.', 422);
+    }
+    if (refundPaise > remainingPaise) {
+      throw httpError(`Refund amount exceeds refundable balance of ₹${(remainingPaise / 100).toFixed(2)}.`, 422);
+    }
+    const foreignPayment = Boolean(locked.razorpayPaymentId) && isForeignCurrency(locked);
+    if (foreignPayment && (refundPaise !== toPaise(locked.amount) || toPaise(locked.refundedAmount) > 0)) {
+      throw httpError(`Donations paid in ${locked.currency} can only be refunded in full.`, 400);
+    }
+
+    const created = await DonationRefund.create(
+      {
+        donationId: locked.id,
+        adminId: locked.adminId,
+        amount: refundPaise / 100,
+        status: locked.razorpayPaymentId ? REFUND_STATUS.PENDING : REFUND_STATUS.PROCESSED,
+        razorpayRefundId: null,
+        reason,
+        refundedById,
+      },
+      { transaction: t }
+    );
+
+    await applyRefundToDonation(locked, created, t);
+    return created;
+  });
+
+  if (refund.status !== REFUND_STATUS.PENDING) return refund;
+  return submitGatewayRefund(refund.id);
+}
+
+/**
+ * Send gateway refunds still pending without a gateway ID after `minAgeMinutes` (the call was
+ * lost, or the process stopped before it) again, with the same idempotency key.
+ * @returns {Promise<{submitted: number, errors: number}>}
+ */
+async function resubmitPendingRefunds(minAgeMinutes, limit) {
+  const refunds = await DonationRefund.findAll({
+    where: {
+      status: REFUND_STATUS.PENDING,
+      razorpayRefundId: null,
+      [Op.and]: [sequelize.where(sequelize.col('created_at'), Op.lt, new Date(Date.now() - minAgeMinutes * 60 * 1000))],
+    },
+    order: [['id', 'ASC']],
+    limit,
+  });
+  let errors = 0;
+  for (const refund of refunds) {
+    try {
+      await submitGatewayRefund(refund.id);
+    } catch (err) {
+      errors += 1;
+      console.error(`[Refund] Resubmitting refund ${refund.id} failed:`, err.message);
+    }
+  }
+  return { submitted: refunds.length - errors, errors };
+}
+
+/**
+ * Sync a refund reported by the gateway (webhook). Refunds started from this platform are
+ * only status-updated; refunds started elsewhere (e.g. Razorpay dashboard) are applied.
+ * A failed refund puts the amount back on the donation and reverses its ledger refund.
+ * @param {Object} gatewayRefund - Razorpay refund entity
+ * @returns {Promise<{donationId: number|null, applied: boolean}>}
+ */
+async function syncGatewayRefund(gatewayRefund) {
+  return sequelize.transaction(async (t) => {
+    let existing = await DonationRefund.findOne({
+      where: { razorpayRefundId: gatewayRefund.id },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    const nextStatus = gatewayRefund.status === REFUND_STATUS.FAILED
+      ? REFUND_STATUS.FAILED
+      : gatewayRefund.status === REFUND_STATUS.PROCESSED ? REFUND_STATUS.PROCESSED : REFUND_STATUS.PENDING;
+
+    // A refund sent by submitGatewayRefund whose response was lost carries our refund ID.
+    const notedRefundId = Number(gatewayRefund.notes && gatewayRefund.notes.refundId);
+    if (!existing && Number.isInteger(notedRefundId) && notedRefundId > 0) {
+      existing = await DonationRefund.findOne({
+        where: { id: notedRefundId, razorpayRefundId: null },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      if (existing) {
+        await existing.update({ razorpayRefundId: gatewayRefund.id }, { transaction: t });
+      }
+    }
+
+    if (existing) {
+      if (existing.status === nextStatus || existing.status === REFUND_STATUS.FAILED) {
+        return { donationId: existing.donationId, applied: false };
+      }
+      if (nextStatus === REFUND_STATUS.FAILED) {
+        const locked = await Donation.findByPk(existing.donationId, { transaction: t, lock: t.LOCK.UPDATE });
+        await revertRefund(locked, existing, t);
+        return { donationId: existing.donationId, applied: true };
+      }
+      // Never move a processed refund back to pending.
+      if (!(existing.status === REFUND_STATUS.PROCESSED && nextStatus === REFUND_STATUS.PENDING)) {
+        await existing.update({ status: nextStatus }, { transaction: t });
+      }
+      return { donationId: existing.donationId, applied: true };
+    }
+
+    if (nextStatus === REFUND_STATUS.FAILED) {
+      return { donationId: null, applied: false };
+    }
+
+    // A basket payment has one donation per line; prefer the line named in the refund notes,
+    // then a line that can absorb the whole refund.
+    const lines = await Donation.findAll({
+      where: { razorpayPaymentId: gatewayRefund.payment_id },
+      order: [['id', 'ASC']],
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    const notedId = gatewayRefund.notes && Number(gatewayRefund.notes.donationId);
+    const refundable = lines.filter((d) => DONATION_STATUS_REFUNDABLE.includes(d.status));
+    const locked = refundable.find((d) => d.id === notedId)
+      || refundable.find((d) => toPaise(d.amount) - toPaise(d.refundedAmount) >= Number(gatewayRefund.amount || 0))
+      || refundable[0]
+      || lines[0];
+    if (!locked || !DONATION_STATUS_REFUNDABLE.includes(locked.status)) {
+      return { donationId: locked ? locked.id : null, applied: false };
+    }
+
+    // The webhook can race the refundDonation transaction that created this refund; once the
+    // donation lock is held that transaction has committed, so look again.
+    const committed = await DonationRefund.findOne({
+      where: { razorpayRefundId: gatewayRefund.id },
+      transaction: t,
+    });
+    if (committed) {
+      return { donationId: committed.donationId, applied: false };
+    }
+
+    const remainingPaise = toPaise(locked.amount) - toPaise(locked.refundedAmount);
+    const refundPaise = Math.min(gatewayAmountToPaise(locked, Number(gatewayRefund.amount || 0)), remainingPaise);
+    if (refundPaise <= 0) {
+      return { donationId: locked.id, applied: false };
+    }
+
+    const reason = (gatewayRefund.notes && gatewayRefund.notes.reason) || 'Refunded via payment gateway';
+    const refund = await DonationRefund.create(
+      {
+        donationId: locked.id,
+        adminId: locked.adminId,
+        amount: refundPaise / 100,
+        status: nextStatus,
+        razorpayRefundId: gatewayRefund.id,
+        reason,
+        refundedById: null,
+      },
+      { transaction: t }
+    );
+    await applyRefundToDonation(locked, refund, t);
+    return { donationId: locked.id, applied: true };
+  });
+}
+
+/** Create an offline Donation inside `t`; cash also takes its receipt number and is posted to the ledger. */
+async function insertOfflineDonation({ instrument = null, dedication = null, ...data }, t) {
+  const isInstrument = INSTRUMENT_PAYMENT_METHODS.includes(data.paymentMethod);
+  const created = await Donation.create(
+    {
+      devoteeId: data.devoteeId,
+      adminId: data.adminId,
+      eventId: data.eventId || null,
+      amount: data.amount,
+      status: isInstrument ? DONATION_STATUS.PENDING : DONATION_STATUS.CAPTURED,
+      paymentMethod: data.paymentMethod,
+      razorpayOrderId: null,
+      razorpayPaymentId: null,
+      razorpaySignature: null,
+      receiptNumber: isInstrument ? null : await getNextReceiptNumberForAdmin(data.adminId, t, { offline: true }),
+      gatewayFee: 0,
+      platformFee: 0,
+      netAmount: data.amount,
+      ...(instrument || {}),
+      instrumentStatus: isInstrument ? INSTRUMENT_STATUS.RECEIVED : null,
+      reissuedFromId: data.reissuedFromId || null,
+      ...(dedication || {}),
+    },
+    { transaction: t }
+  );
+  if (!isInstrument) {
+    await recordDonationCaptured(created, t);
+  }
+  return created;
+}
+
+/**
+ * Record a donation an organization received offline. Cash is captured immediately (receipt
+ * number, event total, receipt delivery). A cheque / DD / bank transfer stays pending with
+ * instrument status received and only counts once it clears (see updateInstrumentStatus).
+ * Offline money never passes through the gateway, so fees are 0 and net equals the amount.
+ * @param {Object} data - devoteeId, adminId, eventId, amount (Rupees), paymentMethod,
+ *   instrument (attributes from validateOfflinePayment) and dedication attributes
+ * @returns {Promise<Object>} Created Donation
+ */
+async function createOfflineDonation(data) {
+  const donation = await sequelize.transaction((t) => insertOfflineDonation(data, t));
+
+  // Walk-in donors leave with no other proof of payment.
+  if (donation.status === DONATION_STATUS.CAPTURED) notifyDonationsCaptured([donation.id]);
+  return donation;
+}
+
+/**
+ * Record donations from an organization's own register (paper / spreadsheet) in one transaction.
+ * Every row is money already received: it is captured on its register date, with cheques, DDs
+ * and transfers already cleared and no gateway fees. Rows without a receipt number take the next
+ * offline receipt number (in the financial year of their register date under a scheme that
+ * restarts yearly); the running series first moves past any numeric register numbers so the
+ * two never collide, and register numbers already issued (all-digit ones compared by value) or
+ * repeated fail the whole import. Receipts are not emailed or texted for historical rows.
+ * @param {number} adminId
+ * @param {Object[]} rows - Data from validateDonationImportRow; receiptNumber null to assign one
+ * @returns {Promise<Object[]>} Created Donations in row order
+ */
+async function importOfflineDonations(adminId, rows) {
+  return sequelize.transaction(async (t) => {
+    const registerNumbers = rows.map((row) => row.receiptNumber).filter(Boolean);
+    const numericReceipts = registerNumbers.filter((number) => /^\d+$/.test(number)).map(Number);
+    if (numericReceipts.length > 0) {
+      await advanceReceiptCounterForAdmin(adminId, Math.max(...numericReceipts), t);
+    }
+    // Checked again here: receipts may have been issued since the file was previewed.
+    const usedKeys = await findUsedReceiptNumbers(adminId, registerNumbers, t);
+    const repeated = registerNumbers.filter((number, i) => registerNumbers
+      .findIndex((other) => receiptNumberKey(other) === receiptNumberKey(number)) !== i);
+    const clashes = [...new Set([
+      ...registerNumbers.filter((number) => usedKeys.has(receiptNumberKey(number))),
+      ...repeated,
+    ])];
+    if (clashes.length > 0) {
+      throw httpError(`Receipt number(s) already used or repeated: ${clashes.join(', ')}. Nothing was imported.`, 409);
+    }
+
+    const eventIds = new Set();
+    const created = [];
+    for (const row of rows) {
+      const devotee = await upsertWalkInDevotee(adminId, row.devotee, t);
+      const receivedAt = istDayRange(row.date).start;
+      const isInstrument = INSTRUMENT_PAYMENT_METHODS.includes(row.paymentMethod);
+      const donation = await Donation.create(
+        {
+          devoteeId: devotee.id,
+          adminId,
+          eventId: row.eventId || null,
+          amount: row.amount,
+          status: DONATION_STATUS.CAPTURED,
+          paymentMethod: row.paymentMethod,
+          receiptNumber: row.receiptNumber
+            || await getNextReceiptNumberForAdmin(adminId, t, { offline: true, date: receivedAt }),
+          gatewayFee: 0,
+          platformFee: 0,
+          netAmount: row.amount,
+          instrumentNumber: isInstrument ? row.reference : null,
+          instrumentStatus: isInstrument ? INSTRUMENT_STATUS.CLEARED : null,
+          instrumentClearedAt: isInstrument ? receivedAt : null,
+          created_at: receivedAt,
+        },
+        { transaction: t }
+      );
+      await recordDonationCaptured(donation, t, { occurredAt: receivedAt, syncEvent: false });
+      if (donation.eventId) eventIds.add(donation.eventId);
+      created.push(donation);
+    }
+
+    for (const eventId of eventIds) {
+      await syncEventRaised(eventId, t);
+    }
+    return created;
+  });
+}
+
+/**
+ * Void a locked offline donation: the row stays for audit with status voided, any counted
+ * amount is reversed in the ledger (and so off the event total) and its receipt is cancelled. The receipt number is not
+ * reused.
+ */
+async function voidLockedDonation(locked, voidedById, reason, t) {
+  if (locked.razorpayOrderId || !OFFLINE_PAYMENT_METHOD_LIST.includes(locked.paymentMethod)) {
+    throw httpError('Only offline donations can be voided. Refund online donations instead.', 400);
+  }
+  if (locked.status === DONATION_STATUS.VOIDED) {
+    throw httpError('Donation is already voided.', 409);
+  }
+  if (!DONATION_STATUS_VOIDABLE.includes(locked.status) || toPaise(locked.refundedAmount) > 0) {
+    throw httpError(`A ${locked.status} donation cannot be voided.`, 409);
+  }
+
+  const now = new Date();
+  const updates = {
+    status: DONATION_STATUS.VOIDED,
+    voidedAt: now,
+    voidedById,
+    voidReason: reason,
+  };
+  if (locked.status === DONATION_STATUS.CAPTURED) {
+    await recordOfflineReversal(locked, LEDGER_ENTRY_TYPE.OFFLINE_VOID, toPaise(locked.amount), reason, t);
+  }
+  if (locked.receiptNumber && !locked.receiptCancelled) {
+    updates.receiptCancelled = true;
+    updates.receiptCancelledAt = now;
+    updates.receiptCancellationReason = `Voided: ${reason}`.slice(0, 500);
+  }
+  await locked.update(updates, { transaction: t });
+  return locked;
+}
+
+async function lockOrganizationDonation(donationId, adminId, t) {
+  const locked = await Donation.findOne({
+    where: { id: donationId, adminId },
+    transaction: t,
+    lock: t.LOCK.UPDATE,
+  });
+  if (!locked) {
+    throw httpError('Donation not found.', 404);
+  }
+  return locked;
+}
+
+/**
+ * Void an offline donation recorded by mistake (wrong amount, devotee or event).
+ * @param {number} donationId
+ * @param {number} adminId - Organization that owns the donation; also recorded as the voider
+ * @param {string} reason
+ * @returns {Promise<Object>} Voided Donation
+ */
+async function voidOfflineDonation(donationId, adminId, reason) {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockOrganizationDonation(donationId, adminId, t);
+    return voidLockedDonation(locked, adminId, reason, t);
+  });
+}
+
+/**
+ * Replace an offline donation with a corrected one in a single transaction: the original is
+ * voided (unless it already was) and the correction is recorded like a new walk-in donation,
+ * with a fresh receipt number, linked back through reissuedFromId. A donation is re-issued
+ * at most once; correct a re-issue by re-issuing it in turn.
+ * @param {number} donationId
+ * @param {number} adminId
+ * @param {Object} data - From validateWalkInDonation: devotee, amount, eventId, paymentMethod,
+ *   instrument, dedication
+ * @param {string} reason
+ * @returns {Promise<{ voided: Object, donation: Object, devotee: Object }>}
+ */
+async function reissueOfflineDonation(donationId, adminId, { devotee: details, ...data }, reason) {
+  const result = await sequelize.transaction(async (t) => {
+    const locked = await lockOrganizationDonation(donationId, adminId, t);
+    if (locked.status === DONATION_STATUS.VOIDED) {
+      const existing = await Donation.count({ where: { reissuedFromId: locked.id }, transaction: t });
+      if (existing > 0) {
+        throw httpError('Donation has already been re-issued.', 409);
+      }
+    } else {
+      await voidLockedDonation(locked, adminId, reason, t);
+    }
+
+    const devotee = await upsertWalkInDevotee(adminId, details, t);
+    const donation = await insertOfflineDonation(
+      { ...data, devoteeId: devotee.id, adminId, reissuedFromId: locked.id },
+      t
+    );
+    return { voided: locked, donation, devotee };
+  });
+
+  if (result.donation.status === DONATION_STATUS.CAPTURED) notifyDonationsCaptured([result.donation.id]);
+  return result;
+}
+
+/**
+ * Move a cheque / DD / bank transfer along received -> deposited -> cleared / bounced.
+ * Clearing captures the donation (receipt number, event total, receipt delivery).
+ * Bouncing fails it; if it had cleared, the counted amount comes off the event total and
+ * the receipt is cancelled.
+ * @param {number} donationId
+ * @param {number} adminId - Organization that owns the donation
+ * @param {string} nextStatus - INSTRUMENT_STATUS value
+ * @param {string|null} reason - Bounce reason
+ * @returns {Promise<Object>} Updated Donation
+ */
+async function updateInstrumentStatus(donationId, adminId, nextStatus, reason = null) {
+  const donation = await sequelize.transaction(async (t) => {
+    const locked = await lockOrganizationDonation(donationId, adminId, t);
+    if (locked.status === DONATION_STATUS.VOIDED) {
+      throw httpError('Donation is voided.', 409);
+    }
+    if (!locked.instrumentStatus) {
+      throw httpError('Donation has no cheque, DD or bank transfer to track.', 400);
+    }
+    const allowed = INSTRUMENT_STATUS_TRANSITIONS[locked.instrumentStatus] || [];
+    if (!allowed.includes(nextStatus)) {
+      throw httpError(`Instrument cannot move from ${locked.instrumentStatus} to ${nextStatus}.`, 409);
+    }
+
+    const now = new Date();
+    if (nextStatus === INSTRUMENT_STATUS.DEPOSITED) {
+      await locked.update({ instrumentStatus: nextStatus, instrumentDepositedAt: now }, { transaction: t });
+      return locked;
+    }
+
+    if (nextStatus === INSTRUMENT_STATUS.CLEARED) {
+      await locked.update(
+        {
+          instrumentStatus: nextStatus,
+          instrumentClearedAt: now,
+          status: DONATION_STATUS.CAPTURED,
+          receiptNumber: locked.receiptNumber
+            || await getNextReceiptNumberForAdmin(locked.adminId, t, { offline: true, date: now }),
+        },
+        { transaction: t }
+      );
+      await recordDonationCaptured(locked, t);
+      return locked;
+    }
+
+    if (locked.status === DONATION_STATUS.REFUNDED) {
+      throw httpError('A fully refunded donation cannot be marked bounced.', 409);
+    }
+    const updates = {
+      instrumentStatus: nextStatus,
+      instrumentBouncedAt: now,
+      instrumentBounceReason: reason,
+      status: DONATION_STATUS.FAILED,
+    };
+    if (DONATION_STATUS_REFUNDABLE.includes(locked.status)) {
+      await recordOfflineReversal(
+        locked,
+        LEDGER_ENTRY_TYPE.INSTRUMENT_BOUNCED,
+        toPaise(locked.amount) - toPaise(locked.refundedAmount),
+        reason,
+        t
+      );
+      if (locked.receiptNumber && !locked.receiptCancelled) {
+        updates.receiptCancelled = true;
+        updates.receiptCancelledAt = now;
+        updates.receiptCancellationReason = `Instrument bounced: ${reason}`.slice(0, 500);
+      }
+    }
+    await locked.update(updates, { transaction: t });
+    return locked;
+  });
+
+  if (nextStatus === INSTRUMENT_STATUS.CLEARED) notifyDonationsCaptured([donation.id]);
+  return donation;
+}
+
+/**
+ * Gross, fee and net totals for donations matching `where`, in Rupees.
+ * net is what the organization keeps: amount - fees - refunds (never below 0 per donation).
+ * Donations from before fees were recorded count their full amount as net.
+ * @param {Object} where - Donation where clause
+ * @returns {Promise<{gross: number, gatewayFee: number, platformFee: number, refunded: number, net: number}>}
+ */
+async function sumDonationAmounts(where) {
+  const rows = await Donation.findAll({
+    where,
+    attributes: [
+      [sequelize.fn('SUM', sequelize.col('amount')), 'gross'],
+      [sequelize.fn('SUM', sequelize.fn('COALESCE', sequelize.col('gateway_fee'), 0)), 'gatewayFee'],
+      [sequelize.fn('SUM', sequelize.col('platform_fee')), 'platformFee'],
+      [sequelize.fn('SUM', sequelize.col('refunded_amount')), 'refunded'],
+      [
+        sequelize.fn('SUM', sequelize.literal('GREATEST(COALESCE("net_amount", "amount") - "refunded_amount", 0)')),
+        'net',
+      ],
+    ],
+    raw: true,
+  });
+  const row = rows[0] || {};
+  return {
+    gross: parseFloat(row.gross || 0),
+    gatewayFee: parseFloat(row.gatewayFee || 0),
+    platformFee: parseFloat(row.platformFee || 0),
+    refunded: parseFloat(row.refunded || 0),
+    net: parseFloat(row.net || 0),
+  };
+}
+
+/**
+ * Dedication ("in memory of" / "on behalf of") details of a donation, or null if none.
+ * @param {Object} plain - Plain donation object
+ * @returns {Object|null}
+ */
+function getDedication(plain) {
+  if (!plain || !plain.honoreeName) return null;
+  return {
+    honoreeName: plain.honoreeName,
+    relation: plain.honoreeRelation || null,
+    occasion: plain.dedicationOccasion || null,
+    date: plain.dedicationDate || null,
+    message: plain.dedicationMessage || null,
+    printOnReceipt: Boolean(plain.printDedicationOnReceipt),
+  };
+}
+
+module.exports = {
+  extractPaymentDetails,
+  captureDonation,
+  failDonation,
+  expireDonation,
+  refundDonation,
+  submitGatewayRefund,
+  resubmitPendingRefunds,
+  syncGatewayRefund,
+  createOfflineDonation,
+  updateInstrumentStatus,
+  importOfflineDonations,
+  voidOfflineDonation,
+  reissueOfflineDonation,
+  sumDonationAmounts,
+  getDedication,
+  toPaise,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, Devotee, Event, sequelize } = require('../models');
+const { DONATION_STATUS, DONATION_STATUS_COUNTED } = require('../constants/donation');
+const { INDIAN_NATIONALITY, DOMESTIC_CURRENCY, FCRA_QUARTERS } = require('../constants/fcra');
+const { httpError } = require('../utils/httpError');
+
+/** Statuses shown in the FCRA ledger: every contribution received, including later refunds. */
+const LEDGER_STATUSES = [...DONATION_STATUS_COUNTED, DONATION_STATUS.REFUNDED];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether a donation is a foreign contribution under FCRA, from the donor and the currency paid.
+ * A foreign national's gift is foreign even in INR; a foreign-currency payment is treated as
+ * foreign whoever pays it, as its source cannot be told apart from the order alone. Devotees
+ * without a declared nationality are Indian citizens.
+ * @param {{ nationality?: string|null }|null} devotee
+ * @param {string} [currency='INR']
+ * @returns {{ foreignContribution: boolean, donorNationality: string|null }}
+ */
+function contributionSource(devotee, currency = DOMESTIC_CURRENCY) {
+  const nationality = devotee && devotee.nationality ? devotee.nationality : INDIAN_NATIONALITY;
+  const foreign = nationality !== INDIAN_NATIONALITY || currency !== DOMESTIC_CURRENCY;
+  return { foreignContribution: foreign, donorNationality: foreign ? nationality : null };
+}
+
+/**
+ * An organization may accept foreign contributions only with an FCRA registration and the
+ * designated FCRA account they are settled to.
+ * @param {{ fcraRegistrationNumber?: string|null, fcraAccountNumber?: string|null }} org
+ * @returns {boolean}
+ */
+function acceptsForeignContribution(org) {
+  return Boolean(org && org.fcraRegistrationNumber && org.fcraAccountNumber);
+}
+
+/**
+ * Check a donation can go to the organization before an order is created, and return its
+ * FCRA fields for the Donation row.
+ * @param {Object} org - User (admin) with the FCRA fields
+ * @param {Object} devotee
+ * @param {string} [currency='INR']
+ * @returns {{ foreignContribution: boolean, donorNationality: string|null }}
+ * @throws 422 when it is a foreign contribution and the organization is not FCRA registered
+ */
+function assertMayReceive(org, devotee, currency = DOMESTIC_CURRENCY) {
+  const source = contributionSource(devotee, currency);
+  if (source.foreignContribution && !acceptsForeignContribution(org)) {
+    throw httpError(
+      currency !== DOMESTIC_CURRENCY
+        ? 'This organization cannot accept foreign-currency donations (no FCRA registration).'
+        : 'This organization cannot accept donations from foreign nationals (no FCRA registration).',
+      422
+    );
+  }
+  return source;
+}
+
+function ledgerWhere(adminId, { start, end }) {
+  const where = {
+    adminId,
+    foreignContribution: true,
+    status: LEDGER_STATUSES,
+  };
+  if (start || end) {
+    where.created_at = {};
+    if (start) where.created_at[Op.gte] = start;
+    if (end) where.created_at[Op.lt] = end;
+  }
+  return where;
+}
+
+/**
+ * Foreign contributions received by an organization, oldest first, kept apart from its
+ * domestic donations.
+ * @param {number} adminId
+ * @param {{ start?: Date, end?: Date, page?: number, limit?: number|null }} [options] - end is
+ *   exclusive; limit null returns every row (exports)
+ * @returns {Promise<{ count: number, rows: Object[] }>}
+ */
+async function getFcraLedger(adminId, { start, end, page = 1, limit = null } = {}) {
+  return Donation.findAndCountAll({
+    where: ledgerWhere(adminId, { start, end }),
+    include: [
+      { model: Devotee, attributes: ['id', 'mobile', 'name', 'city', 'residency', 'nationality'] },
+      { model: Event, as: 'event', attributes: ['id', 'title'], required: false },
+    ],
+    order: [['created_at', 'ASC'], ['id', 'ASC']],
+    ...(limit ? { limit, offset: (page - 1) * limit } : {}),
+  });
+}
+
+function quarterOf(date) {
+  const month = Number(new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', month: 'numeric' }).format(date));
+  return FCRA_QUARTERS.find((q) => q.months.includes(month)).quarter;
+}
+
+function addTo(map, key, init, net) {
+  if (!map.has(key)) map.set(key, { ...init, donations: 0, amount: 0 });
+  const entry = map.get(key);
+  entry.donations += 1;
+  entry.amount = round2(entry.amount + net);
+  return entry;
+}
+
+/**
+ * Foreign contributions of one financial year for the quarterly FCRA disclosure: by quarter,
+ * by donor nationality and by currency paid, at net INR amounts (refunds deducted; fully
+ * refunded contributions left out).
+ * @param {number} adminId
+ * @param {{ label: string, start: Date, end: Date }} fyRange - From financialYearRange
+ * @returns {Promise<Object>}
+ */
+async function getFcraReport(adminId, fyRange) {
+  const donations = await Donation.findAll({
+    where: { ...ledgerWhere(adminId, fyRange), status: DONATION_STATUS_COUNTED },
+    attributes: ['id', 'amount', 'refundedAmount', 'currency', 'currencyAmount', 'donorNationality', 'created_at'],
+    order: [['created_at', 'ASC']],
+  });
+
+  const quarters = new Map(FCRA_QUARTERS.map((q) => [q.quarter, { quarter: q.quarter, label: q.label, donations: 0, amount: 0 }]));
+  const byNationality = new Map();
+  const byCurrency = new Map();
+  let total = 0;
+
+  donations.forEach((donation) => {
+    const d = donation.get({ plain: true });
+    const net = round2(Number(d.amount) - Number(d.refundedAmount || 0));
+    total = round2(total + net);
+
+    const quarter = quarters.get(quarterOf(d.created_at));
+    quarter.donations += 1;
+    quarter.amount = round2(quarter.amount + net);
+
+    addTo(byNationality, d.donorNationality || INDIAN_NATIONALITY, { nationality: d.donorNationality || INDIAN_NATIONALITY }, net);
+    const currency = addTo(byCurrency, d.currency, { currency: d.currency, currencyAmount: 0 }, net);
+    if (d.currency !== DOMESTIC_CURRENCY && d.currencyAmount != null) {
+      const share = Number(d.amount) > 0 ? net / Number(d.amount) : 0;
+      currency.currencyAmount = round2(currency.currencyAmount + Number(d.currencyAmount) * share);
+    }
+  });
+
+  return {
+    financialYear: fyRange.label,
+    quarters: [...quarters.values()],
+    byNationality: [...byNationality.values()].sort((a, b) => b.amount - a.amount),
+    byCurrency: [...byCurrency.values()].sort((a, b) => b.amount - a.amount),
+    totals: { donations: donations.length, amount: total },
+  };
+}
+
+/**
+ * Net foreign contributions counted for an organization, for dashboards.
+ * @param {number} adminId
+ * @returns {Promise<{ donations: number, amount: number }>}
+ */
+async function getForeignContributionTotal(adminId) {
+  const [row] = await Donation.findAll({
+    where: { adminId, foreignContribution: true, status: DONATION_STATUS_COUNTED },
+    attributes: [
+      [sequelize.fn('COUNT', sequelize.col('id')), 'donations'],
+      [sequelize.fn('SUM', sequelize.literal('"amount" - "refunded_amount"')), 'amount'],
+    ],
+    raw: true,
+  });
+  return { donations: Number(row?.donations || 0), amount: round2(parseFloat(row?.amount || 0)) };
+}
+
+module.exports = {
+  contributionSource,
+  acceptsForeignContribution,
+  assertMayReceive,
+  getFcraLedger,
+  getFcraReport,
+  getForeignContributionTotal,
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, Devotee, sequelize } = require('../models');
+const { DONATION_STATUS_COUNTED, DONATION_TYPES_NOT_80G, CASH_80G_LIMIT_RUPEES } = require('../constants/donation');
+
+/**
+ * Column headers of the Form 10BD bulk upload template (income-tax utility).
+ */
+const FORM_10BD_HEADERS = [
+  'Sr. No.',
+  'Pre Acknowledgement Number',
+  'ID Code',
+  'Unique Identification Number',
+  'Section Code',
+  'Unique Registration Number (URN)',
+  'Date of Issuance of Unique Registration Number',
+  'Name of donor',
+  'Address of donor',
+  'Donation Type',
+  'Mode of receipt',
+  'Amount of donation (Indian rupees)',
+];
+
+const ID_CODE_PAN = '1';
+const SECTION_CODE_80G = 'Section 80G';
+const DONATION_TYPE_OTHERS = 'Others';
+const MODE_CASH = 'Cash';
+const MODE_ELECTRONIC = 'Electronic modes including account payee cheque/draft';
+
+/**
+ * Per-donor Form 10BD rows for an organization and financial year.
+ * Donations are aggregated per donor and mode of receipt, at net amount (after refunds).
+ * Cash donations above the 80G cash limit are kept in separate rows and flagged ineligible;
+ * donors without PAN are flagged because the utility needs an identification number.
+ * Seva payments are not donations and are left out.
+ * @param {Object} organization - Admin User (name, registration80GNumber)
+ * @param {{ label: string, start: Date, end: Date }} fyRange
+ * @returns {Promise<Object>}
+ */
+async function buildForm10BD(organization, fyRange) {
+  const donations = await Donation.findAll({
+    where: {
+      adminId: organization.id,
+      status: DONATION_STATUS_COUNTED,
+      receiptCancelled: false,
+      donationType: { [Op.notIn]: DONATION_TYPES_NOT_80G },
+      [Op.and]: [
+        sequelize.where(sequelize.col('Donation.created_at'), Op.gte, fyRange.start),
+        sequelize.where(sequelize.col('Donation.created_at'), Op.lt, fyRange.end),
+      ],
+    },
+    include: [{ model: Devotee, attributes: ['id', 'mobile', 'name', 'city', 'panNumber'] }],
+    order: [['devoteeId', 'ASC'], ['id', 'ASC']],
+  });
+
+  const groups = new Map();
+  donations.forEach((donation) => {
+    const d = donation.get({ plain: true });
+    const net = Number(d.amount) - Number(d.refundedAmount || 0);
+    const isCash = d.paymentMethod === 'cash';
+    const cashAboveLimit = isCash && net > CASH_80G_LIMIT_RUPEES;
+    const mode = isCash ? MODE_CASH : MODE_ELECTRONIC;
+    const key = `${d.devoteeId}:${mode}:${cashAboveLimit ? 'over' : 'ok'}`;
+
+    if (!groups.has(key)) {
+      const devotee = d.Devotee || {};
+      const pan = devotee.panNumber ? String(devotee.panNumber).trim().toUpperCase() : null;
+      groups.set(key, {
+        devoteeId: d.devoteeId,
+        name: devotee.name || null,
+        mobile: devotee.mobile || null,
+        address: devotee.city || null,
+        panNumber: pan,
+        donationType: DONATION_TYPE_OTHERS,
+        modeOfReceipt: mode,
+        amount: 0,
+        donationCount: 0,
+        receiptNumbers: [],
+        missingPan: !pan,
+        cashAboveLimit,
+      });
+    }
+    const group = groups.get(key);
+    group.amount += net;
+    group.donationCount += 1;
+    if (d.receiptNumber) group.receiptNumbers.push(d.receiptNumber);
+  });
+
+  const rows = [...groups.values()].map(({ amount, ...group }) => ({
+    ...group,
+    amountRupees: (Math.round(amount * 100) / 100).toFixed(2),
+    eligible: !group.missingPan && !group.cashAboveLimit,
+  }));
+
+  const sum = (list) => list.reduce((total, r) => total + Number(r.amountRupees), 0).toFixed(2);
+  const eligibleRows = rows.filter((r) => r.eligible);
+
+  return {
+    financialYear: fyRange.label,
+    organization: {
+      id: organization.id,
+      name: organization.name,
+      registration80GNumber: organization.registration80GNumber || null,
+    },
+    rows,
+    summary: {
+      donors: new Set(rows.map((r) => r.devoteeId)).size,
+      rows: rows.length,
+      eligibleRows: eligibleRows.length,
+      missingPanRows: rows.filter((r) => r.missingPan).length,
+      cashAboveLimitRows: rows.filter((r) => r.cashAboveLimit).length,
+      totalRupees: sum(rows),
+      eligibleTotalRupees: sum(eligibleRows),
+    },
+  };
+}
+
+/**
+ * CSV rows in Form 10BD template order.
+ * @param {Object} report - From buildForm10BD
+ * @param {boolean} includeFlagged - Also include rows that cannot be reported, with a trailing Remarks column
+ * @returns {{ headers: string[], rows: Array<Array<*>> }}
+ */
+function form10BDCsvRows(report, includeFlagged) {
+  const source = includeFlagged ? report.rows : report.rows.filter((r) => r.eligible);
+  const urn = report.organization.registration80GNumber || '';
+
+  const rows = source.map((r, index) => {
+    const cells = [
+      index + 1,
+      '',
+      r.panNumber ? ID_CODE_PAN : '',
+      r.panNumber || '',
+      SECTION_CODE_80G,
+      urn,
+      '',
+      r.name || '',
+      r.address || '',
+      r.donationType,
+      r.modeOfReceipt,
+      r.amountRupees,
+    ];
+    if (includeFlagged) {
+      const remarks = [];
+      if (r.missingPan) remarks.push('PAN missing');
+      if (r.cashAboveLimit) remarks.push(`Cash above Rs. ${CASH_80G_LIMIT_RUPEES} - not eligible for 80G`);
+      cells.push(remarks.join('; '));
+    }
+    return cells;
+  });
+
+  return {
+    headers: includeFlagged ? [...FORM_10BD_HEADERS, 'Remarks'] : FORM_10BD_HEADERS,
+    rows,
+  };
+}
+
+module.exports = {
+  FORM_10BD_HEADERS,
+  buildForm10BD,
+  form10BDCsvRows,
+};
@@ -0,0 +1,263 @@
+'use strict';
+
+const bcrypt = require('bcrypt');
+const { Op } = require('sequelize');
+const { HundiBox, HundiCollection, sequelize } = require('../models');
+const { HUNDI_COLLECTION_STATUS, HUNDI_REQUIRED_SIGN_OFFS, HUNDI_SIGN_OFF_OTP } = require('../constants/hundi');
+const { httpError } = require('../utils/httpError');
+const { generateOtp, sendOtp } = require('./otpService');
+
+const OTP_SALT_ROUNDS = 10;
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees || 0) * 100);
+}
+
+async function lockCollection(id, adminId, t) {
+  const locked = await HundiCollection.findOne({ where: { id, adminId }, transaction: t, lock: t.LOCK.UPDATE });
+  if (!locked) {
+    throw httpError('Hundi collection not found.', 404);
+  }
+  return locked;
+}
+
+function assertCounting(locked) {
+  if (locked.status === HUNDI_COLLECTION_STATUS.SIGNED_OFF) {
+    throw httpError('Collection is already signed off and can no longer change.', 409);
+  }
+  if (locked.status === HUNDI_COLLECTION_STATUS.CANCELLED) {
+    throw httpError('Collection is cancelled.', 409);
+  }
+}
+
+/** The counter must agree with the counts entered and must not have signed them already. */
+function assertMaySign(locked, mobile, cashTotal) {
+  assertCounting(locked);
+  if (toPaise(cashTotal) !== toPaise(locked.cashTotal)) {
+    throw httpError(
+      `Cash total does not match the counts entered (Rs. ${Number(locked.cashTotal).toFixed(2)}). Recount or correct the counts first.`,
+      409
+    );
+  }
+  if ((locked.signOffs || []).some((s) => s.mobile === mobile)) {
+    throw httpError('This counter has already signed off.', 409);
+  }
+}
+
+/**
+ * Start a counting session for one of the organization's active boxes. It stays open for
+ * corrections until HUNDI_REQUIRED_SIGN_OFFS counters sign off.
+ * @param {number} adminId - Organization, also recorded as the one who entered the counts
+ * @param {Object} data - From validateHundiCollection
+ * @returns {Promise<Object>} Created HundiCollection
+ */
+async function recordHundiCollection(adminId, data) {
+  const box = await HundiBox.findOne({ where: { id: data.boxId, adminId } });
+  if (!box) {
+    throw httpError('Hundi box not found.', 404);
+  }
+  if (!box.isActive) {
+    throw httpError('This box is retired. Reactivate it first.', 409);
+  }
+  return HundiCollection.create({
+    ...data,
+    adminId,
+    foreignCurrency: data.foreignCurrency || [],
+    valuables: data.valuables || [],
+    signOffs: [],
+    recordedById: adminId,
+  });
+}
+
+/**
+ * Correct the counts of a session that is still being counted. Any sign-off already given (and
+ * any sign-off code not yet used) is cleared, since the counters signed different numbers.
+ * @param {number} id
+ * @param {number} adminId
+ * @param {Object} data - From validateHundiCollection with partial
+ * @returns {Promise<Object>} Updated HundiCollection
+ */
+async function updateHundiCollection(id, adminId, data) {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockCollection(id, adminId, t);
+    assertCounting(locked);
+    await locked.update({ ...data, signOffs: [], signOffChallenges: [] }, { transaction: t });
+    return locked;
+  });
+}
+
+/**
+ * Send a counter a one-time code on their own mobile so they can sign off the counts. The counter
+ * confirms the Rupee cash total they counted, which must match the session. A new code for the
+ * same mobile replaces the previous one (after HUNDI_SIGN_OFF_OTP.RESEND_SECONDS).
+ * @param {number} id
+ * @param {number} adminId
+ * @param {{ name: string, mobile: string, cashTotal: number }} counter - From validateHundiSignOff
+ * @returns {Promise<Object>} The HundiCollection
+ */
+async function requestHundiSignOffOtp(id, adminId, { name, mobile, cashTotal }) {
+  const otp = generateOtp();
+  const otpHash = await bcrypt.hash(otp, OTP_SALT_ROUNDS);
+  const collection = await sequelize.transaction(async (t) => {
+    const locked = await lockCollection(id, adminId, t);
+    assertMaySign(locked, mobile, cashTotal);
+
+    const now = new Date();
+    const challenges = locked.signOffChallenges || [];
+    const previous = challenges.find((c) => c.mobile === mobile);
+    if (previous && now - new Date(previous.sentAt) < HUNDI_SIGN_OFF_OTP.RESEND_SECONDS * 1000) {
+      throw httpError(`Please wait ${HUNDI_SIGN_OFF_OTP.RESEND_SECONDS} seconds before requesting a new code.`, 429);
+    }
+    const challenge = {
+      name,
+      mobile,
+      otpHash,
+      sentAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + HUNDI_SIGN_OFF_OTP.EXPIRY_MINUTES * 60 * 1000).toISOString(),
+      attempts: 0,
+    };
+    await locked.update(
+      { signOffChallenges: [...challenges.filter((c) => c.mobile !== mobile), challenge] },
+      { transaction: t }
+    );
+    return locked;
+  });
+
+  if (!(await sendOtp(mobile, otp))) {
+    throw httpError('Could not send the sign-off code. Try again shortly.', 502);
+  }
+  return collection;
+}
+
+/**
+ * Record a counter's sign-off with the code sent to their mobile (requestHundiSignOffOtp). Each
+ * counter signs once, so the two sign-offs come from two different people holding their own
+ * phones; the cash total is checked again in case the counts changed. The session becomes
+ * final when the required number of counters have signed.
+ * @param {number} id
+ * @param {number} adminId
+ * @param {{ mobile: string, otp: string, cashTotal: number }} counter - From validateHundiSignOffConfirm
+ * @returns {Promise<Object>} Updated HundiCollection
+ */
+async function signOffHundiCollection(id, adminId, { mobile, otp, cashTotal }) {
+  const { collection, rejected } = await sequelize.transaction(async (t) => {
+    const locked = await lockCollection(id, adminId, t);
+    assertMaySign(locked, mobile, cashTotal);
+
+    const challenges = locked.signOffChallenges || [];
+    const challenge = challenges.find((c) => c.mobile === mobile);
+    if (!challenge || new Date(challenge.expiresAt) <= new Date()) {
+      throw httpError('No valid sign-off code for this mobile. Request a new code.', 401);
+    }
+    const others = challenges.filter((c) => c !== challenge);
+    if (!(await bcrypt.compare(otp, challenge.otpHash))) {
+      // Returned rather than thrown so the failed attempt is saved; the last one drops the code.
+      const attempts = challenge.attempts + 1;
+      const kept = attempts >= HUNDI_SIGN_OFF_OTP.MAX_ATTEMPTS ? others : [...others, { ...challenge, attempts }];
+      await locked.update({ signOffChallenges: kept }, { transaction: t });
+      return { rejected: true };
+    }
+
+    const next = [...(locked.signOffs || []), { name: challenge.name, mobile, signedAt: new Date().toISOString() }];
+    const updates = { signOffs: next, signOffChallenges: others };
+    if (next.length >= HUNDI_REQUIRED_SIGN_OFFS) {
+      updates.status = HUNDI_COLLECTION_STATUS.SIGNED_OFF;
+      updates.signedOffAt = new Date();
+      updates.signOffChallenges = [];
+    }
+    await locked.update(updates, { transaction: t });
+    return { collection: locked };
+  });
+
+  if (rejected) {
+    throw httpError('Invalid sign-off code.', 401);
+  }
+  return collection;
+}
+
+/**
+ * Cancel a collection entered by mistake (also after sign-off). It stays for audit but no longer
+ * counts towards hundi income.
+ * @param {number} id
+ * @param {number} adminId
+ * @param {string} reason
+ * @returns {Promise<Object>} Cancelled HundiCollection
+ */
+async function cancelHundiCollection(id, adminId, reason) {
+  return sequelize.transaction(async (t) => {
+    const locked = await lockCollection(id, adminId, t);
+    if (locked.status === HUNDI_COLLECTION_STATUS.CANCELLED) {
+      throw httpError('Collection is already cancelled.', 409);
+    }
+    await locked.update(
+      { status: HUNDI_COLLECTION_STATUS.CANCELLED, cancelledAt: new Date(), cancelReason: reason },
+      { transaction: t }
+    );
+    return locked;
+  });
+}
+
+/**
+ * Hundi income from signed-off collections: Indian cash per box, foreign currency per currency
+ * (not converted) and valuables. Anonymous income, kept apart from donation totals.
+ * @param {number} adminId
+ * @param {{ start?: Date, end?: Date, boxId?: number }} [filters] - On countedAt; end is exclusive
+ * @returns {Promise<{ boxes: Object[], foreignCurrency: Object[], valuables: Object, totals: Object }>}
+ */
+async function getHundiSummary(adminId, { start, end, boxId } = {}) {
+  const where = { adminId, status: HUNDI_COLLECTION_STATUS.SIGNED_OFF };
+  if (boxId) where.boxId = boxId;
+  if (start || end) {
+    where.countedAt = {};
+    if (start) where.countedAt[Op.gte] = start;
+    if (end) where.countedAt[Op.lt] = end;
+  }
+
+  const collections = await HundiCollection.findAll({
+    where,
+    attributes: ['id', 'boxId', 'cashTotal', 'foreignCurrency', 'valuables'],
+    include: [{ model: HundiBox, as: 'box', attributes: ['id', 'name'] }],
+  });
+
+  const boxes = new Map();
+  const foreign = new Map();
+  let cashPaise = 0;
+  let valuableItems = 0;
+  let valuablesPaise = 0;
+  for (const c of collections) {
+    if (!boxes.has(c.boxId)) {
+      boxes.set(c.boxId, { boxId: c.boxId, name: c.box ? c.box.name : null, collections: 0, cashPaise: 0 });
+    }
+    const box = boxes.get(c.boxId);
+    box.collections += 1;
+    box.cashPaise += toPaise(c.cashTotal);
+    cashPaise += toPaise(c.cashTotal);
+    for (const line of c.foreignCurrency || []) {
+      foreign.set(line.currency, (foreign.get(line.currency) || 0) + toPaise(line.amount));
+    }
+    for (const item of c.valuables || []) {
+      valuableItems += 1;
+      valuablesPaise += toPaise(item.estimatedValue);
+    }
+  }
+
+  return {
+    boxes: [...boxes.values()]
+      .map(({ cashPaise: paise, ...box }) => ({ ...box, cash: paise / 100 }))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name))),
+    foreignCurrency: [...foreign.entries()]
+      .map(([currency, paise]) => ({ currency, amount: paise / 100 }))
+      .sort((a, b) => a.currency.localeCompare(b.currency)),
+    valuables: { items: valuableItems, estimatedValue: valuablesPaise / 100 },
+    totals: { collections: collections.length, cash: cashPaise / 100 },
+  };
+}
+
+module.exports = {
+  recordHundiCollection,
+  updateHundiCollection,
+  requestHundiSignOffOtp,
+  signOffHundiCollection,
+  cancelHundiCollection,
+  getHundiSummary,
+};
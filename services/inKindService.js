@@ -0,0 +1,279 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const PDFDocument = require('pdfkit');
+const { InKindDonation, InKindItem, Devotee, Event, User, sequelize } = require('../models');
+const { IN_KIND_STATUS } = require('../constants/inKind');
+const { getNextAcknowledgementNumberForAdmin } = require('./receiptService');
+const { upsertWalkInDevotee } = require('./devoteeService');
+const { formatDate } = require('./receiptPdfService');
+const { httpError } = require('../utils/httpError');
+
+function round(value, places) {
+  const scale = 10 ** places;
+  return Math.round(value * scale) / scale;
+}
+
+function inr(value) {
+  return `Rs. ${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Record goods received from a devotee against a catalog item. The devotee is found or created
+ * by mobile as for walk-in donations. Without a declared value, the value is quantity x unit
+ * value (given, else the item's default); items with neither stay unvalued.
+ * @param {number} adminId - Organization, also recorded as the receiver
+ * @param {Object} data - From validateInKindDonation
+ * @returns {Promise<Object>} Created InKindDonation
+ */
+async function recordInKindDonation(adminId, { devotee: details, ...data }) {
+  return sequelize.transaction(async (t) => {
+    const item = await InKindItem.findOne({ where: { id: data.itemId, adminId }, transaction: t });
+    if (!item) {
+      throw httpError('Item not found.', 404);
+    }
+    if (!item.isActive) {
+      throw httpError('This item is no longer accepted. Reactivate it in the catalog first.', 409);
+    }
+
+    const unitValue = data.unitValue != null
+      ? data.unitValue
+      : item.defaultUnitValue != null ? Number(item.defaultUnitValue) : null;
+    const declaredValue = data.declaredValue != null
+      ? data.declaredValue
+      : unitValue != null ? round(data.quantity * unitValue, 2) : null;
+
+    const devotee = await upsertWalkInDevotee(adminId, details, t);
+    return InKindDonation.create(
+      {
+        devoteeId: devotee.id,
+        adminId,
+        eventId: data.eventId || null,
+        itemId: item.id,
+        itemName: item.name,
+        unit: item.unit,
+        quantity: data.quantity,
+        unitValue,
+        declaredValue,
+        acknowledgementNumber: await getNextAcknowledgementNumberForAdmin(adminId, t),
+        notes: data.notes,
+        receivedById: adminId,
+      },
+      { transaction: t }
+    );
+  });
+}
+
+/**
+ * Cancel an in-kind donation recorded by mistake. It stays for audit but no longer counts
+ * towards stock received, and its acknowledgement prints as cancelled.
+ * @param {number} id
+ * @param {number} adminId
+ * @param {string} reason
+ * @returns {Promise<Object>} Cancelled InKindDonation
+ */
+async function cancelInKindDonation(id, adminId, reason) {
+  return sequelize.transaction(async (t) => {
+    const locked = await InKindDonation.findOne({
+      where: { id, adminId },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!locked) {
+      throw httpError('In-kind donation not found.', 404);
+    }
+    if (locked.status === IN_KIND_STATUS.CANCELLED) {
+      throw httpError('In-kind donation is already cancelled.', 409);
+    }
+    await locked.update(
+      { status: IN_KIND_STATUS.CANCELLED, cancelledAt: new Date(), cancelReason: reason },
+      { transaction: t }
+    );
+    return locked;
+  });
+}
+
+/**
+ * Stock received per catalog item (and unit), from received in-kind donations only.
+ * Values are declared values in Rupees and are never part of monetary donation totals.
+ * @param {number} adminId
+ * @param {{ start?: Date, end?: Date, eventId?: number }} [filters] - end is exclusive
+ * @returns {Promise<{ items: Object[], totals: { donations: number, declaredValue: number } }>}
+ */
+async function getStockReport(adminId, { start, end, eventId } = {}) {
+  const where = { adminId, status: IN_KIND_STATUS.RECEIVED };
+  if (eventId) where.eventId = eventId;
+  if (start || end) {
+    where.created_at = {};
+    if (start) where.created_at[Op.gte] = start;
+    if (end) where.created_at[Op.lt] = end;
+  }
+
+  const rows = await InKindDonation.findAll({
+    where,
+    attributes: [
+      'itemId',
+      'unit',
+      [sequelize.fn('COUNT', sequelize.col('InKindDonation.id')), 'donations'],
+      [sequelize.fn('SUM', sequelize.col('quantity')), 'quantity'],
+      [sequelize.fn('SUM', sequelize.fn('COALESCE', sequelize.col('declared_value'), 0)), 'declaredValue'],
+      [sequelize.fn('COUNT', sequelize.col('declared_value')), 'valuedDonations'],
+    ],
+    include: [{ model: InKindItem, as: 'item', attributes: ['id', 'name'] }],
+    group: ['InKindDonation.item_id', 'InKindDonation.unit', 'item.id'],
+    order: [[sequelize.literal('"item"."name"'), 'ASC']],
+  });
+
+  const items = rows.map((r) => {
+    const plain = r.get({ plain: true });
+    return {
+      itemId: plain.itemId,
+      name: plain.item ? plain.item.name : null,
+      unit: plain.unit,
+      quantity: parseFloat(plain.quantity || 0),
+      donations: Number(plain.donations),
+      valuedDonations: Number(plain.valuedDonations),
+      declaredValue: parseFloat(plain.declaredValue || 0),
+    };
+  });
+
+  return {
+    items,
+    totals: {
+      donations: items.reduce((sum, i) => sum + i.donations, 0),
+      declaredValue: round(items.reduce((sum, i) => sum + i.declaredValue, 0), 2),
+    },
+  };
+}
+
+/**
+ * Load an in-kind donation with everything its acknowledgement needs.
+ * @param {Object} where - InKindDonation where clause (scope it to the admin)
+ * @returns {Promise<Object|null>}
+ */
+async function findAcknowledgementDonation(where) {
+  return InKindDonation.findOne({
+    where,
+    include: [
+      { model: User, as: 'organization', attributes: ['id', 'name', 'address', 'phone', 'email'] },
+      { model: Devotee, attributes: ['id', 'mobile', 'name', 'city'] },
+      { model: Event, as: 'event', attributes: ['id', 'title'], required: false },
+    ],
+  });
+}
+
+/**
+ * Acknowledgement fields for an in-kind donation loaded with findAcknowledgementDonation.
+ * @param {Object} donation
+ * @returns {Object}
+ */
+function buildAcknowledgement(donation) {
+  const d = donation.get ? donation.get({ plain: true }) : donation;
+  const org = d.organization || {};
+  const devotee = d.Devotee || {};
+
+  return {
+    acknowledgementNumber: d.acknowledgementNumber,
+    date: formatDate(d.created_at || d.createdAt),
+    item: d.itemName,
+    quantity: `${parseFloat(d.quantity)} ${d.unit}`,
+    declaredValue: d.declaredValue != null ? inr(d.declaredValue) : null,
+    notes: d.notes || null,
+    event: d.event ? d.event.title : null,
+    cancelled: d.status === IN_KIND_STATUS.CANCELLED,
+    cancellationReason: d.cancelReason || null,
+    organization: {
+      name: org.name,
+      address: org.address || null,
+      phone: org.phone || null,
+      email: org.email || null,
+    },
+    donor: {
+      name: devotee.name || null,
+      mobile: devotee.mobile || null,
+      city: devotee.city || null,
+    },
+  };
+}
+
+function row(doc, label, value) {
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text(label, 50, y, { width: 160 });
+  doc.font('Helvetica').fontSize(10).text(value || '-', 210, y, { width: 335 });
+  doc.moveDown(0.4);
+}
+
+/**
+ * Render an in-kind acknowledgement. Goods are not money, so it states that it is not a
+ * receipt under section 80G.
+ * @param {Object} ack - From buildAcknowledgement
+ * @returns {Promise<Buffer>}
+ */
+function renderAcknowledgementPdf(ack) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const org = ack.organization;
+    doc.font('Helvetica-Bold').fontSize(16).text(org.name || '', { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    if (org.address) doc.text(org.address, { align: 'center' });
+    const contact = [org.phone, org.email].filter(Boolean).join(' | ');
+    if (contact) doc.text(contact, { align: 'center' });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(13).text('ACKNOWLEDGEMENT OF IN-KIND DONATION', { align: 'center', underline: true });
+    doc.font('Helvetica').fontSize(9).text('(Not a receipt under section 80G)', { align: 'center' });
+    doc.moveDown();
+
+    row(doc, 'Acknowledgement No.', ack.acknowledgementNumber);
+    row(doc, 'Date', ack.date);
+    row(doc, 'Received from', ack.donor.name || ack.donor.mobile);
+    row(doc, 'Mobile', ack.donor.mobile);
+    if (ack.donor.city) row(doc, 'City', ack.donor.city);
+    row(doc, 'Item', ack.item);
+    row(doc, 'Quantity', ack.quantity);
+    if (ack.declaredValue) row(doc, 'Declared value', ack.declaredValue);
+    if (ack.event) row(doc, 'Purpose', ack.event);
+    if (ack.notes) row(doc, 'Notes', ack.notes);
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(9).text(
+      'Received with thanks the goods described above. Donations in kind are not eligible for deduction '
+      + 'under section 80G of the Income-tax Act, 1961; any value shown is as declared and is for '
+      + 'record only.',
+      50
+    );
+    doc.moveDown(3);
+    doc.text('Authorised Signatory', 50, doc.y, { align: 'right' });
+    doc.moveDown();
+    doc.fontSize(8).fillColor('gray').text('This is a computer-generated acknowledgement.', 50, doc.y, { align: 'center' });
+
+    if (ack.cancelled) {
+      doc.save();
+      doc.rotate(-35, { origin: [300, 420] });
+      doc.fontSize(72).fillColor('red').opacity(0.25).text('CANCELLED', 90, 380);
+      doc.restore();
+      doc.opacity(1).fillColor('red').fontSize(9).text(
+        `Acknowledgement cancelled${ack.cancellationReason ? `: ${ack.cancellationReason}` : ''}`,
+        50,
+        760,
+        { align: 'center' }
+      );
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  recordInKindDonation,
+  cancelInKindDonation,
+  getStockReport,
+  findAcknowledgementDonation,
+  buildAcknowledgement,
+  renderAcknowledgementPdf,
+};
@@ -0,0 +1,735 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const {
+  Donation,
+  DonationRefund,
+  Event,
+  LedgerEntry,
+  LedgerAuditRun,
+  SettlementTransfer,
+  sequelize,
+} = require('../models');
+const {
+  LEDGER_ACCOUNT,
+  LEDGER_ACCOUNT_LIST,
+  LEDGER_DIRECTION,
+  LEDGER_ENTRY_TYPE,
+  LEDGER_AUDIT_RUN_STATUS,
+  LEDGER_AUDIT_BATCH_SIZE,
+  LEDGER_AUDIT_MAX_DETAILS,
+} = require('../constants/ledger');
+const { DONATION_STATUS, DONATION_STATUS_POST_CAPTURE, REFUND_STATUS } = require('../constants/donation');
+const { TRANSFER_STATUS } = require('../constants/settlement');
+
+/** Accounts an event's raised amount is derived from: income less refunds. */
+const RAISED_ACCOUNTS = [LEDGER_ACCOUNT.DONATION_INCOME, LEDGER_ACCOUNT.REFUNDS];
+
+let auditing = false;
+
+/** Debits minus credits of the selected lines, in paise. */
+const SIGNED_PAISE = `CASE WHEN "direction" = '${LEDGER_DIRECTION.DEBIT}' THEN "amount_paise" ELSE -"amount_paise" END`;
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees || 0) * 100);
+}
+
+/**
+ * Where a donation's money sits: at the gateway for online payments, with the organization for
+ * cash, cheques, DDs and bank transfers.
+ */
+function assetAccount(donation) {
+  return donation.razorpayPaymentId ? LEDGER_ACCOUNT.GATEWAY_CLEARING : LEDGER_ACCOUNT.OFFLINE_RECEIPTS;
+}
+
+/** Two lines moving `amountPaise` into `debit` out of `credit`. */
+function move(debit, credit, amountPaise) {
+  return [
+    { account: debit, direction: LEDGER_DIRECTION.DEBIT, amountPaise },
+    { account: credit, direction: LEDGER_DIRECTION.CREDIT, amountPaise },
+  ];
+}
+
+function donationJournal(donation) {
+  return {
+    adminId: donation.adminId,
+    eventId: donation.eventId || null,
+    donationId: donation.id,
+  };
+}
+
+/**
+ * Re-derive an event's raisedAmountPaise from the ledger. The column is a cache kept for event
+ * pages and progress bars; the ledger is the source. Locks the event row so concurrent postings
+ * to the same event are summed one after the other.
+ * @param {number} eventId
+ * @param {Object} transaction
+ * @returns {Promise<number|null>} Raised paise, or null if the event no longer exists
+ */
+async function syncEventRaised(eventId, transaction) {
+  const ev = await Event.findByPk(eventId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!ev) return null;
+  const raised = Math.max(0, (await getRaisedPaiseByEvent([eventId], transaction)).get(eventId) || 0);
+  if (Number(ev.raisedAmountPaise || 0) !== raised) {
+    await ev.update({ raisedAmountPaise: raised }, { transaction });
+  }
+  return raised;
+}
+
+/**
+ * Raised paise per event according to the ledger (income credited less refunds and reversals).
+ * @param {number[]} eventIds
+ * @param {Object} [transaction]
+ * @returns {Promise<Map<number, number>>}
+ */
+async function getRaisedPaiseByEvent(eventIds, transaction = null) {
+  if (eventIds.length === 0) return new Map();
+  const rows = await LedgerEntry.findAll({
+    where: { eventId: eventIds, account: RAISED_ACCOUNTS },
+    attributes: ['eventId', [sequelize.fn('SUM', sequelize.literal(SIGNED_PAISE)), 'balance']],
+    group: ['event_id'],
+    raw: true,
+    transaction,
+  });
+  // Income is credit-normal, so raised is the negated debit balance.
+  return new Map(rows.map((r) => [Number(r.eventId), -Number(r.balance || 0)]));
+}
+
+/**
+ * Append a journal inside `transaction`. Zero lines are dropped and debits must equal credits.
+ * The key names the source (e.g. capture:42), so a journal already posted is skipped and
+ * retried webhooks, verifies and syncs post it once. A journal touching income or refunds
+ * re-derives its event's raised amount unless options.syncEvent is false.
+ * @param {Object} journal - key, type, adminId, eventId?, donationId?, occurredAt?, memo?, lines
+ * @param {Object} transaction
+ * @param {Object} [options]
+ * @param {boolean} [options.syncEvent=true]
+ * @returns {Promise<Object[]|null>} Created entries, or null if nothing was posted
+ */
+async function postJournal(journal, transaction, { syncEvent = true } = {}) {
+  const lines = journal.lines.filter((line) => line.amountPaise > 0);
+  if (lines.length === 0) return null;
+  const total = (direction) => lines
+    .filter((line) => line.direction === direction)
+    .reduce((sum, line) => sum + line.amountPaise, 0);
+  if (total(LEDGER_DIRECTION.DEBIT) !== total(LEDGER_DIRECTION.CREDIT)) {
+    throw new Error(`Ledger journal ${journal.key} does not balance.`);
+  }
+
+  const existing = await LedgerEntry.findOne({
+    where: { journalKey: journal.key },
+    attributes: ['id'],
+    transaction,
+  });
+  if (existing) return null;
+
+  const occurredAt = journal.occurredAt || new Date();
+  const entries = await LedgerEntry.bulkCreate(
+    lines.map((line) => ({
+      journalKey: journal.key,
+      entryType: journal.type,
+      adminId: journal.adminId,
+      eventId: journal.eventId || null,
+      donationId: journal.donationId || null,
+      account: line.account,
+      direction: line.direction,
+      amountPaise: line.amountPaise,
+      occurredAt,
+      memo: journal.memo ? String(journal.memo).slice(0, 255) : null,
+    })),
+    { transaction }
+  );
+  if (syncEvent && journal.eventId && lines.some((line) => RAISED_ACCOUNTS.includes(line.account))) {
+    await syncEventRaised(journal.eventId, transaction);
+  }
+  return entries;
+}
+
+/**
+ * Post a donation's gateway and platform fees (each once; a gateway fee reported after capture
+ * is posted when it is recorded).
+ * @param {Object} donation - Captured Donation
+ * @param {Object} transaction
+ */
+async function recordDonationFees(donation, transaction) {
+  const asset = assetAccount(donation);
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `gateway_fee:${donation.id}`,
+      type: LEDGER_ENTRY_TYPE.GATEWAY_FEE,
+      lines: move(LEDGER_ACCOUNT.GATEWAY_FEES, asset, toPaise(donation.gatewayFee)),
+    },
+    transaction
+  );
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `platform_fee:${donation.id}`,
+      type: LEDGER_ENTRY_TYPE.PLATFORM_FEE,
+      lines: move(LEDGER_ACCOUNT.PLATFORM_FEES, asset, toPaise(donation.platformFee)),
+    },
+    transaction
+  );
+}
+
+/**
+ * Post a captured donation (online, cash, cleared instrument or imported) and its fees.
+ * @param {Object} donation - Donation as captured
+ * @param {Object} transaction
+ * @param {Object} [options]
+ * @param {Date} [options.occurredAt] - Defaults to now (imports pass the register date)
+ * @param {boolean} [options.syncEvent=true]
+ */
+async function recordDonationCaptured(donation, transaction, { occurredAt = null, syncEvent = true } = {}) {
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `capture:${donation.id}`,
+      type: LEDGER_ENTRY_TYPE.DONATION_CAPTURED,
+      occurredAt,
+      memo: donation.receiptNumber ? `Receipt ${donation.receiptNumber}` : null,
+      lines: move(assetAccount(donation), LEDGER_ACCOUNT.DONATION_INCOME, toPaise(donation.amount)),
+    },
+    transaction,
+    { syncEvent }
+  );
+  await recordDonationFees(donation, transaction);
+}
+
+/**
+ * Post a refund given back from where the donation's money sits.
+ * @param {Object} donation
+ * @param {Object} refund - DonationRefund
+ * @param {Object} transaction
+ */
+async function recordRefund(donation, refund, transaction) {
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `refund:${refund.id}`,
+      type: LEDGER_ENTRY_TYPE.REFUND,
+      memo: refund.reason,
+      lines: move(LEDGER_ACCOUNT.REFUNDS, assetAccount(donation), toPaise(refund.amount)),
+    },
+    transaction
+  );
+}
+
+/**
+ * Reverse a refund the gateway reported as failed: the money is back with the organization.
+ */
+async function recordRefundFailed(donation, refund, transaction) {
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `refund_failed:${refund.id}`,
+      type: LEDGER_ENTRY_TYPE.REFUND_FAILED,
+      lines: move(assetAccount(donation), LEDGER_ACCOUNT.REFUNDS, toPaise(refund.amount)),
+    },
+    transaction
+  );
+}
+
+/**
+ * Take a counted offline donation back out of income (voided, or its instrument bounced).
+ * @param {Object} donation
+ * @param {string} type - LEDGER_ENTRY_TYPE.OFFLINE_VOID or INSTRUMENT_BOUNCED
+ * @param {number} amountPaise - Amount still counted (less any refunds)
+ * @param {string|null} reason
+ * @param {Object} transaction
+ */
+async function recordOfflineReversal(donation, type, amountPaise, reason, transaction) {
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `${type}:${donation.id}`,
+      type,
+      memo: reason,
+      lines: move(LEDGER_ACCOUNT.DONATION_INCOME, assetAccount(donation), amountPaise),
+    },
+    transaction
+  );
+}
+
+/**
+ * Post a transfer created at the gateway: the money moves to the organization's linked account.
+ * @param {Object} transfer - SettlementTransfer with its transferId
+ * @param {Object} donation
+ * @param {Object} transaction
+ */
+async function recordSettlement(transfer, donation, transaction) {
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: `settlement:${transfer.id}`,
+      type: LEDGER_ENTRY_TYPE.SETTLEMENT,
+      memo: transfer.transferId,
+      lines: move(LEDGER_ACCOUNT.LINKED_ACCOUNT, LEDGER_ACCOUNT.GATEWAY_CLEARING, toPaise(transfer.amount)),
+    },
+    transaction
+  );
+}
+
+/**
+ * Reverse the settlement of a transfer the gateway rejected after creating it. Nothing is
+ * posted if the settlement never was.
+ * @param {Object} transfer
+ * @param {Object} [transaction] - Own transaction when omitted
+ */
+async function recordSettlementFailed(transfer, transaction = null) {
+  if (!transaction) {
+    return sequelize.transaction((t) => recordSettlementFailed(transfer, t));
+  }
+  const posted = await LedgerEntry.findOne({
+    where: { journalKey: `settlement:${transfer.id}`, direction: LEDGER_DIRECTION.DEBIT },
+    transaction,
+  });
+  if (!posted) return null;
+  return postJournal(
+    {
+      adminId: posted.adminId,
+      eventId: posted.eventId,
+      donationId: posted.donationId,
+      key: `settlement_failed:${transfer.id}`,
+      type: LEDGER_ENTRY_TYPE.SETTLEMENT_FAILED,
+      memo: transfer.errorMessage,
+      lines: move(LEDGER_ACCOUNT.GATEWAY_CLEARING, LEDGER_ACCOUNT.LINKED_ACCOUNT, Number(posted.amountPaise)),
+    },
+    transaction
+  );
+}
+
+function settlementReversalKey(transferId, refundId) {
+  return `settlement_reversal:${transferId}:refund-${refundId}`;
+}
+
+/**
+ * Has the transfer already been pulled back for this refund? Checked before retrying a refund.
+ */
+async function hasSettlementReversal(transferId, refundId, transaction) {
+  const posted = await LedgerEntry.findOne({
+    where: { journalKey: settlementReversalKey(transferId, refundId) },
+    attributes: ['id'],
+    transaction,
+  });
+  return Boolean(posted);
+}
+
+/**
+ * Post an amount pulled back from the linked account for a refund.
+ * @param {Object} transfer
+ * @param {Object} donation
+ * @param {number} reversePaise
+ * @param {number} refundId - Refund the amount was pulled back for (keys the journal)
+ * @param {Object} transaction
+ */
+async function recordSettlementReversal(transfer, donation, reversePaise, refundId, transaction) {
+  await postJournal(
+    {
+      ...donationJournal(donation),
+      key: settlementReversalKey(transfer.id, refundId),
+      type: LEDGER_ENTRY_TYPE.SETTLEMENT_REVERSAL,
+      memo: transfer.transferId,
+      lines: move(LEDGER_ACCOUNT.GATEWAY_CLEARING, LEDGER_ACCOUNT.LINKED_ACCOUNT, reversePaise),
+    },
+    transaction
+  );
+}
+
+/**
+ * Read account balances into the figures organizations see, in Rupees.
+ * net is what the organization keeps: donations less refunds and fees.
+ */
+function summarizeBalances(balances) {
+  const paise = (account) => balances.get(account) || 0;
+  const gross = -paise(LEDGER_ACCOUNT.DONATION_INCOME);
+  const refunded = paise(LEDGER_ACCOUNT.REFUNDS);
+  const gatewayFee = paise(LEDGER_ACCOUNT.GATEWAY_FEES);
+  const platformFee = paise(LEDGER_ACCOUNT.PLATFORM_FEES);
+  return {
+    gross: gross / 100,
+    refunded: refunded / 100,
+    gatewayFee: gatewayFee / 100,
+    platformFee: platformFee / 100,
+    net: (gross - refunded - gatewayFee - platformFee) / 100,
+    heldAtGateway: paise(LEDGER_ACCOUNT.GATEWAY_CLEARING) / 100,
+    transferred: paise(LEDGER_ACCOUNT.LINKED_ACCOUNT) / 100,
+    receivedOffline: paise(LEDGER_ACCOUNT.OFFLINE_RECEIPTS) / 100,
+  };
+}
+
+/**
+ * Debit balance (debits minus credits, paise) of each account for entries matching `where`.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getAccountBalances(where) {
+  const rows = await LedgerEntry.findAll({
+    where,
+    attributes: ['account', [sequelize.fn('SUM', sequelize.literal(SIGNED_PAISE)), 'balance']],
+    group: ['account'],
+    raw: true,
+  });
+  return new Map(rows.map((r) => [r.account, Number(r.balance || 0)]));
+}
+
+/**
+ * An organization's ledger totals: donations, refunds, fees and net, plus where the money is
+ * (held at the gateway, transferred to the linked account, received offline).
+ * With start/end only movements in that window count, e.g. refunds in the last 30 days.
+ * @param {number|null} adminId - null for all organizations
+ * @param {Object} [options]
+ * @param {Date|null} [options.start]
+ * @param {Date|null} [options.end] - Exclusive
+ * @returns {Promise<Object>} Rupees; see summarizeBalances
+ */
+async function getLedgerTotals(adminId, { start = null, end = null } = {}) {
+  const where = adminId ? { adminId } : {};
+  if (start || end) {
+    where.occurredAt = {};
+    if (start) where.occurredAt[Op.gte] = start;
+    if (end) where.occurredAt[Op.lt] = end;
+  }
+  return summarizeBalances(await getAccountBalances(where));
+}
+
+/**
+ * Did this donation's amount ever count as received (and so get a capture journal)?
+ * Voided donations counted if they had taken a receipt; failed ones if their instrument
+ * cleared before it bounced.
+ */
+function wasCounted(donation) {
+  if (DONATION_STATUS_POST_CAPTURE.includes(donation.status)) return true;
+  if (donation.status === DONATION_STATUS.VOIDED) return Boolean(donation.receiptNumber);
+  if (donation.status === DONATION_STATUS.FAILED) {
+    return Boolean(donation.instrumentClearedAt && donation.instrumentBouncedAt);
+  }
+  return false;
+}
+
+/**
+ * Recompute what the ledger should hold for a donation from its own row, refunds and transfer.
+ * @returns {Map<string, number>} Account -> debit balance in paise
+ */
+function expectedDonationBalances(donation, refunds, transfer) {
+  const balances = new Map();
+  const add = (debit, credit, amountPaise) => {
+    if (!amountPaise) return;
+    balances.set(debit, (balances.get(debit) || 0) + amountPaise);
+    balances.set(credit, (balances.get(credit) || 0) - amountPaise);
+  };
+  const asset = assetAccount(donation);
+  const amountPaise = toPaise(donation.amount);
+
+  if (wasCounted(donation)) {
+    add(asset, LEDGER_ACCOUNT.DONATION_INCOME, amountPaise);
+    add(LEDGER_ACCOUNT.GATEWAY_FEES, asset, toPaise(donation.gatewayFee));
+    add(LEDGER_ACCOUNT.PLATFORM_FEES, asset, toPaise(donation.platformFee));
+    if (donation.status === DONATION_STATUS.VOIDED) {
+      add(LEDGER_ACCOUNT.DONATION_INCOME, asset, amountPaise);
+    } else if (donation.status === DONATION_STATUS.FAILED) {
+      add(LEDGER_ACCOUNT.DONATION_INCOME, asset, amountPaise - toPaise(donation.refundedAmount));
+    }
+  }
+  refunds
+    .filter((refund) => refund.status !== REFUND_STATUS.FAILED)
+    .forEach((refund) => add(LEDGER_ACCOUNT.REFUNDS, asset, toPaise(refund.amount)));
+  if (transfer && transfer.transferId && transfer.status !== TRANSFER_STATUS.FAILED) {
+    add(LEDGER_ACCOUNT.LINKED_ACCOUNT, LEDGER_ACCOUNT.GATEWAY_CLEARING, toPaise(transfer.amount));
+    add(LEDGER_ACCOUNT.GATEWAY_CLEARING, LEDGER_ACCOUNT.LINKED_ACCOUNT, toPaise(transfer.reversedAmount));
+  }
+  return balances;
+}
+
+/**
+ * Recompute each donation's balances and compare them with what was posted.
+ * @returns {Promise<Map<number, {expected: Map<string, number>, accounts: Object[], refunds: Object[]}>>}
+ *   Donation ID -> recomputed balances, the accounts that differ ({ account, expectedPaise,
+ *   ledgerPaise }) and its refunds
+ */
+async function compareDonations(donations, transaction = null) {
+  const ids = donations.map((d) => d.id);
+  const [refunds, transfers, postedRows] = await Promise.all([
+    DonationRefund.findAll({
+      where: { donationId: ids },
+      attributes: ['donationId', 'amount', 'status', 'created_at'],
+      transaction,
+    }),
+    SettlementTransfer.findAll({
+      where: { donationId: ids },
+      attributes: ['donationId', 'transferId', 'status', 'amount', 'reversedAmount'],
+      transaction,
+    }),
+    LedgerEntry.findAll({
+      where: { donationId: ids },
+      attributes: ['donationId', 'account', [sequelize.fn('SUM', sequelize.literal(SIGNED_PAISE)), 'balance']],
+      group: ['donation_id', 'account'],
+      raw: true,
+      transaction,
+    }),
+  ]);
+
+  const posted = new Map();
+  postedRows.forEach((r) => {
+    const id = Number(r.donationId);
+    if (!posted.has(id)) posted.set(id, new Map());
+    posted.get(id).set(r.account, Number(r.balance || 0));
+  });
+
+  const results = new Map();
+  donations.forEach((donation) => {
+    const donationRefunds = refunds.filter((r) => r.donationId === donation.id);
+    const expected = expectedDonationBalances(
+      donation,
+      donationRefunds,
+      transfers.find((tr) => tr.donationId === donation.id)
+    );
+    const actual = posted.get(donation.id) || new Map();
+    const accounts = LEDGER_ACCOUNT_LIST
+      .map((account) => ({
+        account,
+        expectedPaise: expected.get(account) || 0,
+        ledgerPaise: actual.get(account) || 0,
+      }))
+      .filter((row) => row.expectedPaise !== row.ledgerPaise);
+    results.set(donation.id, { expected, accounts, refunds: donationRefunds });
+  });
+  return results;
+}
+
+const DONATION_AUDIT_ATTRIBUTES = [
+  'id', 'adminId', 'eventId', 'status', 'amount', 'gatewayFee', 'platformFee', 'refundedAmount',
+  'razorpayPaymentId', 'receiptNumber', 'instrumentClearedAt', 'instrumentBouncedAt', 'created_at',
+];
+
+/** Lines moving each account by its signed paise difference (positive = debit). */
+function adjustmentLines(differences) {
+  return [...differences]
+    .filter(([, difference]) => difference !== 0)
+    .map(([account, difference]) => ({
+      account,
+      direction: difference > 0 ? LEDGER_DIRECTION.DEBIT : LEDGER_DIRECTION.CREDIT,
+      amountPaise: Math.abs(difference),
+    }));
+}
+
+/**
+ * Post the difference between recomputed and posted balances of one donation as adjustment
+ * journals, re-checked with the donation row locked so live postings cannot race it. A
+ * difference in refunds is posted against the donation's asset account on the date of its
+ * latest refund; the rest on the date the donation was received, so period totals stay right.
+ * @returns {Promise<boolean>} true if an adjustment was posted
+ */
+async function repairDonation(donationId, repairedById) {
+  return sequelize.transaction(async (t) => {
+    const donation = await Donation.findByPk(donationId, {
+      attributes: DONATION_AUDIT_ATTRIBUTES,
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!donation) return false;
+    const { accounts, refunds } = (await compareDonations([donation], t)).get(donation.id);
+    if (accounts.length === 0) return false;
+
+    const differences = new Map(accounts.map((row) => [row.account, row.expectedPaise - row.ledgerPaise]));
+    const receivedAt = donation.get('created_at');
+    const journal = {
+      ...donationJournal(donation),
+      type: LEDGER_ENTRY_TYPE.ADJUSTMENT,
+      memo: repairedById ? `Ledger audit by user ${repairedById}` : 'Ledger audit',
+    };
+    const stamp = Date.now();
+    let posted = false;
+
+    const refundDifference = differences.get(LEDGER_ACCOUNT.REFUNDS) || 0;
+    if (refundDifference !== 0) {
+      const asset = assetAccount(donation);
+      differences.delete(LEDGER_ACCOUNT.REFUNDS);
+      differences.set(asset, (differences.get(asset) || 0) + refundDifference);
+      const lastRefundAt = refunds
+        .map((refund) => new Date(refund.get('created_at')))
+        .reduce((latest, at) => (latest && latest > at ? latest : at), null);
+      posted = Boolean(await postJournal(
+        {
+          ...journal,
+          key: `adjustment:${donation.id}:${stamp}:refunds`,
+          occurredAt: lastRefundAt || receivedAt,
+          lines: adjustmentLines(new Map([
+            [LEDGER_ACCOUNT.REFUNDS, refundDifference],
+            [asset, -refundDifference],
+          ])),
+        },
+        t
+      ));
+    }
+
+    const rest = await postJournal(
+      { ...journal, key: `adjustment:${donation.id}:${stamp}`, occurredAt: receivedAt, lines: adjustmentLines(differences) },
+      t
+    );
+    return posted || Boolean(rest);
+  });
+}
+
+/**
+ * Events whose cached raisedAmountPaise differs from the ledger; with repair, re-derive them.
+ */
+async function auditEventRaised(scope, repair) {
+  const events = await Event.findAll({ where: scope, attributes: ['id', 'title', 'raisedAmountPaise'] });
+  const raised = await getRaisedPaiseByEvent(events.map((ev) => ev.id));
+  const mismatched = events
+    .map((ev) => ({
+      eventId: ev.id,
+      title: ev.title,
+      cachedPaise: Number(ev.raisedAmountPaise || 0),
+      ledgerPaise: Math.max(0, raised.get(ev.id) || 0),
+    }))
+    .filter((row) => row.cachedPaise !== row.ledgerPaise);
+  if (repair) {
+    for (const row of mismatched) {
+      await sequelize.transaction((t) => syncEventRaised(row.eventId, t));
+    }
+  }
+  return mismatched;
+}
+
+/**
+ * Start a ledger audit in the background: recompute the ledger from donations, refunds and
+ * settlement transfers and diff it against what was posted (account totals, each donation, cached
+ * event raised amounts and any journal whose debits and credits differ). With repair, each
+ * mismatched donation gets adjustment journals and event caches are re-derived. Progress and the
+ * report are kept on the returned LedgerAuditRun. Only one audit runs at a time per process.
+ * @param {Object} [options]
+ * @param {number|null} [options.adminId] - One organization, or all
+ * @param {boolean} [options.repair=false]
+ * @param {number|null} [options.triggeredById] - Super admin, noted on adjustment journals
+ * @returns {Promise<Object|null>} The run, or null if an audit is already running
+ */
+async function startLedgerAudit({ adminId = null, repair = false, triggeredById = null } = {}) {
+  if (auditing) return null;
+  auditing = true;
+
+  let run;
+  try {
+    run = await LedgerAuditRun.create({ adminId, repair, triggeredById, startedAt: new Date() });
+  } catch (err) {
+    auditing = false;
+    throw err;
+  }
+
+  runAudit(run, { adminId, repair, repairedById: triggeredById })
+    .then((report) => run.update({
+      status: LEDGER_AUDIT_RUN_STATUS.COMPLETED,
+      finishedAt: new Date(),
+      donationsChecked: report.donationsChecked,
+      mismatchedDonations: report.donations.mismatched,
+      adjustmentsPosted: report.adjustmentsPosted,
+      report,
+    }))
+    .catch((err) => {
+      console.error('[Ledger] Audit failed:', err.message);
+      return run.update({
+        status: LEDGER_AUDIT_RUN_STATUS.FAILED,
+        finishedAt: new Date(),
+        errorMessage: String(err.message || 'Unknown error').slice(0, 500),
+      });
+    })
+    .catch((err) => console.error('[Ledger] Could not record audit result:', err.message))
+    .finally(() => {
+      auditing = false;
+    });
+
+  return run;
+}
+
+/** Whether an audit is running in this process. */
+function isAuditRunning() {
+  return auditing;
+}
+
+async function runAudit(run, { adminId, repair, repairedById }) {
+  const scope = adminId ? { adminId } : {};
+  const expectedTotals = new Map();
+  const donations = [];
+  let checked = 0;
+  let mismatchCount = 0;
+  let adjustments = 0;
+
+  let lastId = 0;
+  for (;;) {
+    const batch = await Donation.findAll({
+      where: { ...scope, id: { [Op.gt]: lastId } },
+      attributes: DONATION_AUDIT_ATTRIBUTES,
+      order: [['id', 'ASC']],
+      limit: LEDGER_AUDIT_BATCH_SIZE,
+    });
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1].id;
+    checked += batch.length;
+
+    const results = await compareDonations(batch);
+    for (const donation of batch) {
+      const { expected, accounts } = results.get(donation.id);
+      expected.forEach((paise, account) => expectedTotals.set(account, (expectedTotals.get(account) || 0) + paise));
+      if (accounts.length === 0) continue;
+      mismatchCount += 1;
+      if (donations.length < LEDGER_AUDIT_MAX_DETAILS) {
+        donations.push({
+          donationId: donation.id,
+          adminId: donation.adminId,
+          eventId: donation.eventId,
+          status: donation.status,
+          receiptNumber: donation.receiptNumber,
+          accounts,
+        });
+      }
+      if (repair && await repairDonation(donation.id, repairedById)) adjustments += 1;
+    }
+    await run.update({ donationsChecked: checked, mismatchedDonations: mismatchCount, adjustmentsPosted: adjustments });
+  }
+
+  const ledgerTotals = await getAccountBalances(scope);
+  const events = await auditEventRaised(scope, repair);
+  const unbalanced = await LedgerEntry.findAll({
+    where: scope,
+    attributes: ['journalKey', [sequelize.fn('SUM', sequelize.literal(SIGNED_PAISE)), 'balance']],
+    group: ['journal_key'],
+    having: sequelize.where(sequelize.fn('SUM', sequelize.literal(SIGNED_PAISE)), Op.ne, 0),
+    raw: true,
+  });
+
+  return {
+    adminId,
+    repaired: repair,
+    donationsChecked: checked,
+    accounts: LEDGER_ACCOUNT_LIST.map((account) => ({
+      account,
+      expectedPaise: expectedTotals.get(account) || 0,
+      ledgerPaise: ledgerTotals.get(account) || 0,
+    })),
+    donations: { mismatched: mismatchCount, details: donations },
+    events: { mismatched: events.length, details: events },
+    unbalancedJournals: unbalanced.map((r) => ({ journalKey: r.journalKey, balancePaise: Number(r.balance) })),
+    adjustmentsPosted: adjustments,
+  };
+}
+
+module.exports = {
+  postJournal,
+  syncEventRaised,
+  getRaisedPaiseByEvent,
+  recordDonationCaptured,
+  recordDonationFees,
+  recordRefund,
+  recordRefundFailed,
+  recordOfflineReversal,
+  recordSettlement,
+  recordSettlementFailed,
+  recordSettlementReversal,
+  hasSettlementReversal,
+  getAccountBalances,
+  summarizeBalances,
+  getLedgerTotals,
+  startLedgerAudit,
+  isAuditRunning,
+};
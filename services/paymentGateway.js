@@ -0,0 +1,67 @@
+'use strict';
+
+const { PAYMENT_GATEWAY, PAYMENT_GATEWAY_LIST } = require('../constants/paymentGateway');
+const razorpayService = require('./razorpayService');
+const sandboxGatewayService = require('./sandboxGatewayService');
+
+/**
+ * Provider interface every gateway module implements:
+ *   createOrder(amountPaise, receipt, currency?) -> { orderId, amount, currency, keyId } (amount in the
+ *     currency's smallest unit; INR by default)
+ *   verifyPaymentSignature(orderId, paymentId, signature) -> boolean
+ *   fetchPayment(paymentId) -> Razorpay-shaped payment entity
+ *   fetchOrderPayments(orderId) -> { items: payment[] }
+ *   createRefund(paymentId, amountPaise, notes, { idempotencyKey? }) -> { refundId, amount, status }
+ *     (a repeated idempotencyKey returns the earlier refund instead of refunding twice)
+ *   createPlan, createSubscription, pauseSubscription, resumeSubscription, cancelSubscription
+ *   createLinkedAccount(profile) -> { accountId, stakeholderId, productId, status, requirements }
+ *   fetchLinkedAccountStatus(accountId, productId) -> { status, requirements }
+ *   createTransfer(paymentId, accountId, amountPaise, notes, { idempotencyKey? }) -> { transferId, status }
+ *     (a repeated idempotencyKey returns the earlier transfer instead of transferring twice)
+ *   fetchTransfer(transferId) -> { transferId, status, processedAt, settlementId, utr, settledAt }
+ *   reverseTransfer(transferId, amountPaise, notes, { idempotencyKey? }) -> { reversalId, amount }
+ *     (a repeated idempotencyKey returns the earlier reversal)
+ *   createUpiQr({ name, description, notes }) -> { qrId, imageUrl, payload, status } (static, any amount)
+ *   closeUpiQr(qrId) -> { qrId, status }
+ *   fetchUpiQrPayments(qrId, { from, count, skip }) -> { items: payment[] } (one page, latest first)
+ *   getKeyId() -> public key for the client checkout
+ * Payment entities use Razorpay's field names; a new provider maps its own response to them.
+ */
+const PROVIDERS = Object.freeze({
+  [PAYMENT_GATEWAY.RAZORPAY]: {
+    ...razorpayService,
+    getKeyId: razorpayService.getRazorpayKeyId,
+  },
+  [PAYMENT_GATEWAY.SANDBOX]: sandboxGatewayService,
+});
+
+/**
+ * Gateway used for new orders, from PAYMENT_GATEWAY (razorpay | sandbox). Defaults to razorpay.
+ * @returns {string}
+ */
+function getActiveGatewayName() {
+  const name = (process.env.PAYMENT_GATEWAY || PAYMENT_GATEWAY.RAZORPAY).trim().toLowerCase();
+  if (!PAYMENT_GATEWAY_LIST.includes(name)) {
+    throw new Error(`PAYMENT_GATEWAY must be one of: ${PAYMENT_GATEWAY_LIST.join(', ')}.`);
+  }
+  return name;
+}
+
+/**
+ * Get a gateway provider. Pass the gateway stored on a donation/pledge so existing
+ * payments keep using the provider that created them after the environment changes.
+ * @param {string} [name] - PAYMENT_GATEWAY value; defaults to the active gateway
+ * @returns {Object} Provider implementing the interface above
+ */
+function getGateway(name) {
+  const provider = PROVIDERS[name || getActiveGatewayName()];
+  if (!provider) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  getActiveGatewayName,
+  getGateway,
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+const crypto = require('crypto');
+const { PaymentLink, Donation, Devotee, Event, User, sequelize } = require('../models');
+const { DONATION_STATUS, DONATION_STATUS_COUNTED, DONATION_TYPE } = require('../constants/donation');
+const { PAYMENT_LINK_AMOUNT_MODE, PAYMENT_LINK_LIMITS, PAYMENT_LINK_USED_STATUSES } = require('../constants/paymentLink');
+const { ROLES } = require('../constants/roles');
+const { EVENT_TYPES } = require('../constants/eventTypes');
+const { getActiveGatewayName, getGateway } = require('./paymentGateway');
+const { captureDonation, failDonation, extractPaymentDetails } = require('./donationService');
+const { assertMayReceive } = require('./fcraService');
+const { httpError } = require('../utils/httpError');
+
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_ATTEMPTS = 5;
+
+function randomCode() {
+  const bytes = crypto.randomBytes(PAYMENT_LINK_LIMITS.CODE_LENGTH);
+  return Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Share URL of a link: PAYMENT_LINK_BASE_URL (the donation page of the web app) + code.
+ * @param {string} code
+ * @returns {string|null} null when PAYMENT_LINK_BASE_URL is not set
+ */
+function paymentLinkUrl(code) {
+  const base = process.env.PAYMENT_LINK_BASE_URL;
+  return base ? `${base.replace(/\/+$/, '')}/${code}` : null;
+}
+
+/**
+ * Create a payment link with a fresh random code.
+ * @param {number} adminId
+ * @param {Object} data - From validatePaymentLink
+ * @param {number} createdById
+ * @returns {Promise<Object>} Created PaymentLink
+ */
+async function createPaymentLink(adminId, data, createdById) {
+  if (data.eventId) {
+    const event = await Event.findOne({ where: { id: data.eventId, adminId }, attributes: ['id', 'isActive'] });
+    if (!event) {
+      throw httpError('Event not found for this organization.', 404);
+    }
+    if (!event.isActive) {
+      throw httpError('Event is not active.', 409);
+    }
+  }
+
+  for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt += 1) {
+    const code = randomCode();
+    const taken = await PaymentLink.findOne({ where: { code }, attributes: ['id'] });
+    if (!taken) {
+      return PaymentLink.create({ ...data, adminId, code, createdById });
+    }
+  }
+  throw httpError('Could not generate a link code. Try again.', 503);
+}
+
+/**
+ * Donations that used up a link: completed payments only, so unpaid checkouts never block it.
+ * Payers already at checkout when the cap is reached can still complete, taking it slightly over.
+ */
+async function countLinkUses(linkId, transaction) {
+  return Donation.count({
+    where: { paymentLinkId: linkId, status: PAYMENT_LINK_USED_STATUSES },
+    transaction,
+  });
+}
+
+/**
+ * Why a link cannot take payments right now, or null if it can.
+ * @param {Object} link - PaymentLink with event
+ * @param {number} [uses] - From countLinkUses; only needed for capped links
+ * @returns {string|null}
+ */
+function linkClosedReason(link, uses = 0) {
+  if (!link.isActive) return 'This payment link has been closed by the organization.';
+  if (link.expiresAt && new Date(link.expiresAt) <= new Date()) return 'This payment link has expired.';
+  if (link.event && !link.event.isActive) return 'The event this link collects for has ended.';
+  if (link.maxUses != null && uses >= link.maxUses) return 'This payment link has reached its limit.';
+  return null;
+}
+
+/**
+ * Load a link by its public code with its organization and event.
+ * @param {string} code
+ * @param {Object} [options] - transaction / lock
+ * @returns {Promise<Object>} PaymentLink
+ * @throws 404 when no active organization has this link
+ */
+async function findLinkByCode(code, options = {}) {
+  const link = await PaymentLink.findOne({
+    where: { code: String(code || '') },
+    ...options,
+  });
+  if (!link) {
+    throw httpError('Payment link not found.', 404);
+  }
+  const [organization, event] = await Promise.all([
+    User.findByPk(link.adminId, { transaction: options.transaction }),
+    link.eventId ? Event.findByPk(link.eventId, { transaction: options.transaction }) : null,
+  ]);
+  if (!organization || !organization.isActive || organization.role !== ROLES.ADMIN) {
+    throw httpError('Payment link not found.', 404);
+  }
+  link.organization = organization;
+  link.event = event;
+  return link;
+}
+
+/**
+ * Amount a payer is charged through a link, in Rupees.
+ * @throws 422 when an amount is needed and missing
+ */
+function resolveLinkAmount(link, amount) {
+  if (link.amountMode === PAYMENT_LINK_AMOUNT_MODE.FIXED) return Number(link.amount);
+  if (amount == null) {
+    throw httpError('amount is required for this link.', 422);
+  }
+  return amount;
+}
+
+/**
+ * Start a checkout through a payment link: create a pending gateway Donation for the link's
+ * organization and event, keeping the payer's typed details on it. The devotee is found or
+ * created by mobile (and follows the organization) only when the payment is captured, which
+ * then goes like any other donation (own receipt number, event total, receipt by SMS / email).
+ * @param {string} code
+ * @param {Object} data - From validateLinkOrder
+ * @returns {Promise<{ link: Object, donation: Object, order: Object, gateway: string }>}
+ */
+async function createLinkOrder(code, { devotee: details, amount, dedication }) {
+  const link = await findLinkByCode(code);
+  const uses = link.maxUses != null ? await countLinkUses(link.id) : 0;
+  const closed = linkClosedReason(link, uses);
+  if (closed) {
+    throw httpError(closed, 410);
+  }
+
+  const amountRupees = resolveLinkAmount(link, amount);
+  // Only read here: a returning devotee's nationality decides whether this is a foreign contribution.
+  const known = await Devotee.findOne({ where: { mobile: details.mobile }, attributes: ['id', 'nationality'] });
+  const source = assertMayReceive(link.organization, known);
+
+  const gatewayName = getActiveGatewayName();
+  const order = await getGateway(gatewayName).createOrder(Math.round(amountRupees * 100), `lnk_${link.id}_${Date.now()}`);
+
+  const donation = await Donation.create({
+    devoteeId: null,
+    payerDetails: details,
+    adminId: link.adminId,
+    eventId: link.eventId || null,
+    paymentLinkId: link.id,
+    amount: amountRupees,
+    ...source,
+    gateway: gatewayName,
+    razorpayOrderId: order.orderId,
+    status: DONATION_STATUS.PENDING,
+    donationType: link.event && link.event.eventType === EVENT_TYPES.CHARITY ? DONATION_TYPE.CHARITY : DONATION_TYPE.DONATION,
+    ...(dedication || {}),
+  });
+
+  return { link, donation, order, gateway: gatewayName };
+}
+
+/**
+ * Verify the checkout of a link payment and capture it. The payer is not logged in, so the
+ * order must belong to the link and the gateway signature must be valid.
+ * @param {string} code
+ * @param {{ razorpayOrderId: string, razorpayPaymentId: string, razorpaySignature: string }} data
+ * @returns {Promise<{ donation: Object, alreadyCaptured: boolean }>}
+ */
+async function verifyLinkPayment(code, { razorpayOrderId, razorpayPaymentId, razorpaySignature }) {
+  const link = await PaymentLink.findOne({ where: { code: String(code || '') }, attributes: ['id'] });
+  const donation = link
+    ? await Donation.findOne({ where: { razorpayOrderId, paymentLinkId: link.id } })
+    : null;
+  if (!donation) {
+    throw httpError('Donation not found.', 404);
+  }
+  if (PAYMENT_LINK_USED_STATUSES.includes(donation.status)) {
+    return { donation, alreadyCaptured: true };
+  }
+
+  const gateway = getGateway(donation.gateway);
+  if (!gateway.verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+    await failDonation(donation.id);
+    throw httpError('Payment verification failed. Invalid signature.', 400);
+  }
+
+  let fields = { razorpayPaymentId, transactionId: razorpayPaymentId };
+  try {
+    const payment = await gateway.fetchPayment(razorpayPaymentId);
+    if (payment) fields = extractPaymentDetails(payment);
+  } catch (fetchErr) {
+    console.error('Error fetching payment details from gateway:', fetchErr);
+  }
+  await captureDonation(donation.id, { ...fields, razorpayPaymentId, razorpaySignature });
+  await donation.reload();
+  return { donation, alreadyCaptured: false };
+}
+
+/**
+ * Conversion stats per link: opens, checkouts started, completed payments and the amount they
+ * still count for (net of refunds).
+ * @param {Object[]} links - PaymentLink rows
+ * @returns {Promise<Map<number, Object>>} link id -> { views, checkouts, payments, amount, conversionRate }
+ */
+async function getLinkStats(links) {
+  const ids = links.map((l) => l.id);
+  const rows = ids.length
+    ? await Donation.findAll({
+      where: { paymentLinkId: ids },
+      attributes: [
+        'paymentLinkId',
+        [sequelize.fn('COUNT', sequelize.col('id')), 'checkouts'],
+        [
+          sequelize.fn('SUM', sequelize.literal(
+            `CASE WHEN "status" IN (${PAYMENT_LINK_USED_STATUSES.map((s) => `'${s}'`).join(', ')}) THEN 1 ELSE 0 END`
+          )),
+          'payments',
+        ],
+        [
+          sequelize.fn('SUM', sequelize.literal(
+            `CASE WHEN "status" IN (${DONATION_STATUS_COUNTED.map((s) => `'${s}'`).join(', ')}) `
+            + 'THEN "amount" - "refunded_amount" ELSE 0 END'
+          )),
+          'amount',
+        ],
+      ],
+      group: ['payment_link_id'],
+      raw: true,
+    })
+    : [];
+  const byLink = new Map(rows.map((r) => [Number(r.paymentLinkId), r]));
+
+  return new Map(links.map((link) => {
+    const row = byLink.get(link.id) || {};
+    const views = Number(link.viewCount || 0);
+    const payments = Number(row.payments || 0);
+    return [link.id, {
+      views,
+      checkouts: Number(row.checkouts || 0),
+      payments,
+      amount: Math.round(parseFloat(row.amount || 0) * 100) / 100,
+      conversionRate: views > 0 ? Math.round((payments / views) * 10000) / 100 : null,
+    }];
+  }));
+}
+
+module.exports = {
+  paymentLinkUrl,
+  createPaymentLink,
+  countLinkUses,
+  linkClosedReason,
+  findLinkByCode,
+  createLinkOrder,
+  verifyLinkPayment,
+  getLinkStats,
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { PlatformFeeConfig } = require('../models');
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees || 0) * 100);
+}
+
+function configToFee(config, source) {
+  return {
+    source,
+    percentage: config ? Number(config.percentage) : 0,
+    fixedAmount: config ? Number(config.fixedAmount) : 0,
+  };
+}
+
+/**
+ * Fee that applies to an organization: its own row, else the platform default, else no fee.
+ * @param {number} adminId
+ * @param {Object} [transaction]
+ * @returns {Promise<{source: 'organization'|'platform'|'none', percentage: number, fixedAmount: number}>}
+ */
+async function getEffectiveFee(adminId, transaction) {
+  const rows = await PlatformFeeConfig.findAll({
+    where: { adminId: { [Op.or]: [adminId, null] } },
+    transaction,
+  });
+  const own = rows.find((r) => r.adminId === adminId);
+  if (own) return configToFee(own, 'organization');
+  const platform = rows.find((r) => r.adminId === null);
+  return platform ? configToFee(platform, 'platform') : configToFee(null, 'none');
+}
+
+/**
+ * Split a gross amount into gateway fee, platform fee and net. The platform fee never takes
+ * the net below zero. A null gateway fee (not reported yet) gives a null net.
+ * @param {number} amountPaise - Gross amount
+ * @param {number|null} gatewayFeePaise
+ * @param {{percentage: number, fixedAmount: number}} fee
+ * @returns {{ gatewayFee: number|null, platformFee: number, netAmount: number|null }} Rupees
+ */
+function computeFees(amountPaise, gatewayFeePaise, fee) {
+  const gatewayPaise = gatewayFeePaise == null ? null : Math.min(amountPaise, Math.max(0, gatewayFeePaise));
+  const rawPlatformPaise = Math.round((amountPaise * fee.percentage) / 100) + toPaise(fee.fixedAmount);
+  const platformPaise = Math.min(rawPlatformPaise, amountPaise - (gatewayPaise || 0));
+  return {
+    gatewayFee: gatewayPaise == null ? null : gatewayPaise / 100,
+    platformFee: platformPaise / 100,
+    netAmount: gatewayPaise == null ? null : (amountPaise - gatewayPaise - platformPaise) / 100,
+  };
+}
+
+/**
+ * Share of a payment-level gateway fee for one line of a multi-line (basket) payment,
+ * proportional to the line amount.
+ * @param {number|null} feePaise - Fee on the whole payment
+ * @param {number} linePaise
+ * @param {number|null} paymentPaise - Whole payment amount; null or equal to the line for single donations
+ * @returns {number|null}
+ */
+function lineGatewayFee(feePaise, linePaise, paymentPaise) {
+  if (feePaise == null) return null;
+  if (!paymentPaise || paymentPaise <= linePaise) return feePaise;
+  return Math.round((feePaise * linePaise) / paymentPaise);
+}
+
+module.exports = {
+  getEffectiveFee,
+  computeFees,
+  lineGatewayFee,
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+const { Devotee, Donation, DonationPledge, sequelize } = require('../models');
+const { DONATION_STATUS } = require('../constants/donation');
+const { PLEDGE_STATUS, PLEDGE_STATUS_LIST } = require('../constants/pledge');
+const { captureDonation, extractPaymentDetails } = require('./donationService');
+const { contributionSource } = require('./fcraService');
+
+function fromUnix(seconds) {
+  return seconds ? new Date(Number(seconds) * 1000) : null;
+}
+
+/**
+ * Pledge fields derived from a Razorpay subscription entity.
+ * @param {Object} subscription
+ * @returns {Object}
+ */
+function pledgeUpdatesFromSubscription(subscription) {
+  const updates = {};
+  if (subscription.status && PLEDGE_STATUS_LIST.includes(subscription.status)) {
+    updates.status = subscription.status;
+  }
+  if (subscription.paid_count !== undefined && subscription.paid_count !== null) {
+    updates.paidCount = Number(subscription.paid_count);
+  }
+  if (subscription.charge_at !== undefined) {
+    updates.nextChargeAt = fromUnix(subscription.charge_at);
+  }
+  if (updates.status === PLEDGE_STATUS.CANCELLED) {
+    updates.cancelledAt = new Date();
+  }
+  return updates;
+}
+
+/**
+ * Record one successful subscription charge as a normal captured Donation
+ * (own receipt number, event total). Idempotent per payment ID: the row is created with the
+ * payment ID and pledge under the pledge lock, so a charge retried after a failed capture finds
+ * it again. It has no order ID; the charge is already paid, so the order reconciler has nothing
+ * to look up for it.
+ * @param {Object} subscription - Razorpay subscription entity
+ * @param {Object} payment - Razorpay payment entity
+ * @returns {Promise<{pledge: Object, donation: Object, created: boolean}|null>} null if no pledge matches
+ */
+async function recordPledgeCharge(subscription, payment) {
+  if (!payment || !payment.id) return null;
+  const found = await sequelize.transaction(async (t) => {
+    const pledge = await DonationPledge.findOne({
+      where: { razorpaySubscriptionId: subscription.id },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!pledge) return null;
+
+    const existing = await Donation.findOne({ where: { razorpayPaymentId: payment.id }, transaction: t });
+    if (existing) return { pledge, donation: existing, created: false };
+
+    const devotee = await Devotee.findByPk(pledge.devoteeId, { attributes: ['id', 'nationality'], transaction: t });
+    const donation = await Donation.create(
+      {
+        ...contributionSource(devotee),
+        devoteeId: pledge.devoteeId,
+        adminId: pledge.adminId,
+        eventId: pledge.eventId,
+        pledgeId: pledge.id,
+        amount: payment.amount ? Number(payment.amount) / 100 : pledge.amount,
+        gateway: pledge.gateway,
+        razorpayPaymentId: payment.id,
+        status: DONATION_STATUS.PENDING,
+        donationType: pledge.donationType,
+      },
+      { transaction: t }
+    );
+    return { pledge, donation, created: true };
+  });
+  if (!found) return null;
+  const { pledge, donation, created } = found;
+
+  const captured = await captureDonation(donation.id, extractPaymentDetails(payment));
+  await donation.reload();
+
+  const updates = pledgeUpdatesFromSubscription(subscription);
+  if (updates.paidCount === undefined && captured) {
+    updates.paidCount = pledge.paidCount + 1;
+  }
+  updates.lastChargedAt = new Date();
+  await pledge.update(updates);
+
+  return { pledge, donation, created };
+}
+
+/**
+ * Sync pledge status from a subscription lifecycle event (activated, paused, halted, ...).
+ * @param {Object} subscription - Razorpay subscription entity
+ * @returns {Promise<Object|null>} Updated pledge, or null if none matches
+ */
+async function syncPledgeFromSubscription(subscription) {
+  const pledge = await DonationPledge.findOne({ where: { razorpaySubscriptionId: subscription.id } });
+  if (!pledge) return null;
+  await pledge.update(pledgeUpdatesFromSubscription(subscription));
+  return pledge;
+}
+
+module.exports = {
+  recordPledgeCharge,
+  syncPledgeFromSubscription,
+};
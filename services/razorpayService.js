@@ -2,6 +2,7 @@
 
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const subscriptionMock = require('./razorpaySubscriptionMock');
 
 let razorpayInstance = null;
 
@@ -23,16 +24,18 @@ function getRazorpay() {
 }
 
 /**
- * Create a Razorpay order.
- * @param {number} amountPaise - Amount in paise (INR)
+ * Create a Razorpay order. Foreign-currency orders need international payments enabled on the
+ * account; Razorpay settles them in INR (payment base_amount).
+ * @param {number} amountPaise - Amount in paise (INR), or the smallest unit of `currency`
  * @param {string} receipt - Optional receipt id
+ * @param {string} [currency='INR'] - ISO 4217 code
  * @returns {Promise<{orderId: string, amount: number, currency: string}>}
  */
-async function createOrder(amountPaise, receipt = null) {
+async function createOrder(amountPaise, receipt = null, currency = 'INR') {
   const rzp = getRazorpay();
   const options = {
     amount: amountPaise,
-    currency: 'INR',
+    currency,
     receipt: receipt || `rcpt_${Date.now()}`,
   };
   const order = await rzp.orders.create(options);
@@ -63,6 +66,24 @@ function verifyPaymentSignature(orderId, paymentId, signature) {
   return expected === signature;
 }
 
+/**
+ * Verify the X-Razorpay-Signature header of a webhook delivery.
+ * @param {Buffer|string} rawBody - Exact request body as received
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    throw new Error('RAZORPAY_WEBHOOK_SECRET must be set to verify webhooks.');
+  }
+  if (!rawBody || !signature) return false;
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest('hex');
+  return expected === signature;
+}
+
 /**
  * Fetch payment details from Razorpay to get method, UTR, etc.
  * @param {string} paymentId
@@ -83,10 +104,375 @@ async function fetchOrderPayments(orderId) {
   return rzp.orders.fetchPayments(orderId);
 }
 
+/**
+ * Refund a captured payment, fully or partially.
+ * With an idempotency key the key is stored in the refund notes, and a refund already carrying
+ * it on the payment is returned instead of refunding again (a retry after a lost response).
+ * @param {string} paymentId
+ * @param {number} amountPaise - Amount to refund in paise
+ * @param {Object} notes - Free-form key/value notes stored on the refund
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey]
+ * @returns {Promise<{refundId: string, amount: number, status: string}>}
+ */
+async function createRefund(paymentId, amountPaise, notes = {}, { idempotencyKey = null } = {}) {
+  const rzp = getRazorpay();
+  let refund = null;
+  if (idempotencyKey) {
+    const existing = await rzp.payments.fetchMultipleRefund(paymentId);
+    refund = ((existing && existing.items) || [])
+      .find((r) => r.notes && r.notes.idempotencyKey === idempotencyKey) || null;
+  }
+  if (!refund) {
+    refund = await rzp.payments.refund(paymentId, {
+      amount: amountPaise,
+      speed: 'normal',
+      notes: idempotencyKey ? { ...notes, idempotencyKey } : notes,
+      ...(idempotencyKey ? { receipt: idempotencyKey } : {}),
+    });
+  }
+  return {
+    refundId: refund.id,
+    amount: refund.amount,
+    status: refund.status,
+  };
+}
+
+/**
+ * Create a monthly plan for a recurring pledge.
+ * @param {number} amountPaise - Amount per charge in paise
+ * @param {string} name - Plan item name shown to the devotee
+ * @returns {Promise<{planId: string}>}
+ */
+async function createPlan(amountPaise, name) {
+  if (subscriptionMock.isEnabled()) return subscriptionMock.createPlan();
+  const rzp = getRazorpay();
+  const plan = await rzp.plans.create({
+    period: 'monthly',
+    interval: 1,
+    item: { name, amount: amountPaise, currency: 'INR' },
+  });
+  return { planId: plan.id };
+}
+
+/**
+ * Create a subscription (UPI AutoPay / card / eMandate) on a plan.
+ * @param {string} planId
+ * @param {number} totalCount - Number of billing cycles
+ * @param {Object} notes
+ * @param {Date|null} startAt - First charge date; null charges right after authorization
+ * @returns {Promise<{subscriptionId: string, status: string, shortUrl: string|null}>}
+ */
+async function createSubscription(planId, totalCount, notes = {}, startAt = null) {
+  if (subscriptionMock.isEnabled()) return subscriptionMock.createSubscription();
+  const rzp = getRazorpay();
+  const options = {
+    plan_id: planId,
+    total_count: totalCount,
+    customer_notify: 1,
+    notes,
+  };
+  if (startAt) {
+    options.start_at = Math.floor(new Date(startAt).getTime() / 1000);
+  }
+  const sub = await rzp.subscriptions.create(options);
+  return { subscriptionId: sub.id, status: sub.status, shortUrl: sub.short_url || null };
+}
+
+/**
+ * Pause a subscription immediately.
+ * @param {string} subscriptionId
+ * @returns {Promise<{subscriptionId: string, status: string}>}
+ */
+async function pauseSubscription(subscriptionId) {
+  if (subscriptionMock.isEnabled()) return subscriptionMock.pauseSubscription(subscriptionId);
+  const rzp = getRazorpay();
+  const sub = await rzp.subscriptions.pause(subscriptionId, { pause_at: 'now' });
+  return { subscriptionId: sub.id, status: sub.status };
+}
+
+/**
+ * Resume a paused subscription immediately.
+ * @param {string} subscriptionId
+ * @returns {Promise<{subscriptionId: string, status: string}>}
+ */
+async function resumeSubscription(subscriptionId) {
+  if (subscriptionMock.isEnabled()) return subscriptionMock.resumeSubscription(subscriptionId);
+  const rzp = getRazorpay();
+  const sub = await rzp.subscriptions.resume(subscriptionId, { resume_at: 'now' });
+  return { subscriptionId: sub.id, status: sub.status };
+}
+
+/**
+ * Cancel a subscription immediately (not at cycle end).
+ * @param {string} subscriptionId
+ * @returns {Promise<{subscriptionId: string, status: string}>}
+ */
+async function cancelSubscription(subscriptionId) {
+  if (subscriptionMock.isEnabled()) return subscriptionMock.cancelSubscription(subscriptionId);
+  const rzp = getRazorpay();
+  const sub = await rzp.subscriptions.cancel(subscriptionId, false);
+  return { subscriptionId: sub.id, status: sub.status };
+}
+
+function summarizeRequirements(product) {
+  const requirements = (product && product.requirements) || [];
+  if (requirements.length === 0) return null;
+  return requirements
+    .map((r) => [r.field_reference, r.reason_code].filter(Boolean).join(': '))
+    .join('; ')
+    .slice(0, 500);
+}
+
+/**
+ * Create a Route linked account with its settlement bank account:
+ * account -> stakeholder (authorized signatory) -> route product -> settlement details.
+ * @param {Object} profile
+ * @param {string} profile.referenceId - Our reference (unique per organization)
+ * @param {string} profile.email
+ * @param {string} profile.phone
+ * @param {string} profile.legalBusinessName
+ * @param {string} profile.businessType - trust, society, ngo, private_limited...
+ * @param {string} profile.category
+ * @param {string} profile.subcategory
+ * @param {string} profile.contactName
+ * @param {string|null} profile.pan - Business PAN
+ * @param {Object} profile.address - { street1, street2, city, state, postalCode }
+ * @param {Object|null} profile.stakeholder - { name, email, phone }
+ * @param {Object} profile.bank - { beneficiaryName, accountNumber, ifscCode }
+ * @returns {Promise<{accountId: string, stakeholderId: string|null, productId: string, status: string, requirements: string|null}>}
+ */
+async function createLinkedAccount(profile) {
+  const rzp = getRazorpay();
+  const account = await rzp.accounts.create({
+    email: profile.email,
+    phone: profile.phone,
+    type: 'route',
+    reference_id: profile.referenceId,
+    legal_business_name: profile.legalBusinessName,
+    business_type: profile.businessType,
+    contact_name: profile.contactName,
+    profile: {
+      category: profile.category,
+      subcategory: profile.subcategory,
+      addresses: {
+        registered: {
+          street1: profile.address.street1,
+          street2: profile.address.street2,
+          city: profile.address.city,
+          state: profile.address.state,
+          postal_code: profile.address.postalCode,
+          country: 'IN',
+        },
+      },
+    },
+    ...(profile.pan ? { legal_info: { pan: profile.pan } } : {}),
+  });
+
+  let stakeholderId = null;
+  if (profile.stakeholder) {
+    const stakeholder = await rzp.stakeholders.create(account.id, {
+      name: profile.stakeholder.name,
+      email: profile.stakeholder.email,
+      ...(profile.stakeholder.phone ? { phone: { primary: profile.stakeholder.phone } } : {}),
+    });
+    stakeholderId = stakeholder.id;
+  }
+
+  const requested = await rzp.products.requestProductConfiguration(account.id, {
+    product_name: 'route',
+    tnc_accepted: true,
+  });
+  const product = await rzp.products.edit(account.id, requested.id, {
+    settlements: {
+      account_number: profile.bank.accountNumber,
+      ifsc_code: profile.bank.ifscCode,
+      beneficiary_name: profile.bank.beneficiaryName,
+    },
+    tnc_accepted: true,
+  });
+
+  return {
+    accountId: account.id,
+    stakeholderId,
+    productId: requested.id,
+    status: product.activation_status,
+    requirements: summarizeRequirements(product),
+  };
+}
+
+/**
+ * Fetch the Route product activation status of a linked account.
+ * @param {string} accountId
+ * @param {string} productId
+ * @returns {Promise<{status: string, requirements: string|null}>}
+ */
+async function fetchLinkedAccountStatus(accountId, productId) {
+  const rzp = getRazorpay();
+  const product = await rzp.products.fetch(accountId, productId);
+  return { status: product.activation_status, requirements: summarizeRequirements(product) };
+}
+
+/**
+ * Transfer part of a captured payment to a linked account.
+ * With an idempotency key the key is stored in the transfer notes, and a transfer already
+ * carrying it on the payment is returned instead of transferring again (a retry after a lost response).
+ * @param {string} paymentId
+ * @param {string} accountId - Linked account ID (acc_...)
+ * @param {number} amountPaise
+ * @param {Object} notes
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey]
+ * @returns {Promise<{transferId: string, status: string}>}
+ */
+async function createTransfer(paymentId, accountId, amountPaise, notes = {}, { idempotencyKey = null } = {}) {
+  const rzp = getRazorpay();
+  let transfer = null;
+  if (idempotencyKey) {
+    const existing = await rzp.payments.fetchTransfer(paymentId);
+    transfer = ((existing && existing.items) || [])
+      .find((tr) => tr.notes && tr.notes.idempotencyKey === idempotencyKey) || null;
+  }
+  if (!transfer) {
+    const result = await rzp.payments.transfer(paymentId, {
+      transfers: [{
+        account: accountId,
+        amount: amountPaise,
+        currency: 'INR',
+        notes: idempotencyKey ? { ...notes, idempotencyKey } : notes,
+        on_hold: 0,
+      }],
+    });
+    transfer = result.items ? result.items[0] : result;
+  }
+  return { transferId: transfer.id, status: transfer.status };
+}
+
+/**
+ * Fetch a transfer with the linked account settlement that paid it out.
+ * @param {string} transferId
+ * @returns {Promise<{transferId: string, status: string, processedAt: Date|null, settlementId: string|null, utr: string|null, settledAt: Date|null}>}
+ */
+async function fetchTransfer(transferId) {
+  const rzp = getRazorpay();
+  // transfers.fetch() does not pass query params, so expand the settlement through the raw API.
+  const transfer = await rzp.api.get({ url: `/transfers/${transferId}?expand[]=recipient_settlement` });
+  const settlement = transfer.recipient_settlement || null;
+  return {
+    transferId: transfer.id,
+    status: transfer.status,
+    processedAt: transfer.processed_at ? new Date(transfer.processed_at * 1000) : null,
+    settlementId: transfer.recipient_settlement_id || (settlement && settlement.id) || null,
+    utr: (settlement && settlement.utr) || null,
+    settledAt: settlement && settlement.status === 'processed' && settlement.created_at
+      ? new Date(settlement.created_at * 1000)
+      : null,
+  };
+}
+
+/**
+ * Reverse (part of) a transfer back to the platform account, e.g. after refunding the payment.
+ * With an idempotency key the key is stored in the reversal notes, and a reversal already
+ * carrying it on the transfer is returned instead of reversing again.
+ * @param {string} transferId
+ * @param {number} amountPaise
+ * @param {Object} notes
+ * @param {Object} [options]
+ * @param {string} [options.idempotencyKey]
+ * @returns {Promise<{reversalId: string, amount: number}>}
+ */
+async function reverseTransfer(transferId, amountPaise, notes = {}, { idempotencyKey = null } = {}) {
+  const rzp = getRazorpay();
+  let reversal = null;
+  if (idempotencyKey) {
+    // The SDK has no call to list reversals, so read them through the raw API.
+    const existing = await rzp.api.get({ url: `/transfers/${transferId}/reversals` });
+    reversal = ((existing && existing.items) || [])
+      .find((r) => r.notes && r.notes.idempotencyKey === idempotencyKey) || null;
+  }
+  if (!reversal) {
+    reversal = await rzp.transfers.reverse(transferId, {
+      amount: amountPaise,
+      notes: idempotencyKey ? { ...notes, idempotencyKey } : notes,
+    });
+  }
+  return { reversalId: reversal.id, amount: reversal.amount };
+}
+
+/**
+ * Create a static UPI QR code that accepts any amount, any number of times (e.g. printed at
+ * the counter). Payments on it have no order; they are reported by qr_code.credited.
+ * @param {Object} options
+ * @param {string} options.name - Label shown with the QR
+ * @param {string} [options.description]
+ * @param {Object} [options.notes] - Free-form key/value notes stored on the QR code
+ * @returns {Promise<{qrId: string, imageUrl: string|null, payload: string|null, status: string}>}
+ */
+async function createUpiQr({ name, description, notes = {} }) {
+  const rzp = getRazorpay();
+  const qr = await rzp.qrCode.create({
+    type: 'upi_qr',
+    name,
+    usage: 'multiple_use',
+    fixed_amount: false,
+    description: description || undefined,
+    notes,
+  });
+  return {
+    qrId: qr.id,
+    imageUrl: qr.image_url || null,
+    payload: qr.image_content || null,
+    status: qr.status,
+  };
+}
+
+/**
+ * Close a QR code so it no longer accepts payments.
+ * @param {string} qrId
+ * @returns {Promise<{qrId: string, status: string}>}
+ */
+async function closeUpiQr(qrId) {
+  const rzp = getRazorpay();
+  const qr = await rzp.qrCode.close(qrId);
+  return { qrId: qr.id, status: qr.status };
+}
+
+/**
+ * Fetch a page of payments received on a QR code, latest first.
+ * @param {string} qrId
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Only payments made at or after this time
+ * @param {number} [options.count=100]
+ * @param {number} [options.skip=0] - Payments to skip (earlier pages)
+ * @returns {Promise<{items: Object[]}>}
+ */
+async function fetchUpiQrPayments(qrId, { from = null, count = 100, skip = 0 } = {}) {
+  const rzp = getRazorpay();
+  const params = { count, skip };
+  if (from) params.from = Math.floor(new Date(from).getTime() / 1000);
+  const result = await rzp.qrCode.fetchAllPayments(qrId, params);
+  return { items: (result && result.items) || [] };
+}
+
 module.exports = {
   createOrder,
   verifyPaymentSignature,
+  verifyWebhookSignature,
   fetchPayment,
   fetchOrderPayments,
+  createRefund,
+  createPlan,
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  createLinkedAccount,
+  fetchLinkedAccountStatus,
+  createTransfer,
+  fetchTransfer,
+  reverseTransfer,
+  createUpiQr,
+  closeUpiQr,
+  fetchUpiQrPayments,
   getRazorpayKeyId: () => process.env.RAZORPAY_KEY_ID,
 };
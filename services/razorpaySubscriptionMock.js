@@ -0,0 +1,79 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Local stand-in for Razorpay plans/subscriptions, enabled with RAZORPAY_MOCK_SUBSCRIPTIONS=true.
+ * Stateless: the pledge row is the source of truth, so mock IDs survive restarts.
+ */
+
+function mockId(prefix) {
+  return `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function isEnabled() {
+  return process.env.RAZORPAY_MOCK_SUBSCRIPTIONS === 'true';
+}
+
+async function createPlan() {
+  return { planId: mockId('plan') };
+}
+
+async function createSubscription() {
+  return {
+    subscriptionId: mockId('sub'),
+    status: 'created',
+    shortUrl: null,
+  };
+}
+
+async function pauseSubscription(subscriptionId) {
+  return { subscriptionId, status: 'paused' };
+}
+
+async function resumeSubscription(subscriptionId) {
+  return { subscriptionId, status: 'active' };
+}
+
+async function cancelSubscription(subscriptionId) {
+  return { subscriptionId, status: 'cancelled' };
+}
+
+/**
+ * Build subscription + payment entities shaped like a subscription.charged webhook payload.
+ * @param {string} subscriptionId
+ * @param {number} amountPaise
+ * @param {number} paidCount - paid_count after this charge
+ * @returns {{ subscription: Object, payment: Object }}
+ */
+function buildCharge(subscriptionId, amountPaise, paidCount) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    subscription: {
+      id: subscriptionId,
+      status: 'active',
+      paid_count: paidCount,
+      charge_at: now + 30 * 24 * 60 * 60,
+    },
+    payment: {
+      id: mockId('pay'),
+      order_id: mockId('order'),
+      amount: amountPaise,
+      currency: 'INR',
+      status: 'captured',
+      method: 'upi',
+      acquirer_data: { rrn: String(now) },
+      created_at: now,
+    },
+  };
+}
+
+module.exports = {
+  isEnabled,
+  createPlan,
+  createSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  buildCharge,
+};
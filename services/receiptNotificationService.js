@@ -0,0 +1,220 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, Devotee, User } = require('../models');
+const {
+  DONATION_STATUS_POST_CAPTURE,
+  DONATION_TYPES_NOT_80G,
+  CASH_80G_LIMIT_RUPEES,
+  RECEIPT_DELIVERY_STATUS,
+  RECEIPT_DELIVERY_MAX_ATTEMPTS,
+} = require('../constants/donation');
+const { sendMail } = require('./emailService');
+const { sendOtpSms } = require('./fast2sms');
+const { amountInWords } = require('../utils/amountInWords');
+
+const DEFAULT_RETRY_INTERVAL_MINUTES = 10;
+const RETRY_BATCH_SIZE = 100;
+
+let retryTimer = null;
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatRupees(amount) {
+  return Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Whether the receipt PDF for this donation is an 80G receipt: the organization has an 80G
+ * registration and the payment is an eligible donation (not a seva, not cash above the limit).
+ * @param {Object} donation - With organization loaded
+ * @returns {boolean}
+ */
+function issues80GReceipt(donation) {
+  return Boolean(donation.organization.registration80GNumber)
+    && !DONATION_TYPES_NOT_80G.includes(donation.donationType)
+    && !(donation.paymentMethod === 'cash' && Number(donation.amount) > CASH_80G_LIMIT_RUPEES);
+}
+
+function buildEmail(donation) {
+  const org = donation.organization;
+  const donorName = donation.Devotee.name || 'Devotee';
+  const amount = formatRupees(donation.amount);
+  const words = amountInWords(donation.amount);
+  const receiptName = issues80GReceipt(donation) ? '80G receipt' : 'receipt';
+  const subject = `Donation receipt ${donation.receiptNumber} - ${org.name}`;
+  const text = [
+    `Dear ${donorName},`,
+    '',
+    `Thank you for your donation of Rs. ${amount} (${words}) to ${org.name}.`,
+    `Receipt No.: ${donation.receiptNumber}`,
+    `Payment mode: ${donation.paymentMethod || 'online'}`,
+    donation.utr ? `UTR / Reference: ${donation.utr}` : null,
+    '',
+    `You can download the ${receiptName} PDF from the app under My Donations.`,
+  ].filter((line) => line !== null).join('\n');
+  const html = `<p>Dear ${escapeHtml(donorName)},</p>`
+    + `<p>Thank you for your donation of <strong>Rs. ${amount}</strong> (${escapeHtml(words)}) to ${escapeHtml(org.name)}.</p>`
+    + `<p>Receipt No.: <strong>${escapeHtml(donation.receiptNumber)}</strong><br>`
+    + `Payment mode: ${escapeHtml(donation.paymentMethod || 'online')}`
+    + (donation.utr ? `<br>UTR / Reference: ${escapeHtml(donation.utr)}` : '')
+    + `</p><p>You can download the ${receiptName} PDF from the app under My Donations.</p>`;
+  return { subject, text, html };
+}
+
+function shouldAttempt(status, attempts, force) {
+  if (force) return true;
+  if (status == null) return true;
+  return status === RECEIPT_DELIVERY_STATUS.FAILED && attempts < RECEIPT_DELIVERY_MAX_ATTEMPTS;
+}
+
+async function deliverEmail(donation) {
+  if (!donation.Devotee.email) {
+    return { status: RECEIPT_DELIVERY_STATUS.SKIPPED, error: null };
+  }
+  const sent = await sendMail({ to: donation.Devotee.email, ...buildEmail(donation) });
+  return sent
+    ? { status: RECEIPT_DELIVERY_STATUS.SENT, error: null }
+    : { status: RECEIPT_DELIVERY_STATUS.FAILED, error: 'Email delivery failed.' };
+}
+
+async function deliverSms(donation) {
+  // DLT template variables: amount|receipt number|organization name
+  const templateId = process.env.FAST2SMS_RECEIPT_TEMPLATE_ID;
+  if (!process.env.FAST2SMS_API_KEY || !templateId || !donation.Devotee.mobile) {
+    return { status: RECEIPT_DELIVERY_STATUS.SKIPPED, error: null };
+  }
+  const variables = `${formatRupees(donation.amount)}|${donation.receiptNumber}|${donation.organization.name.slice(0, 30)}`;
+  const result = await sendOtpSms(donation.Devotee.mobile, templateId, variables);
+  if (result.ok) {
+    return { status: RECEIPT_DELIVERY_STATUS.SENT, error: null };
+  }
+  const message = result.body && (result.body.message || result.body.error);
+  return { status: RECEIPT_DELIVERY_STATUS.FAILED, error: `SMS delivery failed${message ? `: ${message}` : '.'}` };
+}
+
+/**
+ * Send the thank-you receipt for a captured donation by email (if the devotee has one) and SMS,
+ * and store per-channel status and attempt counts on the donation.
+ * Channels already sent or skipped, or out of attempts, are left alone unless `force` is set.
+ * @param {number} donationId
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Resend on every channel (admin "resend receipt")
+ * @returns {Promise<Object|null>} Updated donation, or null if it has no receipt yet
+ */
+async function deliverReceipt(donationId, { force = false } = {}) {
+  const donation = await Donation.findByPk(donationId, {
+    include: [
+      { model: User, as: 'organization', attributes: ['id', 'name', 'registration80GNumber'] },
+      { model: Devotee, attributes: ['id', 'mobile', 'name', 'email'] },
+    ],
+  });
+  if (!donation || !donation.receiptNumber || !DONATION_STATUS_POST_CAPTURE.includes(donation.status)) {
+    return null;
+  }
+
+  const updates = {};
+  const errors = [];
+
+  if (shouldAttempt(donation.receiptEmailStatus, donation.receiptEmailAttempts, force)) {
+    const result = await deliverEmail(donation);
+    updates.receiptEmailStatus = result.status;
+    if (result.status !== RECEIPT_DELIVERY_STATUS.SKIPPED) {
+      updates.receiptEmailAttempts = donation.receiptEmailAttempts + 1;
+    }
+    if (result.status === RECEIPT_DELIVERY_STATUS.SENT) updates.receiptEmailSentAt = new Date();
+    if (result.error) errors.push(result.error);
+  }
+
+  if (shouldAttempt(donation.receiptSmsStatus, donation.receiptSmsAttempts, force)) {
+    const result = await deliverSms(donation);
+    updates.receiptSmsStatus = result.status;
+    if (result.status !== RECEIPT_DELIVERY_STATUS.SKIPPED) {
+      updates.receiptSmsAttempts = donation.receiptSmsAttempts + 1;
+    }
+    if (result.status === RECEIPT_DELIVERY_STATUS.SENT) updates.receiptSmsSentAt = new Date();
+    if (result.error) errors.push(result.error);
+  }
+
+  if (Object.keys(updates).length === 0) return donation;
+  updates.receiptDeliveryError = errors.length ? errors.join(' ').slice(0, 500) : null;
+  await donation.update(updates);
+  return donation;
+}
+
+/**
+ * Fire-and-forget receipt delivery for newly captured donations. Never throws.
+ * @param {number[]} donationIds
+ */
+function notifyDonationsCaptured(donationIds) {
+  (async () => {
+    for (const id of donationIds) {
+      try {
+        await deliverReceipt(id);
+      } catch (err) {
+        console.error(`[Receipt] Delivery failed for donation ${id}:`, err.message);
+      }
+    }
+  })();
+}
+
+/**
+ * Retry failed email/SMS receipts that still have attempts left.
+ * @returns {Promise<number>} Donations retried
+ */
+async function retryFailedReceiptDeliveries() {
+  const donations = await Donation.findAll({
+    where: {
+      [Op.or]: [
+        {
+          receiptEmailStatus: RECEIPT_DELIVERY_STATUS.FAILED,
+          receiptEmailAttempts: { [Op.lt]: RECEIPT_DELIVERY_MAX_ATTEMPTS },
+        },
+        {
+          receiptSmsStatus: RECEIPT_DELIVERY_STATUS.FAILED,
+          receiptSmsAttempts: { [Op.lt]: RECEIPT_DELIVERY_MAX_ATTEMPTS },
+        },
+      ],
+    },
+    attributes: ['id'],
+    limit: RETRY_BATCH_SIZE,
+  });
+
+  for (const donation of donations) {
+    try {
+      await deliverReceipt(donation.id);
+    } catch (err) {
+      console.error(`[Receipt] Retry failed for donation ${donation.id}:`, err.message);
+    }
+  }
+  return donations.length;
+}
+
+/**
+ * Start periodic retries. RECEIPT_RETRY_INTERVAL_MINUTES (default 10, 0 disables).
+ */
+function startReceiptRetryScheduler() {
+  const parsed = parseInt(process.env.RECEIPT_RETRY_INTERVAL_MINUTES, 10);
+  const intervalMinutes = Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_RETRY_INTERVAL_MINUTES;
+  if (!intervalMinutes || retryTimer) return;
+
+  retryTimer = setInterval(() => {
+    retryFailedReceiptDeliveries().catch((err) => {
+      console.error('[Receipt] Retry run failed:', err.message);
+    });
+  }, intervalMinutes * 60 * 1000);
+  retryTimer.unref();
+}
+
+module.exports = {
+  deliverReceipt,
+  notifyDonationsCaptured,
+  retryFailedReceiptDeliveries,
+  startReceiptRetryScheduler,
+};
@@ -0,0 +1,328 @@
+'use strict';
+
+const PDFDocument = require('pdfkit');
+const { Donation, Devotee, Event, User, SevaBooking, Seva, SevaSlot } = require('../models');
+const {
+  DONATION_STATUS,
+  DONATION_STATUS_POST_CAPTURE,
+  DONATION_TYPES_NOT_80G,
+  CASH_80G_LIMIT_RUPEES,
+} = require('../constants/donation');
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+const { amountInWords } = require('../utils/amountInWords');
+const { toIstDateOnly } = require('../utils/date');
+const { getDedication } = require('./donationService');
+
+const PAYMENT_MODE_LABELS = {
+  upi: 'UPI',
+  card: 'Card',
+  netbanking: 'Net Banking',
+  wallet: 'Wallet',
+  emi: 'EMI',
+  cash: 'Cash',
+  cheque: 'Cheque',
+  dd: 'Demand Draft',
+  bank_transfer: 'Bank Transfer',
+};
+
+const RECEIPT_INCLUDE = [
+  {
+    model: User,
+    as: 'organization',
+    attributes: ['id', 'orgId', 'name', 'address', 'phone', 'email', 'panNumber', 'registration80GNumber', 'fcraRegistrationNumber'],
+  },
+  { model: Devotee, attributes: ['id', 'mobile', 'name', 'email', 'city', 'panNumber'] },
+  { model: Event, as: 'event', attributes: ['id', 'title', 'eventType'], required: false },
+  {
+    model: SevaBooking,
+    as: 'sevaBooking',
+    attributes: ['id', 'participants'],
+    required: false,
+    include: [
+      { model: Seva, as: 'seva', attributes: ['id', 'name'] },
+      { model: SevaSlot, as: 'slot', attributes: ['id', 'date', 'startTime'] },
+    ],
+  },
+];
+
+/**
+ * Load a donation with everything its receipt needs.
+ * @param {Object} where - Donation where clause (scope it to the devotee or admin)
+ * @returns {Promise<Object|null>}
+ */
+async function findReceiptDonation(where) {
+  return Donation.findOne({ where, include: RECEIPT_INCLUDE });
+}
+
+/**
+ * Human-readable payment mode (upi -> UPI, netbanking -> Net Banking).
+ * @param {string|null} method
+ * @returns {string}
+ */
+function paymentModeLabel(method) {
+  if (!method) return 'Online';
+  return PAYMENT_MODE_LABELS[method] || method.charAt(0).toUpperCase() + method.slice(1);
+}
+
+/**
+ * dd/mm/yyyy in IST.
+ * @param {Date|string} value
+ * @returns {string}
+ */
+function formatDate(value) {
+  const [y, m, d] = toIstDateOnly(new Date(value)).split('-');
+  return `${d}/${m}/${y}`;
+}
+
+/**
+ * Whether a receipt can be issued: captured (or later refunded) with a receipt number. Fully
+ * refunded donations are refused separately (isFullyRefunded).
+ * Voided donations keep their receipt, printed as cancelled.
+ * @param {Object} donation
+ * @returns {boolean}
+ */
+function hasReceipt(donation) {
+  return Boolean(donation.receiptNumber)
+    && (DONATION_STATUS_POST_CAPTURE.includes(donation.status) || donation.status === DONATION_STATUS.VOIDED);
+}
+
+/**
+ * Whether the whole donation was given back; no receipt is issued for it.
+ * @param {Object} donation
+ * @returns {boolean}
+ */
+function isFullyRefunded(donation) {
+  return donation.status === DONATION_STATUS.REFUNDED
+    || Math.round(Number(donation.refundedAmount || 0) * 100) >= Math.round(Number(donation.amount) * 100);
+}
+
+function formatRupees(amount) {
+  return `Rs. ${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Receipt fields for a donation loaded with findReceiptDonation.
+ * @param {Object} donation
+ * @returns {Object}
+ */
+function buildReceipt(donation) {
+  const d = donation.get ? donation.get({ plain: true }) : donation;
+  const org = d.organization || {};
+  const devotee = d.Devotee || {};
+  const dedication = getDedication(d);
+  const amount = Number(d.amount);
+  const refundedAmount = Number(d.refundedAmount || 0);
+  const netAmount = Math.round((amount - refundedAmount) * 100) / 100;
+  const booking = d.sevaBooking;
+
+  return {
+    receiptNumber: d.receiptNumber,
+    date: formatDate(d.created_at || d.createdAt),
+    type: d.donationType || 'donation',
+    not80G: DONATION_TYPES_NOT_80G.includes(d.donationType),
+    seva: booking && booking.seva
+      ? {
+          name: booking.seva.name,
+          date: booking.slot ? formatDate(`${booking.slot.date}T00:00:00+05:30`) : null,
+          time: booking.slot ? booking.slot.startTime : null,
+          participants: (booking.participants || []).map((p) => p.name).join(', '),
+        }
+      : null,
+    amount,
+    amountFigures: formatRupees(amount),
+    amountWords: amountInWords(amount),
+    refundedAmount,
+    refundedFigures: refundedAmount > 0 ? formatRupees(refundedAmount) : null,
+    netAmount,
+    netFigures: formatRupees(netAmount),
+    paidInCurrency: d.currency && d.currency !== DOMESTIC_CURRENCY && d.currencyAmount != null
+      ? `${d.currency} ${Number(d.currencyAmount).toFixed(2)}`
+      : null,
+    foreignContribution: Boolean(d.foreignContribution),
+    paymentMode: paymentModeLabel(d.paymentMethod),
+    cashAbove80GLimit: d.paymentMethod === 'cash' && amount > CASH_80G_LIMIT_RUPEES,
+    utr: d.utr || null,
+    transactionId: d.transactionId || null,
+    instrument: d.instrumentNumber
+      ? {
+          number: d.instrumentNumber,
+          bank: d.instrumentBank || null,
+          date: d.instrumentDate ? formatDate(d.instrumentDate) : null,
+        }
+      : null,
+    cancelled: Boolean(d.receiptCancelled),
+    cancellationReason: d.receiptCancellationReason || null,
+    organization: {
+      name: org.name,
+      address: org.address || null,
+      phone: org.phone || null,
+      email: org.email || null,
+      panNumber: org.panNumber || null,
+      registration80GNumber: org.registration80GNumber || null,
+      fcraRegistrationNumber: org.fcraRegistrationNumber || null,
+    },
+    donor: {
+      name: devotee.name || null,
+      mobile: devotee.mobile || null,
+      city: devotee.city || null,
+      panNumber: devotee.panNumber || null,
+    },
+    event: d.event ? d.event.title : null,
+    dedication: dedication && dedication.printOnReceipt ? dedication : null,
+  };
+}
+
+function row(doc, label, value) {
+  const y = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text(label, 50, y, { width: 160 });
+  doc.font('Helvetica').fontSize(10).text(value || '-', 210, y, { width: 335 });
+  doc.moveDown(0.4);
+}
+
+/**
+ * Render an 80G donation receipt (a plain receipt, without 80G, for seva payments).
+ * @param {Object} receipt - From buildReceipt
+ * @returns {Promise<Buffer>}
+ */
+function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const org = receipt.organization;
+    doc.font('Helvetica-Bold').fontSize(16).text(org.name || '', { align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    if (org.address) doc.text(org.address, { align: 'center' });
+    const contact = [org.phone, org.email].filter(Boolean).join(' | ');
+    if (contact) doc.text(contact, { align: 'center' });
+    doc.text(`PAN: ${org.panNumber || '-'}    80G Registration No.: ${org.registration80GNumber || '-'}`, {
+      align: 'center',
+    });
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(13).text(receipt.seva ? 'SEVA RECEIPT' : 'DONATION RECEIPT', {
+      align: 'center',
+      underline: true,
+    });
+    doc.moveDown();
+
+    row(doc, 'Receipt No.', receipt.receiptNumber);
+    row(doc, 'Date', receipt.date);
+    row(doc, 'Received from', receipt.donor.name || receipt.donor.mobile);
+    row(doc, 'Mobile', receipt.donor.mobile);
+    if (receipt.donor.city) row(doc, 'City', receipt.donor.city);
+    row(doc, 'Donor PAN', receipt.donor.panNumber || 'Not provided');
+    row(doc, 'Amount', receipt.amountFigures);
+    row(doc, 'Amount in words', receipt.amountWords);
+    if (receipt.paidInCurrency) row(doc, 'Paid in', receipt.paidInCurrency);
+    if (receipt.refundedFigures) {
+      row(doc, 'Refunded', receipt.refundedFigures);
+      row(doc, 'Net amount', receipt.netFigures);
+    }
+    if (receipt.seva) {
+      row(doc, 'Seva', receipt.seva.name);
+      row(doc, 'Seva date', [receipt.seva.date, receipt.seva.time].filter(Boolean).join(' '));
+      row(doc, 'Performed for', receipt.seva.participants);
+    } else {
+      row(doc, 'Purpose', receipt.event ? `${receipt.type} - ${receipt.event}` : receipt.type);
+    }
+    row(doc, 'Payment mode', receipt.paymentMode);
+    if (receipt.instrument) {
+      const { number, bank, date } = receipt.instrument;
+      row(doc, `${receipt.paymentMode} No.`, [number, bank, date].filter(Boolean).join(', '));
+    }
+    if (receipt.utr) row(doc, 'UTR / Reference', receipt.utr);
+    if (receipt.transactionId && receipt.transactionId !== receipt.utr) {
+      row(doc, 'Transaction ID', receipt.transactionId);
+    }
+
+    if (receipt.dedication) {
+      const ded = receipt.dedication;
+      const occasion = ded.occasion ? ded.occasion.replace(/_/g, ' ') : 'dedicated to';
+      const relation = ded.relation ? ` (${ded.relation})` : '';
+      row(doc, 'Dedication', `${occasion}: ${ded.honoreeName}${relation}`);
+      if (ded.message) row(doc, 'Message', ded.message);
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(9);
+    if (receipt.not80G) {
+      doc.text(
+        'This is a payment for a seva / pooja and not a donation; it is not eligible for deduction '
+        + 'under section 80G of the Income-tax Act, 1961.',
+        50
+      );
+    } else if (org.registration80GNumber && receipt.cashAbove80GLimit) {
+      doc.text(
+        `Cash donations above Rs. ${CASH_80G_LIMIT_RUPEES.toLocaleString('en-IN')} are not eligible for deduction `
+        + 'under section 80G of the Income-tax Act, 1961.',
+        50
+      );
+    } else if (org.registration80GNumber) {
+      doc.text(
+        `${receipt.refundedFigures ? `${receipt.netFigures} of this donation (net of refunds) is` : 'This donation is'} `
+        + 'eligible for deduction under section 80G of the Income-tax Act, 1961, '
+        + `vide registration number ${org.registration80GNumber}.`,
+        50
+      );
+    } else {
+      doc.text('This organization has not provided an 80G registration number; no 80G deduction is claimed.', 50);
+    }
+    if (receipt.foreignContribution) {
+      doc.moveDown(0.5);
+      doc.text(
+        'Foreign contribution received under the Foreign Contribution (Regulation) Act, 2010'
+        + `${org.fcraRegistrationNumber ? `, registration number ${org.fcraRegistrationNumber}` : ''}.`,
+        50
+      );
+    }
+    doc.moveDown(3);
+    doc.text('Authorised Signatory', 50, doc.y, { align: 'right' });
+    doc.moveDown();
+    doc.fontSize(8).fillColor('gray').text('This is a computer-generated receipt.', 50, doc.y, { align: 'center' });
+
+    if (receipt.cancelled) {
+      doc.save();
+      doc.rotate(-35, { origin: [300, 420] });
+      doc.fontSize(72).fillColor('red').opacity(0.25).text('CANCELLED', 90, 380);
+      doc.restore();
+      doc.opacity(1).fillColor('red').fontSize(9).text(
+        `Receipt cancelled${receipt.cancellationReason ? `: ${receipt.cancellationReason}` : ''}`,
+        50,
+        760,
+        { align: 'center' }
+      );
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Send a receipt PDF as a download. The receipt number may contain the organization's series
+ * separators (e.g. '/'), so the filename keeps only safe characters.
+ * @param {Object} res - Express response
+ * @param {Object} receipt - From buildReceipt
+ */
+async function sendReceiptPdf(res, receipt) {
+  const pdf = await renderReceiptPdf(receipt);
+  res.setHeader('Content-Type', 'application/pdf');
+  const filename = `receipt-${String(receipt.receiptNumber).replace(/[^A-Za-z0-9._-]/g, '-')}.pdf`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', pdf.length);
+  return res.send(pdf);
+}
+
+module.exports = {
+  paymentModeLabel,
+  formatDate,
+  findReceiptDonation,
+  hasReceipt,
+  isFullyRefunded,
+  buildReceipt,
+  renderReceiptPdf,
+  sendReceiptPdf,
+};
@@ -1,28 +1,193 @@
 'use strict';
 
-const { ReceiptCounter } = require('../models');
+const { Op } = require('sequelize');
+const { Donation, ReceiptCounter, ReceiptScheme, sequelize } = require('../models');
+const { IN_KIND_ACKNOWLEDGEMENT_PREFIX } = require('../constants/inKind');
+const {
+  RECEIPT_SERIES,
+  RECEIPT_TYPE_SERIES_LIST,
+  RECEIPT_SERIES_DEFAULT_CODES,
+  LEGACY_RECEIPT_NUMBER_WIDTH,
+} = require('../constants/receipt');
+const { financialYearOf } = require('../utils/date');
 
 function formatReceiptNumber(n) {
-  return String(n).padStart(10, '0');
+  return String(n).padStart(LEGACY_RECEIPT_NUMBER_WIDTH, '0');
 }
 
-async function getNextReceiptNumberForAdmin(adminId, transaction) {
-  // Must be called inside a DB transaction for safe sequencing.
+/**
+ * Receipt series a donation belongs to under a scheme with separate series.
+ * @param {{ donationType?: string, offline?: boolean }} options
+ * @returns {string} RECEIPT_SERIES value
+ */
+function receiptSeriesOf({ donationType, offline = false } = {}) {
+  if (offline) return RECEIPT_SERIES.OFFLINE;
+  return RECEIPT_TYPE_SERIES_LIST.includes(donationType) ? donationType : RECEIPT_SERIES.DONATION;
+}
+
+/**
+ * Which counter a receipt is drawn from: organization + series + financial year. Without a scheme
+ * (or with a single running series) this is the organization's original counter.
+ * @param {Object|null} scheme - ReceiptScheme
+ * @param {{ donationType?: string, offline?: boolean, date?: Date }} options
+ * @returns {{ series: string, financialYear: string }}
+ */
+function counterKey(scheme, { donationType, offline, date = new Date() } = {}) {
+  if (!scheme) return { series: RECEIPT_SERIES.DEFAULT, financialYear: '' };
+  return {
+    series: scheme.separateSeries ? receiptSeriesOf({ donationType, offline }) : RECEIPT_SERIES.DEFAULT,
+    financialYear: scheme.includeFinancialYear ? financialYearOf(date) : '',
+  };
+}
+
+/**
+ * Format a running number under a scheme, e.g. SVT/SV/2026-27/000123.
+ * @param {Object|null} scheme - ReceiptScheme; null for plain 10-digit numbers
+ * @param {{ series: string, financialYear: string }} key - From counterKey
+ * @param {number} n
+ * @returns {string}
+ */
+function formatSchemeNumber(scheme, key, n) {
+  if (!scheme) return formatReceiptNumber(n);
+  const codes = { ...RECEIPT_SERIES_DEFAULT_CODES, ...(scheme.seriesCodes || {}) };
+  return [
+    scheme.prefix,
+    scheme.separateSeries ? codes[key.series] : null,
+    key.financialYear || null,
+    String(n).padStart(scheme.padding, '0'),
+  ]
+    .filter(Boolean)
+    .join(scheme.separator);
+}
+
+async function lockCounter(adminId, key, transaction) {
   const [counter] = await ReceiptCounter.findOrCreate({
-    where: { adminId },
-    defaults: { adminId, lastNumber: 0 },
+    where: { adminId, series: key.series, financialYear: key.financialYear },
+    defaults: { adminId, series: key.series, financialYear: key.financialYear, lastNumber: 0 },
     transaction,
     lock: transaction.LOCK.UPDATE,
   });
+  return counter;
+}
+
+/**
+ * Next receipt number for an organization, in its receipt scheme (plain 10-digit numbers
+ * without one). Must be called inside a DB transaction for safe sequencing.
+ * @param {number} adminId
+ * @param {Object} transaction
+ * @param {Object} [options] - What the receipt is for, to pick the series and financial year
+ * @param {string} [options.donationType] - DONATION_TYPE value
+ * @param {boolean} [options.offline=false] - Recorded by the organization, not paid online
+ * @param {Date} [options.date=new Date()] - When the money was received
+ * @returns {Promise<string>}
+ */
+async function getNextReceiptNumberForAdmin(adminId, transaction, options = {}) {
+  const scheme = await ReceiptScheme.findOne({ where: { adminId }, transaction });
+  const key = counterKey(scheme, options);
+  const counter = await lockCounter(adminId, key, transaction);
 
   await counter.increment('lastNumber', { by: 1, transaction });
   await counter.reload({ transaction });
 
-  return formatReceiptNumber(counter.lastNumber);
+  return formatSchemeNumber(scheme, key, counter.lastNumber);
+}
+
+/**
+ * The number the next receipt of each series would get, without using it up.
+ * @param {number} adminId
+ * @param {Object|null} scheme - ReceiptScheme (saved or proposed); null for plain numbers
+ * @param {Date} [date=new Date()]
+ * @returns {Promise<Object<string, string>>} series -> next number; only default without separate series
+ */
+async function previewNextReceiptNumbers(adminId, scheme, date = new Date()) {
+  const seriesList = scheme && scheme.separateSeries ? RECEIPT_TYPE_SERIES_LIST : [RECEIPT_SERIES.DEFAULT];
+  const preview = {};
+  for (const series of seriesList) {
+    const key = scheme
+      ? { series, financialYear: scheme.includeFinancialYear ? financialYearOf(date) : '' }
+      : { series, financialYear: '' };
+    const counter = await ReceiptCounter.findOne({
+      where: { adminId, series: key.series, financialYear: key.financialYear },
+      attributes: ['lastNumber'],
+    });
+    preview[series] = formatSchemeNumber(scheme, key, Number(counter ? counter.lastNumber : 0) + 1);
+  }
+  return preview;
+}
+
+/**
+ * Next in-kind acknowledgement number for an organization, e.g. IK00000042. Runs separately from
+ * donation receipt numbers. Must be called inside a DB transaction.
+ * @param {number} adminId
+ * @param {Object} transaction
+ * @returns {Promise<string>}
+ */
+async function getNextAcknowledgementNumberForAdmin(adminId, transaction) {
+  const counter = await lockCounter(adminId, counterKey(null), transaction);
+
+  await counter.increment('inKindLastNumber', { by: 1, transaction });
+  await counter.reload({ transaction });
+
+  const width = 10 - IN_KIND_ACKNOWLEDGEMENT_PREFIX.length;
+  return IN_KIND_ACKNOWLEDGEMENT_PREFIX + String(counter.inKindLastNumber).padStart(width, '0');
+}
+
+/**
+ * Move an organization's running counter up to at least `lastNumber`, so plain numbers already
+ * issued outside the platform (e.g. an imported register) are never handed out again. Never
+ * moves it back. Series that restart each financial year print the year and cannot collide.
+ * Must be called inside a DB transaction.
+ * @param {number} adminId
+ * @param {number} lastNumber
+ * @param {Object} transaction
+ */
+async function advanceReceiptCounterForAdmin(adminId, lastNumber, transaction) {
+  const counter = await lockCounter(adminId, counterKey(null), transaction);
+  if (counter.lastNumber < lastNumber) {
+    await counter.update({ lastNumber }, { transaction });
+  }
+}
+
+/**
+ * What two receipt numbers share when they name the same receipt: all-digit numbers compare by
+ * value, so a register's 5 is the issued 0000000005.
+ * @param {string} number
+ * @returns {string}
+ */
+function receiptNumberKey(number) {
+  const text = String(number).trim();
+  return /^\d+$/.test(text) ? text.replace(/^0+/, '') : text;
+}
+
+/**
+ * Which of these receipt numbers an organization has already issued, compared by receiptNumberKey.
+ * @param {number} adminId
+ * @param {string[]} numbers
+ * @param {Object} [transaction]
+ * @returns {Promise<Set<string>>} Keys (receiptNumberKey) already used
+ */
+async function findUsedReceiptNumbers(adminId, numbers, transaction = null) {
+  const keys = [...new Set(numbers.filter(Boolean).map(receiptNumberKey))];
+  if (keys.length === 0) return new Set();
+  const storedKey = sequelize.literal(
+    'CASE WHEN "receipt_number" ~ \'^[0-9]+$\' THEN ltrim("receipt_number", \'0\') ELSE "receipt_number" END'
+  );
+  const used = await Donation.findAll({
+    where: { adminId, [Op.and]: [sequelize.where(storedKey, Op.in, keys)] },
+    attributes: ['receiptNumber'],
+    transaction,
+  });
+  return new Set(used.map((d) => receiptNumberKey(d.receiptNumber)));
 }
 
 module.exports = {
   getNextReceiptNumberForAdmin,
+  advanceReceiptCounterForAdmin,
+  receiptNumberKey,
+  findUsedReceiptNumbers,
+  getNextAcknowledgementNumberForAdmin,
+  previewNextReceiptNumbers,
+  receiptSeriesOf,
   formatReceiptNumber,
+  formatSchemeNumber,
 };
-
@@ -0,0 +1,208 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Donation, ReconciliationRun, sequelize } = require('../models');
+const { DONATION_STATUS } = require('../constants/donation');
+const {
+  RECONCILIATION_TRIGGER,
+  RECONCILIATION_OUTCOME,
+  RECONCILIATION_DEFAULTS,
+} = require('../constants/reconciliation');
+const { getGateway } = require('./paymentGateway');
+const {
+  captureDonation,
+  failDonation,
+  expireDonation,
+  extractPaymentDetails,
+  resubmitPendingRefunds,
+} = require('./donationService');
+const { pollUpiQrCredits } = require('./upiQrService');
+const { releaseLapsedSevaHolds } = require('./sevaService');
+
+let running = false;
+let timer = null;
+
+function envMinutes(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Reconciler settings from environment:
+ * RECONCILE_INTERVAL_MINUTES (0 disables the schedule), RECONCILE_MIN_AGE_MINUTES,
+ * RECONCILE_PENDING_TTL_MINUTES, RECONCILE_BATCH_SIZE.
+ */
+function getConfig() {
+  return {
+    intervalMinutes: envMinutes('RECONCILE_INTERVAL_MINUTES', RECONCILIATION_DEFAULTS.INTERVAL_MINUTES),
+    minAgeMinutes: envMinutes('RECONCILE_MIN_AGE_MINUTES', RECONCILIATION_DEFAULTS.MIN_AGE_MINUTES),
+    ttlMinutes: envMinutes('RECONCILE_PENDING_TTL_MINUTES', RECONCILIATION_DEFAULTS.PENDING_TTL_MINUTES),
+    batchSize: Math.max(1, envMinutes('RECONCILE_BATCH_SIZE', RECONCILIATION_DEFAULTS.BATCH_SIZE)),
+  };
+}
+
+/**
+ * Decide and apply the outcome for one stale pending donation.
+ * @returns {Promise<string>} RECONCILIATION_OUTCOME value
+ */
+async function reconcileDonation(donation, ttlCutoff) {
+  const paymentsResponse = await getGateway(donation.gateway).fetchOrderPayments(donation.razorpayOrderId);
+  const items = (paymentsResponse && paymentsResponse.items) || [];
+
+  // Same rule as checkDonationStatus: captured or authorized counts as paid.
+  const successPayment = items.find((p) => p.status === 'captured' || p.status === 'authorized');
+  if (successPayment) {
+    await captureDonation(donation.id, extractPaymentDetails(successPayment));
+    return RECONCILIATION_OUTCOME.CAPTURED;
+  }
+
+  const createdAt = new Date(donation.get('created_at') || donation.createdAt);
+  if (createdAt > ttlCutoff) {
+    return RECONCILIATION_OUTCOME.PENDING;
+  }
+
+  if (items.length > 0) {
+    await failDonation(donation.id);
+    return RECONCILIATION_OUTCOME.FAILED;
+  }
+  await expireDonation(donation.id);
+  return RECONCILIATION_OUTCOME.EXPIRED;
+}
+
+/**
+ * Expire a donation whose gateway lookup failed once it is past the TTL.
+ * @returns {Promise<string>} RECONCILIATION_OUTCOME.EXPIRED, or ERROR while within the TTL
+ */
+async function expireUnreachable(donation, ttlCutoff) {
+  const createdAt = new Date(donation.get('created_at') || donation.createdAt);
+  if (createdAt > ttlCutoff) return RECONCILIATION_OUTCOME.ERROR;
+  try {
+    return (await expireDonation(donation.id)) ? RECONCILIATION_OUTCOME.EXPIRED : RECONCILIATION_OUTCOME.ERROR;
+  } catch (err) {
+    return RECONCILIATION_OUTCOME.ERROR;
+  }
+}
+
+/**
+ * Go through gateway donations still pending after minAgeMinutes, capture those that were
+ * actually paid and close those abandoned past ttlMinutes. Writes a ReconciliationRun report.
+ * Only one run executes at a time per process.
+ * @param {Object} options
+ * @param {string} options.trigger - RECONCILIATION_TRIGGER value
+ * @param {number|null} options.triggeredById - Super admin ID for manual runs
+ * @returns {Promise<Object|null>} The run, or null if a run is already in progress
+ */
+async function reconcilePendingDonations({ trigger = RECONCILIATION_TRIGGER.SCHEDULED, triggeredById = null } = {}) {
+  if (running) return null;
+  running = true;
+
+  try {
+    const { minAgeMinutes, ttlMinutes, batchSize } = getConfig();
+    const now = new Date();
+    const ageCutoff = new Date(now.getTime() - minAgeMinutes * 60 * 1000);
+    const ttlCutoff = new Date(now.getTime() - ttlMinutes * 60 * 1000);
+
+    const run = await ReconciliationRun.create({
+      trigger,
+      triggeredById,
+      startedAt: now,
+      minAgeMinutes,
+      ttlMinutes,
+    });
+
+    const donations = await Donation.findAll({
+      where: {
+        status: DONATION_STATUS.PENDING,
+        razorpayOrderId: { [Op.ne]: null },
+        [Op.and]: [sequelize.where(sequelize.col('created_at'), Op.lt, ageCutoff)],
+      },
+      order: sequelize.literal('"Donation"."created_at" ASC'),
+      limit: batchSize,
+    });
+
+    const counts = {
+      [RECONCILIATION_OUTCOME.CAPTURED]: 0,
+      [RECONCILIATION_OUTCOME.FAILED]: 0,
+      [RECONCILIATION_OUTCOME.EXPIRED]: 0,
+      [RECONCILIATION_OUTCOME.PENDING]: 0,
+      [RECONCILIATION_OUTCOME.ERROR]: 0,
+    };
+    let capturedPaise = 0;
+    const details = [];
+
+    for (const donation of donations) {
+      try {
+        const outcome = await reconcileDonation(donation, ttlCutoff);
+        counts[outcome] += 1;
+        if (outcome === RECONCILIATION_OUTCOME.CAPTURED) {
+          capturedPaise += Math.round(Number(donation.amount) * 100);
+        }
+        details.push({ donationId: donation.id, adminId: donation.adminId, outcome });
+      } catch (err) {
+        const message = err.message || (err.error && err.error.description) || 'Unknown error';
+        // Past the TTL the donation is expired anyway, so one whose lookup keeps failing does
+        // not hold a place at the front of every batch. A payment reported later still captures it.
+        const outcome = await expireUnreachable(donation, ttlCutoff);
+        counts[outcome] += 1;
+        details.push({ donationId: donation.id, adminId: donation.adminId, outcome, error: message });
+      }
+    }
+
+    await run.update({
+      finishedAt: new Date(),
+      scannedCount: donations.length,
+      capturedCount: counts[RECONCILIATION_OUTCOME.CAPTURED],
+      failedCount: counts[RECONCILIATION_OUTCOME.FAILED],
+      expiredCount: counts[RECONCILIATION_OUTCOME.EXPIRED],
+      pendingCount: counts[RECONCILIATION_OUTCOME.PENDING],
+      errorCount: counts[RECONCILIATION_OUTCOME.ERROR],
+      capturedAmount: capturedPaise / 100,
+      details,
+    });
+
+    return run;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic reconciler. No-op when RECONCILE_INTERVAL_MINUTES is 0.
+ * Each run also polls static UPI QR codes for credits whose webhook was missed, resends
+ * gateway refunds whose call was lost (pending with no gateway refund ID after minAgeMinutes)
+ * and gives back seva seats whose payment hold lapsed.
+ */
+function startReconciliationScheduler() {
+  const { intervalMinutes } = getConfig();
+  if (!intervalMinutes || timer) return;
+
+  timer = setInterval(() => {
+    reconcilePendingDonations({ trigger: RECONCILIATION_TRIGGER.SCHEDULED }).catch((err) => {
+      console.error('[Reconciliation] Run failed:', err.message);
+    });
+    pollUpiQrCredits().catch((err) => {
+      console.error('[Reconciliation] UPI QR poll failed:', err.message);
+    });
+    const { minAgeMinutes, batchSize } = getConfig();
+    resubmitPendingRefunds(minAgeMinutes, batchSize).catch((err) => {
+      console.error('[Reconciliation] Refund resubmit failed:', err.message);
+    });
+    releaseLapsedSevaHolds(batchSize).catch((err) => {
+      console.error('[Reconciliation] Seva hold release failed:', err.message);
+    });
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`✅ Pending donation reconciler scheduled every ${intervalMinutes} minutes.`);
+}
+
+function isRunning() {
+  return running;
+}
+
+module.exports = {
+  getConfig,
+  reconcilePendingDonations,
+  startReconciliationScheduler,
+  isRunning,
+};
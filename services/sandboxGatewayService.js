@@ -0,0 +1,353 @@
+'use strict';
+
+const crypto = require('crypto');
+const subscriptionMock = require('./razorpaySubscriptionMock');
+const { SANDBOX_PAYMENT_OUTCOME } = require('../constants/paymentGateway');
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+const { toIndicativeInrPaise } = require('./currencyService');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * Local payment gateway with the same interface as razorpayService.
+ * Orders, payments, refunds and Route transfers live in memory and are shaped like Razorpay entities,
+ * so donationService.extractPaymentDetails and the reconciler work unchanged.
+ * State is lost on restart: sandbox orders created before a restart simply have no payments.
+ */
+
+const orders = new Map();
+const payments = new Map();
+const transfers = new Map();
+const qrCodes = new Map();
+const refundsByKey = new Map();
+const transfersByKey = new Map();
+const reversalsByKey = new Map();
+
+function sandboxId(prefix) {
+  return `${prefix}_sbx_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function getSecret() {
+  return process.env.SANDBOX_GATEWAY_SECRET || 'sandbox_secret';
+}
+
+function sign(orderId, paymentId) {
+  return crypto.createHmac('sha256', getSecret()).update(`${orderId}|${paymentId}`).digest('hex');
+}
+
+function getKeyId() {
+  return 'rzp_sandbox';
+}
+
+/**
+ * Create a sandbox order.
+ * @param {number} amountPaise - In the currency's smallest unit
+ * @param {string} receipt
+ * @param {string} [currency='INR']
+ * @returns {Promise<{orderId: string, amount: number, currency: string, keyId: string}>}
+ */
+async function createOrder(amountPaise, receipt = null, currency = 'INR') {
+  const order = {
+    id: sandboxId('order'),
+    amount: amountPaise,
+    currency,
+    receipt: receipt || `rcpt_${Date.now()}`,
+    status: 'created',
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  orders.set(order.id, order);
+  return { orderId: order.id, amount: order.amount, currency: order.currency, keyId: getKeyId() };
+}
+
+function verifyPaymentSignature(orderId, paymentId, signature) {
+  if (!orderId || !paymentId || !signature) return false;
+  return sign(orderId, paymentId) === signature;
+}
+
+async function fetchPayment(paymentId) {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw httpError('Sandbox payment not found.', 404);
+  }
+  return payment;
+}
+
+async function fetchOrderPayments(orderId) {
+  const items = [...payments.values()].filter((p) => p.order_id === orderId);
+  return { entity: 'collection', count: items.length, items };
+}
+
+/**
+ * Refund a sandbox payment. Payments not held in memory (mock pledge charges, or
+ * anything from before a restart) are refunded without balance checks.
+ * A repeated idempotency key returns the refund made the first time.
+ */
+async function createRefund(paymentId, amountPaise, notes = {}, { idempotencyKey = null } = {}) {
+  if (idempotencyKey && refundsByKey.has(idempotencyKey)) {
+    return refundsByKey.get(idempotencyKey);
+  }
+  const payment = payments.get(paymentId);
+  if (payment) {
+    if (payment.status !== SANDBOX_PAYMENT_OUTCOME.CAPTURED) {
+      throw httpError('Only captured sandbox payments can be refunded.', 400);
+    }
+    const refunded = (payment.amount_refunded || 0) + amountPaise;
+    if (refunded > payment.amount) {
+      throw httpError('Refund amount exceeds captured amount.', 400);
+    }
+    payment.amount_refunded = refunded;
+    payment.refund_status = refunded === payment.amount ? 'full' : 'partial';
+  }
+  const refund = { refundId: sandboxId('rfnd'), amount: amountPaise, status: 'processed', notes };
+  if (idempotencyKey) refundsByKey.set(idempotencyKey, refund);
+  return refund;
+}
+
+/**
+ * Create a sandbox linked account. It is activated straight away.
+ */
+async function createLinkedAccount() {
+  return {
+    accountId: sandboxId('acc'),
+    stakeholderId: sandboxId('sth'),
+    productId: sandboxId('acc_prd'),
+    status: 'activated',
+    requirements: null,
+  };
+}
+
+async function fetchLinkedAccountStatus() {
+  return { status: 'activated', requirements: null };
+}
+
+/**
+ * Create a sandbox transfer. It is processed immediately and settles on the next fetch.
+ * A repeated idempotency key returns the transfer made the first time.
+ */
+async function createTransfer(paymentId, accountId, amountPaise, notes = {}, { idempotencyKey = null } = {}) {
+  const earlier = idempotencyKey ? transfers.get(transfersByKey.get(idempotencyKey)) : null;
+  if (earlier) {
+    return { transferId: earlier.id, status: earlier.status };
+  }
+  const transfer = {
+    id: sandboxId('trf'),
+    source: paymentId,
+    recipient: accountId,
+    amount: amountPaise,
+    amount_reversed: 0,
+    status: 'processed',
+    processed_at: new Date(),
+    notes,
+    settlement: null,
+  };
+  transfers.set(transfer.id, transfer);
+  if (idempotencyKey) transfersByKey.set(idempotencyKey, transfer.id);
+  return { transferId: transfer.id, status: transfer.status };
+}
+
+/**
+ * Fetch a sandbox transfer, settling it with a generated UTR on first fetch.
+ * Transfers not held in memory (from before a restart) are reported settled.
+ */
+async function fetchTransfer(transferId) {
+  let transfer = transfers.get(transferId);
+  if (!transfer) {
+    transfer = { id: transferId, status: 'processed', processed_at: new Date(), settlement: null };
+    transfers.set(transferId, transfer);
+  }
+  if (!transfer.settlement && transfer.status === 'processed') {
+    transfer.settlement = {
+      id: sandboxId('setl'),
+      utr: `SBXN${crypto.randomInt(1e9, 1e10)}`,
+      created_at: new Date(),
+    };
+  }
+  return {
+    transferId: transfer.id,
+    status: transfer.status,
+    processedAt: transfer.processed_at,
+    settlementId: transfer.settlement ? transfer.settlement.id : null,
+    utr: transfer.settlement ? transfer.settlement.utr : null,
+    settledAt: transfer.settlement ? transfer.settlement.created_at : null,
+  };
+}
+
+/**
+ * Reverse (part of) a sandbox transfer. A repeated idempotency key returns the reversal made
+ * the first time.
+ */
+async function reverseTransfer(transferId, amountPaise, notes = {}, { idempotencyKey = null } = {}) {
+  if (idempotencyKey && reversalsByKey.has(idempotencyKey)) {
+    return reversalsByKey.get(idempotencyKey);
+  }
+  const transfer = transfers.get(transferId);
+  if (transfer) {
+    const reversed = (transfer.amount_reversed || 0) + amountPaise;
+    if (reversed > transfer.amount) {
+      throw httpError('Reversal amount exceeds transferred amount.', 400);
+    }
+    transfer.amount_reversed = reversed;
+    if (reversed === transfer.amount) transfer.status = 'reversed';
+  }
+  const reversal = { reversalId: sandboxId('rvrsl'), amount: amountPaise };
+  if (idempotencyKey) reversalsByKey.set(idempotencyKey, reversal);
+  return reversal;
+}
+
+/**
+ * Simulate the devotee completing checkout for a sandbox order.
+ * Returns what Razorpay Checkout would hand to the client, ready for /donation/verify.
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {string} options.outcome - SANDBOX_PAYMENT_OUTCOME value
+ * @param {string} options.method - upi, card, netbanking...
+ * @returns {Promise<{payment: Object, signature: string|null}>}
+ */
+async function simulatePayment(orderId, { outcome = SANDBOX_PAYMENT_OUTCOME.CAPTURED, method = 'upi' } = {}) {
+  const order = orders.get(orderId);
+  if (!order) {
+    throw httpError('Sandbox order not found. Sandbox orders do not survive a server restart.', 404);
+  }
+
+  const paymentId = sandboxId('pay');
+  // Razorpay-like pricing: 2% fee plus 18% GST on the fee, reported once captured. Foreign-currency
+  // payments settle in INR at the configured rate (base_amount), and the fee is in INR too.
+  const captured = outcome === SANDBOX_PAYMENT_OUTCOME.CAPTURED;
+  const isForeign = order.currency !== DOMESTIC_CURRENCY;
+  const baseAmount = toIndicativeInrPaise(order.amount, order.currency);
+  const feeBeforeTax = Math.round(baseAmount * 0.02);
+  const tax = Math.round(feeBeforeTax * 0.18);
+  const payment = {
+    id: paymentId,
+    entity: 'payment',
+    order_id: orderId,
+    amount: order.amount,
+    currency: order.currency,
+    base_amount: isForeign ? baseAmount : undefined,
+    base_currency: isForeign ? DOMESTIC_CURRENCY : undefined,
+    status: outcome,
+    method,
+    captured,
+    fee: captured ? feeBeforeTax + tax : null,
+    tax: captured ? tax : null,
+    amount_refunded: 0,
+    refund_status: null,
+    acquirer_data: outcome === SANDBOX_PAYMENT_OUTCOME.FAILED
+      ? {}
+      : { rrn: String(crypto.randomInt(1e11, 1e12)), bank_transaction_id: sandboxId('txn') },
+    error_code: outcome === SANDBOX_PAYMENT_OUTCOME.FAILED ? 'BAD_REQUEST_ERROR' : null,
+    error_description: outcome === SANDBOX_PAYMENT_OUTCOME.FAILED ? 'Payment declined (sandbox).' : null,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  payments.set(paymentId, payment);
+  if (outcome !== SANDBOX_PAYMENT_OUTCOME.FAILED) {
+    order.status = 'paid';
+  }
+
+  return {
+    payment,
+    signature: outcome === SANDBOX_PAYMENT_OUTCOME.FAILED ? null : sign(orderId, paymentId),
+  };
+}
+
+/**
+ * Create a sandbox static UPI QR code. There is no hosted image; the UPI intent is returned
+ * for rendering the QR locally.
+ */
+async function createUpiQr({ name, description = null, notes = {} }) {
+  const id = sandboxId('qr');
+  const payload = `upi://pay?pa=sandbox.qr@razorpay&pn=${encodeURIComponent(name)}&tr=${id}&cu=INR`;
+  qrCodes.set(id, { id, name, description, notes, status: 'active', payments: [] });
+  return { qrId: id, imageUrl: null, payload, status: 'active' };
+}
+
+async function closeUpiQr(qrId) {
+  const qr = qrCodes.get(qrId);
+  if (qr) qr.status = 'closed';
+  return { qrId, status: 'closed' };
+}
+
+/**
+ * Payments simulated on a sandbox QR code, latest first. QR codes not held in memory
+ * (from before a restart) have none.
+ */
+async function fetchUpiQrPayments(qrId, { from = null, count = 100, skip = 0 } = {}) {
+  const qr = qrCodes.get(qrId);
+  const since = from ? Math.floor(new Date(from).getTime() / 1000) : 0;
+  const items = qr
+    ? qr.payments
+      .filter((p) => p.created_at >= since)
+      .sort((a, b) => b.created_at - a.created_at)
+      .slice(skip, skip + count)
+    : [];
+  return { entity: 'collection', count: items.length, items };
+}
+
+/**
+ * Simulate a devotee scanning a sandbox QR code and paying from their UPI app.
+ * Returns the captured payment and the QR code entity, as a qr_code.credited webhook carries them.
+ * @param {string} qrId
+ * @param {Object} options
+ * @param {number} options.amountPaise
+ * @param {string|null} [options.vpa] - Payer UPI ID
+ * @param {string|null} [options.contact] - Payer mobile as the gateway reports it
+ * @returns {Promise<{payment: Object, qrCode: Object}>}
+ */
+async function simulateUpiQrCredit(qrId, { amountPaise, vpa = null, contact = null }) {
+  const qr = qrCodes.get(qrId);
+  if (!qr) {
+    throw httpError('Sandbox QR code not found. Sandbox QR codes do not survive a server restart.', 404);
+  }
+  if (qr.status !== 'active') {
+    throw httpError('Sandbox QR code is closed.', 400);
+  }
+
+  const feeBeforeTax = Math.round(amountPaise * 0.02);
+  const tax = Math.round(feeBeforeTax * 0.18);
+  const payment = {
+    id: sandboxId('pay'),
+    entity: 'payment',
+    order_id: null,
+    amount: amountPaise,
+    currency: DOMESTIC_CURRENCY,
+    status: SANDBOX_PAYMENT_OUTCOME.CAPTURED,
+    method: 'upi',
+    captured: true,
+    vpa: vpa || `devotee${crypto.randomInt(1000, 10000)}@okbank`,
+    contact,
+    fee: feeBeforeTax + tax,
+    tax,
+    amount_refunded: 0,
+    refund_status: null,
+    acquirer_data: { rrn: String(crypto.randomInt(1e11, 1e12)), upi_transaction_id: sandboxId('upi') },
+    notes: qr.notes,
+    created_at: Math.floor(Date.now() / 1000),
+  };
+  payments.set(payment.id, payment);
+  qr.payments.push(payment);
+
+  return { payment, qrCode: { id: qr.id, entity: 'qr_code', name: qr.name, status: qr.status, notes: qr.notes } };
+}
+
+module.exports = {
+  createOrder,
+  verifyPaymentSignature,
+  fetchPayment,
+  fetchOrderPayments,
+  createRefund,
+  createPlan: subscriptionMock.createPlan,
+  createSubscription: subscriptionMock.createSubscription,
+  pauseSubscription: subscriptionMock.pauseSubscription,
+  resumeSubscription: subscriptionMock.resumeSubscription,
+  cancelSubscription: subscriptionMock.cancelSubscription,
+  createLinkedAccount,
+  fetchLinkedAccountStatus,
+  createTransfer,
+  fetchTransfer,
+  reverseTransfer,
+  createUpiQr,
+  closeUpiQr,
+  fetchUpiQrPayments,
+  getKeyId,
+  simulatePayment,
+  simulateUpiQrCredit,
+};
@@ -0,0 +1,595 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const {
+  Donation,
+  DonationRefund,
+  LinkedAccount,
+  OnboardingForm,
+  SettlementTransfer,
+  User,
+  sequelize,
+} = require('../models');
+const { DONATION_STATUS_REFUNDABLE, REFUND_STATUS } = require('../constants/donation');
+const { ROLES } = require('../constants/roles');
+const {
+  ONBOARDING_STATUS,
+  LINKED_ACCOUNT_STATUS,
+  LINKED_ACCOUNT_STATUS_LIST,
+  TRANSFER_STATUS,
+  TRANSFER_STATUS_IN_FLIGHT,
+  SETTLEMENT_DEFAULTS,
+} = require('../constants/settlement');
+const { getActiveGatewayName, getGateway } = require('./paymentGateway');
+const {
+  recordSettlement,
+  recordSettlementFailed,
+  recordSettlementReversal,
+  hasSettlementReversal,
+} = require('./ledgerService');
+const { httpError } = require('../utils/httpError');
+
+let running = false;
+let timer = null;
+
+function toPaise(rupees) {
+  return Math.round(Number(rupees || 0) * 100);
+}
+
+function errorMessage(err) {
+  return String(err.message || (err.error && err.error.description) || 'Unknown error').slice(0, 500);
+}
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Settlement settings from environment:
+ * SETTLEMENT_SYNC_INTERVAL_MINUTES (0 disables the schedule), SETTLEMENT_BATCH_SIZE.
+ */
+function getConfig() {
+  return {
+    intervalMinutes: envInt('SETTLEMENT_SYNC_INTERVAL_MINUTES', SETTLEMENT_DEFAULTS.SYNC_INTERVAL_MINUTES),
+    batchSize: Math.max(1, envInt('SETTLEMENT_BATCH_SIZE', SETTLEMENT_DEFAULTS.BATCH_SIZE)),
+  };
+}
+
+function toAccountStatus(gatewayStatus) {
+  return LINKED_ACCOUNT_STATUS_LIST.includes(gatewayStatus) ? gatewayStatus : LINKED_ACCOUNT_STATUS.REQUESTED;
+}
+
+/**
+ * Map a gateway transfer status to TRANSFER_STATUS. Partial reversals stay processed;
+ * the reversed part is tracked in reversedAmount.
+ */
+function toTransferStatus(gatewayStatus) {
+  switch (gatewayStatus) {
+    case 'processed':
+    case 'partially_reversed':
+      return TRANSFER_STATUS.PROCESSED;
+    case 'failed':
+      return TRANSFER_STATUS.FAILED;
+    case 'reversed':
+      return TRANSFER_STATUS.REVERSED;
+    default:
+      return TRANSFER_STATUS.CREATED;
+  }
+}
+
+/**
+ * Apply a gateway account status, stamping activatedAt the first time the account is activated.
+ */
+async function applyAccountStatus(account, status, requirements) {
+  const updates = {
+    status: toAccountStatus(status),
+    statusReason: requirements || null,
+  };
+  if (updates.status === LINKED_ACCOUNT_STATUS.ACTIVATED && !account.activatedAt) {
+    updates.activatedAt = new Date();
+  }
+  await account.update(updates);
+  return account;
+}
+
+/**
+ * Create the organization's linked account from its approved onboarding form.
+ * @param {number} adminId
+ * @param {Object} details - Output of validateCreateLinkedAccount
+ * @param {number|null} createdById - Super admin ID
+ * @returns {Promise<Object>} Created LinkedAccount
+ */
+async function createLinkedAccountForAdmin(adminId, details, createdById = null) {
+  const admin = await User.findOne({ where: { id: adminId, role: ROLES.ADMIN } });
+  if (!admin) {
+    throw httpError('Organization not found.', 404);
+  }
+  const existing = await LinkedAccount.findOne({ where: { adminId } });
+  if (existing) {
+    throw httpError('Organization already has a linked account.', 409);
+  }
+
+  const form = await OnboardingForm.findOne({ where: { adminId } });
+  if (!form || form.status !== ONBOARDING_STATUS.APPROVED) {
+    throw httpError('Organization needs an approved onboarding form first.', 400);
+  }
+  const missing = ['accountHolderName', 'accountNumber', 'ifscCode'].filter((key) => !form[key]);
+  if (missing.length > 0) {
+    throw httpError(`Onboarding form is missing bank details: ${missing.join(', ')}.`, 422);
+  }
+
+  const accountNumber = String(form.accountNumber).replace(/\s+/g, '');
+  const ifscCode = String(form.ifscCode).trim().toUpperCase();
+  const gatewayName = getActiveGatewayName();
+  const result = await getGateway(gatewayName).createLinkedAccount({
+    referenceId: `org_${admin.id}`,
+    email: form.institutionEmail || admin.email,
+    phone: form.institutionPhone || admin.phone,
+    legalBusinessName: form.institutionName || admin.name,
+    businessType: details.businessType,
+    category: details.category,
+    subcategory: details.subcategory,
+    contactName: form.signatoryName || admin.name,
+    pan: form.panNumber || admin.panNumber || null,
+    address: details.address,
+    stakeholder: form.signatoryName && form.signatoryEmail
+      ? { name: form.signatoryName, email: form.signatoryEmail, phone: form.signatoryMobile || null }
+      : null,
+    bank: { beneficiaryName: form.accountHolderName, accountNumber, ifscCode },
+  });
+
+  const status = toAccountStatus(result.status);
+  return LinkedAccount.create({
+    adminId: admin.id,
+    onboardingFormId: form.id,
+    gateway: gatewayName,
+    accountId: result.accountId,
+    stakeholderId: result.stakeholderId,
+    productId: result.productId,
+    status,
+    statusReason: result.requirements || null,
+    beneficiaryName: form.accountHolderName,
+    bankName: form.bankName || null,
+    accountNumberLast4: accountNumber.slice(-4),
+    ifscCode,
+    activatedAt: status === LINKED_ACCOUNT_STATUS.ACTIVATED ? new Date() : null,
+    createdById,
+  });
+}
+
+/**
+ * Re-read a linked account's activation status from its gateway.
+ * @param {Object} account - LinkedAccount instance
+ * @returns {Promise<Object>} The updated account
+ */
+async function refreshLinkedAccount(account) {
+  if (!account.productId) return account;
+  const { status, requirements } = await getGateway(account.gateway).fetchLinkedAccountStatus(
+    account.accountId,
+    account.productId
+  );
+  return applyAccountStatus(account, status, requirements);
+}
+
+/**
+ * Apply an account status reported by webhook (product.route.*).
+ * @param {Object} product - Gateway product entity ({ id, activation_status, requirements })
+ * @param {string|null} accountId - Linked account ID from the event
+ * @returns {Promise<Object|null>} The account, or null if unknown
+ */
+async function applyGatewayAccountStatus(product, accountId = null) {
+  const where = [{ productId: product.id }];
+  if (accountId) where.push({ accountId });
+  const account = await LinkedAccount.findOne({ where: { [Op.or]: where } });
+  if (!account) return null;
+  const requirements = (product.requirements || [])
+    .map((r) => [r.field_reference, r.reason_code].filter(Boolean).join(': '))
+    .join('; ')
+    .slice(0, 500);
+  return applyAccountStatus(account, product.activation_status, requirements || null);
+}
+
+/**
+ * Record the transfer of a captured gateway donation, with the donation row locked so it cannot
+ * race a refund. Only donations created after the account was activated are routed; earlier
+ * ones were settled outside Route. The amount is fixed here: refunds made after this are pulled
+ * back from the transfer (reverseTransferForRefund).
+ * @returns {Promise<{transfer: Object|null, send: Object|null}>} send holds what the gateway call needs
+ */
+async function prepareTransfer(donationId) {
+  return sequelize.transaction(async (t) => {
+    const donation = await Donation.findByPk(donationId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!donation || !donation.razorpayPaymentId || !donation.gateway) return { transfer: null, send: null };
+    if (!DONATION_STATUS_REFUNDABLE.includes(donation.status)) return { transfer: null, send: null };
+    // Wait for the gateway fee; the transfer is retried when it is recorded.
+    if (donation.netAmount == null) return { transfer: null, send: null };
+
+    const account = await LinkedAccount.findOne({ where: { adminId: donation.adminId }, transaction: t });
+    if (!account || account.status !== LINKED_ACCOUNT_STATUS.ACTIVATED || account.gateway !== donation.gateway) {
+      return { transfer: null, send: null };
+    }
+    const createdAt = new Date(donation.get('created_at') || donation.createdAt);
+    if (!account.activatedAt || createdAt < account.activatedAt) return { transfer: null, send: null };
+
+    let transfer = await SettlementTransfer.findOne({
+      where: { donationId: donation.id },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!transfer) {
+      // The organization receives the net (after gateway and platform fees) less any refunds.
+      const amountPaise = toPaise(donation.netAmount) - toPaise(donation.refundedAmount);
+      if (amountPaise <= 0) return { transfer: null, send: null };
+      transfer = await SettlementTransfer.create(
+        {
+          donationId: donation.id,
+          adminId: donation.adminId,
+          linkedAccountId: account.id,
+          gateway: donation.gateway,
+          razorpayPaymentId: donation.razorpayPaymentId,
+          amount: amountPaise / 100,
+        },
+        { transaction: t }
+      );
+    }
+    if (transfer.status !== TRANSFER_STATUS.PENDING) return { transfer, send: null };
+
+    return {
+      transfer,
+      send: {
+        accountId: account.accountId,
+        notes: { donationId: String(donation.id), receiptNumber: donation.receiptNumber || '' },
+      },
+    };
+  });
+}
+
+/**
+ * Transfer the net amount of a captured gateway donation to its organization's linked account.
+ * The transfer row is committed first, then sent to the gateway outside any transaction with
+ * the transfer ID as idempotency key, so a retry after a lost response or a rolled-back write
+ * gets the transfer made the first time. The result is recorded in a second transaction.
+ * A failed gateway call leaves the transfer pending (retried by the sync job) until
+ * MAX_TRANSFER_ATTEMPTS, then marks it failed. A created transfer is posted to the ledger.
+ * @param {number} donationId
+ * @returns {Promise<Object|null>} SettlementTransfer, or null when the donation is not routed
+ */
+async function transferDonation(donationId) {
+  const { transfer, send } = await prepareTransfer(donationId);
+  if (!send) return transfer;
+
+  let result = null;
+  let failure = null;
+  try {
+    result = await getGateway(transfer.gateway).createTransfer(
+      transfer.razorpayPaymentId,
+      send.accountId,
+      toPaise(transfer.amount),
+      send.notes,
+      { idempotencyKey: `transfer-${transfer.id}` }
+    );
+  } catch (err) {
+    failure = err;
+  }
+
+  return sequelize.transaction(async (t) => {
+    const donation = await Donation.findByPk(donationId, { transaction: t, lock: t.LOCK.UPDATE });
+    const locked = await SettlementTransfer.findByPk(transfer.id, { transaction: t, lock: t.LOCK.UPDATE });
+    // Another run recorded it while the gateway was called.
+    if (locked.status !== TRANSFER_STATUS.PENDING) return locked;
+
+    const attempts = locked.attempts + 1;
+    if (failure) {
+      await locked.update(
+        {
+          attempts,
+          errorMessage: errorMessage(failure),
+          status: attempts >= SETTLEMENT_DEFAULTS.MAX_TRANSFER_ATTEMPTS ? TRANSFER_STATUS.FAILED : TRANSFER_STATUS.PENDING,
+        },
+        { transaction: t }
+      );
+      return locked;
+    }
+
+    const status = toTransferStatus(result.status);
+    await locked.update(
+      {
+        transferId: result.transferId,
+        status,
+        attempts,
+        errorMessage: null,
+        processedAt: status === TRANSFER_STATUS.PROCESSED ? new Date() : null,
+      },
+      { transaction: t }
+    );
+    if (status !== TRANSFER_STATUS.FAILED) {
+      await recordSettlement(locked, donation, t);
+    }
+    return locked;
+  });
+}
+
+/**
+ * Fire-and-forget transfers for newly captured donations. Never throws.
+ * @param {number[]} donationIds
+ */
+function transferCapturedDonations(donationIds) {
+  (async () => {
+    for (const id of donationIds) {
+      try {
+        await transferDonation(id);
+      } catch (err) {
+        console.error(`[Settlement] Transfer failed for donation ${id}:`, err.message);
+      }
+    }
+  })();
+}
+
+/**
+ * Refresh a created/processed transfer from its gateway: processed time, settlement and UTR.
+ * A transfer the gateway failed has its ledger settlement reversed.
+ * @param {Object} transfer - SettlementTransfer instance
+ * @returns {Promise<Object>} The updated transfer
+ */
+async function syncTransfer(transfer) {
+  const result = await getGateway(transfer.gateway).fetchTransfer(transfer.transferId);
+  const wasInFlight = TRANSFER_STATUS_IN_FLIGHT.includes(transfer.status);
+  let status = toTransferStatus(result.status);
+  if (status === TRANSFER_STATUS.PROCESSED && result.utr) {
+    status = TRANSFER_STATUS.SETTLED;
+  }
+  await transfer.update({
+    status,
+    processedAt: result.processedAt || transfer.processedAt,
+    settlementId: result.settlementId || transfer.settlementId,
+    utr: result.utr || transfer.utr,
+    settledAt: result.settledAt || transfer.settledAt,
+  });
+  if (wasInFlight && status === TRANSFER_STATUS.FAILED) {
+    await recordSettlementFailed(transfer);
+  }
+  return transfer;
+}
+
+/**
+ * Apply a transfer status reported by webhook (transfer.processed / transfer.failed).
+ * Never moves a settled or reversed transfer backwards; a failed one has its ledger settlement reversed.
+ * @param {Object} gatewayTransfer - Gateway transfer entity
+ * @returns {Promise<Object|null>} The transfer, or null if unknown
+ */
+async function applyGatewayTransfer(gatewayTransfer) {
+  const transfer = await SettlementTransfer.findOne({ where: { transferId: gatewayTransfer.id } });
+  if (!transfer) return null;
+  if (!TRANSFER_STATUS_IN_FLIGHT.includes(transfer.status)) return transfer;
+
+  const status = toTransferStatus(gatewayTransfer.status);
+  await transfer.update({
+    status,
+    processedAt: gatewayTransfer.processed_at ? new Date(gatewayTransfer.processed_at * 1000) : transfer.processedAt,
+    errorMessage: status === TRANSFER_STATUS.FAILED
+      ? String((gatewayTransfer.error && gatewayTransfer.error.description) || 'Transfer failed.').slice(0, 500)
+      : transfer.errorMessage,
+  });
+  if (status === TRANSFER_STATUS.FAILED) {
+    await recordSettlementFailed(transfer);
+  }
+  return transfer;
+}
+
+/**
+ * Pull a refunded amount back from the organization's linked account once the gateway has
+ * accepted the refund, at most once per refund: the refund ID keys both the gateway reversal
+ * (a retry after a lost response gets the first one) and its ledger journal. The reversal is
+ * sent outside any transaction and recorded in a second one. Refunds made before the transfer
+ * was recorded need nothing: it was created for the amount left after them.
+ * @param {Object} donation
+ * @param {Object} refund - DonationRefund the gateway accepted
+ * @returns {Promise<number>} Paise reversed
+ */
+async function reverseTransferForRefund(donation, refund) {
+  const prepared = await sequelize.transaction(async (t) => {
+    const transfer = await SettlementTransfer.findOne({
+      where: { donationId: donation.id },
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    if (!transfer || !transfer.transferId) return null;
+    if (![...TRANSFER_STATUS_IN_FLIGHT, TRANSFER_STATUS.SETTLED].includes(transfer.status)) return null;
+    if (new Date(refund.get('created_at')) < new Date(transfer.get('created_at'))) return null;
+    if (await hasSettlementReversal(transfer.id, refund.id, t)) return null;
+
+    const remainingPaise = toPaise(transfer.amount) - toPaise(transfer.reversedAmount);
+    const reversePaise = Math.min(toPaise(refund.amount), remainingPaise);
+    return reversePaise > 0 ? { transfer, reversePaise } : null;
+  });
+  if (!prepared) return 0;
+
+  const { transfer, reversePaise } = prepared;
+  await getGateway(transfer.gateway).reverseTransfer(
+    transfer.transferId,
+    reversePaise,
+    { donationId: String(donation.id), refundId: String(refund.id) },
+    { idempotencyKey: `reversal-${refund.id}` }
+  );
+
+  return sequelize.transaction(async (t) => {
+    const locked = await SettlementTransfer.findByPk(transfer.id, { transaction: t, lock: t.LOCK.UPDATE });
+    // Another run recorded it while the gateway was called.
+    if (await hasSettlementReversal(locked.id, refund.id, t)) return 0;
+    const reversedPaise = toPaise(locked.reversedAmount) + reversePaise;
+    await locked.update(
+      {
+        reversedAmount: reversedPaise / 100,
+        status: reversedPaise >= toPaise(locked.amount) ? TRANSFER_STATUS.REVERSED : locked.status,
+      },
+      { transaction: t }
+    );
+    await recordSettlementReversal(locked, donation, reversePaise, refund.id, t);
+    return reversePaise;
+  });
+}
+
+/**
+ * Refunds the gateway accepted whose amount was not pulled back from a transfer yet (the
+ * reversal call failed or was lost). Refunds recorded before the transfer are left out.
+ */
+async function findUnreversedRefunds(limit) {
+  const reversible = [...TRANSFER_STATUS_IN_FLIGHT, TRANSFER_STATUS.SETTLED].map((s) => `'${s}'`).join(', ');
+  return DonationRefund.findAll({
+    where: {
+      razorpayRefundId: { [Op.ne]: null },
+      status: { [Op.ne]: REFUND_STATUS.FAILED },
+      [Op.and]: [
+        sequelize.literal(
+          'EXISTS (SELECT 1 FROM "settlement_transfers" AS "st" '
+          + 'WHERE "st"."donation_id" = "DonationRefund"."donation_id" AND "st"."transfer_id" IS NOT NULL '
+          + `AND "st"."status" IN (${reversible}) AND "st"."reversed_amount" < "st"."amount" `
+          + 'AND "st"."created_at" <= "DonationRefund"."created_at" '
+          + 'AND NOT EXISTS (SELECT 1 FROM "ledger_entries" AS "le" '
+          + 'WHERE "le"."journal_key" = \'settlement_reversal:\' || "st"."id" || \':refund-\' || "DonationRefund"."id"))'
+        ),
+      ],
+    },
+    order: [['id', 'ASC']],
+    limit,
+  });
+}
+
+/**
+ * Settlement job: create transfers that are missing or still pending, pull back refunded
+ * amounts not reversed yet, follow in-flight transfers to their bank settlement (UTR) and
+ * refresh accounts awaiting activation.
+ * Only one run executes at a time per process.
+ * @returns {Promise<Object|null>} Counts, or null if a run is already in progress
+ */
+async function runSettlementSync() {
+  if (running) return null;
+  running = true;
+
+  try {
+    const { batchSize } = getConfig();
+    const counts = {
+      accountsRefreshed: 0,
+      transfersCreated: 0,
+      transfersReversed: 0,
+      transfersSynced: 0,
+      settled: 0,
+      errors: 0,
+    };
+
+    const waiting = await LinkedAccount.findAll({
+      where: {
+        status: {
+          [Op.in]: [
+            LINKED_ACCOUNT_STATUS.REQUESTED,
+            LINKED_ACCOUNT_STATUS.UNDER_REVIEW,
+            LINKED_ACCOUNT_STATUS.NEEDS_CLARIFICATION,
+          ],
+        },
+      },
+    });
+    for (const account of waiting) {
+      try {
+        await refreshLinkedAccount(account);
+        counts.accountsRefreshed += 1;
+      } catch (err) {
+        counts.errors += 1;
+        console.error(`[Settlement] Account refresh failed for admin ${account.adminId}:`, errorMessage(err));
+      }
+    }
+
+    const active = await LinkedAccount.findAll({ where: { status: LINKED_ACCOUNT_STATUS.ACTIVATED } });
+    for (const account of active) {
+      const retries = await SettlementTransfer.findAll({
+        where: { adminId: account.adminId, status: TRANSFER_STATUS.PENDING },
+        attributes: ['donationId'],
+        limit: batchSize,
+      });
+      const unrouted = await Donation.findAll({
+        where: {
+          adminId: account.adminId,
+          gateway: account.gateway,
+          status: { [Op.in]: DONATION_STATUS_REFUNDABLE },
+          razorpayPaymentId: { [Op.ne]: null },
+          netAmount: { [Op.ne]: null },
+          id: { [Op.notIn]: sequelize.literal('(SELECT "donation_id" FROM "settlement_transfers")') },
+          [Op.and]: [sequelize.where(sequelize.col('created_at'), Op.gte, account.activatedAt)],
+        },
+        attributes: ['id'],
+        order: [['id', 'ASC']],
+        limit: batchSize,
+      });
+
+      for (const donationId of [...retries.map((r) => r.donationId), ...unrouted.map((d) => d.id)]) {
+        try {
+          const transfer = await transferDonation(donationId);
+          if (transfer && transfer.transferId) counts.transfersCreated += 1;
+        } catch (err) {
+          counts.errors += 1;
+          console.error(`[Settlement] Transfer failed for donation ${donationId}:`, errorMessage(err));
+        }
+      }
+    }
+
+    for (const refund of await findUnreversedRefunds(batchSize)) {
+      try {
+        const donation = await Donation.findByPk(refund.donationId);
+        if (await reverseTransferForRefund(donation, refund) > 0) counts.transfersReversed += 1;
+      } catch (err) {
+        counts.errors += 1;
+        console.error(`[Settlement] Reversal failed for refund ${refund.id}:`, errorMessage(err));
+      }
+    }
+
+    const inFlight = await SettlementTransfer.findAll({
+      where: { status: { [Op.in]: TRANSFER_STATUS_IN_FLIGHT }, transferId: { [Op.ne]: null } },
+      order: [['id', 'ASC']],
+      limit: batchSize,
+    });
+    for (const transfer of inFlight) {
+      try {
+        await syncTransfer(transfer);
+        counts.transfersSynced += 1;
+        if (transfer.status === TRANSFER_STATUS.SETTLED) counts.settled += 1;
+      } catch (err) {
+        counts.errors += 1;
+        console.error(`[Settlement] Sync failed for transfer ${transfer.transferId}:`, errorMessage(err));
+      }
+    }
+
+    return counts;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic settlement job. No-op when SETTLEMENT_SYNC_INTERVAL_MINUTES is 0.
+ */
+function startSettlementScheduler() {
+  const { intervalMinutes } = getConfig();
+  if (!intervalMinutes || timer) return;
+
+  timer = setInterval(() => {
+    runSettlementSync().catch((err) => {
+      console.error('[Settlement] Run failed:', err.message);
+    });
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`✅ Settlement sync scheduled every ${intervalMinutes} minutes.`);
+}
+
+module.exports = {
+  createLinkedAccountForAdmin,
+  refreshLinkedAccount,
+  applyGatewayAccountStatus,
+  transferDonation,
+  transferCapturedDonations,
+  syncTransfer,
+  applyGatewayTransfer,
+  reverseTransferForRefund,
+  runSettlementSync,
+  startSettlementScheduler,
+};
@@ -0,0 +1,323 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { Seva, SevaSlot, SevaBooking, Donation, Devotee, sequelize } = require('../models');
+const { DONATION_STATUS, DONATION_TYPE } = require('../constants/donation');
+const { SEVA_BOOKING_STATUS, SEVA_BOOKING_STATUS_HOLDING, SEVA_HOLD_MINUTES } = require('../constants/seva');
+const { httpError } = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Instant a slot starts (its date and start time are IST).
+ * @param {{ date: string, startTime: string }} slot
+ * @returns {Date}
+ */
+function slotStartsAt(slot) {
+  return new Date(`${slot.date}T${slot.startTime}:00+05:30`);
+}
+
+/**
+ * When a hold taken now lapses: SEVA_HOLD_MINUTES from now, but no later than the slot's start.
+ * @param {{ date: string, startTime: string }} slot
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+function holdExpiresAt(slot, now = new Date()) {
+  return new Date(Math.min(now.getTime() + SEVA_HOLD_MINUTES * 60 * 1000, slotStartsAt(slot).getTime()));
+}
+
+/**
+ * Generate the slot calendar of a seva: one slot per day and start time from `from` to `to`
+ * (on the given weekdays only, if any). Slots that already exist are left as they are.
+ * @param {Object} seva - Seva instance
+ * @param {{ from: string, to: string, times: string[], weekdays: number[]|null, capacity: number|null }} data
+ *   - From validateSevaSlots
+ * @returns {Promise<{ created: number, skipped: number }>}
+ */
+async function createSevaSlots(seva, { from, to, times, weekdays, capacity }) {
+  const dates = [];
+  for (let t = new Date(`${from}T00:00:00Z`).getTime(); t <= new Date(`${to}T00:00:00Z`).getTime(); t += DAY_MS) {
+    const day = new Date(t);
+    if (!weekdays || weekdays.includes(day.getUTCDay())) dates.push(day.toISOString().slice(0, 10));
+  }
+  if (dates.length === 0) return { created: 0, skipped: 0 };
+
+  const existing = await SevaSlot.findAll({
+    where: { sevaId: seva.id, date: { [Op.between]: [from, to] } },
+    attributes: ['date', 'startTime'],
+  });
+  const taken = new Set(existing.map((s) => `${s.date}|${s.startTime}`));
+
+  const rows = [];
+  let skipped = 0;
+  for (const date of dates) {
+    for (const startTime of times) {
+      if (taken.has(`${date}|${startTime}`)) {
+        skipped += 1;
+      } else {
+        rows.push({
+          sevaId: seva.id,
+          adminId: seva.adminId,
+          date,
+          startTime,
+          capacity: capacity || seva.defaultCapacity,
+        });
+      }
+    }
+  }
+  if (rows.length > 0) await SevaSlot.bulkCreate(rows);
+  return { created: rows.length, skipped };
+}
+
+/**
+ * Change a slot's capacity or close / reopen it. Capacity cannot go below the seats already held.
+ * @param {number} slotId
+ * @param {number} adminId
+ * @param {{ capacity?: number, isActive?: boolean }} data - From validateSevaSlotUpdate
+ * @returns {Promise<Object>} Updated SevaSlot
+ */
+async function updateSevaSlot(slotId, adminId, data) {
+  return sequelize.transaction(async (t) => {
+    const slot = await SevaSlot.findOne({ where: { id: slotId, adminId }, transaction: t, lock: t.LOCK.UPDATE });
+    if (!slot) {
+      throw httpError('Slot not found.', 404);
+    }
+    if (data.capacity !== undefined && data.capacity < slot.bookedCount) {
+      throw httpError(`Capacity cannot be less than the ${slot.bookedCount} seat(s) already booked.`, 409);
+    }
+    await slot.update(data, { transaction: t });
+    return slot;
+  });
+}
+
+/**
+ * Load a slot a devotee may book, with its seva: both active, not started, seats left.
+ * Seats are checked again when the booking is reserved.
+ * @param {number} slotId
+ * @returns {Promise<Object>} SevaSlot with seva
+ */
+async function findBookableSlot(slotId) {
+  const slot = await SevaSlot.findByPk(slotId, { include: [{ model: Seva, as: 'seva' }] });
+  if (!slot || !slot.seva || !slot.seva.isActive) {
+    throw httpError('Seva slot not found.', 404);
+  }
+  if (!slot.isActive || slotStartsAt(slot) <= new Date()) {
+    throw httpError('This slot is no longer open for booking.', 409);
+  }
+  if (slot.bookedCount >= slot.capacity) {
+    throw httpError('This slot is fully booked.', 409);
+  }
+  return slot;
+}
+
+/**
+ * Hold a seat in a slot and create the pending seva payment (donationType seva, at the seva's
+ * price) with its booking. The seat is confirmed when the payment is captured and released
+ * if it fails, or when the hold lapses (SEVA_HOLD_MINUTES, or the slot's start if sooner).
+ * Lapsed holds on the slot are released first, so their seats can be booked again.
+ * @param {Object} data
+ * @param {number} data.devoteeId
+ * @param {number} data.slotId
+ * @param {Object[]} data.participants - [{ name, gotra, nakshatra }]
+ * @param {string|null} data.notes
+ * @param {string} data.gateway - Gateway the order was created with
+ * @param {string} data.razorpayOrderId - Gateway order for the seva price
+ * @param {{ foreignContribution: boolean, donorNationality: string|null }} [data.source] - From
+ *   fcraService.assertMayReceive
+ * @returns {Promise<{ donation: Object, booking: Object }>}
+ */
+async function reserveSevaBooking({ devoteeId, slotId, participants, notes, gateway, razorpayOrderId, source = {} }) {
+  return sequelize.transaction(async (t) => {
+    const slot = await SevaSlot.findByPk(slotId, { transaction: t, lock: t.LOCK.UPDATE });
+    const seva = slot ? await Seva.findByPk(slot.sevaId, { transaction: t }) : null;
+    if (!slot || !seva || !seva.isActive) {
+      throw httpError('Seva slot not found.', 404);
+    }
+    if (!slot.isActive || slotStartsAt(slot) <= new Date()) {
+      throw httpError('This slot is no longer open for booking.', 409);
+    }
+    if (slot.bookedCount >= slot.capacity) {
+      const lapsed = await SevaBooking.findAll({
+        where: { slotId: slot.id, status: SEVA_BOOKING_STATUS.PENDING, holdExpiresAt: { [Op.lte]: new Date() } },
+        transaction: t,
+        lock: t.LOCK.UPDATE,
+      });
+      for (const booking of lapsed) {
+        await lapseHold(booking, t);
+      }
+      await slot.reload({ transaction: t });
+    }
+    if (slot.bookedCount >= slot.capacity) {
+      throw httpError('This slot is fully booked.', 409);
+    }
+    if (participants.length > seva.maxParticipants) {
+      throw httpError(`This seva allows at most ${seva.maxParticipants} participant(s) per booking.`, 422);
+    }
+
+    await slot.update({ bookedCount: slot.bookedCount + 1 }, { transaction: t });
+    const donation = await Donation.create(
+      {
+        devoteeId,
+        adminId: seva.adminId,
+        amount: seva.price,
+        ...source,
+        gateway,
+        razorpayOrderId,
+        status: DONATION_STATUS.PENDING,
+        donationType: DONATION_TYPE.SEVA,
+      },
+      { transaction: t }
+    );
+    const booking = await SevaBooking.create(
+      {
+        sevaId: seva.id,
+        slotId: slot.id,
+        adminId: seva.adminId,
+        devoteeId,
+        donationId: donation.id,
+        participants,
+        notes,
+        holdExpiresAt: holdExpiresAt(slot),
+      },
+      { transaction: t }
+    );
+    return { donation, booking };
+  });
+}
+
+async function lockBooking(donationId, transaction) {
+  return SevaBooking.findOne({ where: { donationId }, transaction, lock: transaction.LOCK.UPDATE });
+}
+
+async function adjustBookedCount(slotId, delta, transaction) {
+  const slot = await SevaSlot.findByPk(slotId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!slot) return;
+  await slot.update({ bookedCount: Math.max(0, slot.bookedCount + delta) }, { transaction });
+}
+
+/**
+ * Give back the seat of a pending booking whose hold lapsed and expire its unpaid payment.
+ * A payment that still arrives later is captured and takes the seat back (confirmSevaBooking).
+ */
+async function lapseHold(booking, transaction) {
+  await Donation.update(
+    { status: DONATION_STATUS.EXPIRED },
+    { where: { id: booking.donationId, status: DONATION_STATUS.PENDING }, transaction }
+  );
+  await adjustBookedCount(booking.slotId, -1, transaction);
+  await booking.update({ status: SEVA_BOOKING_STATUS.EXPIRED, releasedAt: new Date() }, { transaction });
+}
+
+/**
+ * Release pending bookings whose hold has lapsed (run by the reconciliation scheduler).
+ * @param {number} limit - Most bookings released per call
+ * @returns {Promise<number>} Bookings released
+ */
+async function releaseLapsedSevaHolds(limit) {
+  const lapsed = await SevaBooking.findAll({
+    where: { status: SEVA_BOOKING_STATUS.PENDING, holdExpiresAt: { [Op.lte]: new Date() } },
+    attributes: ['id'],
+    order: [['holdExpiresAt', 'ASC']],
+    limit,
+  });
+
+  let released = 0;
+  for (const { id } of lapsed) {
+    const done = await sequelize.transaction(async (t) => {
+      const booking = await SevaBooking.findByPk(id, { transaction: t, lock: t.LOCK.UPDATE });
+      if (!booking || booking.status !== SEVA_BOOKING_STATUS.PENDING || booking.holdExpiresAt > new Date()) {
+        return false;
+      }
+      await lapseHold(booking, t);
+      return true;
+    });
+    if (done) released += 1;
+  }
+  return released;
+}
+
+/**
+ * Confirm the booking paid for by a donation that was just captured. A booking whose seat was
+ * already released (payment captured after it failed or its hold lapsed) takes its seat back
+ * even if the slot has filled up since, as the devotee has paid; once the slot has started it
+ * stays expired and the caller refunds the payment.
+ * @param {number} donationId
+ * @param {Object} transaction - The capture transaction
+ * @returns {Promise<boolean>} false when the slot had already started (booking left expired)
+ */
+async function confirmSevaBooking(donationId, transaction) {
+  const booking = await lockBooking(donationId, transaction);
+  if (!booking || booking.status === SEVA_BOOKING_STATUS.CONFIRMED) return true;
+  if (!SEVA_BOOKING_STATUS_HOLDING.includes(booking.status)) {
+    const slot = await SevaSlot.findByPk(booking.slotId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!slot || slotStartsAt(slot) <= new Date()) return false;
+    await slot.update({ bookedCount: slot.bookedCount + 1 }, { transaction });
+  }
+  await booking.update(
+    { status: SEVA_BOOKING_STATUS.CONFIRMED, confirmedAt: new Date(), releasedAt: null },
+    { transaction }
+  );
+  return true;
+}
+
+/**
+ * Give back the seat of the booking paid for by a donation (payment failed or expired, or the
+ * payment was refunded in full).
+ * @param {number} donationId
+ * @param {string} status - SEVA_BOOKING_STATUS.EXPIRED or CANCELLED
+ * @param {Object} transaction
+ * @returns {Promise<void>}
+ */
+async function releaseSevaBooking(donationId, status, transaction) {
+  const booking = await lockBooking(donationId, transaction);
+  if (!booking || !SEVA_BOOKING_STATUS_HOLDING.includes(booking.status)) return;
+  await adjustBookedCount(booking.slotId, -1, transaction);
+  await booking.update({ status, releasedAt: new Date() }, { transaction });
+}
+
+/**
+ * Day's seva manifest for an organization: every slot on the date, in time order, with its
+ * confirmed bookings (participants, notes, devotee and receipt number).
+ * @param {number} adminId
+ * @param {string} date - YYYY-MM-DD (IST)
+ * @param {{ sevaId?: number }} [filters]
+ * @returns {Promise<Object[]>} SevaSlot instances with seva and bookings
+ */
+async function getSevaManifest(adminId, date, { sevaId } = {}) {
+  const where = { adminId, date };
+  if (sevaId) where.sevaId = sevaId;
+  return SevaSlot.findAll({
+    where,
+    include: [
+      { model: Seva, as: 'seva', attributes: ['id', 'name'] },
+      {
+        model: SevaBooking,
+        as: 'bookings',
+        where: { status: SEVA_BOOKING_STATUS.CONFIRMED },
+        required: false,
+        include: [
+          { model: Devotee, attributes: ['id', 'mobile', 'name'] },
+          { model: Donation, as: 'donation', attributes: ['id', 'receiptNumber', 'amount'] },
+        ],
+      },
+    ],
+    order: [
+      ['startTime', 'ASC'],
+      [{ model: Seva, as: 'seva' }, 'name', 'ASC'],
+      [{ model: SevaBooking, as: 'bookings' }, 'id', 'ASC'],
+    ],
+  });
+}
+
+module.exports = {
+  slotStartsAt,
+  createSevaSlots,
+  updateSevaSlot,
+  findBookableSlot,
+  reserveSevaBooking,
+  confirmSevaBooking,
+  releaseSevaBooking,
+  releaseLapsedSevaHolds,
+  getSevaManifest,
+};
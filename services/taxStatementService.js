@@ -0,0 +1,198 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const PDFDocument = require('pdfkit');
+const { Donation, User, sequelize } = require('../models');
+const { DONATION_STATUS_COUNTED, DONATION_TYPES_NOT_80G, CASH_80G_LIMIT_RUPEES } = require('../constants/donation');
+const { paymentModeLabel, formatDate } = require('./receiptPdfService');
+
+function rupees(value) {
+  return (Math.round(value * 100) / 100).toFixed(2);
+}
+
+function inr(value) {
+  return `Rs. ${Number(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Consolidated 80G statement of a devotee's donations for one financial year, grouped by organization.
+ * Counts captured and partially refunded donations at their net amount; cancelled receipts and seva
+ * payments (not gifts) are left out.
+ * A donation is 80G-eligible when the organization has an 80G number and it is not cash above the limit.
+ * @param {Object} devotee - Devotee instance
+ * @param {{ label: string, start: Date, end: Date }} fyRange - From financialYearRange
+ * @returns {Promise<Object>}
+ */
+async function buildTaxStatement(devotee, fyRange) {
+  const donations = await Donation.findAll({
+    where: {
+      devoteeId: devotee.id,
+      status: DONATION_STATUS_COUNTED,
+      receiptCancelled: false,
+      donationType: { [Op.notIn]: DONATION_TYPES_NOT_80G },
+      [Op.and]: [
+        sequelize.where(sequelize.col('Donation.created_at'), Op.gte, fyRange.start),
+        sequelize.where(sequelize.col('Donation.created_at'), Op.lt, fyRange.end),
+      ],
+    },
+    include: [
+      {
+        model: User,
+        as: 'organization',
+        attributes: ['id', 'orgId', 'name', 'address', 'panNumber', 'registration80GNumber'],
+      },
+    ],
+    order: sequelize.literal('"Donation"."created_at" ASC'),
+  });
+
+  const byOrg = new Map();
+  let grandTotal = 0;
+  let eligibleTotal = 0;
+
+  donations.forEach((donation) => {
+    const d = donation.get({ plain: true });
+    const org = d.organization || {};
+    if (!byOrg.has(d.adminId)) {
+      byOrg.set(d.adminId, {
+        organization: {
+          id: org.id,
+          orgId: org.orgId,
+          name: org.name,
+          address: org.address || null,
+          panNumber: org.panNumber || null,
+          registration80GNumber: org.registration80GNumber || null,
+        },
+        donations: [],
+        total: 0,
+        eligibleTotal: 0,
+      });
+    }
+    const group = byOrg.get(d.adminId);
+
+    const net = Number(d.amount) - Number(d.refundedAmount || 0);
+    const isCash = d.paymentMethod === 'cash';
+    const eligible80G = Boolean(org.registration80GNumber) && !(isCash && net > CASH_80G_LIMIT_RUPEES);
+
+    group.donations.push({
+      donationId: d.id,
+      receiptNumber: d.receiptNumber || null,
+      date: formatDate(d.created_at),
+      type: d.donationType || 'donation',
+      amountRupees: rupees(Number(d.amount)),
+      refundedAmountRupees: rupees(Number(d.refundedAmount || 0)),
+      netAmountRupees: rupees(net),
+      paymentMode: paymentModeLabel(d.paymentMethod),
+      eligible80G,
+    });
+    group.total += net;
+    grandTotal += net;
+    if (eligible80G) {
+      group.eligibleTotal += net;
+      eligibleTotal += net;
+    }
+  });
+
+  return {
+    financialYear: fyRange.label,
+    period: { from: formatDate(fyRange.start), to: formatDate(new Date(fyRange.end.getTime() - 1)) },
+    devotee: {
+      id: devotee.id,
+      name: devotee.name || null,
+      mobile: devotee.mobile,
+      city: devotee.city || null,
+      panNumber: devotee.panNumber || null,
+    },
+    organizations: [...byOrg.values()].map((g) => ({
+      organization: g.organization,
+      donations: g.donations,
+      donationCount: g.donations.length,
+      totalRupees: rupees(g.total),
+      eligible80GTotalRupees: rupees(g.eligibleTotal),
+    })),
+    donationCount: donations.length,
+    grandTotalRupees: rupees(grandTotal),
+    eligible80GTotalRupees: rupees(eligibleTotal),
+  };
+}
+
+/**
+ * Render a statement from buildTaxStatement.
+ * @param {Object} statement
+ * @returns {Promise<Buffer>}
+ */
+function renderTaxStatementPdf(statement) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const columns = [
+      { label: 'Date', x: 50, width: 70 },
+      { label: 'Receipt No.', x: 120, width: 90 },
+      { label: 'Mode', x: 210, width: 80 },
+      { label: 'Amount', x: 290, width: 90, align: 'right' },
+      { label: '80G', x: 400, width: 60 },
+    ];
+    const line = (values, bold = false) => {
+      if (doc.y > 760) doc.addPage();
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      columns.forEach((col, i) => doc.text(values[i], col.x, y, { width: col.width, align: col.align || 'left' }));
+      doc.moveDown(0.3);
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Consolidated Donation Statement (80G)', { align: 'center' });
+    doc.font('Helvetica').fontSize(10).text(
+      `Financial Year ${statement.financialYear} (${statement.period.from} to ${statement.period.to})`,
+      { align: 'center' }
+    );
+    doc.moveDown();
+
+    const donor = statement.devotee;
+    doc.fontSize(10)
+      .text(`Donor: ${donor.name || '-'}    Mobile: ${donor.mobile}`, 50)
+      .text(`Donor PAN: ${donor.panNumber || 'Not provided'}`, 50);
+    doc.moveDown();
+
+    if (statement.organizations.length === 0) {
+      doc.text('No donations recorded for this financial year.', 50);
+    }
+
+    statement.organizations.forEach((group) => {
+      const org = group.organization;
+      if (doc.y > 700) doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(11).text(org.name || '', 50);
+      doc.font('Helvetica').fontSize(9)
+        .text(`PAN: ${org.panNumber || '-'}    80G Registration No.: ${org.registration80GNumber || 'Not registered'}`, 50);
+      if (org.address) doc.text(org.address, 50);
+      doc.moveDown(0.4);
+
+      line(columns.map((c) => c.label), true);
+      group.donations.forEach((d) => {
+        line([d.date, d.receiptNumber || '-', d.paymentMode, inr(d.netAmountRupees), d.eligible80G ? 'Yes' : 'No']);
+      });
+      line(['', '', 'Total', inr(group.totalRupees), ''], true);
+      line(['', '', '80G eligible', inr(group.eligible80GTotalRupees), ''], true);
+      doc.moveDown();
+    });
+
+    doc.font('Helvetica-Bold').fontSize(10)
+      .text(`Total donated: ${inr(statement.grandTotalRupees)}`, 50)
+      .text(`Total eligible under section 80G: ${inr(statement.eligible80GTotalRupees)}`, 50);
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('gray').text(
+      `Amounts are net of refunds. Cash donations above ${inr(CASH_80G_LIMIT_RUPEES)} and donations to `
+      + 'organizations without an 80G registration are not eligible. Individual receipts remain the primary proof of donation.',
+      50
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildTaxStatement,
+  renderTaxStatementPdf,
+};
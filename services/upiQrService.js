@@ -0,0 +1,352 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { UpiQrCode, UpiQrCredit, Donation, Devotee, Event, sequelize } = require('../models');
+const { DONATION_STATUS, DONATION_TYPE } = require('../constants/donation');
+const { EVENT_TYPES } = require('../constants/eventTypes');
+const { PAYMENT_GATEWAY } = require('../constants/paymentGateway');
+const {
+  UPI_QR_CREDIT_STATUS,
+  UPI_QR_LIMITS,
+  UPI_QR_POLL_OVERLAP_MINUTES,
+  UPI_QR_POLL_BATCH_SIZE,
+} = require('../constants/upiQr');
+const { getActiveGatewayName, getGateway } = require('./paymentGateway');
+const { captureDonation, extractPaymentDetails } = require('./donationService');
+const { findOrCreateLinkDevotee } = require('./devoteeService');
+const { contributionSource } = require('./fcraService');
+const { httpError } = require('../utils/httpError');
+
+const INDIAN_MOBILE_REGEX = /^[6-9]\d{9}$/;
+
+let polling = false;
+
+/**
+ * Create a static UPI QR code for an organization, or for one of its events. Only one active
+ * QR code per organization and event, so a credit always maps to one place.
+ * @param {Object} admin - Organization (User)
+ * @param {{ eventId: number|null, name: string|null, description: string|null }} data
+ * @param {number} createdById
+ * @returns {Promise<Object>} UpiQrCode
+ */
+async function createUpiQrCode(admin, { eventId, name, description }, createdById) {
+  let event = null;
+  if (eventId) {
+    event = await Event.findOne({ where: { id: eventId, adminId: admin.id }, attributes: ['id', 'title', 'isActive'] });
+    if (!event) {
+      throw httpError('Event not found for this organization.', 404);
+    }
+    if (!event.isActive) {
+      throw httpError('Event is not active.', 409);
+    }
+  }
+
+  const existing = await UpiQrCode.findOne({
+    where: { adminId: admin.id, eventId: eventId || null, isActive: true },
+    attributes: ['id'],
+  });
+  if (existing) {
+    throw httpError(
+      eventId ? 'This event already has an active UPI QR code.' : 'The organization already has an active UPI QR code.',
+      409
+    );
+  }
+
+  const label = (name || (event ? event.title : admin.name) || 'Donation').slice(0, UPI_QR_LIMITS.NAME_MAX_LENGTH);
+  const gatewayName = getActiveGatewayName();
+  const qr = await getGateway(gatewayName).createUpiQr({
+    name: label,
+    description,
+    notes: { adminId: String(admin.id), eventId: eventId ? String(eventId) : '' },
+  });
+
+  return UpiQrCode.create({
+    adminId: admin.id,
+    eventId: eventId || null,
+    gateway: gatewayName,
+    gatewayQrId: qr.qrId,
+    name: label,
+    imageUrl: qr.imageUrl,
+    upiPayload: qr.payload,
+    createdById,
+  });
+}
+
+/**
+ * Close a QR code at the gateway so it stops accepting payments. Credits already received stay.
+ * @param {Object} qrCode - UpiQrCode
+ * @returns {Promise<Object>} UpiQrCode
+ */
+async function closeUpiQrCode(qrCode) {
+  if (!qrCode.isActive) {
+    throw httpError('UPI QR code is already closed.', 409);
+  }
+  await getGateway(qrCode.gateway).closeUpiQr(qrCode.gatewayQrId);
+  return qrCode.update({ isActive: false, closedAt: new Date() });
+}
+
+/** Ways a devotee's mobile may be stored for a mobile reported by the gateway (+91XXXXXXXXXX). */
+function mobileCandidates(contact) {
+  const digits = String(contact || '').replace(/\D/g, '');
+  const local = digits.slice(-10);
+  if (!INDIAN_MOBILE_REGEX.test(local)) return null;
+  return { local, candidates: [...new Set([String(contact).trim(), local, `+91${local}`, `91${local}`])] };
+}
+
+/**
+ * Who paid a credit: the devotee with the payer's mobile (created if new), else the devotee an
+ * earlier credit from the same UPI ID was given to. Null when the payer cannot be told.
+ * @param {Object} credit - UpiQrCredit
+ * @returns {Promise<Object|null>} Devotee
+ */
+async function matchCreditDevotee(credit) {
+  const mobile = mobileCandidates(credit.payerContact);
+  if (mobile) {
+    const known = await Devotee.findOne({ where: { mobile: mobile.candidates } });
+    return known || findOrCreateLinkDevotee(credit.adminId, { mobile: mobile.local });
+  }
+
+  if (credit.payerVpa) {
+    const earlier = await UpiQrCredit.findOne({
+      where: {
+        adminId: credit.adminId,
+        payerVpa: credit.payerVpa,
+        donationId: { [Op.ne]: null },
+        id: { [Op.ne]: credit.id },
+      },
+      include: [{ model: Donation, as: 'donation', attributes: ['devoteeId'] }],
+      order: [['credited_at', 'DESC']],
+    });
+    if (earlier && earlier.donation) {
+      return Devotee.findByPk(earlier.donation.devoteeId);
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a credit into a Donation of the devotee and capture it: own receipt number, fees,
+ * event total and receipt by SMS / email, as for any gateway payment.
+ * @param {Object} credit - UpiQrCredit
+ * @param {Object} devotee
+ * @param {Object} options
+ * @param {string} options.status - UPI_QR_CREDIT_STATUS.MATCHED or ASSIGNED
+ * @param {number|null} [options.assignedById]
+ * @returns {Promise<Object>} The credit, with donationId set
+ */
+async function settleCredit(credit, devotee, { status, assignedById = null }) {
+  const donationId = await sequelize.transaction(async (t) => {
+    const locked = await UpiQrCredit.findByPk(credit.id, { transaction: t, lock: t.LOCK.UPDATE });
+    if (locked.donationId) {
+      if (assignedById) {
+        throw httpError('This credit has already been assigned.', 409);
+      }
+      return locked.donationId;
+    }
+
+    const event = locked.eventId
+      ? await Event.findByPk(locked.eventId, { attributes: ['id', 'eventType'], transaction: t })
+      : null;
+    const donation = await Donation.create(
+      {
+        ...contributionSource(devotee),
+        devoteeId: devotee.id,
+        adminId: locked.adminId,
+        eventId: event ? event.id : null,
+        amount: locked.amount,
+        gateway: locked.gateway,
+        razorpayOrderId: null,
+        status: DONATION_STATUS.PENDING,
+        donationType: event && event.eventType === EVENT_TYPES.CHARITY ? DONATION_TYPE.CHARITY : DONATION_TYPE.DONATION,
+      },
+      { transaction: t }
+    );
+    await locked.update(
+      { donationId: donation.id, status, assignedById, assignedAt: assignedById ? new Date() : null },
+      { transaction: t }
+    );
+    return donation.id;
+  });
+
+  await captureDonation(donationId, extractPaymentDetails(credit.payment));
+  return credit.reload();
+}
+
+/**
+ * Store a payment received on a QR code and turn it into a donation when the payer is known;
+ * otherwise it waits in the queue. Safe to call again for the same payment (webhook and poll
+ * both report it): a stored credit is only retried (matching, or a capture that did not finish).
+ * @param {Object} qrCode - UpiQrCode
+ * @param {Object} payment - Gateway payment entity
+ * @returns {Promise<{ credit: Object|null, created: boolean }>} credit null when the payment is not a credit
+ */
+async function ingestQrPayment(qrCode, payment) {
+  if (!payment || !payment.id || (payment.status !== 'captured' && payment.status !== 'authorized')) {
+    return { credit: null, created: false };
+  }
+
+  const details = extractPaymentDetails(payment);
+  const [credit, created] = await UpiQrCredit.findOrCreate({
+    where: { paymentId: payment.id },
+    defaults: {
+      qrCodeId: qrCode.id,
+      adminId: qrCode.adminId,
+      eventId: qrCode.eventId,
+      gateway: qrCode.gateway,
+      paymentId: payment.id,
+      amount: Number(payment.amount) / 100,
+      payerVpa: payment.vpa || null,
+      payerContact: payment.contact ? String(payment.contact).slice(0, 20) : null,
+      utr: details.utr,
+      creditedAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date(),
+      status: UPI_QR_CREDIT_STATUS.UNMATCHED,
+      payment,
+    },
+  });
+
+  if (credit.donationId) {
+    // The donation exists; finish its capture if an earlier attempt stopped half way.
+    await captureDonation(credit.donationId, extractPaymentDetails(credit.payment));
+    return { credit, created };
+  }
+
+  const devotee = await matchCreditDevotee(credit);
+  if (devotee) {
+    await settleCredit(credit, devotee, { status: UPI_QR_CREDIT_STATUS.MATCHED });
+  }
+  return { credit, created };
+}
+
+/**
+ * qr_code.credited webhook: store the credit on the QR code it was paid to.
+ * @param {Object} qrEntity - Gateway QR code entity
+ * @param {Object} payment - Gateway payment entity
+ * @returns {Promise<Object|null>} UpiQrCredit, or null for an unknown QR code
+ */
+async function applyQrCodeCredited(qrEntity, payment) {
+  const qrCode = await UpiQrCode.findOne({ where: { gatewayQrId: qrEntity.id } });
+  if (!qrCode) return null;
+  const { credit } = await ingestQrPayment(qrCode, payment);
+  return credit;
+}
+
+/**
+ * Poll the gateway for credits on QR codes, for when a webhook was missed. Looks back
+ * UPI_QR_POLL_OVERLAP_MINUTES before each code's previous poll and pages through every credit
+ * since then before moving the poll time on; credits already stored are only retried. Codes closed since their last poll are polled once more.
+ * Only one poll runs at a time per process.
+ * @param {Object} [options]
+ * @param {number} [options.adminId] - Only this organization's codes
+ * @returns {Promise<Object|null>} { qrCodes, credits, matched, unmatched, errors }, or null if a poll is running
+ */
+async function pollUpiQrCredits({ adminId } = {}) {
+  if (polling) return null;
+  polling = true;
+
+  try {
+    const where = {
+      [Op.or]: [
+        { isActive: true },
+        { closedAt: { [Op.gt]: sequelize.col('last_polled_at') } },
+        { isActive: false, lastPolledAt: null },
+      ],
+    };
+    if (adminId) where.adminId = adminId;
+    const qrCodes = await UpiQrCode.findAll({ where, order: [['id', 'ASC']] });
+
+    const summary = { qrCodes: qrCodes.length, credits: 0, matched: 0, unmatched: 0, errors: [] };
+    for (const qrCode of qrCodes) {
+      const startedAt = new Date();
+      try {
+        const since = qrCode.lastPolledAt
+          ? new Date(new Date(qrCode.lastPolledAt).getTime() - UPI_QR_POLL_OVERLAP_MINUTES * 60 * 1000)
+          : new Date(qrCode.get('created_at'));
+        // Page through every credit since `since`; a short page is the last one.
+        for (let skip = 0; ; ) {
+          const { items } = await getGateway(qrCode.gateway).fetchUpiQrPayments(qrCode.gatewayQrId, {
+            from: since,
+            count: UPI_QR_POLL_BATCH_SIZE,
+            skip,
+          });
+          for (const payment of items) {
+            const { credit, created } = await ingestQrPayment(qrCode, payment);
+            if (!credit || !created) continue;
+            summary.credits += 1;
+            await credit.reload();
+            if (credit.donationId) summary.matched += 1;
+            else summary.unmatched += 1;
+          }
+          if (items.length < UPI_QR_POLL_BATCH_SIZE) break;
+          skip += items.length;
+        }
+        await qrCode.update({ lastPolledAt: startedAt });
+      } catch (err) {
+        summary.errors.push({
+          qrCodeId: qrCode.id,
+          error: err.message || (err.error && err.error.description) || 'Unknown error',
+        });
+      }
+    }
+    return summary;
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Give a queued credit to the devotee with this mobile (found or created) and record the donation.
+ * @param {Object} credit - UpiQrCredit of the admin's organization
+ * @param {{ mobile: string, name?: string|null, email?: string|null, city?: string|null }} details
+ * @param {number} assignedById
+ * @returns {Promise<Object>} UpiQrCredit
+ */
+async function assignUpiCredit(credit, details, assignedById) {
+  if (credit.donationId) {
+    throw httpError('This credit has already been assigned.', 409);
+  }
+  const devotee = await findOrCreateLinkDevotee(credit.adminId, details);
+  return settleCredit(credit, devotee, { status: UPI_QR_CREDIT_STATUS.ASSIGNED, assignedById });
+}
+
+/**
+ * Simulate a UPI payment on a sandbox QR code and store it as the webhook would (QA only).
+ * @param {Object} qrCode - UpiQrCode
+ * @param {{ amountPaise: number, vpa: string|null, contact: string|null }} data
+ * @returns {Promise<Object>} UpiQrCredit
+ */
+async function simulateSandboxUpiCredit(qrCode, data) {
+  if (qrCode.gateway !== PAYMENT_GATEWAY.SANDBOX) {
+    throw httpError('Not found', 404);
+  }
+  const { payment } = await getGateway(PAYMENT_GATEWAY.SANDBOX).simulateUpiQrCredit(qrCode.gatewayQrId, data);
+  const { credit } = await ingestQrPayment(qrCode, payment);
+  return credit.reload();
+}
+
+/**
+ * Credits waiting for an admin to assign a devotee.
+ * @param {number} adminId
+ * @returns {Promise<{ credits: number, amount: number }>}
+ */
+async function getUnmatchedCreditTotal(adminId) {
+  const row = await UpiQrCredit.findOne({
+    where: { adminId, status: UPI_QR_CREDIT_STATUS.UNMATCHED },
+    attributes: [
+      [sequelize.fn('COUNT', sequelize.col('id')), 'credits'],
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('amount')), 0), 'amount'],
+    ],
+    raw: true,
+  });
+  return { credits: Number(row ? row.credits : 0), amount: parseFloat(row ? row.amount : 0) || 0 };
+}
+
+module.exports = {
+  createUpiQrCode,
+  closeUpiQrCode,
+  ingestQrPayment,
+  applyQrCodeCredited,
+  pollUpiQrCredits,
+  assignUpiCredit,
+  simulateSandboxUpiCredit,
+  getUnmatchedCreditTotal,
+};
@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Recurring pledges on the subscription mock (RAZORPAY_MOCK_SUBSCRIPTIONS=true): charges recorded
+ * once per payment, pause / resume / cancel and the mock charge endpoint, with the database
+ * replaced by in-memory rows.
+ */
+
+jest.mock('../models', () => {
+  const mockPledges = new Map();
+  const mockDonations = new Map();
+  const row = (values) => ({
+    ...values,
+    async update(changes) {
+      Object.assign(this, changes);
+      return this;
+    },
+    async reload() {
+      return this;
+    },
+  });
+  return {
+    mockPledges,
+    mockDonations,
+    mockRow: row,
+    DonationPledge: {
+      findOne: async ({ where }) => [...mockPledges.values()].find((p) => (where.razorpaySubscriptionId
+        ? p.razorpaySubscriptionId === where.razorpaySubscriptionId
+        : p.id === where.id && p.devoteeId === where.devoteeId)) || null,
+    },
+    Donation: {
+      findOne: async ({ where }) => [...mockDonations.values()]
+        .find((d) => d.razorpayPaymentId === where.razorpayPaymentId) || null,
+      create: async (values) => {
+        const created = row({ id: mockDonations.size + 1, receiptNumber: null, ...values });
+        mockDonations.set(created.id, created);
+        return created;
+      },
+    },
+    Devotee: { findByPk: async () => null },
+    User: {},
+    DevoteeFavorite: {},
+    Event: {},
+    sequelize: {
+      transaction: async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }),
+    },
+  };
+});
+jest.mock('../services/donationService', () => {
+  const models = require('../models');
+  return {
+    captureDonation: jest.fn(async (id) => {
+      const donation = models.mockDonations.get(id);
+      if (donation.status !== 'pending') return false;
+      await donation.update({ status: 'captured', receiptNumber: `R-${String(id).padStart(4, '0')}` });
+      return true;
+    }),
+    extractPaymentDetails: (payment) => ({ razorpayPaymentId: payment.id }),
+  };
+});
+
+const models = require('../models');
+const { captureDonation } = require('../services/donationService');
+const { recordPledgeCharge } = require('../services/pledgeService');
+const subscriptionMock = require('../services/razorpaySubscriptionMock');
+const {
+  pausePledge,
+  resumePledge,
+  cancelPledge,
+  mockChargePledge,
+} = require('../controllers/pledgeController');
+const { PLEDGE_STATUS } = require('../constants/pledge');
+const { DONATION_STATUS } = require('../constants/donation');
+
+function pledge(values = {}) {
+  const row = models.mockRow({
+    id: 1,
+    devoteeId: 3,
+    adminId: 7,
+    eventId: null,
+    amount: 501,
+    donationType: 'donation',
+    frequency: 'monthly',
+    gateway: 'razorpay',
+    status: PLEDGE_STATUS.ACTIVE,
+    totalCount: 12,
+    paidCount: 0,
+    razorpaySubscriptionId: 'sub_mock_1',
+    ...values,
+  });
+  models.mockPledges.set(row.id, row);
+  return row;
+}
+
+function call(handler, body = {}) {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    },
+  };
+  const next = jest.fn();
+  return handler({ params: { id: '1' }, devotee: { id: 3 }, body }, res, next).then(() => {
+    if (next.mock.calls.length > 0) throw next.mock.calls[0][0];
+    return res;
+  });
+}
+
+describe('recurring pledges on the subscription mock', () => {
+  const mockEnv = process.env.RAZORPAY_MOCK_SUBSCRIPTIONS;
+
+  beforeAll(() => {
+    process.env.RAZORPAY_MOCK_SUBSCRIPTIONS = 'true';
+  });
+
+  afterAll(() => {
+    if (mockEnv === undefined) delete process.env.RAZORPAY_MOCK_SUBSCRIPTIONS;
+    else process.env.RAZORPAY_MOCK_SUBSCRIPTIONS = mockEnv;
+  });
+
+  beforeEach(() => {
+    models.mockPledges.clear();
+    models.mockDonations.clear();
+    jest.clearAllMocks();
+  });
+
+  test('a charge delivered twice is recorded once', async () => {
+    const row = pledge();
+    const { subscription, payment } = subscriptionMock.buildCharge(row.razorpaySubscriptionId, 50100, 1);
+
+    const first = await recordPledgeCharge(subscription, payment);
+    const second = await recordPledgeCharge(subscription, payment);
+
+    expect(first.created).toBe(true);
+    expect(second.created).toBe(false);
+    expect(second.donation.id).toBe(first.donation.id);
+    expect(models.mockDonations.size).toBe(1);
+    expect(first.donation).toMatchObject({
+      pledgeId: 1,
+      razorpayPaymentId: payment.id,
+      status: DONATION_STATUS.CAPTURED,
+      amount: 501,
+    });
+    expect(row.paidCount).toBe(1);
+  });
+
+  test('a charge retried after a failed capture reuses its donation', async () => {
+    const row = pledge();
+    const { subscription, payment } = subscriptionMock.buildCharge(row.razorpaySubscriptionId, 50100, 1);
+    delete subscription.paid_count;
+    captureDonation.mockRejectedValueOnce(new Error('database went away'));
+
+    await expect(recordPledgeCharge(subscription, payment)).rejects.toThrow('database went away');
+    const [orphan] = models.mockDonations.values();
+    expect(orphan).toMatchObject({ status: DONATION_STATUS.PENDING, razorpayPaymentId: payment.id });
+    expect(orphan.razorpayOrderId).toBeUndefined();
+
+    const retried = await recordPledgeCharge(subscription, payment);
+    expect(retried.donation).toBe(orphan);
+    expect(retried.donation.status).toBe(DONATION_STATUS.CAPTURED);
+    expect(models.mockDonations.size).toBe(1);
+    expect(row.paidCount).toBe(1);
+  });
+
+  test('a charge for an unknown subscription is ignored', async () => {
+    const { subscription, payment } = subscriptionMock.buildCharge('sub_mock_unknown', 50100, 1);
+    expect(await recordPledgeCharge(subscription, payment)).toBeNull();
+    expect(models.mockDonations.size).toBe(0);
+  });
+
+  test('pause, resume and cancel a pledge', async () => {
+    const row = pledge();
+
+    const paused = await call(pausePledge);
+    expect(paused.statusCode).toBe(200);
+    expect(row.status).toBe(PLEDGE_STATUS.PAUSED);
+    expect(row.pausedAt).toBeInstanceOf(Date);
+    expect((await call(pausePledge)).statusCode).toBe(400);
+
+    const resumed = await call(resumePledge);
+    expect(resumed.statusCode).toBe(200);
+    expect(row).toMatchObject({ status: PLEDGE_STATUS.ACTIVE, pausedAt: null });
+    expect((await call(resumePledge)).statusCode).toBe(400);
+
+    const cancelled = await call(cancelPledge, { reason: 'Moving abroad' });
+    expect(cancelled.statusCode).toBe(200);
+    expect(row).toMatchObject({ status: PLEDGE_STATUS.CANCELLED, cancelReason: 'Moving abroad' });
+    expect((await call(cancelPledge)).statusCode).toBe(400);
+    expect((await call(resumePledge)).statusCode).toBe(400);
+  });
+
+  test('mock charges produce receipted donations until the pledge completes', async () => {
+    const row = pledge({ totalCount: 2 });
+
+    const first = await call(mockChargePledge);
+    expect(first.statusCode).toBe(201);
+    expect(first.body.data).toMatchObject({ donationId: 1, receiptNumber: 'R-0001' });
+    expect(row).toMatchObject({ paidCount: 1, status: PLEDGE_STATUS.ACTIVE });
+
+    const second = await call(mockChargePledge);
+    expect(second.body.data).toMatchObject({ donationId: 2, receiptNumber: 'R-0002' });
+    expect(row).toMatchObject({ paidCount: 2, status: PLEDGE_STATUS.COMPLETED });
+
+    expect((await call(mockChargePledge)).statusCode).toBe(400);
+    expect(models.mockDonations.size).toBe(2);
+  });
+
+  test('a paused pledge cannot be mock charged', async () => {
+    pledge({ status: PLEDGE_STATUS.PAUSED });
+    expect((await call(mockChargePledge)).statusCode).toBe(400);
+    expect(models.mockDonations.size).toBe(0);
+  });
+});
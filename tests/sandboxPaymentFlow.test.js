@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Sandbox gateway end to end: create order -> pay -> verify signature -> capture, with the
+ * database replaced by in-memory rows.
+ */
+
+jest.mock('../models', () => {
+  const mockDonations = new Map();
+  const mockLedger = [];
+  return {
+    mockDonations,
+    mockLedger,
+    Donation: {
+      findByPk: async (id) => mockDonations.get(id) || null,
+      findAll: async ({ where }) => [mockDonations.get(where.id)].filter(Boolean),
+    },
+    DonationBasket: { update: async () => [0] },
+    DonationRefund: {},
+    PlatformFeeConfig: { findAll: async () => [] },
+    LedgerEntry: {
+      findOne: async ({ where }) => mockLedger.find((e) => e.journalKey === where.journalKey) || null,
+      bulkCreate: async (rows) => {
+        mockLedger.push(...rows);
+        return rows;
+      },
+    },
+    sequelize: {
+      transaction: async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }),
+    },
+  };
+});
+jest.mock('../services/receiptService', () => ({
+  getNextReceiptNumberForAdmin: jest.fn(async () => 'R-0001'),
+  advanceReceiptCounterForAdmin: jest.fn(),
+}));
+jest.mock('../services/receiptNotificationService', () => ({ notifyDonationsCaptured: jest.fn() }));
+jest.mock('../services/settlementService', () => ({
+  transferCapturedDonations: jest.fn(),
+  reverseTransferForRefund: jest.fn(),
+}));
+
+const models = require('../models');
+const sandbox = require('../services/sandboxGatewayService');
+const { captureDonation, extractPaymentDetails } = require('../services/donationService');
+const { notifyDonationsCaptured } = require('../services/receiptNotificationService');
+const { DONATION_STATUS } = require('../constants/donation');
+const { SANDBOX_PAYMENT_OUTCOME } = require('../constants/paymentGateway');
+const { LEDGER_ACCOUNT } = require('../constants/ledger');
+
+function pendingDonation(id, orderId, amount) {
+  const row = {
+    id,
+    adminId: 7,
+    devoteeId: 3,
+    eventId: null,
+    basketId: null,
+    amount,
+    currency: 'INR',
+    status: DONATION_STATUS.PENDING,
+    donationType: 'donation',
+    gateway: 'sandbox',
+    razorpayOrderId: orderId,
+    razorpayPaymentId: null,
+    receiptNumber: null,
+    refundedAmount: 0,
+    async update(values) {
+      Object.assign(this, values);
+      return this;
+    },
+  };
+  models.mockDonations.set(id, row);
+  return row;
+}
+
+describe('sandbox payment flow', () => {
+  beforeEach(() => {
+    models.mockDonations.clear();
+    models.mockLedger.length = 0;
+    jest.clearAllMocks();
+  });
+
+  test('create order, pay, verify and capture a donation', async () => {
+    const order = await sandbox.createOrder(50000, 'rcpt_test');
+    expect(order).toMatchObject({ amount: 50000, currency: 'INR', keyId: 'rzp_sandbox' });
+    const donation = pendingDonation(1, order.orderId, 500);
+
+    const { payment, signature } = await sandbox.simulatePayment(order.orderId, {
+      outcome: SANDBOX_PAYMENT_OUTCOME.CAPTURED,
+      method: 'upi',
+    });
+    expect(sandbox.verifyPaymentSignature(order.orderId, payment.id, signature)).toBe(true);
+    expect(sandbox.verifyPaymentSignature(order.orderId, payment.id, 'forged')).toBe(false);
+
+    const fetched = await sandbox.fetchPayment(payment.id);
+    const captured = await captureDonation(donation.id, {
+      ...extractPaymentDetails(fetched),
+      razorpaySignature: signature,
+    });
+
+    expect(captured).toBe(true);
+    expect(donation).toMatchObject({
+      status: DONATION_STATUS.CAPTURED,
+      receiptNumber: 'R-0001',
+      razorpayPaymentId: payment.id,
+      paymentMethod: 'upi',
+      gatewayFee: 11.8,
+      platformFee: 0,
+      netAmount: 488.2,
+    });
+    expect(notifyDonationsCaptured).toHaveBeenCalledWith([donation.id]);
+
+    const income = models.mockLedger.find((e) => e.account === LEDGER_ACCOUNT.DONATION_INCOME);
+    expect(income).toMatchObject({ journalKey: 'capture:1', direction: 'credit', amountPaise: 50000 });
+  });
+
+  test('capturing again (verify after the webhook) changes nothing', async () => {
+    const order = await sandbox.createOrder(10000);
+    const donation = pendingDonation(2, order.orderId, 100);
+    const { payment } = await sandbox.simulatePayment(order.orderId);
+    const details = extractPaymentDetails(await sandbox.fetchPayment(payment.id));
+
+    expect(await captureDonation(donation.id, details)).toBe(true);
+    const posted = models.mockLedger.length;
+    expect(await captureDonation(donation.id, details)).toBe(false);
+    expect(models.mockLedger).toHaveLength(posted);
+    expect(notifyDonationsCaptured).toHaveBeenCalledTimes(1);
+  });
+
+  test('a declined payment has no signature to verify', async () => {
+    const order = await sandbox.createOrder(10000);
+    const { payment, signature } = await sandbox.simulatePayment(order.orderId, {
+      outcome: SANDBOX_PAYMENT_OUTCOME.FAILED,
+    });
+    expect(signature).toBeNull();
+    expect(sandbox.verifyPaymentSignature(order.orderId, payment.id, signature)).toBe(false);
+    expect(extractPaymentDetails(payment).gatewayFeePaise).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+  if (n < 20) return ONES[n];
+  const rest = n % 10;
+  return rest ? `${TENS[Math.floor(n / 10)]}-${ONES[rest]}` : TENS[Math.floor(n / 10)];
+}
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  const parts = [];
+  if (hundreds) parts.push(`${ONES[hundreds]} Hundred`);
+  if (rest) parts.push(belowHundred(rest));
+  return parts.join(' and ');
+}
+
+/**
+ * Whole number in Indian-English words using crore / lakh / thousand grouping.
+ * @param {number} n - Non-negative integer
+ * @returns {string} e.g. 125350 -> "One Lakh Twenty-Five Thousand Three Hundred and Fifty"
+ */
+function numberToIndianWords(n) {
+  if (n === 0) return 'Zero';
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  const parts = [];
+  if (crore) parts.push(`${numberToIndianWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) {
+    // "One Thousand and Five", as written on Indian cheques and receipts.
+    parts.push(parts.length && rest < 100 ? `and ${belowHundred(rest)}` : belowThousand(rest));
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Rupee amount in words for receipts.
+ * @param {number|string} rupees
+ * @returns {string} e.g. 1501.5 -> "Rupees One Thousand Five Hundred and One and Fifty Paise Only"
+ */
+function amountInWords(rupees) {
+  const totalPaise = Math.round(Number(rupees || 0) * 100);
+  const whole = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  let words = `Rupees ${numberToIndianWords(whole)}`;
+  if (paise) {
+    words += ` and ${belowHundred(paise)} Paise`;
+  }
+  return `${words} Only`;
+}
+
+module.exports = {
+  numberToIndianWords,
+  amountInWords,
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Quote a cell when needed. Text starting with =, +, -, @, a tab or CR is prefixed with ' so
+ * spreadsheet apps do not run it as a formula (names and addresses come from donors).
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Build RFC 4180 CSV text.
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(headers, rows) {
+  return [headers, ...rows].map((row) => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse RFC 4180 CSV text (quoted fields, escaped quotes, CRLF or LF line ends) into rows of cells.
+ * A leading byte order mark is ignored; blank lines are skipped.
+ * @param {string} text
+ * @returns {{ rows: string[][], error: string|null }} error is set for an unterminated quoted field
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) return { rows, error: 'Unterminated quoted field.' };
+  row.push(cell);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return { rows, error: null };
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Date helpers for India Standard Time (UTC+05:30), which organizations use for
+ * "today", ritual days and financial years regardless of server timezone.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {string} value
+ * @returns {boolean} true for a real calendar date in YYYY-MM-DD form
+ */
+function isValidDateOnly(value) {
+  if (typeof value !== 'string' || !DATE_ONLY_REGEX.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Calendar date in IST as YYYY-MM-DD.
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+function toIstDateOnly(date = new Date()) {
+  return new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Start (inclusive) and end (exclusive) instants of an IST calendar day.
+ * @param {string} dateOnly - YYYY-MM-DD
+ * @returns {{ start: Date, end: Date }}
+ */
+function istDayRange(dateOnly) {
+  const start = new Date(`${dateOnly}T00:00:00+05:30`);
+  return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+}
+
+/**
+ * Indian financial year (April-March) containing a date, as "2025-26".
+ * @param {Date} [date=new Date()]
+ * @returns {string}
+ */
+function financialYearOf(date = new Date()) {
+  const [year, month] = toIstDateOnly(date).split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Parse "2025-26" (or "2025") into the IST instants bounding that financial year.
+ * @param {string} fy
+ * @returns {{ label: string, startYear: number, start: Date, end: Date }|null} null if malformed
+ */
+function financialYearRange(fy) {
+  const match = /^(\d{4})(?:-(\d{2}))?$/.exec(String(fy || '').trim());
+  if (!match) return null;
+  const startYear = Number(match[1]);
+  const label = `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  if (match[2] && `${match[1]}-${match[2]}` !== label) return null;
+  return {
+    label,
+    startYear,
+    start: istDayRange(`${startYear}-04-01`).start,
+    end: istDayRange(`${startYear + 1}-04-01`).start,
+  };
+}
+
+module.exports = {
+  isValidDateOnly,
+  toIstDateOnly,
+  istDayRange,
+  financialYearOf,
+  financialYearRange,
+};
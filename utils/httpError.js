@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Create an Error carrying an HTTP status code for the global error handler.
+ * Used by services that cannot call utils/response directly.
+ * @param {string} message
+ * @param {number} statusCode
+ * @returns {Error}
+ */
+function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+module.exports = { httpError };
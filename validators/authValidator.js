@@ -20,6 +20,43 @@ const ADDRESS_MAX_LENGTH = 500;
 const PHONE_MAX_LENGTH = 20;
 const PAN_MAX_LENGTH = 20;
 const REG_80G_MAX_LENGTH = 100;
+const FCRA_BANK_NAME_MAX_LENGTH = 100;
+
+/** FCRA details of an organization: format and message per field. All optional and clearable. */
+const FCRA_FIELDS = [
+  {
+    key: 'fcraRegistrationNumber',
+    regex: /^[0-9A-Z/-]{6,30}$/,
+    message: 'FCRA registration number must be 6-30 letters, digits, / or -.',
+  },
+  { key: 'fcraAccountNumber', regex: /^\d{9,18}$/, message: 'FCRA account number must be 9-18 digits.' },
+  { key: 'fcraIfsc', regex: /^[A-Z]{4}0[A-Z0-9]{6}$/, message: 'Invalid FCRA account IFSC. Example: SBIN0000691.' },
+];
+
+/**
+ * Validate the FCRA fields present in a body. Empty values clear the field.
+ * @returns {{ errors: string[], data: Object }}
+ */
+function validateFcraDetails(body) {
+  const errors = [];
+  const data = {};
+  FCRA_FIELDS.forEach(({ key, regex, message }) => {
+    if (body[key] === undefined) return;
+    const value = body[key] === null ? '' : String(body[key]).trim().toUpperCase();
+    if (!value) data[key] = null;
+    else if (!regex.test(value)) errors.push(message);
+    else data[key] = value;
+  });
+  if (body.fcraBankName !== undefined) {
+    const value = body.fcraBankName === null ? '' : String(body.fcraBankName).trim();
+    if (value.length > FCRA_BANK_NAME_MAX_LENGTH) {
+      errors.push(`FCRA bank name must be at most ${FCRA_BANK_NAME_MAX_LENGTH} characters.`);
+    } else {
+      data.fcraBankName = value || null;
+    }
+  }
+  return { errors, data };
+}
 
 function validatePanNumber(pan, required = true) {
   if (!pan || typeof pan !== 'string') {
@@ -282,6 +319,8 @@ function validateCreateAdmin(body) {
   if (!panResult.valid) errors.push(panResult.message);
   const reg80gResult = validate80GRegistrationNumber(body.registration80GNumber, true);
   if (!reg80gResult.valid) errors.push(reg80gResult.message);
+  const fcraResult = validateFcraDetails(body);
+  errors.push(...fcraResult.errors);
 
   let lat = null;
   let long = null;
@@ -316,6 +355,7 @@ function validateCreateAdmin(body) {
       longitude: long,
       panNumber: panResult.value,
       registration80GNumber: reg80gResult.value,
+      ...fcraResult.data,
     },
   };
 }
@@ -458,6 +498,9 @@ function validateAdminUpdateBySuperAdmin(body) {
     if (!r.valid) errors.push(r.message);
     else data.registration80GNumber = r.value;
   }
+  const fcraResult = validateFcraDetails(body);
+  errors.push(...fcraResult.errors);
+  Object.assign(data, fcraResult.data);
 
   if (errors.length > 0) return { valid: false, errors };
   return { valid: true, data };
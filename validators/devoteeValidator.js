@@ -1,8 +1,19 @@
 'use strict';
 
 const { ORGANIZATION_TYPES_LIST } = require('../constants/roles');
+const {
+  DEDICATION_OCCASION,
+  DEDICATION_OCCASION_LIST,
+  OFFLINE_PAYMENT_METHOD,
+  OFFLINE_PAYMENT_METHOD_LIST,
+} = require('../constants/donation');
+const { DEVOTEE_RESIDENCY_LIST, DOMESTIC_CURRENCY } = require('../constants/fcra');
+const { RECEIPT_NUMBER_MAX_LENGTH } = require('../constants/receipt');
+const { isValidDateOnly, toIstDateOnly } = require('../utils/date');
+const { validateOfflinePayment } = require('./donationValidator');
 
 const MAX_FAVORITES = 5;
+const MAX_BASKET_LINES = 10;
 
 const MOBILE_REGEX = /^[+]?[\d\s()-]{10,20}$/;
 const OTP_REGEX = /^\d{4}$/;
@@ -10,6 +21,9 @@ const NAME_MAX_LENGTH = 255;
 const EMAIL_MAX_LENGTH = 255;
 const CITY_MAX_LENGTH = 100;
 const PAN_MAX_LENGTH = 20;
+const RECEIPT_NUMBER_REGEX = new RegExp(`^[A-Za-z0-9/-]{1,${RECEIPT_NUMBER_MAX_LENGTH}}$`);
+const COUNTRY_CODE_REGEX = /^[A-Z]{2}$/;
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
 
 function validateMobile(mobile) {
   if (!mobile || typeof mobile !== 'string') {
@@ -155,17 +169,44 @@ function validateVerifyOtp(body) {
   };
 }
 
+function validateResidency(residency) {
+  if (residency === undefined || residency === null || residency === '') {
+    return { valid: true, value: null };
+  }
+  const value = String(residency).toLowerCase().trim();
+  if (!DEVOTEE_RESIDENCY_LIST.includes(value)) {
+    return { valid: false, message: `residency must be one of: ${DEVOTEE_RESIDENCY_LIST.join(', ')}.` };
+  }
+  return { valid: true, value };
+}
+
+/** Citizenship as an ISO 3166-1 alpha-2 code (IN, US, GB, ...). */
+function validateNationality(nationality) {
+  if (nationality === undefined || nationality === null || nationality === '') {
+    return { valid: true, value: null };
+  }
+  const value = String(nationality).toUpperCase().trim();
+  if (!COUNTRY_CODE_REGEX.test(value)) {
+    return { valid: false, message: 'nationality must be a 2-letter country code (e.g. IN, US, GB).' };
+  }
+  return { valid: true, value };
+}
+
 function validateDevoteeDetails(body) {
   const errors = [];
   const nameResult = validateName(body?.name, false);
   const emailResult = validateEmail(body?.email);
   const cityResult = validateCity(body?.city);
   const panResult = validatePanNumber(body?.panNumber, false);
+  const residencyResult = validateResidency(body?.residency);
+  const nationalityResult = validateNationality(body?.nationality);
 
   if (!nameResult.valid) errors.push(nameResult.message);
   if (!emailResult.valid) errors.push(emailResult.message);
   if (!cityResult.valid) errors.push(cityResult.message);
   if (!panResult.valid) errors.push(panResult.message);
+  if (!residencyResult.valid) errors.push(residencyResult.message);
+  if (!nationalityResult.valid) errors.push(nationalityResult.message);
 
   if (errors.length > 0) {
     return { valid: false, errors };
@@ -176,6 +217,8 @@ function validateDevoteeDetails(body) {
   if (emailResult.value != null) data.email = emailResult.value;
   if (cityResult.value != null) data.city = cityResult.value;
   if (panResult.value != null) data.panNumber = panResult.value;
+  if (residencyResult.value != null) data.residency = residencyResult.value;
+  if (nationalityResult.value != null) data.nationality = nationalityResult.value;
 
   return { valid: true, data };
 }
@@ -188,12 +231,74 @@ function validateSetFavorites(body) {
   return { valid: true, data: { adminIds: adminResult.value } };
 }
 
+/** Add one organization to favorites: { adminId } */
+function validateAddFavorite(body) {
+  const adminId = Number(body?.adminId);
+  if (!Number.isInteger(adminId) || adminId <= 0) {
+    return { valid: false, errors: ['Valid adminId (organization) is required.'] };
+  }
+  return { valid: true, data: { adminId } };
+}
+
+/**
+ * Optional dedication: { honoreeName, relation?, occasion?, date? (YYYY-MM-DD), message?, printOnReceipt? }.
+ * Returns Donation attributes, or null when no dedication is given.
+ */
+function validateDedication(dedication) {
+  if (dedication === undefined || dedication === null || dedication === '') {
+    return { valid: true, value: null };
+  }
+  if (typeof dedication !== 'object' || Array.isArray(dedication)) {
+    return { valid: false, message: 'dedication must be an object.' };
+  }
+
+  const honoreeName = dedication.honoreeName != null ? String(dedication.honoreeName).trim() : '';
+  const relation = dedication.relation != null ? String(dedication.relation).trim() : '';
+  const occasion = dedication.occasion != null ? String(dedication.occasion).toLowerCase().trim() : '';
+  const message = dedication.message != null ? String(dedication.message).trim() : '';
+  const date = dedication.date != null && dedication.date !== '' ? String(dedication.date).trim() : null;
+
+  if (!honoreeName) {
+    return { valid: false, message: 'Dedication honoree name is required.' };
+  }
+  if (honoreeName.length > 100) {
+    return { valid: false, message: 'Honoree name must be at most 100 characters.' };
+  }
+  if (relation.length > 50) {
+    return { valid: false, message: 'Honoree relation must be at most 50 characters.' };
+  }
+  if (occasion && !DEDICATION_OCCASION_LIST.includes(occasion)) {
+    return { valid: false, message: `Dedication occasion must be one of: ${DEDICATION_OCCASION_LIST.join(', ')}.` };
+  }
+  if (date && !isValidDateOnly(date)) {
+    return { valid: false, message: 'Dedication date must be in YYYY-MM-DD format.' };
+  }
+  if (message.length > 500) {
+    return { valid: false, message: 'Dedication message must be at most 500 characters.' };
+  }
+
+  return {
+    valid: true,
+    value: {
+      honoreeName,
+      honoreeRelation: relation || null,
+      dedicationOccasion: occasion || DEDICATION_OCCASION.OTHER,
+      dedicationDate: date,
+      dedicationMessage: message || null,
+      printDedicationOnReceipt: dedication.printOnReceipt === true || dedication.printOnReceipt === 'true',
+    },
+  };
+}
+
 function validateCreateDonation(body) {
   const errors = [];
   const adminId = body.adminId;
   const eventId = body.eventId;
   const amount = body.amount;
   const type = body.type;
+  const currency = body.currency === undefined || body.currency === null || body.currency === ''
+    ? DOMESTIC_CURRENCY
+    : String(body.currency).toUpperCase().trim();
 
   if (!adminId || !Number.isInteger(Number(adminId)) || Number(adminId) <= 0) {
     errors.push('Valid adminId (organization) is required.');
@@ -215,6 +320,13 @@ function validateCreateDonation(body) {
   } else if (amountNum > 1000000) {
     errors.push('Amount exceeds maximum allowed.');
   }
+  if (!CURRENCY_CODE_REGEX.test(currency)) {
+    errors.push('currency must be a 3-letter currency code (e.g. INR, USD).');
+  }
+  const dedicationResult = validateDedication(body.dedication);
+  if (!dedicationResult.valid) {
+    errors.push(dedicationResult.message);
+  }
 
   if (errors.length > 0) return { valid: false, errors };
 
@@ -238,12 +350,56 @@ function validateCreateDonation(body) {
     data: {
       adminId: Number(adminId),
       eventId: eventIdNum,
-      amountRupees: Math.floor(amountNum * 100) / 100,
+      currency,
+      amountRupees: currency === DOMESTIC_CURRENCY ? Math.floor(amountNum * 100) / 100 : null,
+      currencyAmount: currency === DOMESTIC_CURRENCY ? null : Math.floor(amountNum * 100) / 100,
       donationType: normalizedType,
+      dedication: dedicationResult.value,
     },
   };
 }
 
+/**
+ * Basket checkout: { lines: [{ adminId, amount, eventId?, type?, dedication? }] }.
+ * Each line is validated like a single donation; one organization/event pair per line.
+ */
+function validateCreateBasket(body) {
+  const lines = body?.lines;
+  if (!Array.isArray(lines) || lines.length === 0 || lines.length > MAX_BASKET_LINES) {
+    return { valid: false, errors: [`lines must be an array of 1 to ${MAX_BASKET_LINES} donations.`] };
+  }
+
+  const errors = [];
+  const data = [];
+  const seen = new Set();
+  lines.forEach((line, index) => {
+    const result = validateCreateDonation(line && typeof line === 'object' ? line : {});
+    if (!result.valid) {
+      result.errors.forEach((msg) => errors.push(`Line ${index + 1}: ${msg}`));
+      return;
+    }
+    if (result.data.currency !== DOMESTIC_CURRENCY) {
+      errors.push(`Line ${index + 1}: basket donations are in INR only.`);
+      return;
+    }
+    const key = `${result.data.adminId}:${result.data.eventId || ''}`;
+    if (seen.has(key)) {
+      errors.push(`Line ${index + 1}: duplicates another line for the same organization and event.`);
+      return;
+    }
+    seen.add(key);
+    data.push(result.data);
+  });
+
+  if (errors.length > 0) return { valid: false, errors };
+
+  const totalPaise = data.reduce((sum, line) => sum + Math.round(line.amountRupees * 100), 0);
+  if (totalPaise > 1000000 * 100) {
+    return { valid: false, errors: ['Basket total exceeds maximum allowed.'] };
+  }
+  return { valid: true, data: { lines: data, totalPaise } };
+}
+
 function validateVerifyDonation(body) {
   const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = body;
   const errors = [];
@@ -267,6 +423,141 @@ function validateVerifyDonation(body) {
   };
 }
 
+function validateOfflineAmount(value) {
+  const amount = Number(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(amount)) {
+    return { valid: false, message: 'Amount is required.' };
+  }
+  if (amount <= 0) return { valid: false, message: 'Amount must be positive.' };
+  if (amount > 1000000) return { valid: false, message: 'Amount exceeds maximum allowed.' };
+  if (Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+    return { valid: false, message: 'Amount can have at most 2 decimals.' };
+  }
+  return { valid: true, value: amount };
+}
+
+function validateOptionalEventId(value) {
+  if (value === undefined || value === null || value === '') return { valid: true, value: null };
+  const eventId = Number(value);
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return { valid: false, message: 'eventId must be a positive integer.' };
+  }
+  return { valid: true, value: eventId };
+}
+
+/** Mobile (required), name, email and city of a devotee an organization records a donation for. */
+function validateOfflineDevotee(body, errors) {
+  const mobileResult = validateMobile(body?.mobile);
+  const nameResult = validateName(body?.name, false);
+  const emailResult = validateEmail(body?.email);
+  const cityResult = validateCity(body?.city);
+
+  if (!mobileResult.valid) errors.push(mobileResult.message);
+  if (!nameResult.valid) errors.push(nameResult.message);
+  if (!emailResult.valid) errors.push(emailResult.message);
+  if (!cityResult.valid) errors.push(cityResult.message);
+
+  return {
+    mobile: mobileResult.value,
+    name: nameResult.value,
+    email: emailResult.value,
+    city: cityResult.value,
+  };
+}
+
+/**
+ * Offline (walk-in) donation recorded by an organization:
+ * { mobile, name?, email?, city?, amount, eventId?, paymentMethod?, instrument?, dedication? }.
+ * data.devotee holds the details to find or create the devotee by; the rest are Donation inputs.
+ */
+function validateWalkInDonation(body) {
+  const errors = [];
+  const devotee = validateOfflineDevotee(body, errors);
+  const amountResult = validateOfflineAmount(body?.amount);
+  const eventResult = validateOptionalEventId(body?.eventId);
+  const paymentResult = validateOfflinePayment(body?.paymentMethod, body?.instrument);
+  const dedicationResult = validateDedication(body?.dedication);
+
+  if (!amountResult.valid) errors.push(amountResult.message);
+  if (!eventResult.valid) errors.push(eventResult.message);
+  if (!paymentResult.valid) errors.push(paymentResult.message);
+  if (!dedicationResult.valid) errors.push(dedicationResult.message);
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: {
+      devotee,
+      amount: amountResult.value,
+      eventId: eventResult.value,
+      paymentMethod: paymentResult.value.paymentMethod,
+      instrument: paymentResult.value.instrument,
+      dedication: dedicationResult.value,
+    },
+  };
+}
+
+/** YYYY-MM-DD or DD/MM/YYYY (as written in most registers) to YYYY-MM-DD; null if neither. */
+function parseRegisterDate(value) {
+  const trimmed = String(value || '').trim();
+  const dmy = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(trimmed);
+  const date = dmy ? `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}` : trimmed;
+  return isValidDateOnly(date) ? date : null;
+}
+
+/**
+ * One row of a donation register import, cells keyed by column:
+ * { mobile, name?, email?, city?, amount, date, payment_method?, event_id?, receipt_number?, reference? }.
+ * date is YYYY-MM-DD or DD/MM/YYYY and not in the future. Rows are money already received, so
+ * cheques are not checked for validity; reference is the cheque / DD / transfer number if known.
+ */
+function validateDonationImportRow(row) {
+  const errors = [];
+  const devotee = validateOfflineDevotee(row, errors);
+  const amountResult = validateOfflineAmount(
+    row?.amount != null ? String(row.amount).replace(/[,\s]/g, '').replace(/^(Rs\.?|₹)/i, '') : row?.amount
+  );
+  const eventResult = validateOptionalEventId(row?.event_id);
+  if (!amountResult.valid) errors.push(amountResult.message);
+  if (!eventResult.valid) errors.push(eventResult.message);
+
+  const date = parseRegisterDate(row?.date);
+  if (!date) {
+    errors.push('Date must be in YYYY-MM-DD or DD/MM/YYYY format.');
+  } else if (date > toIstDateOnly()) {
+    errors.push('Date cannot be in the future.');
+  }
+
+  const paymentMethod = row?.payment_method ? String(row.payment_method).toLowerCase().trim() : OFFLINE_PAYMENT_METHOD.CASH;
+  if (!OFFLINE_PAYMENT_METHOD_LIST.includes(paymentMethod)) {
+    errors.push(`payment_method must be one of: ${OFFLINE_PAYMENT_METHOD_LIST.join(', ')}.`);
+  }
+
+  const receiptNumber = row?.receipt_number ? String(row.receipt_number).trim() : null;
+  if (receiptNumber && !RECEIPT_NUMBER_REGEX.test(receiptNumber)) {
+    errors.push(`receipt_number must be at most ${RECEIPT_NUMBER_MAX_LENGTH} letters, digits, "/" or "-".`);
+  }
+
+  const reference = row?.reference ? String(row.reference).trim() : null;
+  if (reference && reference.length > 50) {
+    errors.push('reference must be at most 50 characters.');
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: {
+      devotee,
+      amount: amountResult.value,
+      date,
+      paymentMethod,
+      eventId: eventResult.value,
+      receiptNumber,
+      reference,
+    },
+  };
+}
+
 module.exports = {
   validateMobile,
   validateOtp,
@@ -277,7 +568,14 @@ module.exports = {
   validateVerifyOtp,
   validateDevoteeDetails,
   validateSetFavorites,
+  validateAddFavorite,
+  validateDedication,
   validateCreateDonation,
+  validateCreateBasket,
   validateVerifyDonation,
   validatePanNumber,
+  validateOptionalEventId,
+  validateOfflineDevotee,
+  validateWalkInDonation,
+  validateDonationImportRow,
 };
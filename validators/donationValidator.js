@@ -0,0 +1,166 @@
+'use strict';
+
+const { SANDBOX_PAYMENT_OUTCOME, SANDBOX_PAYMENT_OUTCOME_LIST } = require('../constants/paymentGateway');
+const {
+  OFFLINE_PAYMENT_METHOD,
+  OFFLINE_PAYMENT_METHOD_LIST,
+  INSTRUMENT_PAYMENT_METHODS,
+  INSTRUMENT_STATUS,
+  INSTRUMENT_STATUS_LIST,
+} = require('../constants/donation');
+const { isValidDateOnly, toIstDateOnly } = require('../utils/date');
+
+const REASON_MAX_LENGTH = 500;
+const MAX_AMOUNT = 1000000;
+const SANDBOX_METHODS = ['upi', 'card', 'netbanking', 'wallet'];
+
+function validateReason(reason) {
+  const trimmed = reason !== undefined && reason !== null ? String(reason).trim() : '';
+  if (!trimmed.length) {
+    return { valid: false, message: 'Reason is required.' };
+  }
+  if (trimmed.length > REASON_MAX_LENGTH) {
+    return { valid: false, message: `Reason must be at most ${REASON_MAX_LENGTH} characters.` };
+  }
+  return { valid: true, value: trimmed };
+}
+
+function validateOptionalAmount(amount) {
+  if (amount === undefined || amount === null || amount === '') {
+    return { valid: true, value: null };
+  }
+  const num = Number(amount);
+  if ((typeof amount !== 'number' && typeof amount !== 'string') || isNaN(num)) {
+    return { valid: false, message: 'Amount must be a number.' };
+  }
+  if (num <= 0) {
+    return { valid: false, message: 'Amount must be positive.' };
+  }
+  if (num > MAX_AMOUNT) {
+    return { valid: false, message: 'Amount exceeds maximum allowed.' };
+  }
+  return { valid: true, value: Math.floor(num * 100) / 100 };
+}
+
+/** Admin refund: { amount? (rupees, default full remaining), reason } */
+function validateRefundDonation(body) {
+  const errors = [];
+  const amountResult = validateOptionalAmount(body?.amount);
+  const reasonResult = validateReason(body?.reason);
+
+  if (!amountResult.valid) errors.push(amountResult.message);
+  if (!reasonResult.valid) errors.push(reasonResult.message);
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: {
+      amountRupees: amountResult.value,
+      reason: reasonResult.value,
+    },
+  };
+}
+
+/** Sandbox checkout: { outcome? (default captured), method? (default upi) } */
+function validateSandboxPayment(body) {
+  const errors = [];
+  const outcome = body?.outcome || SANDBOX_PAYMENT_OUTCOME.CAPTURED;
+  const method = body?.method || 'upi';
+
+  if (!SANDBOX_PAYMENT_OUTCOME_LIST.includes(outcome)) {
+    errors.push(`Outcome must be one of: ${SANDBOX_PAYMENT_OUTCOME_LIST.join(', ')}.`);
+  }
+  if (!SANDBOX_METHODS.includes(method)) {
+    errors.push(`Method must be one of: ${SANDBOX_METHODS.join(', ')}.`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { outcome, method } };
+}
+
+/** Cheques and drafts are valid for 3 months from the date written on them. */
+function isStaleInstrument(dateOnly) {
+  const expiry = new Date(`${dateOnly}T00:00:00Z`);
+  expiry.setUTCMonth(expiry.getUTCMonth() + 3);
+  return expiry.toISOString().slice(0, 10) < toIstDateOnly();
+}
+
+/**
+ * Offline payment: paymentMethod (default cash) and, for cheque / dd / bank_transfer,
+ * instrument: { number, bank, date (YYYY-MM-DD) }. bank is optional for bank transfers,
+ * whose number is the transfer reference (UTR).
+ * Returns { paymentMethod, instrument } where instrument holds Donation attributes or null.
+ */
+function validateOfflinePayment(paymentMethod, instrument) {
+  const method = paymentMethod ? String(paymentMethod).toLowerCase().trim() : OFFLINE_PAYMENT_METHOD.CASH;
+  if (!OFFLINE_PAYMENT_METHOD_LIST.includes(method)) {
+    return { valid: false, message: `paymentMethod must be one of: ${OFFLINE_PAYMENT_METHOD_LIST.join(', ')}.` };
+  }
+  if (!INSTRUMENT_PAYMENT_METHODS.includes(method)) {
+    return { valid: true, value: { paymentMethod: method, instrument: null } };
+  }
+
+  if (!instrument || typeof instrument !== 'object' || Array.isArray(instrument)) {
+    return { valid: false, message: `instrument { number, bank, date } is required for ${method}.` };
+  }
+  const number = instrument.number != null ? String(instrument.number).trim() : '';
+  const bank = instrument.bank != null ? String(instrument.bank).trim() : '';
+  const date = instrument.date != null ? String(instrument.date).trim() : '';
+  const isTransfer = method === OFFLINE_PAYMENT_METHOD.BANK_TRANSFER;
+
+  if (!number || number.length > 50) {
+    return { valid: false, message: 'Instrument number is required (max 50 characters).' };
+  }
+  if (!isTransfer && !bank) {
+    return { valid: false, message: 'Instrument bank is required.' };
+  }
+  if (bank.length > 100) {
+    return { valid: false, message: 'Instrument bank must be at most 100 characters.' };
+  }
+  if (!isValidDateOnly(date)) {
+    return { valid: false, message: 'Instrument date must be in YYYY-MM-DD format.' };
+  }
+  if (!isTransfer && isStaleInstrument(date)) {
+    return { valid: false, message: 'Instrument is older than 3 months and can no longer be presented.' };
+  }
+
+  return {
+    valid: true,
+    value: {
+      paymentMethod: method,
+      instrument: {
+        instrumentNumber: number,
+        instrumentBank: bank || null,
+        instrumentDate: date,
+      },
+    },
+  };
+}
+
+/** Instrument clearance update: { status, reason? } — reason is required for bounced. */
+function validateInstrumentStatus(body) {
+  const errors = [];
+  const status = body?.status ? String(body.status).toLowerCase().trim() : '';
+  let reason = null;
+
+  if (!INSTRUMENT_STATUS_LIST.includes(status) || status === INSTRUMENT_STATUS.RECEIVED) {
+    errors.push(`Status must be one of: ${INSTRUMENT_STATUS_LIST.filter((s) => s !== INSTRUMENT_STATUS.RECEIVED).join(', ')}.`);
+  }
+  if (status === INSTRUMENT_STATUS.BOUNCED) {
+    const reasonResult = validateReason(body?.reason);
+    if (!reasonResult.valid) errors.push(reasonResult.message);
+    else reason = reasonResult.value;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { status, reason } };
+}
+
+module.exports = {
+  validateReason,
+  validateOptionalAmount,
+  validateRefundDonation,
+  validateSandboxPayment,
+  validateOfflinePayment,
+  validateInstrumentStatus,
+};
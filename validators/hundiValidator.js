@@ -0,0 +1,251 @@
+'use strict';
+
+const { HUNDI_DENOMINATIONS } = require('../constants/hundi');
+const { validateMobile, validateName, validateOtp } = require('./devoteeValidator');
+
+const BOX_NAME_MAX_LENGTH = 100;
+const LOCATION_MAX_LENGTH = 200;
+const NOTES_MAX_LENGTH = 500;
+const DESCRIPTION_MAX_LENGTH = 200;
+const MAX_PIECES = 10000000;
+const MAX_VALUE = 100000000;
+const MAX_FOREIGN_LINES = 20;
+const MAX_VALUABLE_LINES = 50;
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function hasAtMostDecimals(n, places) {
+  const scale = 10 ** places;
+  return Math.abs(Math.round(n * scale) - n * scale) < 1e-6;
+}
+
+/** Optional non-negative number with at most `places` decimals: null when blank, undefined when invalid. */
+function optionalNumber(value, places) {
+  if (isBlank(value)) return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 && n <= MAX_VALUE && hasAtMostDecimals(n, places) ? n : undefined;
+}
+
+/** Optional trimmed string: null when blank, undefined when too long. */
+function optionalText(value, maxLength) {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  return text.length > maxLength ? undefined : text;
+}
+
+/**
+ * Hundi box: { name, location?, isActive? }. With partial, only the fields present are checked
+ * and returned (for updates).
+ */
+function validateHundiBox(body, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = body?.name != null ? String(body.name).trim() : '';
+    if (!name || name.length > BOX_NAME_MAX_LENGTH) {
+      errors.push(`Box name is required (max ${BOX_NAME_MAX_LENGTH} characters).`);
+    } else {
+      data.name = name;
+    }
+  }
+  if (body?.location !== undefined) {
+    const location = optionalText(body.location, LOCATION_MAX_LENGTH);
+    if (location === undefined) errors.push(`location must be at most ${LOCATION_MAX_LENGTH} characters.`);
+    else data.location = location;
+  }
+  if (body?.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') errors.push('isActive must be true or false.');
+    else data.isActive = body.isActive;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  if (partial && Object.keys(data).length === 0) {
+    return { valid: false, errors: ['Nothing to update.'] };
+  }
+  return { valid: true, data };
+}
+
+/**
+ * { "2000": 3, "500": 12, ... } - pieces per denomination; missing denominations count as 0.
+ * Returns the counts for every denomination and the cash total in Rupees.
+ */
+function validateDenominations(value, errors) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`denominations must be an object of pieces per denomination (${HUNDI_DENOMINATIONS.join(', ')}).`);
+    return null;
+  }
+  const unknown = Object.keys(value).filter((key) => !HUNDI_DENOMINATIONS.includes(Number(key)));
+  if (unknown.length > 0) {
+    errors.push(`Unknown denomination(s): ${unknown.join(', ')}. Allowed: ${HUNDI_DENOMINATIONS.join(', ')}.`);
+    return null;
+  }
+
+  const counts = {};
+  let total = 0;
+  for (const denomination of HUNDI_DENOMINATIONS) {
+    const raw = value[String(denomination)];
+    const pieces = isBlank(raw) ? 0 : Number(raw);
+    if (!Number.isInteger(pieces) || pieces < 0 || pieces > MAX_PIECES) {
+      errors.push(`denominations.${denomination} must be a whole number of pieces from 0 to ${MAX_PIECES}.`);
+      return null;
+    }
+    counts[denomination] = pieces;
+    total += denomination * pieces;
+  }
+  return { counts, total };
+}
+
+/** [{ currency: 'USD', amount }] - foreign cash as counted, in its own currency. */
+function validateForeignCurrency(value, errors) {
+  if (isBlank(value)) return [];
+  if (!Array.isArray(value) || value.length > MAX_FOREIGN_LINES) {
+    errors.push(`foreignCurrency must be an array of at most ${MAX_FOREIGN_LINES} entries.`);
+    return null;
+  }
+  const lines = [];
+  value.forEach((line, i) => {
+    const currency = line?.currency != null ? String(line.currency).trim().toUpperCase() : '';
+    const amount = optionalNumber(line?.amount, 2);
+    if (!CURRENCY_REGEX.test(currency) || currency === 'INR') {
+      errors.push(`foreignCurrency[${i}].currency must be a 3-letter currency code other than INR.`);
+    } else if (amount === null || amount === undefined || amount <= 0) {
+      errors.push(`foreignCurrency[${i}].amount must be a positive amount with at most 2 decimals.`);
+    } else {
+      lines.push({ currency, amount });
+    }
+  });
+  return lines;
+}
+
+/** [{ description, quantity?, weightGrams?, estimatedValue? (Rupees) }] - gold, silver and other offerings. */
+function validateValuables(value, errors) {
+  if (isBlank(value)) return [];
+  if (!Array.isArray(value) || value.length > MAX_VALUABLE_LINES) {
+    errors.push(`valuables must be an array of at most ${MAX_VALUABLE_LINES} entries.`);
+    return null;
+  }
+  const lines = [];
+  value.forEach((line, i) => {
+    const description = line?.description != null ? String(line.description).trim() : '';
+    const quantity = isBlank(line?.quantity) ? null : Number(line.quantity);
+    const weightGrams = optionalNumber(line?.weightGrams, 3);
+    const estimatedValue = optionalNumber(line?.estimatedValue, 2);
+    if (!description || description.length > DESCRIPTION_MAX_LENGTH) {
+      errors.push(`valuables[${i}].description is required (max ${DESCRIPTION_MAX_LENGTH} characters).`);
+    } else if (quantity !== null && (!Number.isInteger(quantity) || quantity <= 0)) {
+      errors.push(`valuables[${i}].quantity must be a positive whole number.`);
+    } else if (weightGrams === undefined) {
+      errors.push(`valuables[${i}].weightGrams must be a non-negative weight with at most 3 decimals.`);
+    } else if (estimatedValue === undefined) {
+      errors.push(`valuables[${i}].estimatedValue must be a non-negative Rupee amount with at most 2 decimals.`);
+    } else {
+      lines.push({ description, quantity, weightGrams, estimatedValue });
+    }
+  });
+  return lines;
+}
+
+/**
+ * Counting session: { boxId, countedAt?, denominations, foreignCurrency?, valuables?, notes? }.
+ * countedAt is an ISO date-time (default now) and cannot be in the future. With partial (for
+ * corrections), boxId is not accepted and only the fields present are checked and returned.
+ */
+function validateHundiCollection(body, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!partial) {
+    const boxId = Number(body?.boxId);
+    if (!Number.isInteger(boxId) || boxId <= 0) errors.push('boxId must be a positive integer.');
+    else data.boxId = boxId;
+  }
+  if (!partial || body?.countedAt !== undefined) {
+    if (isBlank(body?.countedAt)) {
+      if (partial) errors.push('countedAt cannot be empty.');
+      else data.countedAt = new Date();
+    } else {
+      const countedAt = new Date(body.countedAt);
+      if (isNaN(countedAt.getTime()) || countedAt > new Date()) {
+        errors.push('countedAt must be a valid date-time, not in the future.');
+      } else {
+        data.countedAt = countedAt;
+      }
+    }
+  }
+  if (!partial || body?.denominations !== undefined) {
+    const cash = validateDenominations(body?.denominations, errors);
+    if (cash) {
+      data.denominations = cash.counts;
+      data.cashTotal = cash.total;
+    }
+  }
+  if (body?.foreignCurrency !== undefined) {
+    const lines = validateForeignCurrency(body.foreignCurrency, errors);
+    if (lines) data.foreignCurrency = lines;
+  }
+  if (body?.valuables !== undefined) {
+    const lines = validateValuables(body.valuables, errors);
+    if (lines) data.valuables = lines;
+  }
+  if (body?.notes !== undefined) {
+    const notes = optionalText(body.notes, NOTES_MAX_LENGTH);
+    if (notes === undefined) errors.push(`notes must be at most ${NOTES_MAX_LENGTH} characters.`);
+    else data.notes = notes;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  if (partial && Object.keys(data).length === 0) {
+    return { valid: false, errors: ['Nothing to update.'] };
+  }
+  return { valid: true, data };
+}
+
+/**
+ * Counter sign-off code request: { name, mobile, cashTotal }. cashTotal is the Indian cash total in
+ * Rupees the counter agrees with; it must match the session so nobody signs counts that changed
+ * under them. The code is sent to mobile.
+ */
+function validateHundiSignOff(body) {
+  const errors = [];
+  const nameResult = validateName(body?.name, true);
+  if (!nameResult.valid) errors.push(nameResult.message);
+  const mobileResult = validateMobile(body?.mobile);
+  if (!mobileResult.valid) errors.push(mobileResult.message);
+  const cashTotal = optionalNumber(body?.cashTotal, 2);
+  if (cashTotal === null || cashTotal === undefined) {
+    errors.push('cashTotal (the Rupee cash total being signed off) is required.');
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { name: nameResult.value, mobile: mobileResult.value, cashTotal } };
+}
+
+/**
+ * Counter sign-off: { mobile, otp, cashTotal } with the code sent to the counter's mobile.
+ */
+function validateHundiSignOffConfirm(body) {
+  const errors = [];
+  const mobileResult = validateMobile(body?.mobile);
+  if (!mobileResult.valid) errors.push(mobileResult.message);
+  const otpResult = validateOtp(body?.otp);
+  if (!otpResult.valid) errors.push(otpResult.message);
+  const cashTotal = optionalNumber(body?.cashTotal, 2);
+  if (cashTotal === null || cashTotal === undefined) {
+    errors.push('cashTotal (the Rupee cash total being signed off) is required.');
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { mobile: mobileResult.value, otp: otpResult.value, cashTotal } };
+}
+
+module.exports = {
+  validateHundiBox,
+  validateHundiCollection,
+  validateHundiSignOff,
+  validateHundiSignOffConfirm,
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const { IN_KIND_UNIT_LIST } = require('../constants/inKind');
+const { validateOfflineDevotee, validateOptionalEventId } = require('./devoteeValidator');
+
+const ITEM_NAME_MAX_LENGTH = 100;
+const NOTES_MAX_LENGTH = 500;
+const MAX_QUANTITY = 1000000;
+const MAX_VALUE = 10000000;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function hasAtMostDecimals(n, places) {
+  const scale = 10 ** places;
+  return Math.abs(Math.round(n * scale) - n * scale) < 1e-6;
+}
+
+/** Optional Rupee value: null when blank, else 0..MAX_VALUE with at most 2 decimals. */
+function validateOptionalValue(value, label) {
+  if (isBlank(value)) return { valid: true, value: null };
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_VALUE || !hasAtMostDecimals(n, 2)) {
+    return { valid: false, message: `${label} must be between 0 and ${MAX_VALUE} Rupees with at most 2 decimals.` };
+  }
+  return { valid: true, value: n };
+}
+
+/**
+ * Catalog item: { name, unit, defaultUnitValue?, isActive? }. With partial, only the fields
+ * present are checked and returned (for updates).
+ */
+function validateInKindItem(body, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = body?.name != null ? String(body.name).trim() : '';
+    if (!name || name.length > ITEM_NAME_MAX_LENGTH) {
+      errors.push(`Item name is required (max ${ITEM_NAME_MAX_LENGTH} characters).`);
+    } else {
+      data.name = name;
+    }
+  }
+  if (!partial || body?.unit !== undefined) {
+    const unit = body?.unit != null ? String(body.unit).toLowerCase().trim() : '';
+    if (!IN_KIND_UNIT_LIST.includes(unit)) {
+      errors.push(`unit must be one of: ${IN_KIND_UNIT_LIST.join(', ')}.`);
+    } else {
+      data.unit = unit;
+    }
+  }
+  if (!partial || body?.defaultUnitValue !== undefined) {
+    const result = validateOptionalValue(body?.defaultUnitValue, 'defaultUnitValue');
+    if (!result.valid) errors.push(result.message);
+    else data.defaultUnitValue = result.value;
+  }
+  if (body?.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') errors.push('isActive must be true or false.');
+    else data.isActive = body.isActive;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  if (partial && Object.keys(data).length === 0) {
+    return { valid: false, errors: ['Nothing to update.'] };
+  }
+  return { valid: true, data };
+}
+
+/**
+ * In-kind donation received at the counter:
+ * { mobile, name?, email?, city?, itemId, quantity, unitValue?, declaredValue?, eventId?, notes? }.
+ * Values are in Rupees; declaredValue is the total for the whole quantity.
+ */
+function validateInKindDonation(body) {
+  const errors = [];
+  const devotee = validateOfflineDevotee(body, errors);
+
+  const itemId = Number(body?.itemId);
+  if (!Number.isInteger(itemId) || itemId <= 0) {
+    errors.push('Valid itemId is required.');
+  }
+
+  const quantity = Number(body?.quantity);
+  if (isBlank(body?.quantity) || !Number.isFinite(quantity) || quantity <= 0 || quantity > MAX_QUANTITY) {
+    errors.push(`quantity must be greater than 0 and at most ${MAX_QUANTITY}.`);
+  } else if (!hasAtMostDecimals(quantity, 3)) {
+    errors.push('quantity can have at most 3 decimals.');
+  }
+
+  const unitValueResult = validateOptionalValue(body?.unitValue, 'unitValue');
+  const declaredValueResult = validateOptionalValue(body?.declaredValue, 'declaredValue');
+  const eventResult = validateOptionalEventId(body?.eventId);
+  if (!unitValueResult.valid) errors.push(unitValueResult.message);
+  if (!declaredValueResult.valid) errors.push(declaredValueResult.message);
+  if (!eventResult.valid) errors.push(eventResult.message);
+
+  const notes = body?.notes != null ? String(body.notes).trim() : '';
+  if (notes.length > NOTES_MAX_LENGTH) {
+    errors.push(`notes must be at most ${NOTES_MAX_LENGTH} characters.`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: {
+      devotee,
+      itemId,
+      quantity,
+      unitValue: unitValueResult.value,
+      declaredValue: declaredValueResult.value,
+      eventId: eventResult.value,
+      notes: notes || null,
+    },
+  };
+}
+
+module.exports = {
+  validateInKindItem,
+  validateInKindDonation,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const {
+  PAYMENT_LINK_AMOUNT_MODE,
+  PAYMENT_LINK_AMOUNT_MODE_LIST,
+  PAYMENT_LINK_LIMITS,
+} = require('../constants/paymentLink');
+const { validateOfflineDevotee, validateOptionalEventId, validateDedication } = require('./devoteeValidator');
+
+const MAX_AMOUNT = 1000000;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/** Rupee amount from 1 to MAX_AMOUNT with at most 2 decimals. */
+function validateAmount(value, label) {
+  const n = Number(value);
+  if (isBlank(value) || !Number.isFinite(n) || n < 1 || n > MAX_AMOUNT
+    || Math.abs(Math.round(n * 100) - n * 100) > 1e-6) {
+    return { valid: false, message: `${label} must be between 1 and ${MAX_AMOUNT} Rupees with at most 2 decimals.` };
+  }
+  return { valid: true, value: n };
+}
+
+function validateAmounts(body, errors) {
+  const hasSuggested = Array.isArray(body.suggestedAmounts) && body.suggestedAmounts.length > 0;
+  let amountMode = isBlank(body.amountMode) ? null : String(body.amountMode).toLowerCase().trim();
+  if (amountMode === null) {
+    if (!isBlank(body.amount)) amountMode = PAYMENT_LINK_AMOUNT_MODE.FIXED;
+    else if (hasSuggested) amountMode = PAYMENT_LINK_AMOUNT_MODE.SUGGESTED;
+    else amountMode = PAYMENT_LINK_AMOUNT_MODE.OPEN;
+  }
+  if (!PAYMENT_LINK_AMOUNT_MODE_LIST.includes(amountMode)) {
+    errors.push(`amountMode must be one of: ${PAYMENT_LINK_AMOUNT_MODE_LIST.join(', ')}.`);
+    return {};
+  }
+
+  if (amountMode === PAYMENT_LINK_AMOUNT_MODE.FIXED) {
+    const result = validateAmount(body.amount, 'amount');
+    if (!result.valid) errors.push(result.message);
+    return { amountMode, amount: result.value, suggestedAmounts: null };
+  }
+  if (amountMode === PAYMENT_LINK_AMOUNT_MODE.SUGGESTED) {
+    if (!hasSuggested || body.suggestedAmounts.length > PAYMENT_LINK_LIMITS.MAX_SUGGESTED_AMOUNTS) {
+      errors.push(`suggestedAmounts must list 1 to ${PAYMENT_LINK_LIMITS.MAX_SUGGESTED_AMOUNTS} amounts.`);
+      return {};
+    }
+    const amounts = [];
+    body.suggestedAmounts.forEach((value, index) => {
+      const result = validateAmount(value, `suggestedAmounts[${index}]`);
+      if (!result.valid) errors.push(result.message);
+      else amounts.push(result.value);
+    });
+    return { amountMode, amount: null, suggestedAmounts: [...new Set(amounts)].sort((a, b) => a - b) };
+  }
+  return { amountMode, amount: null, suggestedAmounts: null };
+}
+
+/**
+ * Create: { title, description?, eventId?, amountMode?, amount?, suggestedAmounts?, expiresAt?, maxUses? }
+ * amountMode defaults to fixed with amount, suggested with suggestedAmounts, else open.
+ * Update (partial): { title?, description?, expiresAt?, maxUses?, isActive? }; null clears
+ * expiresAt / maxUses. Amounts and event cannot change once shared; create a new link instead.
+ */
+function validatePaymentLink(body, { partial = false } = {}) {
+  const input = body || {};
+  const errors = [];
+  const data = {};
+
+  if (!partial || input.title !== undefined) {
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    if (!title || title.length > PAYMENT_LINK_LIMITS.TITLE_MAX_LENGTH) {
+      errors.push(`title is required (at most ${PAYMENT_LINK_LIMITS.TITLE_MAX_LENGTH} characters).`);
+    } else {
+      data.title = title;
+    }
+  }
+  if (input.description !== undefined) {
+    const description = isBlank(input.description) ? null : String(input.description).trim();
+    if (description && description.length > PAYMENT_LINK_LIMITS.DESCRIPTION_MAX_LENGTH) {
+      errors.push(`description must be at most ${PAYMENT_LINK_LIMITS.DESCRIPTION_MAX_LENGTH} characters.`);
+    } else {
+      data.description = description || null;
+    }
+  }
+
+  if (input.expiresAt !== undefined) {
+    if (isBlank(input.expiresAt)) {
+      if (partial) data.expiresAt = null;
+    } else {
+      const expiresAt = new Date(input.expiresAt);
+      if (typeof input.expiresAt !== 'string' || Number.isNaN(expiresAt.getTime())) {
+        errors.push('expiresAt must be an ISO date-time.');
+      } else if (expiresAt.getTime() <= Date.now()) {
+        errors.push('expiresAt must be in the future.');
+      } else {
+        data.expiresAt = expiresAt;
+      }
+    }
+  }
+
+  if (input.maxUses !== undefined) {
+    if (isBlank(input.maxUses)) {
+      if (partial) data.maxUses = null;
+    } else {
+      const n = Number(input.maxUses);
+      if (!Number.isInteger(n) || n < 1 || n > PAYMENT_LINK_LIMITS.MAX_USES) {
+        errors.push(`maxUses must be an integer between 1 and ${PAYMENT_LINK_LIMITS.MAX_USES}.`);
+      } else {
+        data.maxUses = n;
+      }
+    }
+  }
+
+  if (partial) {
+    if (input.isActive !== undefined) {
+      if (typeof input.isActive !== 'boolean') errors.push('isActive must be true or false.');
+      else data.isActive = input.isActive;
+    }
+    ['amountMode', 'amount', 'suggestedAmounts', 'eventId'].forEach((key) => {
+      if (input[key] !== undefined) errors.push(`${key} cannot be changed; create a new link instead.`);
+    });
+  } else {
+    const eventResult = validateOptionalEventId(input.eventId);
+    if (!eventResult.valid) errors.push(eventResult.message);
+    else data.eventId = eventResult.value;
+    Object.assign(data, validateAmounts(input, errors));
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  if (partial && Object.keys(data).length === 0) {
+    return { valid: false, errors: ['No updates provided.'] };
+  }
+  return { valid: true, data };
+}
+
+/**
+ * Paying through a link: { mobile, name?, email?, city?, amount?, dedication? }.
+ * amount is ignored for fixed-amount links and required otherwise (checked against the link).
+ * data.devotee holds the details to find or create the devotee by mobile when the payment is captured.
+ */
+function validateLinkOrder(body) {
+  const errors = [];
+  const devotee = validateOfflineDevotee(body, errors);
+  let amount = null;
+  if (!isBlank(body?.amount)) {
+    const result = validateAmount(body.amount, 'amount');
+    if (!result.valid) errors.push(result.message);
+    else amount = result.value;
+  }
+  const dedicationResult = validateDedication(body?.dedication);
+  if (!dedicationResult.valid) errors.push(dedicationResult.message);
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { devotee, amount, dedication: dedicationResult.value } };
+}
+
+module.exports = {
+  validatePaymentLink,
+  validateLinkOrder,
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+const MAX_PERCENTAGE = 20;
+const MAX_FIXED_AMOUNT = 1000;
+
+function parseMoney(value) {
+  if (value === undefined || value === null || value === '') return 0;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function hasAtMostTwoDecimals(n) {
+  return Math.abs(Math.round(n * 100) - n * 100) < 1e-6;
+}
+
+/**
+ * Body: { percentage?, fixedAmount? } — percent of the gross amount and Rupees per donation.
+ * Missing values are 0.
+ */
+function validatePlatformFee(body) {
+  const errors = [];
+  const percentage = parseMoney(body && body.percentage);
+  const fixedAmount = parseMoney(body && body.fixedAmount);
+
+  if (Number.isNaN(percentage) || percentage < 0 || percentage > MAX_PERCENTAGE || !hasAtMostTwoDecimals(percentage)) {
+    errors.push(`percentage must be between 0 and ${MAX_PERCENTAGE} with at most 2 decimals.`);
+  }
+  if (Number.isNaN(fixedAmount) || fixedAmount < 0 || fixedAmount > MAX_FIXED_AMOUNT || !hasAtMostTwoDecimals(fixedAmount)) {
+    errors.push(`fixedAmount must be between 0 and ${MAX_FIXED_AMOUNT} Rupees with at most 2 decimals.`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { percentage, fixedAmount } };
+}
+
+module.exports = {
+  validatePlatformFee,
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+const { validateCreateDonation } = require('./devoteeValidator');
+const { PLEDGE_DEFAULT_TOTAL_COUNT } = require('../constants/pledge');
+const { DOMESTIC_CURRENCY } = require('../constants/fcra');
+
+const MAX_TOTAL_COUNT = 360;
+const CANCEL_REASON_MAX_LENGTH = 500;
+
+/**
+ * Body: { adminId, amount, eventId?, type?, totalCount?, startDate? (YYYY-MM-DD) }
+ * adminId / eventId / amount / type follow validateCreateDonation.
+ */
+function validateCreatePledge(body) {
+  const base = validateCreateDonation(body || {});
+  const errors = base.valid ? [] : [...base.errors];
+  if (base.valid && base.data.currency !== DOMESTIC_CURRENCY) {
+    errors.push('Monthly pledges are in INR only.');
+  }
+
+  let totalCount = PLEDGE_DEFAULT_TOTAL_COUNT;
+  if (body.totalCount !== undefined && body.totalCount !== null && body.totalCount !== '') {
+    const n = Number(body.totalCount);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_TOTAL_COUNT) {
+      errors.push(`totalCount must be an integer between 1 and ${MAX_TOTAL_COUNT}.`);
+    } else {
+      totalCount = n;
+    }
+  }
+
+  let startAt = null;
+  if (body.startDate !== undefined && body.startDate !== null && body.startDate !== '') {
+    const date = new Date(body.startDate);
+    if (typeof body.startDate !== 'string' || isNaN(date.getTime())) {
+      errors.push('Invalid startDate format (use YYYY-MM-DD).');
+    } else if (date.getTime() <= Date.now()) {
+      errors.push('startDate must be in the future.');
+    } else {
+      startAt = date;
+    }
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: {
+      ...base.data,
+      totalCount,
+      startAt,
+    },
+  };
+}
+
+function validateCancelPledge(body) {
+  const reason = body && body.reason !== undefined && body.reason !== null ? String(body.reason).trim() : '';
+  if (reason.length > CANCEL_REASON_MAX_LENGTH) {
+    return { valid: false, errors: [`Reason must be at most ${CANCEL_REASON_MAX_LENGTH} characters.`] };
+  }
+  return { valid: true, data: { reason: reason || null } };
+}
+
+module.exports = {
+  validateCreatePledge,
+  validateCancelPledge,
+};
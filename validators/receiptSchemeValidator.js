@@ -0,0 +1,93 @@
+'use strict';
+
+const {
+  RECEIPT_TYPE_SERIES_LIST,
+  RECEIPT_SERIES_DEFAULT_CODES,
+  RECEIPT_SEPARATORS,
+  RECEIPT_SCHEME_LIMITS,
+} = require('../constants/receipt');
+
+const PREFIX_REGEX = new RegExp(`^[A-Z0-9]{1,${RECEIPT_SCHEME_LIMITS.PREFIX_MAX_LENGTH}}$`);
+const SERIES_CODE_REGEX = new RegExp(`^[A-Z0-9]{1,${RECEIPT_SCHEME_LIMITS.SERIES_CODE_MAX_LENGTH}}$`);
+
+function parseBoolean(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+}
+
+/**
+ * Body: { prefix?, separator? ('/' | '-'), includeFinancialYear? (default true),
+ *   separateSeries? (default false), seriesCodes? { donation, charity, seva, offline }, padding? (default 6) }
+ * Series codes default to DN / CH / SV / OF and must differ from each other.
+ */
+function validateReceiptScheme(body) {
+  const errors = [];
+  const input = body || {};
+
+  let prefix = null;
+  if (input.prefix !== undefined && input.prefix !== null && String(input.prefix).trim() !== '') {
+    prefix = String(input.prefix).trim().toUpperCase();
+    if (!PREFIX_REGEX.test(prefix)) {
+      errors.push(`prefix must be 1-${RECEIPT_SCHEME_LIMITS.PREFIX_MAX_LENGTH} letters or digits.`);
+    }
+  }
+
+  const separator = input.separator === undefined || input.separator === null || input.separator === ''
+    ? RECEIPT_SEPARATORS[0]
+    : String(input.separator);
+  if (!RECEIPT_SEPARATORS.includes(separator)) {
+    errors.push(`separator must be one of: ${RECEIPT_SEPARATORS.join(' ')}.`);
+  }
+
+  const includeFinancialYear = parseBoolean(input.includeFinancialYear, true);
+  if (includeFinancialYear === null) errors.push('includeFinancialYear must be true or false.');
+  const separateSeries = parseBoolean(input.separateSeries, false);
+  if (separateSeries === null) errors.push('separateSeries must be true or false.');
+
+  let padding = RECEIPT_SCHEME_LIMITS.DEFAULT_PADDING;
+  if (input.padding !== undefined && input.padding !== null && input.padding !== '') {
+    padding = Number(input.padding);
+    if (!Number.isInteger(padding) || padding < RECEIPT_SCHEME_LIMITS.MIN_PADDING || padding > RECEIPT_SCHEME_LIMITS.MAX_PADDING) {
+      errors.push(`padding must be an integer between ${RECEIPT_SCHEME_LIMITS.MIN_PADDING} and ${RECEIPT_SCHEME_LIMITS.MAX_PADDING}.`);
+    }
+  }
+
+  let seriesCodes = null;
+  if (separateSeries) {
+    if (input.seriesCodes !== undefined && input.seriesCodes !== null
+      && (typeof input.seriesCodes !== 'object' || Array.isArray(input.seriesCodes))) {
+      errors.push('seriesCodes must be an object, e.g. { "seva": "SV" }.');
+    } else {
+      seriesCodes = {};
+      RECEIPT_TYPE_SERIES_LIST.forEach((series) => {
+        const given = input.seriesCodes ? input.seriesCodes[series] : undefined;
+        const code = given === undefined || given === null || String(given).trim() === ''
+          ? RECEIPT_SERIES_DEFAULT_CODES[series]
+          : String(given).trim().toUpperCase();
+        if (!SERIES_CODE_REGEX.test(code)) {
+          errors.push(`seriesCodes.${series} must be 1-${RECEIPT_SCHEME_LIMITS.SERIES_CODE_MAX_LENGTH} letters or digits.`);
+        }
+        seriesCodes[series] = code;
+      });
+      if (new Set(Object.values(seriesCodes)).size !== RECEIPT_TYPE_SERIES_LIST.length) {
+        errors.push('Each series needs its own code.');
+      }
+    }
+  }
+
+  if (!prefix && !includeFinancialYear && !separateSeries) {
+    errors.push('A scheme needs a prefix, the financial year or separate series; remove the scheme for plain numbers.');
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: { prefix, separator, includeFinancialYear, separateSeries, seriesCodes, padding },
+  };
+}
+
+module.exports = {
+  validateReceiptScheme,
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const { ONBOARDING_STATUS } = require('../constants/settlement');
+
+/** Razorpay Route business types accepted for a linked account. */
+const BUSINESS_TYPES = [
+  'trust',
+  'society',
+  'ngo',
+  'not_yet_registered',
+  'educational_institutes',
+  'private_limited',
+  'public_limited',
+  'llp',
+  'partnership',
+  'proprietorship',
+  'individual',
+];
+
+const REVIEW_NOTE_MAX_LENGTH = 500;
+
+function trimmed(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * PATCH /api/form/onboarding/:id/review
+ * Body: { status: 'approved' | 'rejected', note? }. A note is required when rejecting.
+ */
+function validateOnboardingReview(body) {
+  const errors = [];
+  const status = trimmed(body && body.status).toLowerCase();
+  const note = trimmed(body && body.note);
+
+  if (![ONBOARDING_STATUS.APPROVED, ONBOARDING_STATUS.REJECTED].includes(status)) {
+    errors.push(`status must be ${ONBOARDING_STATUS.APPROVED} or ${ONBOARDING_STATUS.REJECTED}.`);
+  }
+  if (status === ONBOARDING_STATUS.REJECTED && !note) {
+    errors.push('note is required when rejecting a form.');
+  }
+  if (note.length > REVIEW_NOTE_MAX_LENGTH) {
+    errors.push(`note must be at most ${REVIEW_NOTE_MAX_LENGTH} characters.`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { status, note: note || null } };
+}
+
+/**
+ * POST /api/super-admin/admins/:id/linked-account
+ * Body: { businessType, category?, subcategory?, address: { street1, street2?, city, state, postalCode } }
+ * The onboarding form has a free-text address only, so the structured registered address
+ * is supplied here. category/subcategory default to ROUTE_PROFILE_CATEGORY / ROUTE_PROFILE_SUBCATEGORY.
+ */
+function validateCreateLinkedAccount(body) {
+  const errors = [];
+  const data = body || {};
+
+  const businessType = trimmed(data.businessType).toLowerCase();
+  if (!BUSINESS_TYPES.includes(businessType)) {
+    errors.push(`businessType must be one of: ${BUSINESS_TYPES.join(', ')}.`);
+  }
+
+  const category = trimmed(data.category) || trimmed(process.env.ROUTE_PROFILE_CATEGORY);
+  const subcategory = trimmed(data.subcategory) || trimmed(process.env.ROUTE_PROFILE_SUBCATEGORY);
+  if (!category) errors.push('category is required.');
+  if (!subcategory) errors.push('subcategory is required.');
+
+  const address = data.address && typeof data.address === 'object' ? data.address : {};
+  const street1 = trimmed(address.street1);
+  const street2 = trimmed(address.street2);
+  const city = trimmed(address.city);
+  const state = trimmed(address.state);
+  const postalCode = trimmed(address.postalCode);
+  if (!street1 || street1.length > 100) errors.push('address.street1 is required (max 100 characters).');
+  if (street2.length > 100) errors.push('address.street2 must be at most 100 characters.');
+  if (!city) errors.push('address.city is required.');
+  if (!state) errors.push('address.state is required.');
+  if (!/^\d{6}$/.test(postalCode)) errors.push('address.postalCode must be a 6-digit PIN code.');
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: {
+      businessType,
+      category,
+      subcategory,
+      // Razorpay requires street2; repeat the city when the address has a single line.
+      address: { street1, street2: street2 || city, city, state, postalCode },
+    },
+  };
+}
+
+module.exports = {
+  validateOnboardingReview,
+  validateCreateLinkedAccount,
+};
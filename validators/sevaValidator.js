@@ -0,0 +1,205 @@
+'use strict';
+
+const { SEVA_SLOT_LIMITS, SEVA_MAX_PARTICIPANTS } = require('../constants/seva');
+const { isValidDateOnly } = require('../utils/date');
+
+const NAME_MAX_LENGTH = 150;
+const DESCRIPTION_MAX_LENGTH = 1000;
+const PARTICIPANT_NAME_MAX_LENGTH = 100;
+const PARTICIPANT_DETAIL_MAX_LENGTH = 50;
+const NOTES_MAX_LENGTH = 500;
+const MAX_PRICE = 1000000;
+const MAX_CAPACITY = 1000;
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/** Integer between min and max (inclusive), or null. */
+function toIntInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+/** Optional trimmed string: null when blank, undefined when too long. */
+function optionalText(value, maxLength) {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  return text.length > maxLength ? undefined : text;
+}
+
+/**
+ * Catalog seva: { name, price, description?, defaultCapacity?, maxParticipants?, isActive? }.
+ * price is in Rupees. With partial, only the fields present are checked and returned (for updates).
+ */
+function validateSeva(body, { partial = false } = {}) {
+  const errors = [];
+  const data = {};
+
+  if (!partial || body?.name !== undefined) {
+    const name = body?.name != null ? String(body.name).trim() : '';
+    if (!name || name.length > NAME_MAX_LENGTH) {
+      errors.push(`Seva name is required (max ${NAME_MAX_LENGTH} characters).`);
+    } else {
+      data.name = name;
+    }
+  }
+  if (body?.description !== undefined) {
+    const description = optionalText(body.description, DESCRIPTION_MAX_LENGTH);
+    if (description === undefined) errors.push(`description must be at most ${DESCRIPTION_MAX_LENGTH} characters.`);
+    else data.description = description;
+  }
+  if (!partial || body?.price !== undefined) {
+    const price = Number(body?.price);
+    if (isBlank(body?.price) || !Number.isFinite(price) || price < 1 || price > MAX_PRICE
+      || Math.abs(Math.round(price * 100) - price * 100) > 1e-6) {
+      errors.push(`price must be between 1 and ${MAX_PRICE} Rupees with at most 2 decimals.`);
+    } else {
+      data.price = price;
+    }
+  }
+  if (body?.defaultCapacity !== undefined) {
+    const capacity = toIntInRange(body.defaultCapacity, 1, MAX_CAPACITY);
+    if (capacity === null) errors.push(`defaultCapacity must be an integer from 1 to ${MAX_CAPACITY}.`);
+    else data.defaultCapacity = capacity;
+  }
+  if (body?.maxParticipants !== undefined) {
+    const max = toIntInRange(body.maxParticipants, 1, SEVA_MAX_PARTICIPANTS);
+    if (max === null) errors.push(`maxParticipants must be an integer from 1 to ${SEVA_MAX_PARTICIPANTS}.`);
+    else data.maxParticipants = max;
+  }
+  if (body?.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') errors.push('isActive must be true or false.');
+    else data.isActive = body.isActive;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  if (partial && Object.keys(data).length === 0) {
+    return { valid: false, errors: ['Nothing to update.'] };
+  }
+  return { valid: true, data };
+}
+
+/**
+ * Slot calendar to generate: { from, to, times, weekdays?, capacity? }.
+ * from / to are IST dates (YYYY-MM-DD, inclusive); times are HH:MM (24-hour, IST);
+ * weekdays limits the days (0 = Sunday ... 6 = Saturday); capacity defaults to the seva's.
+ */
+function validateSevaSlots(body) {
+  const errors = [];
+  const { from, to } = body || {};
+
+  if (!isValidDateOnly(from) || !isValidDateOnly(to)) {
+    errors.push('from and to are required in YYYY-MM-DD format.');
+  } else {
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS + 1;
+    if (days < 1) {
+      errors.push('to must be on or after from.');
+    } else if (days > SEVA_SLOT_LIMITS.MAX_RANGE_DAYS) {
+      errors.push(`Slots can be generated for at most ${SEVA_SLOT_LIMITS.MAX_RANGE_DAYS} days at a time.`);
+    }
+  }
+
+  const times = Array.isArray(body?.times) ? body.times.map((t) => String(t).trim()) : [];
+  if (times.length === 0 || times.length > SEVA_SLOT_LIMITS.MAX_TIMES) {
+    errors.push(`times must be an array of 1 to ${SEVA_SLOT_LIMITS.MAX_TIMES} start times.`);
+  } else if (!times.every((t) => TIME_REGEX.test(t))) {
+    errors.push('times must be in HH:MM (24-hour) format.');
+  }
+
+  let weekdays = null;
+  if (!isBlank(body?.weekdays)) {
+    if (!Array.isArray(body.weekdays) || body.weekdays.length === 0
+      || !body.weekdays.every((d) => toIntInRange(d, 0, 6) !== null)) {
+      errors.push('weekdays must be an array of days from 0 (Sunday) to 6 (Saturday).');
+    } else {
+      weekdays = [...new Set(body.weekdays.map(Number))];
+    }
+  }
+
+  let capacity = null;
+  if (!isBlank(body?.capacity)) {
+    capacity = toIntInRange(body.capacity, 1, MAX_CAPACITY);
+    if (capacity === null) errors.push(`capacity must be an integer from 1 to ${MAX_CAPACITY}.`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return {
+    valid: true,
+    data: { from, to, times: [...new Set(times)].sort(), weekdays, capacity },
+  };
+}
+
+/**
+ * Slot change: { capacity?, isActive? }. Capacity below the seats already booked is refused
+ * by the service.
+ */
+function validateSevaSlotUpdate(body) {
+  const errors = [];
+  const data = {};
+  if (body?.capacity !== undefined) {
+    const capacity = toIntInRange(body.capacity, 1, MAX_CAPACITY);
+    if (capacity === null) errors.push(`capacity must be an integer from 1 to ${MAX_CAPACITY}.`);
+    else data.capacity = capacity;
+  }
+  if (body?.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') errors.push('isActive must be true or false.');
+    else data.isActive = body.isActive;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  if (Object.keys(data).length === 0) {
+    return { valid: false, errors: ['Nothing to update.'] };
+  }
+  return { valid: true, data };
+}
+
+/**
+ * Devotee booking: { slotId, participants: [{ name, gotra?, nakshatra? }], notes? }.
+ * The seva's own maxParticipants is checked by the service.
+ */
+function validateSevaBooking(body) {
+  const errors = [];
+
+  const slotId = Number(body?.slotId);
+  if (!Number.isInteger(slotId) || slotId <= 0) {
+    errors.push('slotId must be a positive integer.');
+  }
+
+  const participants = [];
+  if (!Array.isArray(body?.participants) || body.participants.length === 0
+    || body.participants.length > SEVA_MAX_PARTICIPANTS) {
+    errors.push(`participants must be an array of 1 to ${SEVA_MAX_PARTICIPANTS} people.`);
+  } else {
+    body.participants.forEach((p, i) => {
+      const name = p?.name != null ? String(p.name).trim() : '';
+      const gotra = optionalText(p?.gotra, PARTICIPANT_DETAIL_MAX_LENGTH);
+      const nakshatra = optionalText(p?.nakshatra, PARTICIPANT_DETAIL_MAX_LENGTH);
+      if (!name || name.length > PARTICIPANT_NAME_MAX_LENGTH) {
+        errors.push(`participants[${i}].name is required (max ${PARTICIPANT_NAME_MAX_LENGTH} characters).`);
+      }
+      if (gotra === undefined || nakshatra === undefined) {
+        errors.push(`participants[${i}] gotra and nakshatra must be at most ${PARTICIPANT_DETAIL_MAX_LENGTH} characters.`);
+      }
+      participants.push({ name, gotra, nakshatra });
+    });
+  }
+
+  const notes = optionalText(body?.notes, NOTES_MAX_LENGTH);
+  if (notes === undefined) {
+    errors.push(`notes must be at most ${NOTES_MAX_LENGTH} characters.`);
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { slotId, participants, notes } };
+}
+
+module.exports = {
+  validateSeva,
+  validateSevaSlots,
+  validateSevaSlotUpdate,
+  validateSevaBooking,
+};
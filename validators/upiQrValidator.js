@@ -0,0 +1,76 @@
+'use strict';
+
+const { UPI_QR_LIMITS } = require('../constants/upiQr');
+const { validateMobile, validateOfflineDevotee, validateOptionalEventId } = require('./devoteeValidator');
+
+const MAX_AMOUNT = 1000000;
+const VPA_REGEX = /^[A-Za-z0-9._-]{2,256}@[A-Za-z][A-Za-z0-9.-]{1,64}$/;
+
+function optionalText(value, label, maxLength, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  const trimmed = String(value).trim();
+  if (trimmed.length > maxLength) {
+    errors.push(`${label} must be at most ${maxLength} characters.`);
+    return null;
+  }
+  return trimmed || null;
+}
+
+/**
+ * Create a static UPI QR: { eventId?, name?, description? }.
+ * name defaults to the event title, else the organization name.
+ */
+function validateCreateUpiQr(body) {
+  const errors = [];
+  const eventResult = validateOptionalEventId(body?.eventId);
+  if (!eventResult.valid) errors.push(eventResult.message);
+  const name = optionalText(body?.name, 'name', UPI_QR_LIMITS.NAME_MAX_LENGTH, errors);
+  const description = optionalText(body?.description, 'description', UPI_QR_LIMITS.DESCRIPTION_MAX_LENGTH, errors);
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { eventId: eventResult.value, name, description } };
+}
+
+/**
+ * Assign a queued credit: { mobile, name?, email?, city? } of the devotee who paid.
+ * The devotee is found by mobile or created.
+ */
+function validateAssignUpiCredit(body) {
+  const errors = [];
+  const devotee = validateOfflineDevotee(body, errors);
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { devotee } };
+}
+
+/**
+ * Sandbox QR payment (QA only): { amount (Rupees), vpa?, contact? }.
+ * Leave contact out to see the credit land in the unmatched queue.
+ */
+function validateSandboxUpiCredit(body) {
+  const errors = [];
+  const amount = Number(body?.amount);
+  if (body?.amount === undefined || body?.amount === null || body?.amount === '' || !Number.isFinite(amount)
+    || amount < 1 || amount > MAX_AMOUNT || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+    errors.push(`amount must be between 1 and ${MAX_AMOUNT} Rupees with at most 2 decimals.`);
+  }
+  let vpa = null;
+  if (body?.vpa !== undefined && body?.vpa !== null && body?.vpa !== '') {
+    vpa = String(body.vpa).trim();
+    if (!VPA_REGEX.test(vpa)) errors.push('vpa must be a UPI ID such as name@bank.');
+  }
+  let contact = null;
+  if (body?.contact !== undefined && body?.contact !== null && body?.contact !== '') {
+    const mobileResult = validateMobile(body.contact);
+    if (!mobileResult.valid) errors.push(mobileResult.message);
+    else contact = mobileResult.value;
+  }
+
+  if (errors.length > 0) return { valid: false, errors };
+  return { valid: true, data: { amountPaise: Math.round(amount * 100), vpa, contact } };
+}
+
+module.exports = {
+  validateCreateUpiQr,
+  validateAssignUpiCredit,
+  validateSandboxUpiCredit,
+};